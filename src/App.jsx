@@ -23,6 +23,7 @@ import EstimatesPage from './pages/EstimatesPage';
 import JobManagementPage from './pages/JobManagementPage';
 import ReportsPage from './pages/ReportsPage';
 import CalendarPage from './pages/CalendarPage';
+import DispatchBoardPage from './pages/DispatchBoardPage';
 import InvoicePage from './pages/InvoicePage';
 import InvoiceTemplatesPage from './pages/InvoiceTemplatesPage';
 import RecurringJobsPage from './pages/RecurringJobsPage';
@@ -43,6 +44,7 @@ import ProviderProfilePage from './pages/ProviderProfilePage';
 import CustomerPortalDashboardPage from './pages/customer-portal/DashboardPage';
 import CustomerPortalJobsPage from './pages/customer-portal/JobsPage';
 import CustomerPortalInvoicesPage from './pages/customer-portal/InvoicesPage';
+import CustomerPortalEstimatesPage from './pages/customer-portal/EstimatesPage';
 import CustomerPortalCompanyPage from './pages/customer-portal/CompanyDetailPage';
 import CustomerPortalProfilePage from './pages/customer-portal/ProfilePage';
 
@@ -155,6 +157,14 @@ function App() {
                   </ProtectedRoute>
                 } />
                 
+                <Route path="/dispatch" element={
+                  <ProtectedRoute>
+                    <Layout>
+                      <DispatchBoardPage />
+                    </Layout>
+                  </ProtectedRoute>
+                } />
+                
                 <Route path="/invoices" element={
                   <ProtectedRoute>
                     <Layout>
@@ -277,6 +287,14 @@ function App() {
                   </CustomerPortalProtectedRoute>
                 } />
                 
+                <Route path="/customer-portal/estimates" element={
+                  <CustomerPortalProtectedRoute>
+                    <CustomerPortalLayout>
+                      <CustomerPortalEstimatesPage />
+                    </CustomerPortalLayout>
+                  </CustomerPortalProtectedRoute>
+                } />
+                
                 <Route path="/customer-portal/company" element={
                   <CustomerPortalProtectedRoute>
                     <CustomerPortalLayout>
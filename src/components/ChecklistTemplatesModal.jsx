@@ -0,0 +1,315 @@
+import React, { useEffect, useState } from 'react';
+import { PlusIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import ChecklistTemplateService from '../services/checklistTemplateService';
+import toast from 'react-hot-toast';
+
+const EMPTY_TEMPLATE = { name: '', serviceTypes: [], fields: [] };
+const EMPTY_FIELD = { label: '', type: 'checkbox', required: false, unit: '', min: '', max: '' };
+
+const ChecklistTemplatesModal = ({ companyId, services = [], onClose }) => {
+  const [templates, setTemplates] = useState([]);
+  const [draft, setDraft] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const loadTemplates = async () => {
+      const result = await ChecklistTemplateService.getTemplates(companyId);
+      if (result.success) {
+        setTemplates(result.templates);
+      } else {
+        toast.error(result.error || 'Failed to load checklists');
+      }
+      setIsLoading(false);
+    };
+
+    loadTemplates();
+  }, [companyId]);
+
+  // Services already covered by another template
+  const takenServices = new Set(
+    templates
+      .filter((template) => template.id !== draft?.id)
+      .flatMap((template) => template.serviceTypes || [])
+  );
+
+  const updateField = (index, changes) => {
+    setDraft((prev) => ({
+      ...prev,
+      fields: prev.fields.map((field, fieldIndex) => (fieldIndex === index ? { ...field, ...changes } : field))
+    }));
+  };
+
+  const toggleService = (service) => {
+    setDraft((prev) => ({
+      ...prev,
+      serviceTypes: prev.serviceTypes.includes(service)
+        ? prev.serviceTypes.filter((item) => item !== service)
+        : [...prev.serviceTypes, service]
+    }));
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = draft.id
+      ? await ChecklistTemplateService.updateTemplate(draft.id, draft)
+      : await ChecklistTemplateService.createTemplate(companyId, draft);
+    setIsSaving(false);
+
+    if (result.success) {
+      setTemplates((prev) =>
+        [...prev.filter((template) => template.id !== result.template.id), result.template]
+          .sort((a, b) => a.name.localeCompare(b.name))
+      );
+      setDraft(null);
+      toast.success('Checklist saved');
+    } else {
+      toast.error(result.error || 'Failed to save checklist');
+    }
+  };
+
+  const handleDelete = async (template) => {
+    if (!window.confirm(`Delete the "${template.name}" checklist? Completed jobs keep their filled-in forms.`)) {
+      return;
+    }
+    const result = await ChecklistTemplateService.deleteTemplate(template.id);
+    if (result.success) {
+      setTemplates((prev) => prev.filter((item) => item.id !== template.id));
+      if (draft?.id === template.id) setDraft(null);
+      toast.success('Checklist deleted');
+    } else {
+      toast.error(result.error || 'Failed to delete checklist');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Completion Checklists</h3>
+                <p className="text-sm text-gray-500">
+                  Forms technicians fill in when completing a job. Customers see the results on the job and invoice.
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {!draft ? (
+              <>
+                <div className="flex justify-end mb-3">
+                  <button
+                    type="button"
+                    onClick={() => setDraft({ ...EMPTY_TEMPLATE, fields: [{ ...EMPTY_FIELD }] })}
+                    className="inline-flex items-center px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+                  >
+                    <PlusIcon className="h-4 w-4 mr-1" />
+                    New Checklist
+                  </button>
+                </div>
+                {isLoading ? (
+                  <p className="p-6 text-center text-sm text-gray-500">Loading checklists...</p>
+                ) : templates.length === 0 ? (
+                  <p className="p-6 text-center text-sm text-gray-500">No checklists yet</p>
+                ) : (
+                  <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {templates.map((template) => (
+                      <li key={template.id} className="flex items-center justify-between px-4 py-3">
+                        <button
+                          type="button"
+                          onClick={() => setDraft({
+                            ...template,
+                            fields: template.fields.map((field) => ({ ...EMPTY_FIELD, ...field, min: field.min ?? '', max: field.max ?? '' }))
+                          })}
+                          className="text-left"
+                        >
+                          <p className="text-sm font-medium text-gray-900">{template.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {template.fields.length} field{template.fields.length === 1 ? '' : 's'} ·{' '}
+                            {template.serviceTypes?.length ? template.serviceTypes.join(', ') : 'No services'}
+                          </p>
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(template)}
+                          className="text-red-600 hover:text-red-900"
+                          title="Delete"
+                        >
+                          <TrashIcon className="h-4 w-4" />
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </>
+            ) : (
+              <div className="space-y-4 max-h-[28rem] overflow-y-auto pr-1">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    type="text"
+                    value={draft.name}
+                    onChange={(e) => setDraft((prev) => ({ ...prev, name: e.target.value }))}
+                    placeholder="e.g. AC Tune-Up Checklist"
+                    className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Used for</label>
+                  {services.length === 0 ? (
+                    <p className="text-sm text-gray-500">Select the services your company offers first</p>
+                  ) : (
+                    <div className="flex flex-wrap gap-2">
+                      {services.map((service) => {
+                        const taken = takenServices.has(service);
+                        const selected = draft.serviceTypes.includes(service);
+                        return (
+                          <button
+                            type="button"
+                            key={service}
+                            onClick={() => toggleService(service)}
+                            disabled={taken && !selected}
+                            title={taken && !selected ? 'Already covered by another checklist' : undefined}
+                            className={`px-3 py-1 rounded-full text-xs border ${
+                              selected
+                                ? 'bg-primary-600 text-white border-primary-600'
+                                : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'
+                            } disabled:opacity-40 disabled:cursor-not-allowed`}
+                          >
+                            {service}
+                          </button>
+                        );
+                      })}
+                    </div>
+                  )}
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Fields</label>
+                  <div className="space-y-2">
+                    {draft.fields.map((field, index) => (
+                      <div key={field.id || index} className="border border-gray-200 rounded-lg p-3">
+                        <div className="grid grid-cols-1 sm:grid-cols-6 gap-2 items-center">
+                          <input
+                            type="text"
+                            value={field.label}
+                            onChange={(e) => updateField(index, { label: e.target.value })}
+                            placeholder="e.g. Filter replaced"
+                            className="sm:col-span-3 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                          />
+                          <select
+                            value={field.type}
+                            onChange={(e) => updateField(index, { type: e.target.value })}
+                            className="sm:col-span-2 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                          >
+                            {Object.entries(ChecklistTemplateService.FIELD_TYPES).map(([value, label]) => (
+                              <option key={value} value={value}>{label}</option>
+                            ))}
+                          </select>
+                          <div className="flex items-center justify-between">
+                            <label className="inline-flex items-center text-xs text-gray-600">
+                              <input
+                                type="checkbox"
+                                checked={field.required}
+                                onChange={(e) => updateField(index, { required: e.target.checked })}
+                                className="mr-1 rounded border-gray-300 text-primary-600"
+                              />
+                              Required
+                            </label>
+                            <button
+                              type="button"
+                              onClick={() => setDraft((prev) => ({
+                                ...prev,
+                                fields: prev.fields.filter((_, fieldIndex) => fieldIndex !== index)
+                              }))}
+                              className="text-red-600 hover:text-red-900"
+                              title="Remove field"
+                            >
+                              <TrashIcon className="h-4 w-4" />
+                            </button>
+                          </div>
+                        </div>
+                        {field.type === 'numeric' && (
+                          <div className="grid grid-cols-3 gap-2 mt-2">
+                            <input
+                              type="text"
+                              value={field.unit}
+                              onChange={(e) => updateField(index, { unit: e.target.value })}
+                              placeholder="Unit (e.g. psi)"
+                              className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                            />
+                            <input
+                              type="number"
+                              value={field.min}
+                              onChange={(e) => updateField(index, { min: e.target.value })}
+                              placeholder="Min (optional)"
+                              className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                            />
+                            <input
+                              type="number"
+                              value={field.max}
+                              onChange={(e) => updateField(index, { max: e.target.value })}
+                              placeholder="Max (optional)"
+                              className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                            />
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => setDraft((prev) => ({ ...prev, fields: [...prev.fields, { ...EMPTY_FIELD }] }))}
+                    className="mt-2 inline-flex items-center text-sm text-primary-600 hover:text-primary-800"
+                  >
+                    <PlusIcon className="h-4 w-4 mr-1" />
+                    Add field
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            {draft ? (
+              <>
+                <button
+                  type="button"
+                  onClick={handleSave}
+                  disabled={isSaving}
+                  className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : 'Save Checklist'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setDraft(null)}
+                  className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+                >
+                  Back
+                </button>
+              </>
+            ) : (
+              <button
+                type="button"
+                onClick={onClose}
+                className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+              >
+                Close
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ChecklistTemplatesModal;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect } from 'react';
+import { TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import CompanyService from '../services/companyService';
+import toast from 'react-hot-toast';
+
+const CompanyHolidaysModal = ({ companyId, onClose }) => {
+  const [holidays, setHolidays] = useState([]);
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      setIsLoading(true);
+      const result = await CompanyService.getCompanyHolidays(companyId);
+      if (result.success) {
+        setHolidays(result.holidays);
+      } else {
+        toast.error(result.error || 'Failed to load holidays');
+      }
+      setIsLoading(false);
+    };
+    load();
+  }, [companyId]);
+
+  const handleAdd = () => {
+    if (!newHoliday.date) {
+      toast.error('Choose a date');
+      return;
+    }
+    setHolidays((prev) => CompanyService.normalizeHolidays([...prev, newHoliday]));
+    setNewHoliday({ date: '', name: '' });
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await CompanyService.updateCompanyHolidays(companyId, holidays);
+    setIsSaving(false);
+    if (result.success) {
+      toast.success('Holidays saved');
+      onClose();
+    } else {
+      toast.error(result.error || 'Failed to save holidays');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Company Holidays</h3>
+                <p className="text-sm text-gray-500">Recurring jobs are not generated on these dates.</p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="flex gap-2 mb-4">
+              <input
+                type="date"
+                value={newHoliday.date}
+                onChange={(e) => setNewHoliday((prev) => ({ ...prev, date: e.target.value }))}
+                className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+              />
+              <input
+                type="text"
+                value={newHoliday.name}
+                onChange={(e) => setNewHoliday((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="Holiday name"
+                className="flex-1 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+              />
+              <button
+                type="button"
+                onClick={handleAdd}
+                className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                Add
+              </button>
+            </div>
+
+            {isLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : holidays.length === 0 ? (
+              <p className="p-6 text-center text-sm text-gray-500">No holidays configured</p>
+            ) : (
+              <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {holidays.map((holiday) => (
+                  <li key={holiday.date} className="flex items-center justify-between px-4 py-2">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {new Date(`${holiday.date}T00:00:00`).toLocaleDateString('en-US', {
+                          weekday: 'short',
+                          month: 'short',
+                          day: 'numeric',
+                          year: 'numeric'
+                        })}
+                      </p>
+                      {holiday.name && <p className="text-xs text-gray-500">{holiday.name}</p>}
+                    </div>
+                    <button
+                      type="button"
+                      onClick={() => setHolidays((prev) => prev.filter((item) => item.date !== holiday.date))}
+                      className="text-red-600 hover:text-red-900"
+                      title="Remove"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving || isLoading}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save Holidays'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CompanyHolidaysModal;
@@ -0,0 +1,196 @@
+import React, { useState } from 'react';
+import { CameraIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import ChecklistTemplateService from '../services/checklistTemplateService';
+import JobPhotoService from '../services/jobPhotoService';
+import SignatureService from '../services/signatureService';
+import SignatureCaptureModal from './SignatureCaptureModal';
+import SignatureRecord from './SignatureRecord';
+import toast from 'react-hot-toast';
+
+/**
+ * Inputs for a job's completion checklist. Photos are uploaded to the job's
+ * gallery straight away and referenced from the form; signature fields are
+ * drawn and stored like any other customer signature.
+ */
+const CompletionFormFields = ({ form, onChange, jobId, companyId, uploadedBy, customerName = '' }) => {
+  const [uploadingFieldId, setUploadingFieldId] = useState(null);
+  const [signingField, setSigningField] = useState(null);
+
+  const setValue = (fieldId, value) => {
+    onChange({
+      ...form,
+      fields: form.fields.map((field) => (field.id === fieldId ? { ...field, value } : field))
+    });
+  };
+
+  const handlePhoto = async (field, file) => {
+    if (!file) return;
+    if (!companyId || !uploadedBy) {
+      toast.error('Missing company or user for photo upload');
+      return;
+    }
+
+    setUploadingFieldId(field.id);
+    const result = await JobPhotoService.uploadPhoto({
+      file,
+      companyId,
+      jobId,
+      uploadedBy,
+      caption: field.label
+    });
+    setUploadingFieldId(null);
+
+    if (result.success) {
+      setValue(field.id, [
+        ...(field.value || []),
+        { id: result.photo.id, url: result.photo.downloadURL, storagePath: result.photo.storagePath }
+      ]);
+    } else {
+      toast.error(result.error || 'Failed to upload photo');
+    }
+  };
+
+  const handleSignature = async ({ blob, signerName }) => {
+    const result = await SignatureService.saveSignature({
+      blob,
+      signerName,
+      companyId,
+      documentType: 'job',
+      documentId: jobId
+    });
+    if (!result.success) {
+      toast.error(result.error || 'Failed to save signature');
+      return false;
+    }
+    setValue(signingField.id, result.signature);
+    return true;
+  };
+
+  return (
+    <div className="space-y-3">
+      <h4 className="text-sm font-medium text-gray-900">{form.templateName}</h4>
+      {form.fields.map((field) => (
+        <div key={field.id} className="border border-gray-200 rounded-md p-3">
+          <div className="flex items-center justify-between">
+            <span className="text-sm text-gray-700">
+              {field.label}
+              {field.required && <span className="text-red-500"> *</span>}
+            </span>
+
+            {field.type === 'checkbox' && (
+              <input
+                type="checkbox"
+                checked={field.value === true}
+                onChange={(e) => setValue(field.id, e.target.checked)}
+                className="h-4 w-4 rounded border-gray-300 text-primary-600"
+              />
+            )}
+
+            {field.type === 'pass_fail' && (
+              <div className="flex gap-1">
+                {['pass', 'fail'].map((option) => (
+                  <button
+                    type="button"
+                    key={option}
+                    onClick={() => setValue(field.id, field.value === option ? null : option)}
+                    className={`px-3 py-1 rounded-md text-xs font-medium border ${
+                      field.value === option
+                        ? option === 'pass'
+                          ? 'bg-green-600 text-white border-green-600'
+                          : 'bg-red-600 text-white border-red-600'
+                        : 'bg-white text-gray-700 border-gray-300'
+                    }`}
+                  >
+                    {option === 'pass' ? 'Pass' : 'Fail'}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            {field.type === 'numeric' && (
+              <div className="flex items-center gap-1">
+                <input
+                  type="number"
+                  step="any"
+                  value={field.value ?? ''}
+                  onChange={(e) => setValue(field.id, e.target.value)}
+                  className={`w-28 rounded-md shadow-sm sm:text-sm ${
+                    ChecklistTemplateService.isOutOfRange(field) ? 'border-yellow-400' : 'border-gray-300'
+                  }`}
+                />
+                {field.unit && <span className="text-xs text-gray-500">{field.unit}</span>}
+              </div>
+            )}
+
+            {field.type === 'photo' && (
+              <label className="inline-flex items-center text-sm text-primary-600 hover:text-primary-800 cursor-pointer">
+                <CameraIcon className="h-4 w-4 mr-1" />
+                {uploadingFieldId === field.id ? 'Uploading...' : 'Add photo'}
+                <input
+                  type="file"
+                  accept="image/*"
+                  capture="environment"
+                  className="hidden"
+                  disabled={uploadingFieldId !== null}
+                  onChange={(e) => {
+                    handlePhoto(field, e.target.files?.[0]);
+                    e.target.value = '';
+                  }}
+                />
+              </label>
+            )}
+          </div>
+
+          {field.type === 'numeric' && ChecklistTemplateService.isOutOfRange(field) && (
+            <p className="mt-1 text-xs text-yellow-700">
+              Outside the expected range
+              {field.min !== null && field.max !== null ? ` (${field.min}–${field.max})` : ''}
+            </p>
+          )}
+
+          {field.type === 'photo' && field.value?.length > 0 && (
+            <div className="mt-2 flex flex-wrap gap-2">
+              {field.value.map((photo) => (
+                <div key={photo.id} className="relative">
+                  <img src={photo.url} alt={field.label} className="h-16 w-16 object-cover rounded" />
+                  <button
+                    type="button"
+                    onClick={() => setValue(field.id, field.value.filter((item) => item.id !== photo.id))}
+                    className="absolute -top-1 -right-1 bg-white rounded-full shadow text-gray-500 hover:text-red-600"
+                    title="Remove from checklist"
+                  >
+                    <XMarkIcon className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {field.type === 'signature' && (
+            <div className="mt-2 flex items-end justify-between gap-2">
+              <SignatureRecord signature={field.value} title="" />
+              <button
+                type="button"
+                onClick={() => setSigningField(field)}
+                className="text-sm text-primary-600 hover:text-primary-800"
+              >
+                {field.value?.url ? 'Sign again' : 'Capture signature'}
+              </button>
+            </div>
+          )}
+        </div>
+      ))}
+
+      {signingField && (
+        <SignatureCaptureModal
+          title={signingField.label}
+          defaultName={customerName}
+          onCapture={handleSignature}
+          onClose={() => setSigningField(null)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default CompletionFormFields;
@@ -0,0 +1,61 @@
+import React from 'react';
+import ChecklistTemplateService from '../services/checklistTemplateService';
+import SignatureRecord from './SignatureRecord';
+
+const answerColor = (field) => {
+  if (field.type === 'pass_fail') {
+    if (field.value === 'pass') return 'text-green-700';
+    if (field.value === 'fail') return 'text-red-700';
+  }
+  if (field.outOfRange) return 'text-yellow-700';
+  return 'text-gray-900';
+};
+
+/**
+ * Read-only view of a completed job checklist
+ */
+const CompletionFormSummary = ({ form }) => {
+  if (!form?.fields?.length) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h5 className="text-sm font-medium text-gray-700 mb-2">{form.templateName || 'Completion Checklist'}</h5>
+      <dl className="divide-y divide-gray-100 border border-gray-200 rounded-md">
+        {form.fields.map((field) => (
+          <div key={field.id} className="px-3 py-2">
+            <div className="flex justify-between gap-4">
+              <dt className="text-sm text-gray-600">{field.label}</dt>
+              <dd className={`text-sm font-medium text-right ${answerColor(field)}`}>
+                {ChecklistTemplateService.formatAnswer(field)}
+              </dd>
+            </div>
+            {field.type === 'photo' && field.value?.length > 0 && (
+              <div className="mt-2 flex flex-wrap gap-2">
+                {field.value.map((photo) => (
+                  <a key={photo.id} href={photo.url} target="_blank" rel="noopener noreferrer">
+                    <img src={photo.url} alt={field.label} className="h-16 w-16 object-cover rounded" />
+                  </a>
+                ))}
+              </div>
+            )}
+            {field.type === 'signature' && field.value?.url && (
+              <div className="mt-2">
+                <SignatureRecord signature={field.value} title="" />
+              </div>
+            )}
+          </div>
+        ))}
+      </dl>
+      {form.completedAt && (
+        <p className="mt-1 text-xs text-gray-500">
+          Completed {new Date(form.completedAt).toLocaleString()}
+          {form.completedByName && ` by ${form.completedByName}`}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CompletionFormSummary;
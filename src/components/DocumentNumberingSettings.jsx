@@ -0,0 +1,227 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { HashtagIcon, InformationCircleIcon } from '@heroicons/react/24/outline';
+import NumberingService from '../services/numberingService';
+import toast from 'react-hot-toast';
+
+const DOCUMENT_LABELS = {
+  invoice: 'Invoices',
+  estimate: 'Estimates'
+};
+
+const MONTH_OPTIONS = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DocumentNumberingSettings = ({ companyId, documentTypes = ['invoice', 'estimate'] }) => {
+  const [activeType, setActiveType] = useState(documentTypes[0]);
+  const [settings, setSettings] = useState(NumberingService.normalizeSettings(documentTypes[0]));
+  const [nextNumber, setNextNumber] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadSettings = useCallback(async () => {
+    if (!companyId) return;
+
+    setIsLoading(true);
+    const result = await NumberingService.getSettings(companyId, activeType);
+    setSettings(result.settings);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to load numbering settings');
+    }
+    setIsLoading(false);
+  }, [companyId, activeType]);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  // Refresh the preview whenever the draft settings change
+  useEffect(() => {
+    if (!companyId) return;
+
+    let cancelled = false;
+    NumberingService.previewNextNumber(companyId, activeType, { settings }).then((result) => {
+      if (!cancelled) {
+        setNextNumber(result.success ? result.number : '');
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [companyId, activeType, settings]);
+
+  const validation = NumberingService.validateSettings(settings);
+
+  const handleChange = (field, value) => {
+    setSettings(prev => ({ ...prev, [field]: value }));
+  };
+
+  const handleSave = async () => {
+    if (!validation.valid) {
+      toast.error(validation.errors[0]);
+      return;
+    }
+
+    setIsSaving(true);
+    const result = await NumberingService.updateSettings(companyId, activeType, settings);
+    if (result.success) {
+      setSettings(result.settings);
+      toast.success(`${DOCUMENT_LABELS[activeType]} numbering saved`);
+    } else {
+      toast.error(result.error || 'Failed to save numbering settings');
+    }
+    setIsSaving(false);
+  };
+
+  if (!companyId) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center gap-2">
+          <HashtagIcon className="w-5 h-5 text-green-600" />
+          <h2 className="text-lg font-semibold text-gray-900">Document Numbering</h2>
+        </div>
+        {documentTypes.length > 1 && (
+          <div className="flex gap-2">
+            {documentTypes.map(type => (
+              <button
+                key={type}
+                onClick={() => setActiveType(type)}
+                className={`px-3 py-1 text-sm rounded-lg transition-colors ${
+                  activeType === type
+                    ? 'bg-green-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {DOCUMENT_LABELS[type] || type}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Prefix</label>
+          <input
+            type="text"
+            value={settings.prefix}
+            onChange={(e) => handleChange('prefix', e.target.value)}
+            disabled={isLoading}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+          <input
+            type="text"
+            value={settings.format}
+            onChange={(e) => handleChange('format', e.target.value)}
+            disabled={isLoading}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sequence Digits</label>
+          <input
+            type="number"
+            min="1"
+            max="12"
+            value={settings.padding}
+            onChange={(e) => handleChange('padding', e.target.value)}
+            disabled={isLoading}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Location Code</label>
+          <input
+            type="text"
+            value={settings.locationCode}
+            onChange={(e) => handleChange('locationCode', e.target.value)}
+            disabled={isLoading}
+            placeholder="e.g. BAK"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Reset Sequence</label>
+          <select
+            value={settings.resetPeriod}
+            onChange={(e) => handleChange('resetPeriod', e.target.value)}
+            disabled={isLoading}
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+          >
+            <option value="never">Never</option>
+            <option value="yearly">Every calendar year</option>
+            <option value="fiscal_yearly">Every fiscal year</option>
+          </select>
+        </div>
+        {settings.resetPeriod === 'fiscal_yearly' ? (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Fiscal Year Starts</label>
+            <select
+              value={settings.fiscalYearStartMonth}
+              onChange={(e) => handleChange('fiscalYearStartMonth', parseInt(e.target.value, 10))}
+              disabled={isLoading}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            >
+              {MONTH_OPTIONS.map((month, index) => (
+                <option key={month} value={index + 1}>{month}</option>
+              ))}
+            </select>
+          </div>
+        ) : (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Starting Number</label>
+            <input
+              type="number"
+              min="1"
+              value={settings.startingNumber}
+              onChange={(e) => handleChange('startingNumber', e.target.value)}
+              disabled={isLoading}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-green-500 focus:border-green-500"
+            />
+          </div>
+        )}
+      </div>
+
+      <div className="mt-4 flex items-start gap-2 text-xs text-gray-500">
+        <InformationCircleIcon className="w-4 h-4 flex-shrink-0 mt-0.5" />
+        <p>
+          Available tokens: <code>{'{PREFIX}'}</code>, <code>{'{YYYY}'}</code>, <code>{'{YY}'}</code>,{' '}
+          <code>{'{MM}'}</code>, <code>{'{LOC}'}</code> and <code>{'{SEQ}'}</code>. Numbers are assigned
+          when a document is saved, so failed saves never leave gaps.
+        </p>
+      </div>
+
+      {!validation.valid && (
+        <ul className="mt-3 text-sm text-red-600 list-disc list-inside">
+          {validation.errors.map(error => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+
+      <div className="mt-4 flex items-center justify-between">
+        <p className="text-sm text-gray-700">
+          Next number: <span className="font-mono font-semibold">{nextNumber || '—'}</span>
+        </p>
+        <button
+          onClick={handleSave}
+          disabled={isSaving || isLoading || !validation.valid}
+          className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50"
+        >
+          {isSaving ? 'Saving...' : 'Save Numbering'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentNumberingSettings;
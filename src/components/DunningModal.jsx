@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import DunningService from '../services/dunningService';
+import { formatDate } from '../utils/dateHelpers';
+import toast from 'react-hot-toast';
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const describeOffset = (offset) => {
+  if (offset === 0) return 'On due date';
+  const days = Math.abs(offset);
+  return `${days} day${days === 1 ? '' : 's'} ${offset < 0 ? 'before' : 'after'} due`;
+};
+
+const DunningModal = ({ companyId, onClose, onCompleted }) => {
+  const [settings, setSettings] = useState(DunningService.normalizeSettings());
+  const [newOffset, setNewOffset] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+
+  const loadPreview = useCallback(async () => {
+    setIsLoading(true);
+    const result = await DunningService.previewDunning(companyId);
+    if (result.success) {
+      setPreview(result);
+      setSettings(result.settings);
+    } else {
+      toast.error(result.error || 'Failed to load reminders');
+    }
+    setIsLoading(false);
+  }, [companyId]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  const handleAddOffset = () => {
+    const offset = parseInt(newOffset, 10);
+    if (!Number.isInteger(offset)) {
+      toast.error('Enter a number of days (negative for before the due date)');
+      return;
+    }
+    setSettings((prev) => DunningService.normalizeSettings({ ...prev, cadence: [...prev.cadence, offset] }));
+    setNewOffset('');
+  };
+
+  const handleSaveSettings = async () => {
+    setIsSaving(true);
+    const result = await DunningService.updateSettings(companyId, settings);
+    setIsSaving(false);
+    if (result.success) {
+      toast.success('Reminder settings saved');
+      loadPreview();
+    } else {
+      toast.error(result.error || 'Failed to save reminder settings');
+    }
+  };
+
+  const handleSend = async () => {
+    const count = preview?.reminders.length || 0;
+    if (!window.confirm(`Email ${count} payment reminder${count === 1 ? '' : 's'} now?`)) {
+      return;
+    }
+
+    setIsSending(true);
+    const result = await DunningService.runDunning(companyId, { sendReminders: true });
+    setIsSending(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to send reminders');
+      return;
+    }
+
+    if (result.failed.length > 0) {
+      toast.error(`${result.sent.length} sent, ${result.failed.length} failed`);
+    } else {
+      toast.success(`${result.sent.length} reminder${result.sent.length === 1 ? '' : 's'} sent`);
+    }
+    if (onCompleted) {
+      onCompleted(result);
+    }
+    loadPreview();
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Payment Reminders</h3>
+                <p className="text-sm text-gray-500">Unpaid invoices are emailed on this schedule until paid.</p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="border border-gray-200 rounded-lg p-4 mb-6 space-y-4">
+              <div className="flex flex-wrap gap-6">
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settings.enabled}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, enabled: e.target.checked }))}
+                  />
+                  Send payment reminders
+                </label>
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={settings.autoSend}
+                    disabled={!settings.enabled}
+                    onChange={(e) => setSettings((prev) => ({ ...prev, autoSend: e.target.checked }))}
+                  />
+                  Send automatically once a day when invoices are opened
+                </label>
+              </div>
+
+              <div>
+                <p className="text-sm font-medium text-gray-700 mb-2">Schedule</p>
+                <div className="flex flex-wrap gap-2 mb-3">
+                  {settings.cadence.map((offset) => (
+                    <span key={offset} className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs font-medium bg-gray-100 text-gray-800">
+                      {describeOffset(offset)}
+                      <button
+                        type="button"
+                        onClick={() => setSettings((prev) => ({ ...prev, cadence: prev.cadence.filter((item) => item !== offset) }))}
+                        className="text-gray-400 hover:text-gray-600"
+                        title="Remove"
+                      >
+                        <XMarkIcon className="h-3 w-3" />
+                      </button>
+                    </span>
+                  ))}
+                  {settings.cadence.length === 0 && (
+                    <span className="text-sm text-gray-500">No reminders scheduled</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={newOffset}
+                    onChange={(e) => setNewOffset(e.target.value)}
+                    placeholder="Days from due date, e.g. -3 or 7"
+                    className="flex-1 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleAddOffset}
+                    className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+                  >
+                    Add
+                  </button>
+                  <button
+                    type="button"
+                    onClick={handleSaveSettings}
+                    disabled={isSaving}
+                    className="px-3 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                  >
+                    {isSaving ? 'Saving...' : 'Save'}
+                  </button>
+                </div>
+              </div>
+            </div>
+
+            <h4 className="text-sm font-medium text-gray-900 mb-2">Due today</h4>
+            {isLoading || !preview ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : preview.reminders.length === 0 ? (
+              <p className="p-6 text-center text-sm text-gray-500">No reminders are due</p>
+            ) : (
+              <ul className="max-h-64 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {preview.reminders.map(({ invoice, offset, daysPastDue }) => (
+                  <li key={invoice.id} className="flex items-center justify-between px-4 py-2">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        #{invoice.invoiceNumber} · {invoice.customerName}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        Due {formatDate(invoice.dueDate)} · {describeOffset(offset)}
+                        {daysPastDue > 0 ? ` (${daysPastDue} days late)` : ''}
+                      </p>
+                    </div>
+                    <span className="text-sm font-semibold text-gray-900">
+                      {formatCurrency(invoice.balanceDue ?? invoice.total)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleSend}
+              disabled={isSending || isLoading || !preview || preview.reminders.length === 0}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isSending ? 'Sending...' : `Send ${preview?.reminders.length || 0} Reminder${preview?.reminders.length === 1 ? '' : 's'}`}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DunningModal;
@@ -0,0 +1,327 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { ArrowDownTrayIcon, TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import ExportService from '../services/exportService';
+import toast from 'react-hot-toast';
+
+const EMPTY_FILTERS = { statuses: [], startDate: '', endDate: '', search: '', activeOnly: false };
+
+const formatStatus = (status) => status.replace(/[_-]/g, ' ');
+
+const ExportModal = ({ entity: initialEntity = 'customers', companyId, userProfile, initialFilters = {}, allowEntityChange = false, onClose }) => {
+  const [entity, setEntity] = useState(initialEntity);
+  const [columns, setColumns] = useState(ExportService.getDefaultColumns(initialEntity));
+  const [filters, setFilters] = useState({ ...EMPTY_FILTERS, ...initialFilters });
+  const [format, setFormat] = useState('csv');
+  const [presets, setPresets] = useState([]);
+  const [selectedPresetId, setSelectedPresetId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [isExporting, setIsExporting] = useState(false);
+
+  const definition = ExportService.ENTITIES[entity];
+
+  const loadPresets = useCallback(async () => {
+    const result = await ExportService.getPresets(companyId, entity);
+    if (result.success) {
+      setPresets(result.presets);
+    } else {
+      toast.error(result.error || 'Failed to load export presets');
+    }
+  }, [companyId, entity]);
+
+  useEffect(() => {
+    loadPresets();
+  }, [loadPresets]);
+
+  const handleEntityChange = (nextEntity) => {
+    setEntity(nextEntity);
+    setColumns(ExportService.getDefaultColumns(nextEntity));
+    setFilters(EMPTY_FILTERS);
+    setSelectedPresetId('');
+  };
+
+  const applyPreset = (presetId) => {
+    setSelectedPresetId(presetId);
+    const preset = presets.find((item) => item.id === presetId);
+    if (!preset) return;
+    setColumns(preset.columns || ExportService.getDefaultColumns(entity));
+    setFilters({ ...EMPTY_FILTERS, ...(preset.filters || {}) });
+    setFormat(preset.format || 'csv');
+  };
+
+  // Keep the definition's column order regardless of click order
+  const toggleColumn = (key) => {
+    setColumns((prev) => {
+      const next = prev.includes(key) ? prev.filter((item) => item !== key) : [...prev, key];
+      return definition.columns.map((column) => column.key).filter((item) => next.includes(item));
+    });
+  };
+
+  const toggleStatus = (status) => {
+    setFilters((prev) => ({
+      ...prev,
+      statuses: prev.statuses.includes(status)
+        ? prev.statuses.filter((item) => item !== status)
+        : [...prev.statuses, status]
+    }));
+  };
+
+  const handleSavePreset = async () => {
+    const result = await ExportService.savePreset(companyId, { name: presetName, entity, columns, filters, format });
+    if (result.success) {
+      toast.success('Export preset saved');
+      setPresetName('');
+      await loadPresets();
+      setSelectedPresetId(result.preset.id);
+    } else {
+      toast.error(result.error || 'Failed to save preset');
+    }
+  };
+
+  const handleDeletePreset = async () => {
+    if (!selectedPresetId || !window.confirm('Delete this export preset?')) return;
+    const result = await ExportService.deletePreset(selectedPresetId);
+    if (result.success) {
+      setSelectedPresetId('');
+      loadPresets();
+    } else {
+      toast.error(result.error || 'Failed to delete preset');
+    }
+  };
+
+  const handleExport = async () => {
+    if (columns.length === 0) {
+      toast.error('Choose at least one column');
+      return;
+    }
+
+    setIsExporting(true);
+    const result = await ExportService.exportRecords(entity, {
+      columns,
+      filters,
+      format,
+      download: true,
+      userProfile,
+      companyId
+    });
+    setIsExporting(false);
+
+    if (result.success) {
+      toast.success(`Exported ${result.count} ${definition.label.toLowerCase()}`);
+      onClose();
+    } else {
+      toast.error(result.error || 'Export failed');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Export {definition.label}</h3>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="space-y-5">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                {allowEntityChange && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Data</label>
+                    <select
+                      value={entity}
+                      onChange={(e) => handleEntityChange(e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    >
+                      {Object.entries(ExportService.ENTITIES).map(([key, item]) => (
+                        <option key={key} value={key}>{item.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Preset</label>
+                  <div className="flex gap-2">
+                    <select
+                      value={selectedPresetId}
+                      onChange={(e) => applyPreset(e.target.value)}
+                      className="flex-1 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    >
+                      <option value="">— None —</option>
+                      {presets.map((preset) => (
+                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                      ))}
+                    </select>
+                    {selectedPresetId && (
+                      <button
+                        type="button"
+                        onClick={handleDeletePreset}
+                        className="text-red-600 hover:text-red-900"
+                        title="Delete preset"
+                      >
+                        <TrashIcon className="h-5 w-5" />
+                      </button>
+                    )}
+                  </div>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+                  <div className="flex gap-4 py-2">
+                    {['csv', 'xlsx'].map((option) => (
+                      <label key={option} className="flex items-center gap-2 text-sm text-gray-700">
+                        <input
+                          type="radio"
+                          name="exportFormat"
+                          value={option}
+                          checked={format === option}
+                          onChange={() => setFormat(option)}
+                        />
+                        {option.toUpperCase()}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div>
+                <div className="flex items-center justify-between mb-2">
+                  <label className="text-sm font-medium text-gray-700">Columns</label>
+                  <div className="flex gap-3 text-xs">
+                    <button
+                      type="button"
+                      onClick={() => setColumns(definition.columns.map((column) => column.key))}
+                      className="text-primary-600 hover:text-primary-800"
+                    >
+                      All
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setColumns(ExportService.getDefaultColumns(entity))}
+                      className="text-primary-600 hover:text-primary-800"
+                    >
+                      Defaults
+                    </button>
+                  </div>
+                </div>
+                <div className="grid grid-cols-2 sm:grid-cols-3 gap-2 border border-gray-200 rounded-lg p-3">
+                  {definition.columns.map((column) => (
+                    <label key={column.key} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={columns.includes(column.key)}
+                        onChange={() => toggleColumn(column.key)}
+                      />
+                      {column.label}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Filters</label>
+                <div className="space-y-3 border border-gray-200 rounded-lg p-3">
+                  {definition.statuses.length > 0 && (
+                    <div className="flex flex-wrap gap-2">
+                      {definition.statuses.map((status) => (
+                        <button
+                          key={status}
+                          type="button"
+                          onClick={() => toggleStatus(status)}
+                          className={`px-2.5 py-1 rounded-full text-xs font-medium capitalize ${
+                            filters.statuses.includes(status)
+                              ? 'bg-primary-600 text-white'
+                              : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          }`}
+                        >
+                          {formatStatus(status)}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {entity === 'materials' && (
+                    <label className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={filters.activeOnly}
+                        onChange={(e) => setFilters((prev) => ({ ...prev, activeOnly: e.target.checked }))}
+                      />
+                      Active materials only
+                    </label>
+                  )}
+                  <div className="grid grid-cols-1 sm:grid-cols-3 gap-2">
+                    <input
+                      type="date"
+                      value={filters.startDate}
+                      onChange={(e) => setFilters((prev) => ({ ...prev, startDate: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                      title="From"
+                    />
+                    <input
+                      type="date"
+                      value={filters.endDate}
+                      onChange={(e) => setFilters((prev) => ({ ...prev, endDate: e.target.value }))}
+                      className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                      title="To"
+                    />
+                    <input
+                      type="text"
+                      value={filters.search}
+                      onChange={(e) => setFilters((prev) => ({ ...prev, search: e.target.value }))}
+                      placeholder="Contains text..."
+                      className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                </div>
+              </div>
+
+              {companyId && (
+                <div className="flex gap-2">
+                  <input
+                    type="text"
+                    value={presetName}
+                    onChange={(e) => setPresetName(e.target.value)}
+                    placeholder="Save these settings as a preset..."
+                    className="flex-1 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                  <button
+                    type="button"
+                    onClick={handleSavePreset}
+                    disabled={!presetName.trim()}
+                    className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 disabled:opacity-50"
+                  >
+                    Save Preset
+                  </button>
+                </div>
+              )}
+            </div>
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleExport}
+              disabled={isExporting}
+              className="w-full inline-flex justify-center items-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
+              {isExporting ? 'Exporting...' : 'Export'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ExportModal;
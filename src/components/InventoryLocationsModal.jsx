@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { XMarkIcon, TruckIcon, BuildingStorefrontIcon, MapPinIcon } from '@heroicons/react/24/outline';
+import InventoryLocationService from '../services/inventoryLocationService';
+import toast from 'react-hot-toast';
+
+const TYPE_ICONS = {
+  warehouse: BuildingStorefrontIcon,
+  truck: TruckIcon,
+  job_site: MapPinIcon
+};
+
+const EMPTY_LOCATION = { name: '', type: 'truck', technicianId: '', address: '' };
+
+const InventoryLocationsModal = ({ companyId, teamMembers = [], onClose }) => {
+  const [locations, setLocations] = useState([]);
+  const [newLocation, setNewLocation] = useState(EMPTY_LOCATION);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const technicians = teamMembers.filter((member) => member.userId && member.status !== 'inactive');
+
+  const loadLocations = useCallback(async () => {
+    setIsLoading(true);
+    const result = await InventoryLocationService.getLocations(companyId, { includeInactive: true });
+    if (result.success) {
+      setLocations(result.locations);
+    } else {
+      toast.error(result.error || 'Failed to load locations');
+    }
+    setIsLoading(false);
+  }, [companyId]);
+
+  useEffect(() => {
+    loadLocations();
+  }, [loadLocations]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const technician = technicians.find((member) => member.userId === newLocation.technicianId);
+
+    setIsSaving(true);
+    const result = await InventoryLocationService.createLocation(companyId, {
+      ...newLocation,
+      technicianName: technician?.name || technician?.email || ''
+    });
+    setIsSaving(false);
+
+    if (result.success) {
+      toast.success('Location added');
+      setNewLocation({ ...EMPTY_LOCATION, type: newLocation.type });
+      loadLocations();
+    } else {
+      toast.error(result.error || 'Failed to add location');
+    }
+  };
+
+  const handleToggleActive = async (location) => {
+    const result = await InventoryLocationService.updateLocation(location.id, { active: location.active === false });
+    if (result.success) {
+      loadLocations();
+    } else {
+      toast.error(result.error || 'Failed to update location');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Stock Locations</h3>
+                <p className="text-sm text-gray-500">Job usage is taken from the assigned technician&apos;s truck.</p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleCreate} className="border border-gray-200 rounded-lg p-4 mb-6 space-y-3">
+              <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+                <select
+                  value={newLocation.type}
+                  onChange={(e) => setNewLocation((prev) => ({ ...prev, type: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                >
+                  {Object.entries(InventoryLocationService.LOCATION_TYPES).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={newLocation.name}
+                  onChange={(e) => setNewLocation((prev) => ({ ...prev, name: e.target.value }))}
+                  placeholder={newLocation.type === 'truck' ? 'e.g. Truck 12' : 'Name'}
+                  className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                />
+                {newLocation.type === 'truck' ? (
+                  <select
+                    value={newLocation.technicianId}
+                    onChange={(e) => setNewLocation((prev) => ({ ...prev, technicianId: e.target.value }))}
+                    className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  >
+                    <option value="">Assigned technician...</option>
+                    {technicians.map((member) => (
+                      <option key={member.userId} value={member.userId}>{member.name || member.email}</option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type="text"
+                    value={newLocation.address}
+                    onChange={(e) => setNewLocation((prev) => ({ ...prev, address: e.target.value }))}
+                    placeholder="Address (optional)"
+                    className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                )}
+              </div>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={isSaving || !newLocation.name.trim()}
+                  className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {isSaving ? 'Adding...' : 'Add Location'}
+                </button>
+              </div>
+            </form>
+
+            {isLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : (
+              <ul className="max-h-80 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {locations.map((location) => {
+                  const Icon = TYPE_ICONS[location.type] || MapPinIcon;
+                  return (
+                    <li key={location.id} className="flex items-center justify-between px-4 py-2">
+                      <div className={`flex items-center gap-3 ${location.active === false ? 'opacity-50' : ''}`}>
+                        <Icon className="h-5 w-5 text-gray-400" />
+                        <div>
+                          <p className="text-sm font-medium text-gray-900">{location.name}</p>
+                          <p className="text-xs text-gray-500">
+                            {InventoryLocationService.LOCATION_TYPES[location.type]}
+                            {location.technicianName && ` · ${location.technicianName}`}
+                            {location.address && ` · ${location.address}`}
+                          </p>
+                        </div>
+                      </div>
+                      {!location.isDefault && (
+                        <button
+                          type="button"
+                          onClick={() => handleToggleActive(location)}
+                          className="text-sm text-gray-600 hover:text-gray-900"
+                        >
+                          {location.active === false ? 'Reactivate' : 'Deactivate'}
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:w-auto sm:text-sm"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventoryLocationsModal;
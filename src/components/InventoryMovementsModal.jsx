@@ -0,0 +1,314 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import MaterialsService from '../services/materialsService';
+import InventoryLocationService from '../services/inventoryLocationService';
+import { formatDate } from '../utils/dateHelpers';
+import toast from 'react-hot-toast';
+
+const ENTRY_TYPES = [
+  { value: 'receipt', label: 'Receive stock' },
+  { value: 'return', label: 'Return to stock' },
+  { value: 'adjustment', label: 'Adjust (+/-)' },
+  { value: 'count', label: 'Physical count' },
+  { value: 'transfer', label: 'Transfer' }
+];
+
+const TYPE_STYLES = {
+  receipt: 'bg-green-100 text-green-800',
+  return: 'bg-blue-100 text-blue-800',
+  consumption: 'bg-orange-100 text-orange-800',
+  adjustment: 'bg-gray-100 text-gray-800',
+  transfer: 'bg-purple-100 text-purple-800'
+};
+
+const DEFAULT_LOCATION_ID = InventoryLocationService.DEFAULT_LOCATION_ID;
+
+const EMPTY_ENTRY = {
+  type: 'receipt',
+  quantity: '',
+  unitCost: '',
+  reference: '',
+  notes: '',
+  locationId: DEFAULT_LOCATION_ID,
+  toLocationId: ''
+};
+
+const formatQuantity = (value) => {
+  const rounded = Math.round((value || 0) * 10000) / 10000;
+  return rounded > 0 ? `+${rounded}` : `${rounded}`;
+};
+
+const InventoryMovementsModal = ({ material, onClose, onUpdated }) => {
+  const [movements, setMovements] = useState([]);
+  const [locations, setLocations] = useState([InventoryLocationService.DEFAULT_LOCATION]);
+  const [quantityOnHand, setQuantityOnHand] = useState(material.quantityInStock || 0);
+  const [stockByLocation, setStockByLocation] = useState(MaterialsService.getStockByLocation(material));
+  const [entry, setEntry] = useState(EMPTY_ENTRY);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadHistory = useCallback(async () => {
+    setIsLoading(true);
+    const [result, locationsResult] = await Promise.all([
+      MaterialsService.getMovementHistory(material.id, material.companyId),
+      InventoryLocationService.getLocations(material.companyId, { includeInactive: true })
+    ]);
+    if (result.success) {
+      setMovements(result.movements);
+      if (result.movements.length > 0) {
+        setQuantityOnHand(result.quantityOnHand);
+        setStockByLocation(MaterialsService.deriveStockByLocation(result.movements));
+      }
+    } else {
+      toast.error(result.error || 'Failed to load stock history');
+    }
+    setLocations(locationsResult.locations);
+    setIsLoading(false);
+  }, [material.id, material.companyId]);
+
+  const activeLocations = locations.filter((location) => location.active !== false);
+  const getLocationName = (locationId) =>
+    locations.find((location) => location.id === (locationId || DEFAULT_LOCATION_ID))?.name || 'Unknown location';
+
+  useEffect(() => {
+    loadHistory();
+  }, [loadHistory]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (entry.quantity === '' || Number.isNaN(parseFloat(entry.quantity))) {
+      toast.error('Enter a quantity');
+      return;
+    }
+
+    if (entry.type === 'transfer' && !entry.toLocationId) {
+      toast.error('Choose where to transfer the stock to');
+      return;
+    }
+
+    setIsSaving(true);
+    let result;
+    if (entry.type === 'count') {
+      result = await MaterialsService.setStockLevel(material.id, entry.quantity, entry.notes || 'Stock count', entry.locationId);
+    } else if (entry.type === 'transfer') {
+      result = await MaterialsService.transferStock(material.id, {
+        fromLocationId: entry.locationId,
+        toLocationId: entry.toLocationId,
+        quantity: entry.quantity,
+        notes: entry.notes
+      });
+    } else {
+      result = await MaterialsService.recordMovement(material.id, entry);
+    }
+    setIsSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to record stock change');
+      return;
+    }
+
+    if (entry.type === 'count' && !result.movement) {
+      toast.success('Count matches stock on hand');
+    } else {
+      toast.success(entry.type === 'transfer' ? 'Stock transferred' : 'Stock updated');
+    }
+    setEntry({ ...EMPTY_ENTRY, locationId: entry.locationId });
+    loadHistory();
+    if (onUpdated) {
+      onUpdated(result);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Stock · {material.name}</h3>
+                <p className="text-sm text-gray-500">
+                  On hand: <span className="font-semibold text-gray-900">{quantityOnHand}</span>
+                  {material.unit && ` ${material.unit}`}
+                  {material.reorderThreshold > 0 && ` · Reorder at ${material.reorderThreshold}`}
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {Object.keys(stockByLocation).length > 0 && (
+              <div className="flex flex-wrap gap-2 mb-4">
+                {Object.entries(stockByLocation).map(([locationId, quantity]) => (
+                  <span key={locationId} className="inline-flex items-center gap-1 px-2.5 py-1 rounded-full text-xs bg-gray-100 text-gray-800">
+                    {getLocationName(locationId)}: <span className="font-semibold">{quantity}</span>
+                  </span>
+                ))}
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mb-3">
+                <select
+                  value={entry.locationId}
+                  onChange={(e) => setEntry((prev) => ({ ...prev, locationId: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  title={entry.type === 'transfer' ? 'From location' : 'Location'}
+                >
+                  {activeLocations.map((location) => (
+                    <option key={location.id} value={location.id}>
+                      {entry.type === 'transfer' ? 'From: ' : ''}{location.name} ({stockByLocation[location.id] || 0})
+                    </option>
+                  ))}
+                </select>
+                {entry.type === 'transfer' && (
+                  <select
+                    value={entry.toLocationId}
+                    onChange={(e) => setEntry((prev) => ({ ...prev, toLocationId: e.target.value }))}
+                    className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  >
+                    <option value="">To location...</option>
+                    {activeLocations
+                      .filter((location) => location.id !== entry.locationId)
+                      .map((location) => (
+                        <option key={location.id} value={location.id}>{location.name}</option>
+                      ))}
+                  </select>
+                )}
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-4 gap-3">
+                <select
+                  value={entry.type}
+                  onChange={(e) => setEntry((prev) => ({ ...prev, type: e.target.value }))}
+                  className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                >
+                  {ENTRY_TYPES.map((option) => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                <input
+                  type="number"
+                  step="any"
+                  value={entry.quantity}
+                  onChange={(e) => setEntry((prev) => ({ ...prev, quantity: e.target.value }))}
+                  placeholder={entry.type === 'count' ? 'Counted at location' : entry.type === 'adjustment' ? 'e.g. -2' : 'Quantity'}
+                  className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                />
+                {entry.type === 'receipt' ? (
+                  <input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    value={entry.unitCost}
+                    onChange={(e) => setEntry((prev) => ({ ...prev, unitCost: e.target.value }))}
+                    placeholder={`Unit cost (${material.costPerUnit || 0})`}
+                    className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                ) : (
+                  <input
+                    type="text"
+                    value={entry.reference}
+                    onChange={(e) => setEntry((prev) => ({ ...prev, reference: e.target.value }))}
+                    placeholder="Reference"
+                    className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                )}
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="px-4 py-2 text-sm bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : 'Record'}
+                </button>
+              </div>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3 mt-3">
+                {entry.type === 'receipt' && (
+                  <input
+                    type="text"
+                    value={entry.reference}
+                    onChange={(e) => setEntry((prev) => ({ ...prev, reference: e.target.value }))}
+                    placeholder="PO / packing slip #"
+                    className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                  />
+                )}
+                <input
+                  type="text"
+                  value={entry.notes}
+                  onChange={(e) => setEntry((prev) => ({ ...prev, notes: e.target.value }))}
+                  placeholder="Notes"
+                  className={`px-3 py-2 rounded-lg border border-gray-300 sm:text-sm ${entry.type === 'receipt' ? '' : 'sm:col-span-2'}`}
+                />
+              </div>
+            </form>
+
+            <h4 className="text-sm font-medium text-gray-900 mb-2">History</h4>
+            {isLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : movements.length === 0 ? (
+              <p className="p-6 text-center text-sm text-gray-500">No stock movements recorded yet</p>
+            ) : (
+              <div className="max-h-80 overflow-y-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Date</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Type</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Location</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-500">Change</th>
+                      <th className="px-3 py-2 text-right font-medium text-gray-500">Balance</th>
+                      <th className="px-3 py-2 text-left font-medium text-gray-500">Details</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {movements.map((movement) => (
+                      <tr key={movement.id}>
+                        <td className="px-3 py-2 text-gray-700 whitespace-nowrap">
+                          {formatDate(movement.createdAt?.toDate?.() || movement.createdAt)}
+                        </td>
+                        <td className="px-3 py-2">
+                          <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${TYPE_STYLES[movement.type] || TYPE_STYLES.adjustment}`}>
+                            {MaterialsService.MOVEMENT_TYPES[movement.type] || movement.type}
+                          </span>
+                        </td>
+                        <td className="px-3 py-2 text-gray-700">{getLocationName(movement.locationId)}</td>
+                        <td className={`px-3 py-2 text-right font-medium ${movement.quantity < 0 ? 'text-red-600' : 'text-green-700'}`}>
+                          {formatQuantity(movement.quantity)}
+                        </td>
+                        <td className="px-3 py-2 text-right text-gray-900">{movement.quantityAfter}</td>
+                        <td className="px-3 py-2 text-gray-600">
+                          {[
+                            movement.jobId && `Job ${movement.jobId.substring(0, 8)}`,
+                            movement.reference,
+                            movement.notes,
+                            movement.createdByName
+                          ].filter(Boolean).join(' · ')}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={onClose}
+              className="w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:w-auto sm:text-sm"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InventoryMovementsModal;
@@ -0,0 +1,66 @@
+import React from 'react';
+import { MapPinIcon } from '@heroicons/react/24/outline';
+import { getJobStatusLabel } from '../constants/jobStatuses';
+import { formatMinutes, getJobTimeline, getStatusHistory } from '../utils/jobTimeline';
+
+const formatTimestamp = (value) =>
+  new Date(value).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+/**
+ * Audit trail of a job's status changes with the travel and on-site time they add up to
+ */
+const JobStatusHistory = ({ job }) => {
+  const history = getStatusHistory(job);
+  if (history.length === 0) {
+    return null;
+  }
+
+  const timeline = getJobTimeline(job);
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <h5 className="text-sm font-medium text-gray-700">Status History</h5>
+        <div className="flex gap-3 text-xs text-gray-500">
+          {timeline.hasTravel && <span>Travel {formatMinutes(timeline.travelMinutes)}</span>}
+          {timeline.hasOnSite && <span>On site {formatMinutes(timeline.onSiteMinutes)}</span>}
+          {timeline.holdMinutes > 0 && <span>On hold {formatMinutes(timeline.holdMinutes)}</span>}
+        </div>
+      </div>
+      <ol className="border-l border-gray-200 ml-1 space-y-3">
+        {history.map((entry, index) => (
+          <li key={`${entry.at}-${index}`} className="ml-4 relative">
+            <span className="absolute -left-[1.3rem] top-1.5 h-2 w-2 rounded-full bg-primary-600"></span>
+            <p className="text-sm text-gray-900">
+              {entry.from ? `${getJobStatusLabel(entry.from)} → ` : ''}
+              <span className="font-medium">{getJobStatusLabel(entry.to)}</span>
+            </p>
+            <p className="text-xs text-gray-500">
+              {formatTimestamp(entry.at)}
+              {entry.byName && ` · ${entry.byName}`}
+              {entry.location && (
+                <a
+                  href={`https://www.google.com/maps?q=${entry.location.latitude},${entry.location.longitude}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="inline-flex items-center ml-2 text-primary-600 hover:text-primary-800"
+                >
+                  <MapPinIcon className="h-3 w-3 mr-0.5" />
+                  Location
+                </a>
+              )}
+            </p>
+            {entry.notes && <p className="text-xs text-gray-600 mt-0.5">{entry.notes}</p>}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+export default JobStatusHistory;
@@ -21,7 +21,8 @@ import {
   BellIcon,
   LinkIcon,
   ChevronDownIcon,
-  ChevronRightIcon
+  ChevronRightIcon,
+  ViewColumnsIcon
 } from '@heroicons/react/24/outline';
 import { canAccessRoute } from '../utils/permissions';
 
@@ -55,6 +56,7 @@ const Layout = ({ children }) => {
         { name: 'Customers', href: '/customers', icon: UsersIcon },
         { name: 'Jobs', href: '/jobs', icon: ClipboardDocumentListIcon },
         { name: 'Recurring Jobs', href: '/recurring-jobs', icon: ArrowPathIcon },
+        { name: 'Dispatch Board', href: '/dispatch', icon: ViewColumnsIcon },
       ]
     },
     {
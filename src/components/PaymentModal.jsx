@@ -1,5 +1,4 @@
 import React, { useState, useEffect } from 'react';
-import { loadStripe } from '@stripe/stripe-js';
 import {
   Elements,
   CardElement,
@@ -8,17 +7,22 @@ import {
 } from '@stripe/react-stripe-js';
 import { XMarkIcon } from '@heroicons/react/24/outline';
 import StripeService from '../services/stripeService';
+import InvoiceService from '../services/invoiceService';
 import toast from 'react-hot-toast';
 
 const STRIPE_PUBLISHABLE_KEY = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '';
 
-const stripePromise = STRIPE_PUBLISHABLE_KEY ? loadStripe(STRIPE_PUBLISHABLE_KEY) : null;
+// Share StripeService's instance: card elements can only be confirmed by the Stripe instance that created them
+const stripePromise = STRIPE_PUBLISHABLE_KEY ? StripeService.getStripe() : null;
 
 const PaymentForm = ({ invoice, onSuccess, onCancel }) => {
   const stripe = useStripe();
   const elements = useElements();
   const [isProcessing, setIsProcessing] = useState(false);
   const [error, setError] = useState(null);
+  const balanceDue = invoice.balanceDue ?? InvoiceService.computePaymentSummary(invoice).balanceDue;
+  const [amount, setAmount] = useState(balanceDue.toFixed(2));
+  const paymentAmount = InvoiceService.roundCurrency(parseFloat(amount));
 
   const handleSubmit = async (event) => {
     event.preventDefault();
@@ -27,42 +31,33 @@ const PaymentForm = ({ invoice, onSuccess, onCancel }) => {
       return;
     }
 
+    if (!(paymentAmount > 0) || paymentAmount > balanceDue) {
+      setError(`Enter an amount between $0.01 and $${balanceDue.toFixed(2)}`);
+      return;
+    }
+
     setIsProcessing(true);
     setError(null);
 
     try {
-      // Create payment intent
-      const intentResult = await StripeService.createPaymentIntent(invoice.id, invoice.total);
-      
-      if (!intentResult.success) {
-        setError(intentResult.error || 'Failed to create payment intent');
-        setIsProcessing(false);
-        return;
-      }
-
       // Get card element
       const cardElement = elements.getElement(CardElement);
 
-      // Confirm payment
-      const { error: confirmError, paymentIntent } = await stripe.confirmCardPayment(
-        intentResult.clientSecret,
-        {
-          payment_method: {
-            card: cardElement,
-            billing_details: {
-              name: invoice.customerName || '',
-              email: invoice.customerEmail || '',
-            },
-          },
-        }
-      );
-
-      if (confirmError) {
-        setError(confirmError.message || 'Payment failed');
+      // Charge the card and record the payment in the invoice ledger
+      const result = await StripeService.processPayment(invoice.id, paymentAmount, {
+        card: cardElement,
+        billing_details: {
+          name: invoice.customerName || '',
+          email: invoice.customerEmail || '',
+        },
+      });
+
+      if (!result.success) {
+        setError(result.error || 'Payment failed');
         setIsProcessing(false);
-      } else if (paymentIntent && paymentIntent.status === 'succeeded') {
+      } else if (result.paymentIntent && result.paymentIntent.status === 'succeeded') {
         toast.success('Payment successful!');
-        onSuccess(paymentIntent);
+        onSuccess(result.paymentIntent);
       }
     } catch (err) {
       console.error('Payment error:', err);
@@ -73,6 +68,30 @@ const PaymentForm = ({ invoice, onSuccess, onCancel }) => {
 
   return (
     <form onSubmit={handleSubmit} className="space-y-6">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">
+          Payment Amount
+        </label>
+        <div className="relative">
+          <span className="absolute inset-y-0 left-0 pl-3 flex items-center text-gray-500">$</span>
+          <input
+            type="number"
+            min="0.01"
+            max={balanceDue.toFixed(2)}
+            step="0.01"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            disabled={isProcessing}
+            className="w-full pl-7 pr-3 py-2 border border-gray-300 rounded-md"
+          />
+        </div>
+        {paymentAmount > 0 && paymentAmount < balanceDue && (
+          <p className="mt-1 text-xs text-gray-500">
+            Partial payment — ${(balanceDue - paymentAmount).toFixed(2)} will remain due
+          </p>
+        )}
+      </div>
+
       <div>
         <label className="block text-sm font-medium text-gray-700 mb-2">
           Card Information
@@ -105,9 +124,9 @@ const PaymentForm = ({ invoice, onSuccess, onCancel }) => {
 
       <div className="flex justify-between items-center pt-4">
         <div>
-          <p className="text-sm text-gray-600">Total Amount</p>
+          <p className="text-sm text-gray-600">Balance Due</p>
           <p className="text-2xl font-bold text-gray-900">
-            ${invoice.total.toFixed(2)}
+            ${balanceDue.toFixed(2)}
           </p>
         </div>
         <div className="flex gap-3">
@@ -124,7 +143,7 @@ const PaymentForm = ({ invoice, onSuccess, onCancel }) => {
             disabled={!stripe || isProcessing}
             className="px-6 py-2 bg-green-600 text-white rounded-md font-medium hover:bg-green-700 disabled:opacity-50 disabled:cursor-not-allowed"
           >
-            {isProcessing ? 'Processing...' : `Pay $${invoice.total.toFixed(2)}`}
+            {isProcessing ? 'Processing...' : `Pay $${(paymentAmount || 0).toFixed(2)}`}
           </button>
         </div>
       </div>
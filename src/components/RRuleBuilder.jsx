@@ -0,0 +1,436 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { CalendarIcon } from '@heroicons/react/24/outline';
+import {
+  parseRRule,
+  buildRRule,
+  expandRRule,
+  describeRRule,
+  formatDateKey,
+  toLocalDate,
+  validateRRule
+} from '../utils/rrule';
+
+const DEFAULT_RULE = 'FREQ=WEEKLY';
+
+const FREQUENCY_OPTIONS = [
+  { value: 'DAILY', label: 'Daily', unit: 'day' },
+  { value: 'WEEKLY', label: 'Weekly', unit: 'week' },
+  { value: 'MONTHLY', label: 'Monthly', unit: 'month' },
+  { value: 'YEARLY', label: 'Yearly', unit: 'year' }
+];
+
+const WEEKDAY_OPTIONS = [
+  { value: 1, label: 'Mon' },
+  { value: 2, label: 'Tue' },
+  { value: 3, label: 'Wed' },
+  { value: 4, label: 'Thu' },
+  { value: 5, label: 'Fri' },
+  { value: 6, label: 'Sat' },
+  { value: 0, label: 'Sun' }
+];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const ORDINAL_OPTIONS = [
+  { value: 1, label: 'First' },
+  { value: 2, label: 'Second' },
+  { value: 3, label: 'Third' },
+  { value: 4, label: 'Fourth' },
+  { value: -1, label: 'Last' }
+];
+
+const MONTH_OPTIONS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const PRESETS = [
+  { label: 'Every weekday', rrule: 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR' },
+  { label: 'Mon / Wed / Fri', rrule: 'FREQ=WEEKLY;BYDAY=MO,WE,FR' },
+  { label: '2nd Tuesday monthly', rrule: 'FREQ=MONTHLY;BYDAY=2TU' },
+  { label: 'Last day of month', rrule: 'FREQ=MONTHLY;BYMONTHDAY=-1' },
+  { label: 'Last day of quarter', rrule: 'FREQ=YEARLY;BYMONTH=3,6,9,12;BYMONTHDAY=-1' }
+];
+
+const inputClassName =
+  'w-full px-3 py-2 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm';
+
+// Builder form state <-> parsed rule. Rules the form cannot express are
+// still editable through the raw RRULE field.
+const ruleToState = (rule, startDate) => {
+  const start = toLocalDate(startDate) || new Date();
+  const nthDay = rule.byDay.find((day) => day.n !== null);
+
+  let monthMode = 'day';
+  if (nthDay) {
+    monthMode = 'weekday';
+  } else if (rule.byMonthDay.length === 1 && rule.byMonthDay[0] === -1) {
+    monthMode = 'last_day';
+  }
+
+  return {
+    freq: rule.freq,
+    interval: rule.interval,
+    weekdays: rule.byDay.filter((day) => day.n === null).map((day) => day.weekday),
+    monthMode,
+    monthDay: rule.byMonthDay.find((day) => day > 0) || start.getDate(),
+    ordinal: nthDay?.n ?? 1,
+    ordinalWeekday: nthDay?.weekday ?? start.getDay(),
+    months: rule.byMonth,
+    endMode: rule.count ? 'count' : rule.until ? 'until' : 'never',
+    count: rule.count || 10,
+    until: rule.until ? formatDateKey(rule.until) : ''
+  };
+};
+
+const stateToRule = (state) => {
+  const rule = {
+    freq: state.freq,
+    interval: Math.max(parseInt(state.interval, 10) || 1, 1),
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    count: null,
+    until: null
+  };
+
+  if (state.freq === 'WEEKLY') {
+    rule.byDay = state.weekdays.map((weekday) => ({ weekday, n: null }));
+  }
+
+  if (state.freq === 'MONTHLY' || state.freq === 'YEARLY') {
+    if (state.monthMode === 'weekday') {
+      rule.byDay = [{ weekday: parseInt(state.ordinalWeekday, 10), n: parseInt(state.ordinal, 10) }];
+    } else if (state.monthMode === 'last_day') {
+      rule.byMonthDay = [-1];
+    } else {
+      rule.byMonthDay = [parseInt(state.monthDay, 10) || 1];
+    }
+  }
+
+  if (state.freq === 'YEARLY') {
+    rule.byMonth = [...state.months].sort((a, b) => a - b);
+  }
+
+  if (state.endMode === 'count') {
+    rule.count = Math.max(parseInt(state.count, 10) || 1, 1);
+  } else if (state.endMode === 'until' && state.until) {
+    rule.until = toLocalDate(state.until);
+  }
+
+  return rule;
+};
+
+// A stored rule that no longer parses falls back to the default so the form still opens
+const getInitialState = (value, startDate) => {
+  try {
+    return ruleToState(parseRRule(value || DEFAULT_RULE), startDate);
+  } catch {
+    return ruleToState(parseRRule(DEFAULT_RULE), startDate);
+  }
+};
+
+const RRuleBuilder = ({ value, startDate, onChange, previewCount = 5 }) => {
+  const [state, setState] = useState(() => getInitialState(value, startDate));
+  const [rawRule, setRawRule] = useState(value || DEFAULT_RULE);
+  const [rawError, setRawError] = useState(() => validateRRule(value || DEFAULT_RULE).error || '');
+  // The rule last emitted or received, so only changes made outside the builder reset it
+  const lastValueRef = useRef(value || DEFAULT_RULE);
+
+  // Pick up changes made outside the builder (e.g. opening a different job)
+  useEffect(() => {
+    if (!value || value === lastValueRef.current) return;
+    lastValueRef.current = value;
+    try {
+      setState(ruleToState(parseRRule(value), startDate));
+      setRawRule(value);
+      setRawError('');
+    } catch (error) {
+      setRawRule(value);
+      setRawError(error.message);
+    }
+  }, [value, startDate]);
+
+  const applyState = (updates) => {
+    const nextState = { ...state, ...updates };
+    setState(nextState);
+    const rrule = buildRRule(stateToRule(nextState));
+    setRawRule(rrule);
+    setRawError('');
+    lastValueRef.current = rrule;
+    onChange(rrule);
+  };
+
+  const applyRaw = (rrule) => {
+    setRawRule(rrule);
+    try {
+      const rule = parseRRule(rrule);
+      setState(ruleToState(rule, startDate));
+      setRawError('');
+      lastValueRef.current = rrule;
+      onChange(rrule);
+    } catch (error) {
+      setRawError(error.message);
+    }
+  };
+
+  const toggleWeekday = (weekday) => {
+    const weekdays = state.weekdays.includes(weekday)
+      ? state.weekdays.filter((day) => day !== weekday)
+      : [...state.weekdays, weekday];
+    applyState({ weekdays });
+  };
+
+  const toggleMonth = (month) => {
+    const months = state.months.includes(month)
+      ? state.months.filter((m) => m !== month)
+      : [...state.months, month];
+    applyState({ months });
+  };
+
+  const preview = useMemo(() => {
+    if (rawError) return [];
+    try {
+      return expandRRule(value || rawRule, startDate || new Date(), { limit: previewCount });
+    } catch {
+      return [];
+    }
+  }, [value, rawRule, rawError, startDate, previewCount]);
+
+  const unit = FREQUENCY_OPTIONS.find((option) => option.value === state.freq)?.unit || 'week';
+
+  return (
+    <div className="space-y-4 rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap gap-2">
+        {PRESETS.map((preset) => (
+          <button
+            key={preset.label}
+            type="button"
+            onClick={() => applyRaw(preset.rrule)}
+            className={`px-3 py-1 text-xs rounded-full transition-colors ${
+              rawRule === preset.rrule
+                ? 'bg-primary-600 text-white'
+                : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            {preset.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Repeats *</label>
+          <select
+            value={state.freq}
+            onChange={(e) => applyState({ freq: e.target.value })}
+            className={inputClassName}
+          >
+            {FREQUENCY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Every</label>
+          <div className="flex items-center gap-2">
+            <input
+              type="number"
+              min="1"
+              value={state.interval}
+              onChange={(e) => applyState({ interval: e.target.value })}
+              className={inputClassName}
+            />
+            <span className="text-sm text-gray-600">{unit}(s)</span>
+          </div>
+        </div>
+      </div>
+
+      {state.freq === 'WEEKLY' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">On</label>
+          <div className="flex flex-wrap gap-2">
+            {WEEKDAY_OPTIONS.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => toggleWeekday(option.value)}
+                className={`w-12 py-1 text-sm rounded-lg border transition-colors ${
+                  state.weekdays.includes(option.value)
+                    ? 'bg-primary-600 border-primary-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          {state.weekdays.length === 0 && (
+            <p className="mt-1 text-xs text-gray-500">No days selected: repeats on the start date&apos;s weekday.</p>
+          )}
+        </div>
+      )}
+
+      {state.freq === 'YEARLY' && (
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-2">In</label>
+          <div className="grid grid-cols-6 gap-2">
+            {MONTH_OPTIONS.map((label, index) => (
+              <button
+                key={label}
+                type="button"
+                onClick={() => toggleMonth(index + 1)}
+                className={`py-1 text-sm rounded-lg border transition-colors ${
+                  state.months.includes(index + 1)
+                    ? 'bg-primary-600 border-primary-600 text-white'
+                    : 'bg-white border-gray-300 text-gray-700 hover:bg-gray-50'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {state.months.length === 0 && (
+            <p className="mt-1 text-xs text-gray-500">No months selected: repeats in the start date&apos;s month.</p>
+          )}
+        </div>
+      )}
+
+      {(state.freq === 'MONTHLY' || state.freq === 'YEARLY') && (
+        <div className="space-y-2">
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={state.monthMode === 'day'}
+              onChange={() => applyState({ monthMode: 'day' })}
+            />
+            On day
+            <input
+              type="number"
+              min="1"
+              max="31"
+              value={state.monthDay}
+              onChange={(e) => applyState({ monthMode: 'day', monthDay: e.target.value })}
+              className="w-20 px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+            />
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={state.monthMode === 'weekday'}
+              onChange={() => applyState({ monthMode: 'weekday' })}
+            />
+            On the
+            <select
+              value={state.ordinal}
+              onChange={(e) => applyState({ monthMode: 'weekday', ordinal: e.target.value })}
+              className="px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+            >
+              {ORDINAL_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={state.ordinalWeekday}
+              onChange={(e) => applyState({ monthMode: 'weekday', ordinalWeekday: e.target.value })}
+              className="px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+            >
+              {WEEKDAY_NAMES.map((name, index) => (
+                <option key={name} value={index}>{name}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="radio"
+              checked={state.monthMode === 'last_day'}
+              onChange={() => applyState({ monthMode: 'last_day' })}
+            />
+            On the last day of the month
+          </label>
+          {state.monthMode === 'day' && parseInt(state.monthDay, 10) > 28 && (
+            <p className="text-xs text-amber-600">
+              Months without day {state.monthDay} are skipped. Choose &quot;last day of the month&quot; to run every month.
+            </p>
+          )}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">Ends</label>
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-700">
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={state.endMode === 'never'}
+              onChange={() => applyState({ endMode: 'never' })}
+            />
+            Never
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={state.endMode === 'count'}
+              onChange={() => applyState({ endMode: 'count' })}
+            />
+            After
+            <input
+              type="number"
+              min="1"
+              value={state.count}
+              onChange={(e) => applyState({ endMode: 'count', count: e.target.value })}
+              className="w-20 px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+            />
+            occurrences
+          </label>
+          <label className="flex items-center gap-2">
+            <input
+              type="radio"
+              checked={state.endMode === 'until'}
+              onChange={() => applyState({ endMode: 'until' })}
+            />
+            On
+            <input
+              type="date"
+              value={state.until}
+              onChange={(e) => applyState({ endMode: 'until', until: e.target.value })}
+              className="px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+            />
+          </label>
+        </div>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-2">RRULE (RFC 5545)</label>
+        <input
+          type="text"
+          value={rawRule}
+          onChange={(e) => applyRaw(e.target.value.toUpperCase())}
+          className={`${inputClassName} font-mono`}
+        />
+        {rawError && <p className="mt-1 text-xs text-red-600">{rawError}</p>}
+      </div>
+
+      {!rawError && (
+        <div className="rounded-lg bg-gray-50 p-3 text-sm">
+          <p className="font-medium text-gray-900">{describeRRule(value || rawRule)}</p>
+          <div className="mt-2 flex flex-wrap gap-2">
+            {preview.length === 0 ? (
+              <span className="text-xs text-gray-500">No upcoming occurrences</span>
+            ) : (
+              preview.map((date) => (
+                <span
+                  key={date.getTime()}
+                  className="inline-flex items-center gap-1 rounded bg-white px-2 py-1 text-xs text-gray-700 border border-gray-200"
+                >
+                  <CalendarIcon className="h-3 w-3" />
+                  {date.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })}
+                </span>
+              ))
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RRuleBuilder;
@@ -0,0 +1,120 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { BanknotesIcon } from '@heroicons/react/24/outline';
+import ReportingService from '../services/reportingService';
+
+const BUCKET_COLORS = {
+  current: 'bg-green-500',
+  days1to30: 'bg-yellow-400',
+  days31to60: 'bg-orange-400',
+  days61to90: 'bg-red-400',
+  over90: 'bg-red-600'
+};
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  maximumFractionDigits: 0
+}).format(amount || 0);
+
+/**
+ * Dashboard card with open receivables by aging bucket, DSO and this month's collections
+ */
+const ReceivablesAgingWidget = ({ companyId }) => {
+  const [aging, setAging] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let isCancelled = false;
+
+    const loadAging = async () => {
+      const result = await ReportingService.getAccountsReceivableAging({ companyId });
+      if (isCancelled) return;
+      if (result.success) {
+        setAging(result);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+    };
+
+    loadAging();
+
+    return () => {
+      isCancelled = true;
+    };
+  }, [companyId]);
+
+  if (error) {
+    return null;
+  }
+
+  const thisMonth = aging?.trend[aging.trend.length - 1];
+
+  return (
+    <div className="bg-white rounded-lg shadow-sm border border-gray-200">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div className="flex items-center">
+          <BanknotesIcon className="h-5 w-5 mr-2 text-gray-400" />
+          <h2 className="text-lg font-medium text-gray-900">Accounts Receivable</h2>
+        </div>
+        <Link to="/reports" className="text-sm font-medium text-primary-600 hover:text-primary-500">
+          View aging report
+        </Link>
+      </div>
+      <div className="p-6">
+        {!aging ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <>
+            <div className="flex items-baseline justify-between mb-3">
+              <p className="text-2xl font-semibold text-gray-900">{formatCurrency(aging.totals.outstanding)}</p>
+              <p className="text-sm text-gray-500">
+                {formatCurrency(aging.totals.overdue)} overdue
+              </p>
+            </div>
+
+            {aging.totals.outstanding > 0 && (
+              <div className="flex h-2 rounded-full overflow-hidden bg-gray-100 mb-4">
+                {aging.buckets.filter(bucket => bucket.amount > 0).map(bucket => (
+                  <div
+                    key={bucket.key}
+                    className={BUCKET_COLORS[bucket.key]}
+                    style={{ width: `${(bucket.amount / aging.totals.outstanding) * 100}%` }}
+                    title={`${bucket.label}: ${formatCurrency(bucket.amount)}`}
+                  />
+                ))}
+              </div>
+            )}
+
+            <dl className="grid grid-cols-2 gap-3 sm:grid-cols-5">
+              {aging.buckets.map(bucket => (
+                <div key={bucket.key}>
+                  <dt className="flex items-center text-xs text-gray-500">
+                    <span className={`h-2 w-2 rounded-full mr-1 ${BUCKET_COLORS[bucket.key]}`} />
+                    {bucket.label}
+                  </dt>
+                  <dd className="text-sm font-medium text-gray-900">{formatCurrency(bucket.amount)}</dd>
+                </div>
+              ))}
+            </dl>
+
+            <div className="mt-4 pt-4 border-t border-gray-100 flex flex-wrap justify-between gap-2 text-sm text-gray-600">
+              <span>
+                DSO: <span className="font-medium text-gray-900">{aging.dso === null ? 'n/a' : `${aging.dso.toFixed(0)} days`}</span>
+              </span>
+              {thisMonth && (
+                <span>
+                  {thisMonth.label}: collected <span className="font-medium text-gray-900">{formatCurrency(thisMonth.collected)}</span>
+                  {' '}of <span className="font-medium text-gray-900">{formatCurrency(thisMonth.billed)}</span> billed
+                </span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ReceivablesAgingWidget;
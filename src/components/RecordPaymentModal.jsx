@@ -0,0 +1,240 @@
+import React, { useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import InvoiceService from '../services/invoiceService';
+import { formatDate } from '../utils/dateHelpers';
+import toast from 'react-hot-toast';
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const getMethodLabel = (method) =>
+  InvoiceService.PAYMENT_METHODS.find((option) => option.value === method)?.label || method;
+
+const RecordPaymentModal = ({ invoice, onClose, onRecorded }) => {
+  const summary = InvoiceService.computePaymentSummary(invoice);
+  const [payments, setPayments] = useState(invoice.payments || []);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState({
+    type: 'payment',
+    amount: summary.balanceDue > 0 ? summary.balanceDue.toFixed(2) : '',
+    method: 'check',
+    reference: '',
+    date: new Date().toISOString().split('T')[0],
+    notes: ''
+  });
+  const [currentSummary, setCurrentSummary] = useState(summary);
+
+  const updateForm = (field, value) => setForm((prev) => ({ ...prev, [field]: value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const result = await InvoiceService.recordPayment(invoice.id, {
+      ...form,
+      amount: parseFloat(form.amount),
+      // Date inputs are local calendar days; anchor at noon so the day survives the ISO conversion
+      date: `${form.date}T12:00:00`
+    });
+    setIsSaving(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to record payment');
+      return;
+    }
+
+    toast.success(form.type === 'refund' ? 'Refund recorded' : 'Payment recorded');
+    setPayments((prev) => [...prev, result.payment]);
+    setCurrentSummary(result.summary);
+    setForm((prev) => ({ ...prev, amount: result.summary.balanceDue > 0 ? result.summary.balanceDue.toFixed(2) : '', reference: '', notes: '' }));
+    if (onRecorded) {
+      onRecorded(result.summary);
+    }
+  };
+
+  const handleVoid = async (payment) => {
+    const reason = window.prompt(`Void the ${formatCurrency(payment.amount)} ${payment.type}? Enter a reason:`);
+    if (reason === null) {
+      return;
+    }
+
+    const result = await InvoiceService.voidPayment(invoice.id, payment.id, reason);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to void payment');
+      return;
+    }
+
+    toast.success('Payment voided');
+    setPayments((prev) =>
+      prev.map((entry) => (entry.id === payment.id ? { ...entry, voidedAt: new Date().toISOString(), voidReason: reason } : entry))
+    );
+    setCurrentSummary(result.summary);
+    if (onRecorded) {
+      onRecorded(result.summary);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <form onSubmit={handleSubmit}>
+            <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+              <div className="flex items-center justify-between mb-4">
+                <div>
+                  <h3 className="text-lg font-medium text-gray-900">Payments · Invoice #{invoice.invoiceNumber}</h3>
+                  <p className="text-sm text-gray-500">{invoice.customerName}</p>
+                </div>
+                <button type="button" onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                  <XMarkIcon className="h-6 w-6" />
+                </button>
+              </div>
+
+              <div className="grid grid-cols-3 gap-3 mb-6">
+                <div className="bg-gray-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Total</p>
+                  <p className="text-lg font-semibold text-gray-900">{formatCurrency(invoice.total)}</p>
+                </div>
+                <div className="bg-green-50 rounded-lg p-3">
+                  <p className="text-xs text-gray-500">Paid</p>
+                  <p className="text-lg font-semibold text-green-700">{formatCurrency(currentSummary.amountPaid)}</p>
+                </div>
+                <div className={`${currentSummary.creditBalance > 0 ? 'bg-blue-50' : 'bg-yellow-50'} rounded-lg p-3`}>
+                  <p className="text-xs text-gray-500">{currentSummary.creditBalance > 0 ? 'Credit' : 'Balance Due'}</p>
+                  <p className={`text-lg font-semibold ${currentSummary.creditBalance > 0 ? 'text-blue-700' : 'text-yellow-700'}`}>
+                    {formatCurrency(currentSummary.creditBalance > 0 ? currentSummary.creditBalance : currentSummary.balanceDue)}
+                  </p>
+                </div>
+              </div>
+
+              <div className="mb-6">
+                <h4 className="text-sm font-medium text-gray-900 mb-2">Ledger</h4>
+                {payments.length === 0 ? (
+                  <p className="text-sm text-gray-500">No payments recorded yet</p>
+                ) : (
+                  <ul className="max-h-56 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                    {payments.map((payment) => (
+                      <li key={payment.id} className={`flex items-center justify-between px-4 py-2 ${payment.voidedAt ? 'opacity-50' : ''}`}>
+                        <div>
+                          <p className={`text-sm font-medium text-gray-900 ${payment.voidedAt ? 'line-through' : ''}`}>
+                            {payment.type === 'refund' ? '-' : ''}{formatCurrency(payment.amount)} · {getMethodLabel(payment.method)}
+                            {payment.reference ? ` · ${payment.reference}` : ''}
+                          </p>
+                          <p className="text-xs text-gray-500">
+                            {formatDate(payment.date)}
+                            {payment.recordedByName ? ` · recorded by ${payment.recordedByName}` : ''}
+                            {payment.voidedAt ? ` · voided${payment.voidReason ? `: ${payment.voidReason}` : ''}` : ''}
+                          </p>
+                        </div>
+                        {!payment.voidedAt && payment.source !== 'stripe' && (
+                          <button
+                            type="button"
+                            onClick={() => handleVoid(payment)}
+                            className="text-xs text-red-600 hover:text-red-900"
+                          >
+                            Void
+                          </button>
+                        )}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {invoice.status !== 'cancelled' && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                    <select
+                      value={form.type}
+                      onChange={(e) => updateForm('type', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    >
+                      <option value="payment">Payment</option>
+                      <option value="refund">Refund</option>
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Amount</label>
+                    <input
+                      type="number"
+                      min="0.01"
+                      step="0.01"
+                      required
+                      value={form.amount}
+                      onChange={(e) => updateForm('amount', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Method</label>
+                    <select
+                      value={form.method}
+                      onChange={(e) => updateForm('method', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    >
+                      {InvoiceService.PAYMENT_METHODS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Date</label>
+                    <input
+                      type="date"
+                      required
+                      value={form.date}
+                      onChange={(e) => updateForm('date', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Reference</label>
+                    <input
+                      type="text"
+                      value={form.reference}
+                      onChange={(e) => updateForm('reference', e.target.value)}
+                      placeholder="Check #, transaction ID..."
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                    <input
+                      type="text"
+                      value={form.notes}
+                      onChange={(e) => updateForm('notes', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+
+            <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+              {invoice.status !== 'cancelled' && (
+                <button
+                  type="submit"
+                  disabled={isSaving}
+                  className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-green-600 text-base font-medium text-white hover:bg-green-700 sm:w-auto sm:text-sm disabled:opacity-50"
+                >
+                  {isSaving ? 'Saving...' : form.type === 'refund' ? 'Record Refund' : 'Record Payment'}
+                </button>
+              )}
+              <button
+                type="button"
+                onClick={onClose}
+                className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+              >
+                Close
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordPaymentModal;
@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  CalendarIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import RecurringJobService from '../services/recurringJobService';
+import { describeRRule } from '../utils/rrule';
+import toast from 'react-hot-toast';
+
+const HORIZON_OPTIONS = [30, 60, 90];
+
+const STATUS_STYLES = {
+  pending: { label: 'Will create', className: 'bg-green-100 text-green-800' },
+  rescheduled: { label: 'Rescheduled', className: 'bg-blue-100 text-blue-800' },
+  exists: { label: 'Created', className: 'bg-gray-100 text-gray-700' },
+  skipped: { label: 'Skipped', className: 'bg-yellow-100 text-yellow-800' },
+  holiday: { label: 'Holiday', className: 'bg-purple-100 text-purple-800' }
+};
+
+const formatDay = (dateKey) =>
+  new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+const RecurringJobPreviewModal = ({ recurringJob, onClose, onGenerated }) => {
+  const [series, setSeries] = useState(recurringJob);
+  const [horizonDays, setHorizonDays] = useState(RecurringJobService.DEFAULT_HORIZON_DAYS);
+  const [occurrences, setOccurrences] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [includeConflicts, setIncludeConflicts] = useState(false);
+  const [reschedulingDate, setReschedulingDate] = useState(null);
+  const [rescheduleForm, setRescheduleForm] = useState({ date: '', time: '' });
+
+  const loadPreview = useCallback(async () => {
+    setIsLoading(true);
+    const result = await RecurringJobService.previewMaterialization(series, { horizonDays });
+    if (result.success) {
+      setOccurrences(result.occurrences);
+    } else {
+      toast.error(result.error || 'Failed to preview occurrences');
+    }
+    setIsLoading(false);
+  }, [series, horizonDays]);
+
+  useEffect(() => {
+    loadPreview();
+  }, [loadPreview]);
+
+  const applyOverride = async (occurrenceDate, action) => {
+    let result;
+    if (action === 'skip') {
+      result = await RecurringJobService.skipOccurrence(series.id, occurrenceDate);
+    } else if (action === 'restore') {
+      result = await RecurringJobService.restoreOccurrence(series.id, occurrenceDate);
+    } else {
+      if (!rescheduleForm.date) {
+        toast.error('Choose a new date');
+        return;
+      }
+      result = await RecurringJobService.rescheduleOccurrence(
+        series.id,
+        occurrenceDate,
+        rescheduleForm.date,
+        rescheduleForm.time || null
+      );
+    }
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to update occurrence');
+      return;
+    }
+
+    // Reload the series so the new overrides feed the preview
+    const refreshed = await RecurringJobService.getRecurringJob(series.id);
+    if (refreshed.success) {
+      setSeries(refreshed.recurringJob);
+    }
+    setReschedulingDate(null);
+  };
+
+  const handleGenerate = async () => {
+    setIsGenerating(true);
+    const result = await RecurringJobService.materializeRecurringJob(series, { horizonDays, includeConflicts });
+    setIsGenerating(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to generate jobs');
+      return;
+    }
+
+    const parts = [`${result.created.length} job${result.created.length === 1 ? '' : 's'} created`];
+    if (result.conflicted.length > 0) {
+      parts.push(`${result.conflicted.length} held back for conflicts`);
+    }
+    if (result.failed.length > 0) {
+      parts.push(`${result.failed.length} failed`);
+    }
+    toast.success(parts.join(', '));
+
+    const refreshed = await RecurringJobService.getRecurringJob(series.id);
+    if (refreshed.success) {
+      setSeries(refreshed.recurringJob);
+    }
+    if (onGenerated) {
+      onGenerated(result);
+    }
+  };
+
+  const toCreate = occurrences.filter(
+    (occurrence) =>
+      (occurrence.status === 'pending' || occurrence.status === 'rescheduled') &&
+      (includeConflicts || occurrence.conflicts.length === 0)
+  );
+  const conflictCount = occurrences.filter((occurrence) => occurrence.conflicts.length > 0).length;
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-3xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-start justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Upcoming Jobs</h3>
+                <p className="text-sm text-gray-500">
+                  {series.customerName} · {series.serviceType} ·{' '}
+                  {describeRRule(RecurringJobService.getRecurrenceRule(series))}
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+              <div className="flex items-center gap-2">
+                <label className="text-sm text-gray-700">Next</label>
+                <select
+                  value={horizonDays}
+                  onChange={(e) => setHorizonDays(parseInt(e.target.value, 10))}
+                  className="px-3 py-1.5 rounded-lg border border-gray-300 sm:text-sm"
+                >
+                  {HORIZON_OPTIONS.map((days) => (
+                    <option key={days} value={days}>{days} days</option>
+                  ))}
+                </select>
+              </div>
+              {conflictCount > 0 && (
+                <label className="flex items-center gap-2 text-sm text-gray-700">
+                  <input
+                    type="checkbox"
+                    checked={includeConflicts}
+                    onChange={(e) => setIncludeConflicts(e.target.checked)}
+                  />
+                  Create conflicting occurrences anyway
+                </label>
+              )}
+            </div>
+
+            {isLoading ? (
+              <div className="p-8 text-center">
+                <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : occurrences.length === 0 ? (
+              <p className="p-8 text-center text-gray-500">No occurrences in this period</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {occurrences.map((occurrence) => {
+                  const style = STATUS_STYLES[occurrence.status] || STATUS_STYLES.pending;
+                  const isEditable = occurrence.status !== 'exists';
+                  return (
+                    <div key={occurrence.occurrenceDate} className="px-4 py-3">
+                      <div className="flex items-center justify-between gap-3">
+                        <div className="flex items-center gap-3">
+                          <CalendarIcon className="h-5 w-5 text-gray-400" />
+                          <div>
+                            <p className="text-sm font-medium text-gray-900">
+                              {formatDay(occurrence.date)} at {occurrence.time}
+                            </p>
+                            {occurrence.date !== occurrence.occurrenceDate && (
+                              <p className="text-xs text-gray-500">
+                                Originally {formatDay(occurrence.occurrenceDate)}
+                                {occurrence.holidayName ? ` (${occurrence.holidayName})` : ''}
+                              </p>
+                            )}
+                            {occurrence.status === 'holiday' && occurrence.holidayName && (
+                              <p className="text-xs text-gray-500">{occurrence.holidayName}</p>
+                            )}
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-2">
+                          <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${style.className}`}>
+                            {style.label}
+                          </span>
+                          {isEditable && (occurrence.override ? (
+                            <button
+                              type="button"
+                              onClick={() => applyOverride(occurrence.occurrenceDate, 'restore')}
+                              className="text-xs text-primary-600 hover:text-primary-800"
+                            >
+                              Restore
+                            </button>
+                          ) : (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() => applyOverride(occurrence.occurrenceDate, 'skip')}
+                                className="text-xs text-yellow-700 hover:text-yellow-900"
+                              >
+                                Skip
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => {
+                                  setReschedulingDate(occurrence.occurrenceDate);
+                                  setRescheduleForm({ date: occurrence.date, time: occurrence.time });
+                                }}
+                                className="text-xs text-primary-600 hover:text-primary-800"
+                              >
+                                Reschedule
+                              </button>
+                            </>
+                          ))}
+                        </div>
+                      </div>
+
+                      {occurrence.conflicts.length > 0 && (
+                        <div className="mt-2 flex items-start gap-2 text-xs text-red-600">
+                          <ExclamationTriangleIcon className="h-4 w-4 flex-shrink-0" />
+                          <span>
+                            {series.assignedTechnicianName || 'Technician'} is unavailable:{' '}
+                            {occurrence.conflicts.map((conflict) => conflict.message).join('; ')}
+                          </span>
+                        </div>
+                      )}
+
+                      {reschedulingDate === occurrence.occurrenceDate && (
+                        <div className="mt-3 flex flex-wrap items-center gap-2">
+                          <input
+                            type="date"
+                            value={rescheduleForm.date}
+                            onChange={(e) => setRescheduleForm((prev) => ({ ...prev, date: e.target.value }))}
+                            className="px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+                          />
+                          <input
+                            type="text"
+                            value={rescheduleForm.time}
+                            onChange={(e) => setRescheduleForm((prev) => ({ ...prev, time: e.target.value }))}
+                            placeholder="09:00 AM"
+                            className="w-28 px-2 py-1 rounded-lg border border-gray-300 sm:text-sm"
+                          />
+                          <button
+                            type="button"
+                            onClick={() => applyOverride(occurrence.occurrenceDate, 'reschedule')}
+                            className="px-3 py-1 text-xs bg-primary-600 text-white rounded-lg hover:bg-primary-700"
+                          >
+                            Save
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setReschedulingDate(null)}
+                            className="px-3 py-1 text-xs text-gray-600 hover:text-gray-800"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleGenerate}
+              disabled={isGenerating || isLoading || toCreate.length === 0 || series.isActive === false}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isGenerating ? 'Generating...' : `Create ${toCreate.length} Job${toCreate.length === 1 ? '' : 's'}`}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecurringJobPreviewModal;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { XMarkIcon, DocumentArrowDownIcon, TableCellsIcon } from '@heroicons/react/24/outline';
+import PurchaseOrderService from '../services/purchaseOrderService';
+import toast from 'react-hot-toast';
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+const STATUS_STYLES = {
+  draft: 'bg-gray-100 text-gray-800',
+  ordered: 'bg-blue-100 text-blue-800',
+  received: 'bg-green-100 text-green-800',
+  cancelled: 'bg-red-100 text-red-800'
+};
+
+const ReorderModal = ({ companyId, onClose, onStockChanged }) => {
+  const [activeTab, setActiveTab] = useState('report');
+  const [groups, setGroups] = useState([]);
+  const [quantities, setQuantities] = useState({});
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadData = useCallback(async () => {
+    setIsLoading(true);
+    const [reportResult, ordersResult] = await Promise.all([
+      PurchaseOrderService.getReorderReport(companyId),
+      PurchaseOrderService.getPurchaseOrders(companyId)
+    ]);
+
+    if (reportResult.success) {
+      setGroups(reportResult.groups);
+      const initial = {};
+      reportResult.groups.forEach((group) => {
+        group.items.forEach((item) => {
+          initial[item.materialId] = item.suggestedQuantity;
+        });
+      });
+      setQuantities(initial);
+    } else {
+      toast.error(reportResult.error || 'Failed to load reorder report');
+    }
+
+    if (ordersResult.success) {
+      setPurchaseOrders(ordersResult.purchaseOrders);
+    } else {
+      toast.error(ordersResult.error || 'Failed to load purchase orders');
+    }
+    setIsLoading(false);
+  }, [companyId]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  const handleCreateOrders = async (targetGroups) => {
+    setBusyId('create');
+    const result = await PurchaseOrderService.createDraftPurchaseOrders(
+      companyId,
+      targetGroups.map((group) => ({
+        ...group,
+        items: group.items.map((item) => ({ ...item, quantity: quantities[item.materialId] }))
+      }))
+    );
+    setBusyId(null);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to create purchase orders');
+      return;
+    }
+    if (result.purchaseOrders.length === 0) {
+      toast.error('Nothing to order; set a quantity above zero');
+      return;
+    }
+
+    toast.success(`${result.purchaseOrders.length} draft purchase order${result.purchaseOrders.length === 1 ? '' : 's'} created`);
+    await loadData();
+    setActiveTab('orders');
+  };
+
+  const runAction = async (purchaseOrder, action) => {
+    if (action === 'receive' &&
+        !window.confirm(`Receive ${purchaseOrder.poNumber} and add its items to stock?`)) {
+      return;
+    }
+    if (action === 'cancel' && !window.confirm(`Cancel ${purchaseOrder.poNumber}?`)) {
+      return;
+    }
+
+    setBusyId(purchaseOrder.id);
+    let result;
+    if (action === 'order') {
+      result = await PurchaseOrderService.markOrdered(purchaseOrder.id);
+    } else if (action === 'receive') {
+      result = await PurchaseOrderService.receivePurchaseOrder(purchaseOrder.id);
+    } else {
+      result = await PurchaseOrderService.cancelPurchaseOrder(purchaseOrder.id);
+    }
+    setBusyId(null);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to update purchase order');
+      if (action === 'receive' && result.received > 0 && onStockChanged) {
+        onStockChanged();
+      }
+      return;
+    }
+
+    if (action === 'receive') {
+      toast.success('Purchase order received and stock updated');
+      if (onStockChanged) {
+        onStockChanged();
+      }
+    } else {
+      toast.success(action === 'order' ? 'Marked as ordered' : 'Purchase order cancelled');
+    }
+    loadData();
+  };
+
+  const handleDownloadPDF = async (purchaseOrder) => {
+    const result = await PurchaseOrderService.generatePDF(purchaseOrder);
+    if (!result.success) {
+      toast.error(result.error || 'Failed to generate PDF');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-4xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">Reorder &amp; Purchase Orders</h3>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="border-b border-gray-200 mb-4">
+              <nav className="-mb-px flex space-x-6">
+                {[
+                  { id: 'report', label: `Low Stock (${groups.reduce((sum, group) => sum + group.items.length, 0)})` },
+                  { id: 'orders', label: `Purchase Orders (${purchaseOrders.length})` }
+                ].map((tab) => (
+                  <button
+                    key={tab.id}
+                    onClick={() => setActiveTab(tab.id)}
+                    className={`py-2 px-1 border-b-2 text-sm font-medium ${
+                      activeTab === tab.id
+                        ? 'border-primary-500 text-primary-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    {tab.label}
+                  </button>
+                ))}
+              </nav>
+            </div>
+
+            {isLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : activeTab === 'report' ? (
+              groups.length === 0 ? (
+                <p className="p-6 text-center text-sm text-gray-500">All materials are above their reorder thresholds</p>
+              ) : (
+                <div className="space-y-4 max-h-[28rem] overflow-y-auto">
+                  {groups.map((group) => (
+                    <div key={group.supplier} className="border border-gray-200 rounded-lg">
+                      <div className="flex items-center justify-between px-4 py-2 bg-gray-50 rounded-t-lg">
+                        <span className="text-sm font-semibold text-gray-900">{group.supplier}</span>
+                        <button
+                          type="button"
+                          onClick={() => handleCreateOrders([group])}
+                          disabled={busyId === 'create'}
+                          className="text-sm text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                        >
+                          Create draft PO
+                        </button>
+                      </div>
+                      <table className="min-w-full divide-y divide-gray-100 text-sm">
+                        <thead>
+                          <tr className="text-gray-500">
+                            <th className="px-4 py-2 text-left font-medium">Material</th>
+                            <th className="px-4 py-2 text-right font-medium">In Stock</th>
+                            <th className="px-4 py-2 text-right font-medium">Reorder At</th>
+                            <th className="px-4 py-2 text-right font-medium">On Order</th>
+                            <th className="px-4 py-2 text-right font-medium">Order Qty</th>
+                            <th className="px-4 py-2 text-right font-medium">Unit Cost</th>
+                          </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100">
+                          {group.items.map((item) => (
+                            <tr key={item.materialId}>
+                              <td className="px-4 py-2 text-gray-900">
+                                {item.name}
+                                {item.supplierSku && <span className="block text-xs text-gray-500">SKU {item.supplierSku}</span>}
+                              </td>
+                              <td className="px-4 py-2 text-right text-red-600 font-medium">{item.quantityInStock}</td>
+                              <td className="px-4 py-2 text-right text-gray-700">{item.reorderThreshold}</td>
+                              <td className="px-4 py-2 text-right text-gray-700">{item.quantityOnOrder || '-'}</td>
+                              <td className="px-4 py-2 text-right">
+                                <input
+                                  type="number"
+                                  min="0"
+                                  value={quantities[item.materialId] ?? ''}
+                                  onChange={(e) => setQuantities((prev) => ({ ...prev, [item.materialId]: e.target.value }))}
+                                  className="w-20 px-2 py-1 rounded border border-gray-300 text-right sm:text-sm"
+                                />
+                              </td>
+                              <td className="px-4 py-2 text-right text-gray-700">{formatCurrency(item.unitCost)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  ))}
+                </div>
+              )
+            ) : purchaseOrders.length === 0 ? (
+              <p className="p-6 text-center text-sm text-gray-500">No purchase orders yet</p>
+            ) : (
+              <ul className="max-h-[28rem] overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {purchaseOrders.map((purchaseOrder) => (
+                  <li key={purchaseOrder.id} className="flex flex-wrap items-center justify-between gap-3 px-4 py-3">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">
+                        {purchaseOrder.poNumber} · {purchaseOrder.supplier || 'No supplier'}
+                        <span className={`ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium capitalize ${STATUS_STYLES[purchaseOrder.status] || STATUS_STYLES.draft}`}>
+                          {purchaseOrder.status}
+                        </span>
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {purchaseOrder.items.length} item{purchaseOrder.items.length === 1 ? '' : 's'} · {formatCurrency(purchaseOrder.total)} · Created {new Date(purchaseOrder.createdAt).toLocaleDateString('en-US')}
+                        {purchaseOrder.receivedAt && ` · Received ${new Date(purchaseOrder.receivedAt).toLocaleDateString('en-US')}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3 text-sm">
+                      <button
+                        type="button"
+                        onClick={() => handleDownloadPDF(purchaseOrder)}
+                        className="text-gray-600 hover:text-gray-900"
+                        title="Download PDF"
+                      >
+                        <DocumentArrowDownIcon className="h-5 w-5" />
+                      </button>
+                      <button
+                        type="button"
+                        onClick={() => PurchaseOrderService.exportCSV(purchaseOrder)}
+                        className="text-gray-600 hover:text-gray-900"
+                        title="Download CSV"
+                      >
+                        <TableCellsIcon className="h-5 w-5" />
+                      </button>
+                      {purchaseOrder.status === 'draft' && (
+                        <button
+                          type="button"
+                          onClick={() => runAction(purchaseOrder, 'order')}
+                          disabled={busyId === purchaseOrder.id}
+                          className="text-primary-600 hover:text-primary-800 disabled:opacity-50"
+                        >
+                          Mark Ordered
+                        </button>
+                      )}
+                      {purchaseOrder.status === 'ordered' && (
+                        <button
+                          type="button"
+                          onClick={() => runAction(purchaseOrder, 'receive')}
+                          disabled={busyId === purchaseOrder.id}
+                          className="text-green-600 hover:text-green-800 disabled:opacity-50"
+                        >
+                          {busyId === purchaseOrder.id ? 'Receiving...' : 'Receive'}
+                        </button>
+                      )}
+                      {PurchaseOrderService.OPEN_STATUSES.includes(purchaseOrder.status) && (
+                        <button
+                          type="button"
+                          onClick={() => runAction(purchaseOrder, 'cancel')}
+                          disabled={busyId === purchaseOrder.id}
+                          className="text-red-600 hover:text-red-800 disabled:opacity-50"
+                        >
+                          Cancel
+                        </button>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            {activeTab === 'report' && groups.length > 0 && (
+              <button
+                type="button"
+                onClick={() => handleCreateOrders(groups)}
+                disabled={busyId === 'create'}
+                className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+              >
+                {busyId === 'create' ? 'Creating...' : 'Create Draft POs for All Suppliers'}
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReorderModal;
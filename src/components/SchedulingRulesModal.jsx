@@ -0,0 +1,165 @@
+import React, { useState, useEffect } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import SchedulingRulesService from '../services/schedulingRulesService';
+import toast from 'react-hot-toast';
+
+const SchedulingRulesModal = ({ companyId, onClose }) => {
+  const [rules, setRules] = useState(SchedulingRulesService.DEFAULT_RULES);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    const load = async () => {
+      setIsLoading(true);
+      const result = await SchedulingRulesService.getRules(companyId);
+      if (result.success) {
+        setRules(result.rules);
+      } else {
+        toast.error(result.error || 'Failed to load scheduling rules');
+      }
+      setIsLoading(false);
+    };
+    load();
+  }, [companyId]);
+
+  const setRule = (field, value) => setRules((prev) => ({ ...prev, [field]: value }));
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await SchedulingRulesService.updateRules(companyId, rules);
+    setIsSaving(false);
+    if (result.success) {
+      toast.success('Scheduling rules saved');
+      onClose();
+    } else {
+      toast.error(result.error || 'Failed to save scheduling rules');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Scheduling Rules</h3>
+                <p className="text-sm text-gray-500">Checked whenever a technician is assigned to a job.</p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {isLoading ? (
+              <div className="p-6 text-center">
+                <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-primary-600 mx-auto"></div>
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Buffer between jobs (min)</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={rules.bufferMinutes}
+                      onChange={(e) => setRule('bufferMinutes', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Max jobs per day</label>
+                    <input
+                      type="number"
+                      min="0"
+                      value={rules.maxJobsPerDay}
+                      onChange={(e) => setRule('maxJobsPerDay', e.target.value)}
+                      className="w-full px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">0 for no limit</p>
+                  </div>
+                </div>
+
+                <label className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    checked={rules.includeDriveTime}
+                    onChange={(e) => setRule('includeDriveTime', e.target.checked)}
+                    className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-700">
+                    Add drive time between consecutive job addresses
+                  </span>
+                </label>
+                {rules.includeDriveTime && (
+                  <div className="pl-7">
+                    <label className="block text-sm font-medium text-gray-700 mb-1">Average speed (mph)</label>
+                    <input
+                      type="number"
+                      min="1"
+                      value={rules.averageSpeedMph}
+                      onChange={(e) => setRule('averageSpeedMph', e.target.value)}
+                      className="w-32 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                    <p className="mt-1 text-xs text-gray-500">Used when no measured route between the addresses is known</p>
+                  </div>
+                )}
+
+                <label className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    checked={rules.enforceWorkHours}
+                    onChange={(e) => setRule('enforceWorkHours', e.target.checked)}
+                    className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-700">
+                    Only book on work days and within business hours (set in Location Settings; overtime exceptions are allowed)
+                  </span>
+                </label>
+
+                <label className="flex items-start gap-3">
+                  <input
+                    type="checkbox"
+                    checked={rules.enforceRequiredSkills}
+                    onChange={(e) => setRule('enforceRequiredSkills', e.target.checked)}
+                    className="mt-1 h-4 w-4 text-primary-600 border-gray-300 rounded"
+                  />
+                  <span className="text-sm text-gray-700">
+                    Require the skills and certifications a service needs
+                  </span>
+                </label>
+
+                <p className="text-xs text-gray-500">
+                  Sick days, vacation and off days always block bookings.
+                </p>
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving || isLoading}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save Rules'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SchedulingRulesModal;
@@ -0,0 +1,93 @@
+import React, { useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import SchedulingRulesService from '../services/schedulingRulesService';
+import toast from 'react-hot-toast';
+
+const splitSkills = (value) => value.split(',').map((skill) => skill.trim()).filter(Boolean);
+
+const ServiceSkillRequirementsModal = ({ companyId, services = [], requirements = {}, onClose, onSaved }) => {
+  const [drafts, setDrafts] = useState(() =>
+    services.reduce((acc, service) => ({ ...acc, [service]: (requirements[service] || []).join(', ') }), {})
+  );
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const updated = Object.entries(drafts).reduce(
+      (acc, [service, value]) => ({ ...acc, [service]: splitSkills(value) }),
+      {}
+    );
+    const result = await SchedulingRulesService.updateServiceSkillRequirements(companyId, updated);
+    setIsSaving(false);
+    if (result.success) {
+      toast.success('Skill requirements saved');
+      onSaved?.(result.requirements);
+      onClose();
+    } else {
+      toast.error(result.error || 'Failed to save skill requirements');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Required Skills</h3>
+                <p className="text-sm text-gray-500">
+                  Technicians need every listed skill, unexpired, to be suggested as qualified. Separate skills with commas.
+                </p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {services.length === 0 ? (
+              <p className="p-6 text-center text-sm text-gray-500">Select the services your company offers first</p>
+            ) : (
+              <div className="max-h-96 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {services.map((service) => (
+                  <div key={service} className="grid grid-cols-1 sm:grid-cols-2 gap-2 items-center px-4 py-2">
+                    <span className="text-sm font-medium text-gray-900">{service}</span>
+                    <input
+                      type="text"
+                      value={drafts[service] || ''}
+                      onChange={(e) => setDrafts((prev) => ({ ...prev, [service]: e.target.value }))}
+                      placeholder="No requirements"
+                      className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+                    />
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving || services.length === 0}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save Requirements'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ServiceSkillRequirementsModal;
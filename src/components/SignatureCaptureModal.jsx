@@ -0,0 +1,169 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { XMarkIcon } from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const CANVAS_HEIGHT = 180;
+
+/**
+ * Draw-to-sign pad. onCapture receives { blob, signerName } (a PNG of the
+ * signature) and resolves true once it has been saved; onSkip, when given,
+ * adds a button to continue without a signature.
+ */
+const SignatureCaptureModal = ({
+  title = 'Customer Signature',
+  statement,
+  defaultName = '',
+  confirmLabel = 'Sign',
+  onCapture,
+  onSkip,
+  onClose
+}) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [signerName, setSignerName] = useState(defaultName);
+  const [hasInk, setHasInk] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Match the canvas bitmap to its on-screen size so strokes follow the pointer
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = CANVAS_HEIGHT * ratio;
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+  }, []);
+
+  const getPoint = (event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+  };
+
+  const handlePointerDown = (event) => {
+    event.preventDefault();
+    canvasRef.current.setPointerCapture(event.pointerId);
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    context.beginPath();
+    context.moveTo(x, y);
+    drawingRef.current = true;
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drawingRef.current) return;
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(event);
+    context.lineTo(x, y);
+    context.stroke();
+    setHasInk(true);
+  };
+
+  const handlePointerUp = () => {
+    drawingRef.current = false;
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasInk(false);
+  };
+
+  const handleSign = async () => {
+    if (!hasInk) {
+      toast.error('Please sign in the box');
+      return;
+    }
+    if (!signerName.trim()) {
+      toast.error('Please enter the signer\'s name');
+      return;
+    }
+
+    setIsSaving(true);
+    const blob = await new Promise((resolve) => canvasRef.current.toBlob(resolve, 'image/png'));
+    const saved = await onCapture({ blob, signerName: signerName.trim() });
+    setIsSaving(false);
+    if (saved) {
+      onClose();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-[60] overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-lg sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <h3 className="text-lg font-medium text-gray-900">{title}</h3>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            {statement && <p className="text-sm text-gray-600 mb-4">{statement}</p>}
+
+            <label className="block text-sm font-medium text-gray-700 mb-1">Full name</label>
+            <input
+              type="text"
+              value={signerName}
+              onChange={(e) => setSignerName(e.target.value)}
+              className="w-full px-3 py-2 mb-4 rounded-lg border border-gray-300 sm:text-sm"
+            />
+
+            <div className="flex items-center justify-between mb-1">
+              <span className="text-sm font-medium text-gray-700">Signature</span>
+              <button type="button" onClick={handleClear} className="text-sm text-gray-500 hover:text-gray-700">
+                Clear
+              </button>
+            </div>
+            <canvas
+              ref={canvasRef}
+              style={{ height: CANVAS_HEIGHT, touchAction: 'none' }}
+              className="w-full border-2 border-dashed border-gray-300 rounded-lg bg-white cursor-crosshair"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerLeave={handlePointerUp}
+            />
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleSign}
+              disabled={isSaving}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : confirmLabel}
+            </button>
+            {onSkip && (
+              <button
+                type="button"
+                onClick={onSkip}
+                disabled={isSaving}
+                className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+              >
+                Continue without signature
+              </button>
+            )}
+            <button
+              type="button"
+              onClick={onClose}
+              disabled={isSaving}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignatureCaptureModal;
@@ -0,0 +1,25 @@
+import React from 'react';
+
+/**
+ * Captured signature with who signed, when, and from where
+ */
+const SignatureRecord = ({ signature, title = 'Customer Signature' }) => {
+  if (!signature?.url) {
+    return null;
+  }
+
+  return (
+    <div>
+      {title && <h5 className="text-sm font-medium text-gray-700 mb-1">{title}</h5>}
+      <div className="inline-block border border-gray-200 rounded-md bg-white p-2">
+        <img src={signature.url} alt={`Signature of ${signature.name}`} className="h-16" />
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        {signature.name} · {new Date(signature.signedAt).toLocaleString()}
+        {signature.ipAddress && ` · IP ${signature.ipAddress}`}
+      </p>
+    </div>
+  );
+};
+
+export default SignatureRecord;
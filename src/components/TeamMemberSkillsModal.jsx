@@ -0,0 +1,149 @@
+import React, { useState } from 'react';
+import { TrashIcon, XMarkIcon } from '@heroicons/react/24/outline';
+import SchedulingRulesService from '../services/schedulingRulesService';
+import { toLocalDateString } from '../utils/dateHelpers';
+import toast from 'react-hot-toast';
+
+const EMPTY_SKILL = { name: '', expiresAt: '', certificationNumber: '' };
+
+const TeamMemberSkillsModal = ({ member, knownSkills = [], onClose, onSaved }) => {
+  const [skills, setSkills] = useState(() => SchedulingRulesService.normalizeSkills(member.skills));
+  const [newSkill, setNewSkill] = useState(EMPTY_SKILL);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const today = toLocalDateString();
+
+  const handleAdd = () => {
+    if (!newSkill.name.trim()) {
+      toast.error('Enter a skill or certification');
+      return;
+    }
+    setSkills((prev) => SchedulingRulesService.normalizeSkills([...prev, newSkill]));
+    setNewSkill(EMPTY_SKILL);
+  };
+
+  const handleSave = async () => {
+    setIsSaving(true);
+    const result = await SchedulingRulesService.updateTeamMemberSkills(member.id, skills);
+    setIsSaving(false);
+    if (result.success) {
+      toast.success('Skills saved');
+      onSaved?.(result.skills);
+      onClose();
+    } else {
+      toast.error(result.error || 'Failed to save skills');
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 overflow-y-auto">
+      <div className="flex items-center justify-center min-h-screen px-4 pt-4 pb-20 text-center sm:block sm:p-0">
+        <div className="fixed inset-0 transition-opacity bg-gray-500 bg-opacity-75" onClick={onClose}></div>
+
+        <div className="inline-block align-bottom bg-white rounded-lg text-left overflow-hidden shadow-xl transform transition-all sm:my-8 sm:align-middle sm:max-w-2xl sm:w-full">
+          <div className="bg-white px-4 pt-5 pb-4 sm:p-6 sm:pb-4">
+            <div className="flex items-center justify-between mb-4">
+              <div>
+                <h3 className="text-lg font-medium text-gray-900">Skills &amp; Certifications</h3>
+                <p className="text-sm text-gray-500">{member.name || member.email}</p>
+              </div>
+              <button onClick={onClose} className="text-gray-400 hover:text-gray-500">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-4 gap-2 mb-4">
+              <input
+                type="text"
+                list="known-skills"
+                value={newSkill.name}
+                onChange={(e) => setNewSkill((prev) => ({ ...prev, name: e.target.value }))}
+                placeholder="e.g. EPA 608"
+                className="sm:col-span-2 px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+              />
+              <datalist id="known-skills">
+                {knownSkills.map((skill) => (
+                  <option key={skill} value={skill} />
+                ))}
+              </datalist>
+              <input
+                type="text"
+                value={newSkill.certificationNumber}
+                onChange={(e) => setNewSkill((prev) => ({ ...prev, certificationNumber: e.target.value }))}
+                placeholder="Cert # (optional)"
+                className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+              />
+              <input
+                type="date"
+                value={newSkill.expiresAt}
+                onChange={(e) => setNewSkill((prev) => ({ ...prev, expiresAt: e.target.value }))}
+                title="Expiry date (optional)"
+                className="px-3 py-2 rounded-lg border border-gray-300 sm:text-sm"
+              />
+            </div>
+            <div className="flex justify-end mb-4">
+              <button
+                type="button"
+                onClick={handleAdd}
+                className="px-3 py-2 text-sm bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+              >
+                Add
+              </button>
+            </div>
+
+            {skills.length === 0 ? (
+              <p className="p-6 text-center text-sm text-gray-500">No skills recorded</p>
+            ) : (
+              <ul className="max-h-72 overflow-y-auto divide-y divide-gray-100 border border-gray-200 rounded-lg">
+                {skills.map((skill) => {
+                  const expired = skill.expiresAt && skill.expiresAt < today;
+                  return (
+                    <li key={skill.name} className="flex items-center justify-between px-4 py-2">
+                      <div>
+                        <p className="text-sm font-medium text-gray-900">{skill.name}</p>
+                        <p className={`text-xs ${expired ? 'text-red-600' : 'text-gray-500'}`}>
+                          {skill.certificationNumber && `#${skill.certificationNumber} · `}
+                          {skill.expiresAt
+                            ? `${expired ? 'Expired' : 'Expires'} ${skill.expiresAt}`
+                            : 'No expiry'}
+                        </p>
+                      </div>
+                      <button
+                        type="button"
+                        onClick={() => setSkills((prev) => prev.filter((item) => item.name !== skill.name))}
+                        className="text-red-600 hover:text-red-900"
+                        title="Remove"
+                      >
+                        <TrashIcon className="h-4 w-4" />
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </div>
+
+          <div className="bg-gray-50 px-4 py-3 sm:px-6 sm:flex sm:flex-row-reverse gap-2">
+            <button
+              type="button"
+              onClick={handleSave}
+              disabled={isSaving}
+              className="w-full inline-flex justify-center rounded-md border border-transparent shadow-sm px-4 py-2 bg-primary-600 text-base font-medium text-white hover:bg-primary-700 sm:w-auto sm:text-sm disabled:opacity-50"
+            >
+              {isSaving ? 'Saving...' : 'Save Skills'}
+            </button>
+            <button
+              type="button"
+              onClick={onClose}
+              className="mt-3 w-full inline-flex justify-center rounded-md border border-gray-300 shadow-sm px-4 py-2 bg-white text-base font-medium text-gray-700 hover:bg-gray-50 sm:mt-0 sm:w-auto sm:text-sm"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TeamMemberSkillsModal;
@@ -7,11 +7,15 @@ import {
   MapPinIcon,
   CheckCircleIcon,
   ExclamationTriangleIcon,
-  WrenchScrewdriverIcon
+  WrenchScrewdriverIcon,
+  TruckIcon
 } from '@heroicons/react/24/outline';
 import { db } from '../services/firebase';
+import MaterialsService from '../services/materialsService';
+import InventoryLocationService from '../services/inventoryLocationService';
 import { collection, query, where, getDocs, orderBy } from 'firebase/firestore';
 import { parseDate, formatDateShort, formatDateLong } from '../utils/dateHelpers';
+import { getJobStatusLabel, mapLegacyJobStatus } from '../constants/jobStatuses';
 
 const TechnicianDashboard = ({ userProfile }) => {
   const [loading, setLoading] = useState(true);
@@ -23,6 +27,9 @@ const TechnicianDashboard = ({ userProfile }) => {
     weekTotal: 0,
     weekCompleted: 0
   });
+  const [truck, setTruck] = useState(null);
+  const [truckStock, setTruckStock] = useState([]);
+  const companyId = userProfile?.companyId;
 
   useEffect(() => {
     if (!userProfile?.id) return;
@@ -92,35 +99,56 @@ const TechnicianDashboard = ({ userProfile }) => {
     loadTechnicianData();
   }, [userProfile?.id]);
 
+  // My truck: materials currently stocked on the truck assigned to this technician
+  useEffect(() => {
+    if (!userProfile?.id || !companyId) return;
+
+    const loadTruckStock = async () => {
+      try {
+        const assignedTruck = await InventoryLocationService.getTruckForTechnician(companyId, userProfile.id);
+        setTruck(assignedTruck);
+        if (!assignedTruck) return;
+
+        const materialsResult = await MaterialsService.getActiveMaterials(companyId);
+        if (!materialsResult.success) return;
+
+        setTruckStock(
+          materialsResult.materials
+            .map((material) => ({
+              ...material,
+              truckQuantity: MaterialsService.getStockByLocation(material)[assignedTruck.id] || 0
+            }))
+            .filter((material) => material.truckQuantity !== 0)
+        );
+      } catch (error) {
+        console.error('Error loading truck stock:', error);
+      }
+    };
+
+    loadTruckStock();
+  }, [userProfile?.id, companyId]);
+
   const getStatusColor = (status) => {
-    switch (status?.toLowerCase()) {
+    switch (mapLegacyJobStatus(status)) {
       case 'completed':
         return 'bg-green-100 text-green-800';
+      case 'en_route':
+      case 'on_site':
       case 'in_progress':
         return 'bg-blue-100 text-blue-800';
+      case 'on_hold':
+        return 'bg-purple-100 text-purple-800';
       case 'scheduled':
         return 'bg-yellow-100 text-yellow-800';
       case 'cancelled':
+      case 'no_show':
         return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
   };
 
-  const getStatusLabel = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'completed':
-        return 'Completed';
-      case 'in_progress':
-        return 'In Progress';
-      case 'scheduled':
-        return 'Scheduled';
-      case 'cancelled':
-        return 'Cancelled';
-      default:
-        return status || 'Unknown';
-    }
-  };
+  const getStatusLabel = (status) => getJobStatusLabel(status);
 
   const formatTime = (time) => {
     if (!time) return 'Time TBD';
@@ -379,6 +407,46 @@ const TechnicianDashboard = ({ userProfile }) => {
         </motion.div>
       )}
 
+      {/* My Truck */}
+      {truck && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.35 }}
+          className="bg-white rounded-lg shadow-sm border border-gray-200"
+        >
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center gap-3">
+            <TruckIcon className="h-6 w-6 text-gray-400" />
+            <div>
+              <h2 className="text-lg font-medium text-gray-900">My Truck</h2>
+              <p className="text-sm text-gray-500">
+                {truck.name} · parts used on your jobs come out of this stock
+              </p>
+            </div>
+          </div>
+          <div className="p-6">
+            {truckStock.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-4">No stock recorded on this truck</p>
+            ) : (
+              <ul className="divide-y divide-gray-100">
+                {truckStock.map((material) => (
+                  <li key={material.id} className="flex items-center justify-between py-2">
+                    <div>
+                      <p className="text-sm font-medium text-gray-900">{material.name}</p>
+                      {material.category && <p className="text-xs text-gray-500">{material.category}</p>}
+                    </div>
+                    <span className={`text-sm font-semibold ${material.truckQuantity < 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                      {material.truckQuantity}
+                      {material.unit && <span className="ml-1 text-xs font-normal text-gray-500">{material.unit}</span>}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </motion.div>
+      )}
+
       {/* Quick Actions for Technicians */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { SparklesIcon } from '@heroicons/react/24/outline';
+import SchedulingRulesService from '../services/schedulingRulesService';
+import toast from 'react-hot-toast';
+
+const MAX_SUGGESTIONS = 5;
+
+/**
+ * Ranked technician picks for a job (skills, availability, distance).
+ * Ranking runs on request since it checks every technician's schedule.
+ */
+const TechnicianSuggestions = ({
+  companyId,
+  technicians = [],
+  serviceType,
+  date,
+  time,
+  durationMinutes = 60,
+  customerId = null,
+  excludeJobId = null,
+  selectedId,
+  onSelect
+}) => {
+  const [result, setResult] = useState(null);
+  const [isRanking, setIsRanking] = useState(false);
+
+  const handleSuggest = async () => {
+    setIsRanking(true);
+    const ranking = await SchedulingRulesService.rankTechnicians({
+      companyId,
+      technicians,
+      serviceType,
+      date,
+      time,
+      durationMinutes,
+      customerId,
+      excludeJobId
+    });
+    setIsRanking(false);
+
+    if (ranking.success) {
+      setResult(ranking);
+    } else {
+      toast.error(ranking.error || 'Failed to rank technicians');
+    }
+  };
+
+  if (!companyId || !serviceType || technicians.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="mt-2">
+      <button
+        type="button"
+        onClick={handleSuggest}
+        disabled={isRanking}
+        className="inline-flex items-center text-sm text-primary-600 hover:text-primary-800 disabled:opacity-50"
+      >
+        <SparklesIcon className="h-4 w-4 mr-1" />
+        {isRanking ? 'Checking technicians...' : 'Suggest technicians'}
+      </button>
+
+      {result && (
+        <div className="mt-2 border border-gray-200 rounded-lg divide-y divide-gray-100">
+          {result.requiredSkills.length > 0 && (
+            <p className="px-3 py-2 text-xs text-gray-500">
+              {serviceType} requires: {result.requiredSkills.join(', ')}
+            </p>
+          )}
+          {result.suggestions.slice(0, MAX_SUGGESTIONS).map(({ member, qualification, conflicts, available, distanceMiles }) => (
+            <button
+              type="button"
+              key={member.id}
+              onClick={() => onSelect(member)}
+              className={`w-full text-left px-3 py-2 hover:bg-gray-50 ${selectedId === member.id ? 'bg-primary-50' : ''}`}
+            >
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">{member.name || member.email}</span>
+                {distanceMiles !== null && <span className="text-xs text-gray-500">{distanceMiles} mi</span>}
+              </div>
+              <div className="mt-1 flex flex-wrap gap-1">
+                <span
+                  className={`px-2 py-0.5 rounded-full text-xs ${
+                    qualification.qualified ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
+                  }`}
+                >
+                  {qualification.qualified
+                    ? 'Qualified'
+                    : SchedulingRulesService.describeQualification(qualification)}
+                </span>
+                {date && time && (
+                  <span
+                    className={`px-2 py-0.5 rounded-full text-xs ${
+                      available ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                    }`}
+                    title={conflicts.map((conflict) => conflict.message).join('\n')}
+                  >
+                    {available ? 'Available' : conflicts[0].message}
+                  </span>
+                )}
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TechnicianSuggestions;
@@ -0,0 +1,73 @@
+export const JOB_STATUS_OPTIONS = [
+  { value: 'scheduled', label: 'Scheduled' },
+  { value: 'en_route', label: 'En Route' },
+  { value: 'on_site', label: 'On Site' },
+  { value: 'in_progress', label: 'In Progress' },
+  { value: 'on_hold', label: 'On Hold' },
+  { value: 'completed', label: 'Completed' },
+  { value: 'cancelled', label: 'Cancelled' },
+  { value: 'no_show', label: 'No Show' },
+];
+
+export const DEFAULT_JOB_STATUS = 'scheduled';
+
+// Travel and on-site steps may be skipped going forward, never backward.
+// Cancelled and no-show jobs can only be put back on the schedule.
+export const JOB_STATUS_TRANSITIONS = {
+  scheduled: ['en_route', 'on_site', 'in_progress', 'cancelled', 'no_show'],
+  en_route: ['on_site', 'in_progress', 'scheduled', 'cancelled', 'no_show'],
+  on_site: ['in_progress', 'cancelled', 'no_show'],
+  in_progress: ['on_hold', 'completed'],
+  on_hold: ['in_progress', 'completed', 'scheduled', 'cancelled'],
+  completed: [],
+  cancelled: ['scheduled'],
+  no_show: ['scheduled'],
+};
+
+// Timestamp field set each time a job enters a status (the full trail is in statusHistory)
+export const JOB_STATUS_TIMESTAMP_FIELDS = {
+  en_route: 'enRouteAt',
+  on_site: 'arrivedAt',
+  in_progress: 'startedAt',
+  on_hold: 'onHoldAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt',
+  no_show: 'noShowAt',
+};
+
+const LEGACY_JOB_STATUSES = {
+  enroute: 'en_route',
+  onsite: 'on_site',
+  arrived: 'on_site',
+  inprogress: 'in_progress',
+  started: 'in_progress',
+  onhold: 'on_hold',
+  paused: 'on_hold',
+  canceled: 'cancelled',
+  noshow: 'no_show',
+};
+
+const toStatusKey = (status) => (status || '').toLowerCase().trim().replace(/[\s-]+/g, '_');
+
+export const isKnownJobStatus = (status) => {
+  const key = toStatusKey(status);
+  return Boolean(JOB_STATUS_TRANSITIONS[key] || LEGACY_JOB_STATUSES[key]);
+};
+
+// Older jobs were saved as 'in-progress'/'on-hold'; treat them as the current values
+export const mapLegacyJobStatus = (status) => {
+  const key = toStatusKey(status);
+  if (JOB_STATUS_TRANSITIONS[key]) return key;
+  return LEGACY_JOB_STATUSES[key] || DEFAULT_JOB_STATUS;
+};
+
+export const getJobStatusLabel = (status) => {
+  if (!isKnownJobStatus(status)) return status || 'Unknown';
+  const value = mapLegacyJobStatus(status);
+  return JOB_STATUS_OPTIONS.find((option) => option.value === value).label;
+};
+
+export const getAllowedJobStatuses = (status) => JOB_STATUS_TRANSITIONS[mapLegacyJobStatus(status)] || [];
+
+export const canTransitionJobStatus = (from, to) =>
+  getAllowedJobStatuses(from).includes(mapLegacyJobStatus(to));
@@ -5,6 +5,7 @@ import {
   HomeIcon,
   DocumentTextIcon,
   BriefcaseIcon,
+  ClipboardDocumentListIcon,
   BuildingOfficeIcon,
   UserIcon,
   ArrowLeftOnRectangleIcon,
@@ -60,6 +61,11 @@ const CustomerPortalLayout = ({ children }) => {
       path: '/customer-portal/invoices',
       icon: BriefcaseIcon
     },
+    {
+      label: 'Estimates',
+      path: '/customer-portal/estimates',
+      icon: ClipboardDocumentListIcon
+    },
     {
       label: 'Company',
       path: '/customer-portal/company',
@@ -289,6 +295,11 @@ const CustomerPortalLayout = ({ children }) => {
                     Invoices
                   </Link>
                 </li>
+                <li>
+                  <Link to="/customer-portal/estimates" className="text-gray-600 hover:text-green-600">
+                    Estimates
+                  </Link>
+                </li>
                 <li>
                   <Link to="/customer-portal/profile" className="text-gray-600 hover:text-green-600">
                     Profile
@@ -41,6 +41,7 @@ const BulkImportPage = () => {
   const [results, setResults] = useState(null);
   const [importProgress, setImportProgress] = useState(null);
   const [hasImportedCurrentFile, setHasImportedCurrentFile] = useState(false);
+  const [customerMapping, setCustomerMapping] = useState({});
   const previewGridRef = useRef(null);
   const previewToolbarOptions = useMemo(() => ['Search', 'ExcelExport'], []);
   const previewPageSettings = useMemo(() => ({ pageSize: 5, pageSizes: [5, 10, 25] }), []);
@@ -63,9 +64,12 @@ const BulkImportPage = () => {
           const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
           const jsonData = XLSX.utils.sheet_to_json(firstSheet);
           
+          const headers = Object.keys(jsonData[0] || {});
+          setCustomerMapping(CustomerService.buildImportColumnMapping(headers));
+
           // Preview first 5 rows
           setPreview({
-            headers: Object.keys(jsonData[0] || {}),
+            headers,
             rows: jsonData.slice(0, 5),
             totalRows: jsonData.length
           });
@@ -289,169 +293,19 @@ const BulkImportPage = () => {
   };
 
   // Process Customers Import
-  const processCustomersImport = async (jsonData, onProgress = () => {}) => {
-    const importResults = {
-      total: jsonData.length,
-      successful: 0,
-      failed: 0,
-      duplicates: 0,
-      errors: []
-    };
-
-    const duplicateMaps = await CustomerService.getCustomerDuplicateMaps(userProfile);
-    const emailKeys = new Set(duplicateMaps.emailKeys);
-    const nameZipKeys = new Set(duplicateMaps.nameZipKeys);
-    const companyId = userProfile?.companyId || null;
-
-    for (let i = 0; i < jsonData.length; i++) {
-      const row = jsonData[i];
-      const rowNumber = i + 2; // +2 for 1-indexed and header row
-      const processedCount = i + 1;
-      
-      // Normalize headers (case-insensitive)
-      const name = row.name || row.Name || row.NAME || row['Customer Name'] || row['customer name'] || '';
-      const email = row.email || row.Email || row.EMAIL || row['Customer Email'] || row['customer email'] || '';
-      const phone = row.phone || row.Phone || row.PHONE || row['Phone Number'] || row['phone number'] || '';
-      const address = row.address || row.Address || row.ADDRESS || row['Street Address'] || row['street address'] || '';
-      const city = row.city || row.City || row.CITY || row['City/Town'] || row['city/town'] || '';
-      const state = row.state || row.State || row.STATE || row['State/Province'] || row['state/province'] || '';
-      const zipCode = row.zipCode || row.zipcode || row['zip code'] || row['ZIP Code'] || row['ZIP CODE'] || row['Postal Code'] || row['postal code'] || '';
-      const notes = row.notes || row.Notes || row.NOTES || row['Service Notes'] || row['service notes'] || '';
-      const emailConsent = row.emailConsent || row['email consent'] || row['Email Consent'] || 'false';
-
-      const trimmedName = name?.toString().trim() || '';
-      const trimmedEmail = email?.toString().trim() || '';
-      const trimmedPhone = phone?.toString().trim() || '';
-      const trimmedAddress = address?.toString().trim() || '';
-      const trimmedCity = city?.toString().trim() || '';
-      const trimmedState = state?.toString().trim() || '';
-      const trimmedZip = zipCode?.toString().trim() || '';
-      const trimmedNotes = notes?.toString().trim() || '';
-
-      const nameKey = trimmedName.toLowerCase();
-      const emailKey = trimmedEmail.toLowerCase();
-      const zipKey = trimmedZip.toLowerCase();
-      const emailCompanyKey = companyId && emailKey ? `${companyId}__${emailKey}` : null;
-      const nameZipCompanyKey = companyId && nameKey && zipKey ? `${companyId}__${nameKey}__${zipKey}` : null;
-
-      // Validation: name is required
-      if (!trimmedName) {
-        importResults.failed++;
-        importResults.errors.push({
-          row: rowNumber,
-          identifier: trimmedEmail || trimmedPhone || '(no identifier)',
-          error: 'Missing customer name'
-        });
-        onProgress(processedCount);
-        continue;
-      }
-
-      // At least one of email or phone is required
-      if (!trimmedEmail && !trimmedPhone) {
-        importResults.failed++;
-        importResults.errors.push({
-          row: rowNumber,
-          identifier: trimmedName,
-          error: 'At least one of email or phone is required'
-        });
-        onProgress(processedCount);
-        continue;
-      }
-
-      // Email validation if provided
-      if (trimmedEmail && !trimmedEmail.includes('@')) {
-        importResults.failed++;
-        importResults.errors.push({
-          row: rowNumber,
-          identifier: trimmedName,
-          error: 'Invalid email format'
-        });
-        onProgress(processedCount);
-        continue;
-      }
-
-      // Duplicate checks (existing records or within current import)
-      if (emailCompanyKey && emailKeys.has(emailCompanyKey)) {
-        importResults.duplicates++;
-        importResults.errors.push({
-          row: rowNumber,
-          identifier: trimmedEmail || trimmedName,
-          error: 'Duplicate customer (email already exists) - skipped'
-        });
-        onProgress(processedCount);
-        continue;
-      }
-
-      if (nameZipCompanyKey && nameZipKeys.has(nameZipCompanyKey)) {
-        importResults.duplicates++;
-        importResults.errors.push({
-          row: rowNumber,
-          identifier: trimmedName,
-          error: 'Duplicate customer (name + ZIP already exists) - skipped'
-        });
-        onProgress(processedCount);
-        continue;
-      }
-
-      try {
-        const customerData = {
-          name: trimmedName,
-          email: trimmedEmail || '',
-          phone: trimmedPhone || '',
-          address: trimmedAddress || '',
-          city: trimmedCity || '',
-          state: trimmedState || '',
-          zipCode: trimmedZip || '',
-          notes: trimmedNotes || '',
-          emailConsent: emailConsent === 'true' || emailConsent === true
-        };
-
-        const result = await CustomerService.createCustomer(customerData, userProfile);
-
-        if (result.success) {
-          importResults.successful++;
-          if (emailCompanyKey) {
-            emailKeys.add(emailCompanyKey);
-          }
-          if (nameZipCompanyKey) {
-            nameZipKeys.add(nameZipCompanyKey);
-          }
-          
-          // Show different message if pending
-          if (result.customer.status === 'pending') {
-            // Count pending in results (will show in summary)
-          }
-        } else {
-          importResults.failed++;
-          importResults.errors.push({
-            row: rowNumber,
-            identifier: trimmedName,
-            error: result.error || 'Failed to create customer'
-          });
-          if (result.error && /duplicate/i.test(result.error)) {
-            importResults.failed = Math.max(importResults.failed - 1, 0);
-            importResults.duplicates++;
-            importResults.errors[importResults.errors.length - 1].error = result.error;
-          }
-        }
-      } catch (error) {
-        importResults.failed++;
-        importResults.errors.push({
-          row: rowNumber,
-          identifier: trimmedName,
-          error: error.message || 'Unknown error'
-        });
-      }
-
-      // Small delay to avoid rate limiting
-      if (i % 10 === 0 && i > 0) {
-        await new Promise(resolve => setTimeout(resolve, 100));
-      }
-
-      onProgress(processedCount);
+  const processCustomersImport = async (jsonData, onProgress = () => {}, dryRun = false) => {
+    const result = await CustomerService.importCustomers(jsonData, {
+      mapping: customerMapping,
+      dryRun,
+      userProfile,
+      onProgress
+    });
+
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to import customers');
     }
 
-    return importResults;
+    return result;
   };
 
   // Process Services Import
@@ -833,7 +687,7 @@ const BulkImportPage = () => {
     materials: 'materials'
   };
 
-  const processFile = async () => {
+  const processFile = async (dryRun = false) => {
     if (!file || !userProfile?.companyId) {
       toast.error('Please select a file and ensure you have a company');
       return;
@@ -863,7 +717,7 @@ const BulkImportPage = () => {
             current: 0,
             total: totalRows,
             percent: 0,
-            label: `Importing ${importLabels[activeTab] || 'records'}`
+            label: `${dryRun ? 'Validating' : 'Importing'} ${importLabels[activeTab] || 'records'}`
           });
           const updateProgress = (processed) => {
             setImportProgress(prev => {
@@ -884,7 +738,7 @@ const BulkImportPage = () => {
               importResults = await processUsersImport(jsonData, updateProgress);
               break;
             case 'customers':
-              importResults = await processCustomersImport(jsonData, updateProgress);
+              importResults = await processCustomersImport(jsonData, updateProgress, dryRun);
               break;
             case 'services':
               importResults = await processServicesImport(jsonData, updateProgress);
@@ -902,7 +756,12 @@ const BulkImportPage = () => {
           updateProgress(totalRows);
 
           setResults(importResults);
-          
+
+          if (dryRun) {
+            toast.success(`Validation complete: ${importResults.successful} ready, ${importResults.failed} invalid, ${importResults.duplicates} duplicates. Nothing was imported.`);
+            return;
+          }
+
           if (importResults.failed === 0 && importResults.errors.length === 0) {
             toast.success(`Import complete: ${importResults.successful} ${activeTab} imported successfully!`);
           } else {
@@ -914,7 +773,9 @@ const BulkImportPage = () => {
           toast.error('Failed to process file: ' + error.message);
         } finally {
           setIsLoading(false);
-          setHasImportedCurrentFile(true);
+          if (!dryRun) {
+            setHasImportedCurrentFile(true);
+          }
           setTimeout(() => setImportProgress(null), 600);
         }
       };
@@ -1029,6 +890,7 @@ const BulkImportPage = () => {
     setResults(null);
     setImportProgress(null);
     setHasImportedCurrentFile(false);
+    setCustomerMapping({});
   };
 
   if (!userProfile?.companyId) {
@@ -1215,6 +1077,35 @@ const BulkImportPage = () => {
             </div>
           )}
 
+          {preview && activeTab === 'customers' && (
+            <div className="mt-4">
+              <p className="text-sm font-medium text-gray-700 mb-2">Column Mapping</p>
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+                {CustomerService.IMPORT_FIELDS.map((field) => (
+                  <label key={field.key} className="flex items-center justify-between gap-2 text-xs text-gray-600">
+                    <span>
+                      {field.label}
+                      {field.required && <span className="text-red-500"> *</span>}
+                    </span>
+                    <select
+                      value={customerMapping[field.key] || ''}
+                      onChange={(e) => {
+                        setCustomerMapping(prev => ({ ...prev, [field.key]: e.target.value || undefined }));
+                        setHasImportedCurrentFile(false);
+                      }}
+                      className="w-40 px-2 py-1 border border-gray-300 rounded-md text-xs"
+                    >
+                      <option value="">— Not imported —</option>
+                      {preview.headers.map((header) => (
+                        <option key={header} value={header}>{header}</option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
           {importProgress && (
             <div className="mt-4">
               <div className="flex items-center justify-between text-xs text-gray-600 mb-1">
@@ -1233,9 +1124,18 @@ const BulkImportPage = () => {
             </div>
           )}
 
+          {activeTab === 'customers' && (
+            <button
+              onClick={() => processFile(true)}
+              disabled={!file || isLoading || hasImportedCurrentFile || !customerMapping.name}
+              className="mt-6 w-full px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
+            >
+              Validate (Dry Run)
+            </button>
+          )}
           <button
-            onClick={processFile}
-            disabled={!file || isLoading || hasImportedCurrentFile}
+            onClick={() => processFile()}
+            disabled={!file || isLoading || hasImportedCurrentFile || (activeTab === 'customers' && !customerMapping.name)}
             className="mt-6 w-full px-4 py-2 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-primary-600 hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-primary-500 disabled:opacity-50 disabled:cursor-not-allowed"
           >
             {isLoading ? 'Processing...' : `Import ${activeTab.charAt(0).toUpperCase() + activeTab.slice(1)}`}
@@ -1301,7 +1201,14 @@ const BulkImportPage = () => {
           {/* Results */}
           {results && (
             <div className="bg-white shadow rounded-lg p-6">
-              <h2 className="text-lg font-medium text-gray-900 mb-4">Import Results</h2>
+              <h2 className="text-lg font-medium text-gray-900 mb-4">
+                {results.dryRun ? 'Validation Report' : 'Import Results'}
+              </h2>
+              {results.dryRun && (
+                <div className="mb-4 p-3 bg-blue-50 rounded-md text-xs text-blue-800">
+                  Dry run — nothing was written. Fix the rows below, then import.
+                </div>
+              )}
               <div className="space-y-3">
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-600">Total rows processed:</span>
@@ -1310,14 +1217,14 @@ const BulkImportPage = () => {
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-600 flex items-center">
                     <CheckCircleIcon className="w-5 h-5 text-green-500 mr-2" />
-                    Successful:
+                    {results.dryRun ? 'Ready to import:' : 'Successful:'}
                   </span>
                   <span className="text-sm font-medium text-green-600">{results.successful}</span>
                 </div>
                 <div className="flex items-center justify-between">
                   <span className="text-sm text-gray-600 flex items-center">
                     <XCircleIcon className="w-5 h-5 text-red-500 mr-2" />
-                    Failed:
+                    {results.dryRun ? 'Invalid:' : 'Failed:'}
                   </span>
                   <span className="text-sm font-medium text-red-600">{results.failed}</span>
                 </div>
@@ -1331,6 +1238,22 @@ const BulkImportPage = () => {
                   </div>
                 )}
                 
+                {results.rows && results.warnings > 0 && (
+                  <div className="mt-4">
+                    <p className="text-sm font-medium text-gray-700 mb-2">
+                      Warnings ({results.warnings}):
+                    </p>
+                    <div className="max-h-40 overflow-y-auto space-y-1 border border-gray-200 rounded-md p-2">
+                      {results.rows.filter(row => row.warnings.length > 0).map((row) => (
+                        <div key={row.row} className="text-xs text-yellow-800 bg-yellow-50 p-2 rounded border border-yellow-200">
+                          <div className="font-semibold">Row {row.row}: {row.identifier}</div>
+                          <div className="mt-1">{row.warnings.join('; ')}</div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
                 {results.errors.length > 0 && (
                   <div className="mt-4">
                     <p className="text-sm font-medium text-gray-700 mb-2">
@@ -5,6 +5,7 @@ import JobManagementService from '../services/jobManagementService';
 import CustomerService from '../services/customerService';
 import { useAuth } from '../contexts/AuthContext';
 import { useCompany } from '../contexts/CompanyContext';
+import { getJobStatusLabel, mapLegacyJobStatus } from '../constants/jobStatuses';
 import { 
   CalendarIcon,
   ClockIcon,
@@ -114,24 +115,18 @@ const CalendarPage = () => {
   const getStatusColor = (status) => {
     const colors = {
       'scheduled': '#3B82F6', // Blue
-      'in-progress': '#F59E0B', // Amber
+      'en_route': '#6366F1', // Indigo
+      'on_site': '#6366F1', // Indigo
+      'in_progress': '#F59E0B', // Amber
       'completed': '#10B981', // Green
       'cancelled': '#EF4444', // Red
-      'on-hold': '#8B5CF6' // Purple
+      'no_show': '#EF4444', // Red
+      'on_hold': '#8B5CF6' // Purple
     };
-    return colors[status] || '#6B7280'; // Gray default
+    return colors[mapLegacyJobStatus(status)] || '#6B7280'; // Gray default
   };
 
-  const getStatusText = (status) => {
-    const statusTexts = {
-      'scheduled': 'Scheduled',
-      'in-progress': 'In Progress',
-      'completed': 'Completed',
-      'cancelled': 'Cancelled',
-      'on-hold': 'On Hold'
-    };
-    return statusTexts[status] || 'Unknown';
-  };
+  const getStatusText = (status) => getJobStatusLabel(status);
 
   const onEventClick = (args) => {
     const jobData = args.event.JobData;
@@ -279,8 +274,8 @@ const CalendarPage = () => {
                   <div className="flex items-center space-x-2">
                     <span className={`px-3 py-1 rounded-full text-sm font-medium ${
                       selectedJob.status === 'completed' ? 'bg-green-100 text-green-800' :
-                      selectedJob.status === 'in-progress' ? 'bg-amber-100 text-amber-800' :
-                      selectedJob.status === 'cancelled' ? 'bg-red-100 text-red-800' :
+                      mapLegacyJobStatus(selectedJob.status) === 'in_progress' ? 'bg-amber-100 text-amber-800' :
+                      ['cancelled', 'no_show'].includes(selectedJob.status) ? 'bg-red-100 text-red-800' :
                       'bg-blue-100 text-blue-800'
                     }`}>
                       {getStatusText(selectedJob.status)}
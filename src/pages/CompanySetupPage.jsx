@@ -31,7 +31,12 @@ import {
   PencilIcon,
   ArrowPathIcon,
   ClipboardDocumentIcon,
-  GlobeAltIcon
+  GlobeAltIcon,
+  ArchiveBoxIcon,
+  ShoppingCartIcon,
+  TruckIcon,
+  AcademicCapIcon,
+  ClipboardDocumentCheckIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import { formatPhoneNumber } from '../utils/phoneFormatter';
@@ -52,6 +57,14 @@ import {
 import { ROLE_OPTIONS, DEFAULT_ROLE } from '../constants/roles';
 import DirectorySettings from '../components/DirectorySettings';
 import DirectoryService from '../services/directoryService';
+import ExportModal from '../components/ExportModal';
+import InventoryMovementsModal from '../components/InventoryMovementsModal';
+import ReorderModal from '../components/ReorderModal';
+import InventoryLocationsModal from '../components/InventoryLocationsModal';
+import TeamMemberSkillsModal from '../components/TeamMemberSkillsModal';
+import ServiceSkillRequirementsModal from '../components/ServiceSkillRequirementsModal';
+import ChecklistTemplatesModal from '../components/ChecklistTemplatesModal';
+import { toLocalDateString } from '../utils/dateHelpers';
 
 const CompanySetupPage = () => {
   const { userProfile, updateUserProfile, isSuperAdmin, currentUser } = useAuth();
@@ -63,6 +76,10 @@ const CompanySetupPage = () => {
     { value: 90, label: '90 days' },
     { value: 180, label: '180 days' }
   ]), []);
+  const FISCAL_MONTH_OPTIONS = useMemo(() => ([
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December'
+  ]), []);
   const [currentStep, setCurrentStep] = useState(1);
   const [isLoading, setIsLoading] = useState(false);
   const [company, setCompany] = useState(null);
@@ -128,7 +145,8 @@ const CompanySetupPage = () => {
     logo: '',
     primaryColor: '#10b981',
     secondaryColor: '#6b7280',
-    photoRetentionDays: 0
+    photoRetentionDays: 0,
+    fiscalYearStartMonth: 1
   });
 
   const [serviceCategories, setServiceCategories] = useState([]); // For category selection
@@ -153,6 +171,13 @@ const CompanySetupPage = () => {
     });
     return Array.from(servicesSet).filter((service) => !standardServiceSet.has(service));
   }, [company?.services, selectedServices, standardServiceSet]);
+  // Skill names already in use, offered as suggestions when adding skills to a team member
+  const knownSkills = useMemo(() => {
+    const names = new Set();
+    Object.values(company?.serviceSkillRequirements || {}).forEach((skills) => skills.forEach((skill) => names.add(skill)));
+    teamMembers.forEach((member) => (member.skills || []).forEach((skill) => names.add(skill.name)));
+    return Array.from(names).sort();
+  }, [company?.serviceSkillRequirements, teamMembers]);
   const [newMemberEmail, setNewMemberEmail] = useState('');
   const [newMemberRole, setNewMemberRole] = useState(DEFAULT_ROLE);
   const [logoUploading, setLogoUploading] = useState(false);
@@ -164,6 +189,13 @@ const CompanySetupPage = () => {
   const [materialsCategoryFilter, setMaterialsCategoryFilter] = useState('all');
   const [showMaterialModal, setShowMaterialModal] = useState(false);
   const [showMaterialImportModal, setShowMaterialImportModal] = useState(false);
+  const [showMaterialExportModal, setShowMaterialExportModal] = useState(false);
+  const [stockMaterial, setStockMaterial] = useState(null);
+  const [showReorderModal, setShowReorderModal] = useState(false);
+  const [showLocationsModal, setShowLocationsModal] = useState(false);
+  const [skillsMember, setSkillsMember] = useState(null);
+  const [showSkillRequirementsModal, setShowSkillRequirementsModal] = useState(false);
+  const [showChecklistsModal, setShowChecklistsModal] = useState(false);
   const [selectedMaterial, setSelectedMaterial] = useState(null);
   const [materialData, setMaterialData] = useState({
     name: '',
@@ -208,6 +240,11 @@ const determineTeamManagementAccess = useCallback(
 );
 
 // Materials functions
+const lowStockCount = useMemo(
+  () => materials.filter((material) => MaterialsService.isLowStock(material)).length,
+  [materials]
+);
+
 const loadMaterials = useCallback(async () => {
   const companyId = company?.id || effectiveCompanyId;
   if (!companyId) {
@@ -385,6 +422,16 @@ const loadMaterials = useCallback(async () => {
             Resend
           </button>
         )}
+        {/* Synthesized rows (user-*, owner-*) have no team member record to hold skills */}
+        {!/^(user|owner)-/.test(props.id) && (
+          <button
+            type="button"
+            onClick={() => setSkillsMember(props)}
+            className="text-primary-600 hover:text-primary-800 text-sm"
+          >
+            Skills
+          </button>
+        )}
         <button
           type="button"
           onClick={() => handleRemoveTeamMember(props.id)}
@@ -396,6 +443,29 @@ const loadMaterials = useCallback(async () => {
     );
   };
 
+  const teamSkillsTemplate = (props) => {
+    const today = toLocalDateString();
+    if (!props.skills || props.skills.length === 0) {
+      return <span className="text-xs text-gray-400">—</span>;
+    }
+    return (
+      <div className="flex flex-wrap gap-1">
+        {props.skills.map((skill) => {
+          const expired = skill.expiresAt && skill.expiresAt < today;
+          return (
+            <span
+              key={skill.name}
+              title={skill.expiresAt ? `${expired ? 'Expired' : 'Expires'} ${skill.expiresAt}` : 'No expiry'}
+              className={`px-2 py-0.5 rounded-full text-xs ${expired ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-700'}`}
+            >
+              {skill.name}
+            </span>
+          );
+        })}
+      </div>
+    );
+  };
+
   const teamInvitedOnTemplate = (props) => (
     <span className="text-sm text-gray-700">
       {props.createdAt ? formatDateValue(props.createdAt) : '—'}
@@ -439,9 +509,12 @@ const loadMaterials = useCallback(async () => {
   );
 
   const materialStockTemplate = (props) => (
-    <div className="text-sm text-right text-gray-800">
+    <div className={`text-sm text-right ${MaterialsService.isLowStock(props) ? 'text-red-600 font-semibold' : 'text-gray-800'}`}>
       {props.quantityInStock ?? 0}
       {props.unit && <span className="text-xs text-gray-500 ml-1">{props.unit}</span>}
+      {MaterialsService.isLowStock(props) && (
+        <span className="block text-xs font-normal">Low stock</span>
+      )}
     </div>
   );
 
@@ -466,6 +539,14 @@ const loadMaterials = useCallback(async () => {
 
   const materialActionsTemplate = (props) => (
     <div className="flex justify-end gap-2">
+      <button
+        type="button"
+        onClick={() => setStockMaterial(props)}
+        className="text-gray-600 hover:text-gray-900"
+        title="Stock"
+      >
+        <ArchiveBoxIcon className="h-4 w-4" />
+      </button>
       <button
         type="button"
         onClick={() => handleOpenMaterialModal(props)}
@@ -616,7 +697,8 @@ const renderCompaniesEmptyState = () => (
       secondaryColor: companyRecord.secondaryColor || '#6b7280',
       photoRetentionDays: typeof companyRecord.photoRetentionDays === 'number'
         ? companyRecord.photoRetentionDays
-        : 0
+        : 0,
+      fiscalYearStartMonth: CompanyService.normalizeFiscalYearStartMonth(companyRecord.fiscalYearStartMonth)
     });
 
     setServiceCategories(companyRecord.serviceCategories || []);
@@ -1596,18 +1678,43 @@ const renderCompaniesEmptyState = () => (
                     Select the service categories your company offers. These match the options available in the mobile app and will be used in estimates and job scheduling.
                   </p>
                 </div>
-                {(userProfile?.role === 'admin' || isSuperAdmin) && (
-                  <button
-                    type="button"
-                    onClick={handleSyncServicesToQuickBooks}
-                    disabled={isLoading || selectedServices.length === 0}
-                    className="inline-flex items-center px-4 py-2 border border-green-300 rounded-lg bg-white text-green-700 text-sm font-medium hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed"
-                    title="Sync selected services to QuickBooks"
-                  >
-                    <ArrowPathIcon className={`w-5 h-5 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
-                    Sync to QuickBooks
-                  </button>
-                )}
+                <div className="flex items-center">
+                  {(userProfile?.role === 'admin' || isSuperAdmin) && (
+                    <button
+                      type="button"
+                      onClick={handleSyncServicesToQuickBooks}
+                      disabled={isLoading || selectedServices.length === 0}
+                      className="inline-flex items-center px-4 py-2 border border-green-300 rounded-lg bg-white text-green-700 text-sm font-medium hover:bg-green-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Sync selected services to QuickBooks"
+                    >
+                      <ArrowPathIcon className={`w-5 h-5 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+                      Sync to QuickBooks
+                    </button>
+                  )}
+                  {(userProfile?.role === 'admin' || isSuperAdmin) && company?.id && (
+                    <button
+                      type="button"
+                      onClick={() => setShowSkillRequirementsModal(true)}
+                      disabled={selectedServices.length === 0}
+                      className="ml-2 inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg bg-white text-gray-700 text-sm font-medium hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed"
+                      title="Skills a technician needs for each service"
+                    >
+                      <AcademicCapIcon className="w-5 h-5 mr-2" />
+                      Required Skills
+                    </button>
+                  )}
+                  {(userProfile?.role === 'admin' || isSuperAdmin) && company?.id && (
+                    <button
+                      type="button"
+                      onClick={() => setShowChecklistsModal(true)}
+                      className="ml-2 inline-flex items-center px-4 py-2 border border-gray-300 rounded-lg bg-white text-gray-700 text-sm font-medium hover:bg-gray-50"
+                      title="Completion forms technicians fill in for each service"
+                    >
+                      <ClipboardDocumentCheckIcon className="w-5 h-5 mr-2" />
+                      Checklists
+                    </button>
+                  )}
+                </div>
               </div>
               
               <div className="space-y-4">
@@ -1839,7 +1946,7 @@ const renderCompaniesEmptyState = () => (
                     Manage materials and products used by your technicians. These will be available for selection on jobs.
                   </p>
                 </div>
-                <div className="flex gap-2">
+                <div className="flex flex-wrap justify-end gap-2">
                   <button
                     type="button"
                     onClick={handleDownloadMaterialTemplate}
@@ -1856,6 +1963,36 @@ const renderCompaniesEmptyState = () => (
                     <ArrowUpTrayIcon className="h-4 w-4" />
                     Import
                   </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowMaterialExportModal(true)}
+                    disabled={materials.length === 0}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 flex items-center gap-2 disabled:opacity-50"
+                  >
+                    <ArrowDownTrayIcon className="h-4 w-4" />
+                    Export
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowReorderModal(true)}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 flex items-center gap-2"
+                  >
+                    <ShoppingCartIcon className="h-4 w-4" />
+                    Reorder
+                    {lowStockCount > 0 && (
+                      <span className="inline-flex items-center justify-center px-1.5 min-w-[1.25rem] text-xs font-semibold rounded-full bg-red-100 text-red-700">
+                        {lowStockCount}
+                      </span>
+                    )}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowLocationsModal(true)}
+                    className="px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 bg-white hover:bg-gray-50 flex items-center gap-2"
+                  >
+                    <TruckIcon className="h-4 w-4" />
+                    Locations
+                  </button>
                   <button
                     type="button"
                     onClick={() => handleOpenMaterialModal()}
@@ -2146,6 +2283,13 @@ const renderCompaniesEmptyState = () => (
                         template={teamStatusTemplate}
                         allowSorting={false}
                       />
+                      <ColumnDirective
+                        headerText="Skills"
+                        width="200"
+                        template={teamSkillsTemplate}
+                        allowFiltering={false}
+                        allowSorting={false}
+                      />
                       <ColumnDirective
                         field="invitationCode"
                         headerText="Invitation"
@@ -2272,6 +2416,30 @@ const renderCompaniesEmptyState = () => (
                 </div>
               </div>
             </div>
+
+            <div className="border-t border-gray-200 pt-6 mt-8">
+              <h3 className="text-lg font-medium text-gray-900 mb-2">Reporting</h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Quarter and year reports follow your fiscal year.
+              </p>
+
+              <div className="grid gap-6 sm:grid-cols-2">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Fiscal year starts in</label>
+                  <select
+                    value={String(companyData.fiscalYearStartMonth ?? 1)}
+                    onChange={(event) => handleInputChange('fiscalYearStartMonth', parseInt(event.target.value, 10))}
+                    className="mt-1 block w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
+                  >
+                    {FISCAL_MONTH_OPTIONS.map((month, index) => (
+                      <option key={month} value={index + 1}>
+                        {month}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            </div>
           </div>
         );
 
@@ -3042,6 +3210,70 @@ const renderCompaniesEmptyState = () => (
           </div>
         </div>
       )}
+
+      {showMaterialExportModal && (
+        <ExportModal
+          entity="materials"
+          companyId={getEffectiveCompanyId()}
+          userProfile={userProfile}
+          onClose={() => setShowMaterialExportModal(false)}
+        />
+      )}
+
+      {stockMaterial && (
+        <InventoryMovementsModal
+          material={stockMaterial}
+          onClose={() => setStockMaterial(null)}
+          onUpdated={loadMaterials}
+        />
+      )}
+
+      {showReorderModal && (
+        <ReorderModal
+          companyId={company?.id || effectiveCompanyId}
+          onClose={() => setShowReorderModal(false)}
+          onStockChanged={loadMaterials}
+        />
+      )}
+
+      {showLocationsModal && (
+        <InventoryLocationsModal
+          companyId={company?.id || effectiveCompanyId}
+          teamMembers={teamMembers}
+          onClose={() => setShowLocationsModal(false)}
+        />
+      )}
+
+      {skillsMember && (
+        <TeamMemberSkillsModal
+          member={skillsMember}
+          knownSkills={knownSkills}
+          onClose={() => setSkillsMember(null)}
+          onSaved={(skills) =>
+            setTeamMembers((prev) =>
+              prev.map((member) => (member.id === skillsMember.id ? { ...member, skills } : member))
+            )
+          }
+        />
+      )}
+
+      {showSkillRequirementsModal && (
+        <ServiceSkillRequirementsModal
+          companyId={company.id}
+          services={selectedServices.map((service) => (typeof service === 'string' ? service : service.name)).filter(Boolean)}
+          requirements={company.serviceSkillRequirements || {}}
+          onClose={() => setShowSkillRequirementsModal(false)}
+          onSaved={(requirements) => setCompany((prev) => ({ ...prev, serviceSkillRequirements: requirements }))}
+        />
+      )}
+
+      {showChecklistsModal && (
+        <ChecklistTemplatesModal
+          companyId={company.id}
+          services={selectedServices.map((service) => (typeof service === 'string' ? service : service.name)).filter(Boolean)}
+          onClose={() => setShowChecklistsModal(false)}
+        />
+      )}
     </motion.div>
   );
 };
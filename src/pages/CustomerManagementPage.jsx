@@ -25,6 +25,7 @@ import {
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import { formatPhoneNumber } from '../utils/phoneFormatter';
+import ExportModal from '../components/ExportModal';
 import {
   GridComponent,
   ColumnsDirective,
@@ -487,14 +488,7 @@ const CustomerManagementPage = () => {
   };
 
   const gridRef = useRef(null);
-
-  const handleGridExport = () => {
-    if (gridRef.current) {
-      gridRef.current.excelExport({
-        fileName: `customers-${new Date().toISOString().split('T')[0]}.xlsx`
-      });
-    }
-  };
+  const [showExportModal, setShowExportModal] = useState(false);
 
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -713,7 +707,7 @@ const CustomerManagementPage = () => {
           </div>
           <div className="flex space-x-3">
             <button
-              onClick={handleGridExport}
+              onClick={() => setShowExportModal(true)}
             className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
             >
               <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
@@ -1555,6 +1549,15 @@ const CustomerManagementPage = () => {
           </div>
         </div>
       )}
+
+      {showExportModal && (
+        <ExportModal
+          entity="customers"
+          companyId={getEffectiveCompanyId()}
+          userProfile={userProfile}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
     </motion.div>
   );
 };
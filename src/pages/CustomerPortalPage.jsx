@@ -15,6 +15,7 @@ import {
   ChevronDownIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
+import { getJobStatusLabel } from '../constants/jobStatuses';
 
 const CustomerPortalPage = () => {
   const { currentUser } = useAuth();
@@ -97,31 +98,23 @@ const CustomerPortalPage = () => {
     switch (status?.toLowerCase()) {
       case 'completed':
         return 'bg-green-100 text-green-800';
+      case 'en_route':
+      case 'on_site':
       case 'in_progress':
         return 'bg-blue-100 text-blue-800';
+      case 'on_hold':
+        return 'bg-purple-100 text-purple-800';
       case 'scheduled':
         return 'bg-yellow-100 text-yellow-800';
       case 'cancelled':
+      case 'no_show':
         return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
     }
   };
 
-  const getStatusLabel = (status) => {
-    switch (status?.toLowerCase()) {
-      case 'completed':
-        return 'Completed';
-      case 'in_progress':
-        return 'In Progress';
-      case 'scheduled':
-        return 'Scheduled';
-      case 'cancelled':
-        return 'Cancelled';
-      default:
-        return status || 'Unknown';
-    }
-  };
+  const getStatusLabel = (status) => getJobStatusLabel(status);
 
   if (portalLoading) {
     return (
@@ -0,0 +1,499 @@
+import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
+import {
+  ScheduleComponent,
+  ViewsDirective,
+  ViewDirective,
+  ResourcesDirective,
+  ResourceDirective,
+  TimelineViews,
+  Inject,
+  DragAndDrop
+} from '@syncfusion/ej2-react-schedule';
+import JobManagementService from '../services/jobManagementService';
+import CompanyService from '../services/companyService';
+import LocationSettingsService from '../services/locationSettingsService';
+import { useAuth } from '../contexts/AuthContext';
+import { useCompany } from '../contexts/CompanyContext';
+import { toLocalDateString } from '../utils/dateHelpers';
+import { mapLegacyJobStatus } from '../constants/jobStatuses';
+import {
+  ViewColumnsIcon,
+  ArrowUturnLeftIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  InboxStackIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+import '../styles/syncfusion.css';
+
+const STATUS_COLORS = {
+  'scheduled': '#3B82F6',
+  'en_route': '#6366F1',
+  'on_site': '#6366F1',
+  'in_progress': '#F59E0B',
+  'completed': '#10B981',
+  'cancelled': '#EF4444',
+  'no_show': '#EF4444',
+  'on_hold': '#8B5CF6'
+};
+
+const LANE_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316', '#6366F1'];
+
+const VIEWS = {
+  day: 'TimelineDay',
+  week: 'TimelineWeek'
+};
+
+const formatTimeValue = (date) =>
+  `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`;
+
+const getDurationMinutes = (job) =>
+  JobManagementService.parseDurationMinutes(job.duration, null) ||
+  JobManagementService.parseDurationMinutes(job.estimatedDuration, null) ||
+  60;
+
+const isPointInside = (element, event) => {
+  if (!element || !event) return false;
+  const point = event.changedTouches ? event.changedTouches[0] : event;
+  const rect = element.getBoundingClientRect();
+  return (
+    point.clientX >= rect.left &&
+    point.clientX <= rect.right &&
+    point.clientY >= rect.top &&
+    point.clientY <= rect.bottom
+  );
+};
+
+const DispatchBoardPage = () => {
+  const { userProfile } = useAuth();
+  const { getEffectiveCompanyId } = useCompany();
+  const companyIdForJobs = typeof getEffectiveCompanyId === 'function' ? getEffectiveCompanyId() : null;
+
+  const [jobs, setJobs] = useState([]);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [workHours, setWorkHours] = useState({ start: '08:00', end: '17:00' });
+  const [isLoading, setIsLoading] = useState(true);
+  const [view, setView] = useState('day');
+  const [selectedDate, setSelectedDate] = useState(new Date());
+  const [pendingMove, setPendingMove] = useState(null);
+  const [isMoving, setIsMoving] = useState(false);
+  const [undoStack, setUndoStack] = useState([]);
+
+  const scheduleRef = useRef(null);
+  const queueRef = useRef(null);
+
+  const loadBoard = useCallback(async () => {
+    if (!companyIdForJobs) {
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const [jobsResult, teamResult, settingsResult] = await Promise.all([
+        JobManagementService.getJobs(1000, null, {}, userProfile, companyIdForJobs),
+        CompanyService.getTeamMembers(companyIdForJobs),
+        LocationSettingsService.getCompanySettings(companyIdForJobs)
+      ]);
+
+      if (jobsResult.success) {
+        setJobs(jobsResult.jobs);
+      } else {
+        toast.error(jobsResult.error || 'Failed to load jobs');
+      }
+
+      if (teamResult.success) {
+        setTeamMembers(teamResult.teamMembers);
+      } else {
+        toast.error(teamResult.error || 'Failed to load technicians');
+      }
+
+      const settings = settingsResult.success ? settingsResult.settings : null;
+      if (settings?.businessHoursStart && settings?.businessHoursEnd) {
+        setWorkHours({ start: settings.businessHoursStart, end: settings.businessHoursEnd });
+      }
+    } catch (error) {
+      console.error('Error loading dispatch board:', error);
+      toast.error('Error loading dispatch board');
+    }
+    setIsLoading(false);
+  }, [companyIdForJobs, userProfile]);
+
+  useEffect(() => {
+    loadBoard();
+  }, [loadBoard]);
+
+  // One lane per active team member; jobs may be assigned by user ID or team member ID
+  const lanes = useMemo(
+    () =>
+      teamMembers
+        .filter((member) => member.userId && (member.status || 'active').toLowerCase() === 'active')
+        .sort((a, b) => (a.name || a.email || '').localeCompare(b.name || b.email || ''))
+        .map((member, index) => ({
+          id: member.userId,
+          memberId: member.id,
+          name: member.name || member.email || 'Technician',
+          color: LANE_COLORS[index % LANE_COLORS.length]
+        })),
+    [teamMembers]
+  );
+
+  const getLaneId = useCallback(
+    (assignedTo) => {
+      if (!assignedTo) return null;
+      const lane = lanes.find((item) => item.id === assignedTo || item.memberId === assignedTo);
+      return lane ? lane.id : null;
+    },
+    [lanes]
+  );
+
+  const events = useMemo(
+    () =>
+      jobs
+        .filter((job) => job.status !== 'cancelled' && job.status !== 'no_show' && job.date && getLaneId(job.assignedTo))
+        .map((job) => {
+          const start = JobManagementService.parseTimeToDate(job.date, job.time || '09:00');
+          return {
+            Id: job.id,
+            Subject: `${job.serviceType || 'Job'} - ${job.customerName || 'Unknown Customer'}`,
+            StartTime: start,
+            EndTime: new Date(start.getTime() + getDurationMinutes(job) * 60000),
+            TechnicianId: getLaneId(job.assignedTo),
+            Location: job.address || '',
+            IsReadonly: job.status === 'completed',
+            CategoryColor: STATUS_COLORS[mapLegacyJobStatus(job.status)] || '#6B7280'
+          };
+        })
+        .filter((event) => event.StartTime),
+    [jobs, getLaneId]
+  );
+
+  const unassignedJobs = useMemo(
+    () =>
+      jobs
+        .filter((job) => !getLaneId(job.assignedTo) && job.status !== 'completed' && job.status !== 'cancelled' && job.status !== 'no_show')
+        .sort((a, b) => `${a.date || ''} ${a.time || ''}`.localeCompare(`${b.date || ''} ${b.time || ''}`)),
+    [jobs, getLaneId]
+  );
+
+  const applyMove = async ({ job, technicianId, date, time }) => {
+    const lane = lanes.find((item) => item.id === technicianId) || null;
+    const previous = {
+      assignedTo: job.assignedTo || null,
+      assignedToName: job.assignedToName || '',
+      date: job.date || '',
+      time: job.time || ''
+    };
+
+    setIsMoving(true);
+    const result = lane && lane.id !== getLaneId(job.assignedTo)
+      ? await JobManagementService.assignJob(job.id, lane.id, lane.name, { date, time })
+      : await JobManagementService.updateJob(job.id, {
+        assignedTo: lane ? lane.id : null,
+        assignedToName: lane ? lane.name : '',
+        date,
+        time
+      });
+    setIsMoving(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to move job');
+      return;
+    }
+
+    setJobs((prev) => prev.map((item) => (item.id === job.id ? { ...item, ...result.job } : item)));
+    setUndoStack((prev) => [
+      ...prev,
+      {
+        jobId: job.id,
+        previous,
+        label: `${job.customerName || job.serviceType || 'Job'} → ${lane ? lane.name : 'Unassigned'}`
+      }
+    ]);
+    setPendingMove(null);
+    toast.success(lane ? `Assigned to ${lane.name}` : 'Moved to unassigned');
+  };
+
+  // Run the scheduling rules before committing; conflicts wait for the dispatcher's decision
+  const requestMove = async (job, technicianId, start) => {
+    if (!job) return;
+
+    const date = start ? toLocalDateString(start) : job.date;
+    const time = start ? formatTimeValue(start) : job.time;
+    if ((technicianId || null) === getLaneId(job.assignedTo) && date === job.date && time === job.time) {
+      return;
+    }
+    const move = { job, technicianId, date, time, conflicts: [] };
+
+    if (technicianId) {
+      setIsMoving(true);
+      const availability = await JobManagementService.checkTechnicianAvailability(
+        technicianId,
+        date,
+        time,
+        getDurationMinutes(job),
+        job.id,
+        {
+          companyId: companyIdForJobs,
+          serviceType: job.serviceType,
+          customerId: job.customerId || null,
+          latitude: job.latitude,
+          longitude: job.longitude,
+          location: job.location || null
+        }
+      );
+      setIsMoving(false);
+
+      if (availability?.error) {
+        toast.error(availability.error);
+      }
+      if (availability?.hasConflict) {
+        setPendingMove({ ...move, conflicts: availability.conflicts });
+        return;
+      }
+    }
+
+    await applyMove(move);
+  };
+
+  const handleUndo = async () => {
+    const last = undoStack[undoStack.length - 1];
+    if (!last) return;
+
+    setIsMoving(true);
+    const result = await JobManagementService.updateJob(last.jobId, last.previous);
+    setIsMoving(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to undo');
+      return;
+    }
+
+    setJobs((prev) => prev.map((item) => (item.id === last.jobId ? { ...item, ...result.job } : item)));
+    setUndoStack((prev) => prev.slice(0, -1));
+    toast.success(`Undid ${last.label}`);
+  };
+
+  // Moves within the board: Syncfusion only reports the drop, the job record is updated here
+  const onDragStop = (args) => {
+    args.cancel = true;
+    const job = jobs.find((item) => item.id === args.data?.Id);
+    if (!job) return;
+
+    if (isPointInside(queueRef.current, args.event)) {
+      requestMove(job, null, null);
+      return;
+    }
+
+    requestMove(job, args.data.TechnicianId, args.data.StartTime);
+  };
+
+  // Drops from the unassigned queue onto a lane cell
+  const handleExternalDrop = (event) => {
+    event.preventDefault();
+    const jobId = event.dataTransfer.getData('text/plain');
+    const cell = event.target.closest?.('.e-work-cells');
+    const schedule = scheduleRef.current;
+    if (!jobId || !cell || !schedule) return;
+
+    const cellDetails = schedule.getCellDetails(cell);
+    const resource = schedule.getResourcesByIndex(cellDetails.groupIndex);
+    const job = jobs.find((item) => item.id === jobId);
+    requestMove(job, resource?.resourceData?.id, cellDetails.startTime);
+  };
+
+  // Keep the Day/Week toggle in step with Syncfusion's own header bar
+  const onNavigating = (args) => {
+    if (args.action === 'view') {
+      const option = Object.keys(VIEWS).find((key) => VIEWS[key] === args.currentView);
+      if (option) setView(option);
+    } else if (args.currentDate) {
+      setSelectedDate(args.currentDate);
+    }
+  };
+
+  const onEventRendered = (args) => {
+    if (args.data.CategoryColor) {
+      args.element.style.backgroundColor = args.data.CategoryColor;
+    }
+  };
+
+  const lastUndo = undoStack[undoStack.length - 1];
+
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-500"></div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+        <div className="flex flex-wrap items-center justify-between gap-4">
+          <div className="flex items-center">
+            <ViewColumnsIcon className="h-8 w-8 text-primary-500 mr-3" />
+            <div>
+              <h1 className="text-2xl font-bold text-gray-900">Dispatch Board</h1>
+              <p className="text-gray-600">Drag jobs between technicians and times</p>
+            </div>
+          </div>
+          <div className="flex items-center gap-3">
+            <div className="inline-flex rounded-md shadow-sm">
+              {Object.keys(VIEWS).map((option, index) => (
+                <button
+                  key={option}
+                  onClick={() => setView(option)}
+                  className={`px-4 py-2 text-sm font-medium border border-gray-300 ${
+                    index === 0 ? 'rounded-l-md' : '-ml-px rounded-r-md'
+                  } ${view === option ? 'bg-primary-600 text-white border-primary-600' : 'bg-white text-gray-700 hover:bg-gray-50'}`}
+                >
+                  {option === 'day' ? 'Day' : 'Week'}
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={handleUndo}
+              disabled={!lastUndo || isMoving}
+              title={lastUndo ? `Undo ${lastUndo.label}` : 'Nothing to undo'}
+              className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+            >
+              <ArrowUturnLeftIcon className="h-4 w-4 mr-2" />
+              Undo
+            </button>
+            <button
+              onClick={loadBoard}
+              className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ArrowPathIcon className="h-4 w-4 mr-2" />
+              Refresh
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {/* Conflicts for the move waiting on a decision */}
+      {pendingMove && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4">
+          <div className="flex items-start gap-3">
+            <ExclamationTriangleIcon className="h-5 w-5 text-red-500 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <p className="text-sm font-medium text-red-800">
+                {pendingMove.job.customerName || pendingMove.job.serviceType || 'Job'} can&apos;t go to{' '}
+                {lanes.find((lane) => lane.id === pendingMove.technicianId)?.name || 'this technician'} on{' '}
+                {pendingMove.date} at {pendingMove.time} without breaking scheduling rules:
+              </p>
+              <ul className="mt-2 list-disc list-inside text-sm text-red-700 space-y-1">
+                {pendingMove.conflicts.map((conflict, index) => (
+                  <li key={`${conflict.type}-${conflict.id || index}`}>{conflict.message}</li>
+                ))}
+              </ul>
+              <div className="mt-3 flex gap-2">
+                <button
+                  onClick={() => applyMove(pendingMove)}
+                  disabled={isMoving}
+                  className="px-3 py-1.5 text-sm bg-red-600 text-white rounded-md hover:bg-red-700 disabled:opacity-50"
+                >
+                  Assign Anyway
+                </button>
+                <button
+                  onClick={() => setPendingMove(null)}
+                  className="px-3 py-1.5 text-sm border border-gray-300 bg-white text-gray-700 rounded-md hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Unassigned queue */}
+        <div
+          ref={queueRef}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 lg:col-span-1"
+        >
+          <div className="px-4 py-3 border-b border-gray-200 flex items-center gap-2">
+            <InboxStackIcon className="h-5 w-5 text-gray-400" />
+            <h2 className="text-sm font-medium text-gray-900">Unassigned</h2>
+            <span className="ml-auto text-xs text-gray-500">{unassignedJobs.length}</span>
+          </div>
+          {unassignedJobs.length === 0 ? (
+            <p className="p-4 text-sm text-gray-500 text-center">
+              No unassigned jobs. Drag a job here to unassign it.
+            </p>
+          ) : (
+            <ul className="max-h-[600px] overflow-y-auto divide-y divide-gray-100">
+              {unassignedJobs.map((job) => (
+                <li
+                  key={job.id}
+                  draggable
+                  onDragStart={(event) => event.dataTransfer.setData('text/plain', job.id)}
+                  className="px-4 py-3 cursor-move hover:bg-gray-50"
+                >
+                  <p className="text-sm font-medium text-gray-900">{job.serviceType || 'Job'}</p>
+                  <p className="text-xs text-gray-600">{job.customerName || 'Unknown Customer'}</p>
+                  <p className="text-xs text-gray-500">
+                    {job.date || 'No date'}{job.time ? ` · ${job.time}` : ''} · {getDurationMinutes(job)} min
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {/* Technician lanes */}
+        <div
+          onDragOver={(event) => event.preventDefault()}
+          onDrop={handleExternalDrop}
+          className="bg-white rounded-lg shadow-sm border border-gray-200 p-4 lg:col-span-3"
+        >
+          {lanes.length === 0 ? (
+            <p className="p-6 text-sm text-gray-500 text-center">Add team members to dispatch jobs to them.</p>
+          ) : (
+            <ScheduleComponent
+              ref={scheduleRef}
+              height="650px"
+              currentView={VIEWS[view]}
+              selectedDate={selectedDate}
+              navigating={onNavigating}
+              eventSettings={{ dataSource: events }}
+              group={{ resources: ['Technicians'] }}
+              workHours={{ highlight: true, start: workHours.start, end: workHours.end }}
+              timeScale={{ interval: 60, slotCount: 4 }}
+              allowDragAndDrop={!isMoving}
+              allowResizing={false}
+              showQuickInfo={false}
+              popupOpen={(args) => { args.cancel = true; }}
+              dragStop={onDragStop}
+              eventRendered={onEventRendered}
+              cssClass="custom-schedule"
+            >
+              <ResourcesDirective>
+                <ResourceDirective
+                  field="TechnicianId"
+                  title="Technician"
+                  name="Technicians"
+                  dataSource={lanes}
+                  textField="name"
+                  idField="id"
+                  colorField="color"
+                />
+              </ResourcesDirective>
+              <ViewsDirective>
+                <ViewDirective option="TimelineDay" />
+                <ViewDirective option="TimelineWeek" />
+              </ViewsDirective>
+              <Inject services={[TimelineViews, DragAndDrop]} />
+            </ScheduleComponent>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DispatchBoardPage;
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useMemo } from 'react';
 import { motion } from 'framer-motion';
 import EstimateService from '../services/estimateService';
 import CustomerService from '../services/customerService';
+import CompanyService from '../services/companyService';
 import { useAuth } from '../contexts/AuthContext';
 import { useCompany } from '../contexts/CompanyContext';
 import { formatDate } from '../utils/dateHelpers';
@@ -17,8 +18,14 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   ClockIcon,
-  PaperAirplaneIcon
+  PaperAirplaneIcon,
+  BriefcaseIcon,
+  ArrowDownTrayIcon
 } from '@heroicons/react/24/outline';
+import ExportModal from '../components/ExportModal';
+import SignatureCaptureModal from '../components/SignatureCaptureModal';
+import SignatureRecord from '../components/SignatureRecord';
+import SignatureService from '../services/signatureService';
 import toast from 'react-hot-toast';
 
 const EstimatesPage = () => {
@@ -36,6 +43,16 @@ const EstimatesPage = () => {
   const [showViewModal, setShowViewModal] = useState(false);
   const [selectedEstimate, setSelectedEstimate] = useState(null);
   const [estimateMaterials, setEstimateMaterials] = useState([]);
+  const [showConvertModal, setShowConvertModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showSignatureModal, setShowSignatureModal] = useState(false);
+  const [isConverting, setIsConverting] = useState(false);
+  const [teamMembers, setTeamMembers] = useState([]);
+  const [convertForm, setConvertForm] = useState({
+    date: new Date().toISOString().split('T')[0],
+    time: '09:00',
+    assignedTo: ''
+  });
   const [stats, setStats] = useState({
     total: 0,
     draft: 0,
@@ -143,16 +160,29 @@ const EstimatesPage = () => {
     }
   };
 
+  const handleStatusUpdated = (estimateId, updates) => {
+    toast.success(`Estimate ${updates.status}`);
+    loadEstimates();
+    loadStats();
+    if (selectedEstimate?.id === estimateId) {
+      setSelectedEstimate({ ...selectedEstimate, ...updates });
+      if (updates.status === 'accepted' && !selectedEstimate.jobId) {
+        openConvertModal();
+      }
+    }
+  };
+
   const handleStatusChange = async (estimateId, newStatus) => {
+    // Acceptance asks for the customer's signature first
+    if (newStatus === 'accepted') {
+      setShowSignatureModal(true);
+      return;
+    }
+
     try {
       const result = await EstimateService.updateEstimate(estimateId, { status: newStatus });
       if (result.success) {
-        toast.success(`Estimate ${newStatus}`);
-        loadEstimates();
-        loadStats();
-        if (selectedEstimate?.id === estimateId) {
-          setSelectedEstimate({ ...selectedEstimate, status: newStatus });
-        }
+        handleStatusUpdated(estimateId, { status: newStatus });
       } else {
         toast.error(result.error);
       }
@@ -162,6 +192,81 @@ const EstimatesPage = () => {
     }
   };
 
+  const acceptSelectedEstimate = async (signature = null) => {
+    const result = await EstimateService.acceptEstimate(selectedEstimate.id, {
+      signature,
+      estimate: selectedEstimate
+    });
+    if (!result.success) {
+      toast.error(result.error);
+      return false;
+    }
+    handleStatusUpdated(selectedEstimate.id, result.updates);
+    return true;
+  };
+
+  const handleSignedAcceptance = async ({ blob, signerName }) => {
+    const saved = await SignatureService.saveSignature({
+      blob,
+      signerName,
+      companyId: selectedEstimate.companyId || companyIdForEstimates,
+      documentType: 'estimate',
+      documentId: selectedEstimate.id
+    });
+    if (!saved.success) {
+      toast.error(saved.error);
+      return false;
+    }
+    return acceptSelectedEstimate(saved.signature);
+  };
+
+  const openConvertModal = async () => {
+    setConvertForm({
+      date: new Date().toISOString().split('T')[0],
+      time: '09:00',
+      assignedTo: ''
+    });
+    setShowConvertModal(true);
+
+    if (teamMembers.length === 0 && companyIdForEstimates) {
+      try {
+        const result = await CompanyService.getTeamMembers(companyIdForEstimates);
+        if (result.success) {
+          setTeamMembers(result.teamMembers || []);
+        }
+      } catch (error) {
+        console.error('Error loading team members:', error);
+      }
+    }
+  };
+
+  const handleConvertToJob = async () => {
+    if (!selectedEstimate) return;
+    if (!convertForm.date) {
+      toast.error('Choose a date for the job');
+      return;
+    }
+
+    setIsConverting(true);
+    const member = teamMembers.find((m) => m.id === convertForm.assignedTo);
+    const result = await EstimateService.convertEstimateToJob(selectedEstimate.id, {
+      date: convertForm.date,
+      time: convertForm.time,
+      assignedTo: convertForm.assignedTo || null,
+      assignedToName: member?.name || member?.fullName || member?.email || ''
+    });
+    setIsConverting(false);
+
+    if (result.success) {
+      toast.success(result.alreadyConverted ? 'This estimate already has a job' : 'Job scheduled from estimate');
+      setSelectedEstimate({ ...selectedEstimate, jobId: result.job.id });
+      setShowConvertModal(false);
+      loadEstimates();
+    } else {
+      toast.error(result.error || 'Failed to create job');
+    }
+  };
+
   const handleDownloadPDF = async (estimate) => {
     try {
       toast.loading('Generating PDF...');
@@ -200,6 +305,23 @@ const EstimatesPage = () => {
     return icons[status] || ClockIcon;
   };
 
+  const selectedEstimateOptions = useMemo(() => {
+    if (!selectedEstimate) return [];
+    const selection = EstimateService.getSelection(selectedEstimate);
+    return [
+      ...(selectedEstimate.tiers || []).map((tier) => ({
+        ...tier,
+        kind: 'tier',
+        chosen: tier.id === selection.tierId
+      })),
+      ...(selectedEstimate.optionalItems || []).map((item) => ({
+        ...item,
+        kind: 'optional',
+        chosen: selection.optionalItemIds.includes(item.id)
+      }))
+    ];
+  }, [selectedEstimate]);
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -218,13 +340,22 @@ const EstimatesPage = () => {
               Manage and track your estimates
             </p>
           </div>
-          <button
-            onClick={loadEstimates}
-            className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
-          >
-            <ArrowPathIcon className={`w-5 h-5 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
-            Refresh
-          </button>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowExportModal(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ArrowDownTrayIcon className="w-5 h-5 mr-2" />
+              Export
+            </button>
+            <button
+              onClick={loadEstimates}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+            >
+              <ArrowPathIcon className={`w-5 h-5 mr-2 ${isLoading ? 'animate-spin' : ''}`} />
+              Refresh
+            </button>
+          </div>
         </div>
       </div>
 
@@ -508,6 +639,45 @@ const EstimatesPage = () => {
                   </div>
                 </div>
 
+                {selectedEstimate.status === 'accepted' && (
+                  <div>
+                    <SignatureRecord signature={selectedEstimate.signature} title="Accepted By" />
+                    {selectedEstimate.acceptedVia === 'portal' && (
+                      <p className="mt-1 text-xs text-gray-500">Approved by the customer in the portal</p>
+                    )}
+                  </div>
+                )}
+
+                {selectedEstimate.status === 'rejected' && selectedEstimate.declineReason && (
+                  <div className="rounded-md border border-red-200 bg-red-50 p-3 text-sm text-red-800">
+                    Declined{selectedEstimate.declinedVia === 'portal' ? ' by the customer' : ''}: {selectedEstimate.declineReason}
+                  </div>
+                )}
+
+                {/* Conversion */}
+                {selectedEstimate.status === 'accepted' && (
+                  <div className="flex items-center justify-between rounded-md border border-green-200 bg-green-50 p-3">
+                    {selectedEstimate.jobId ? (
+                      <p className="text-sm text-green-800">
+                        <BriefcaseIcon className="w-4 h-4 inline mr-1" />
+                        Converted to a job
+                        {selectedEstimate.invoiceNumber && ` · Invoiced as ${selectedEstimate.invoiceNumber}`}
+                      </p>
+                    ) : (
+                      <>
+                        <p className="text-sm text-green-800">Accepted. Schedule the work to create a job.</p>
+                        <button
+                          onClick={openConvertModal}
+                          className="px-3 py-1.5 bg-green-600 text-white text-sm rounded-md hover:bg-green-700"
+                        >
+                          <BriefcaseIcon className="w-4 h-4 inline mr-1" />
+                          Convert to Job
+                        </button>
+                      </>
+                    )}
+                  </div>
+                )}
+
                 {/* Customer Info */}
                 <div>
                   <h4 className="text-sm font-medium text-gray-900 mb-2">Customer</h4>
@@ -568,12 +738,44 @@ const EstimatesPage = () => {
                       <span className="font-medium">{formatCurrency(selectedEstimate.materialCost)}</span>
                     </div>
                     <div className="border-t pt-2 flex justify-between text-base font-semibold">
-                      <span>Total</span>
+                      <span>{selectedEstimateOptions.length > 0 ? 'Base Total' : 'Total'}</span>
                       <span className="text-primary-600">{formatCurrency(selectedEstimate.totalCost)}</span>
                     </div>
                   </div>
                 </div>
 
+                {/* Tiers and optional items, with the customer's choice */}
+                {selectedEstimateOptions.length > 0 && (
+                  <div>
+                    <h4 className="text-sm font-medium text-gray-900 mb-2">Options</h4>
+                    <div className="border rounded-md divide-y divide-gray-200">
+                      {selectedEstimateOptions.map((option) => (
+                        <div key={`${option.kind}-${option.id}`} className="px-4 py-2 flex items-center justify-between text-sm">
+                          <div>
+                            <span className="text-gray-900">{option.name}</span>
+                            <span className="ml-2 text-xs text-gray-500">{option.kind === 'tier' ? 'Package' : 'Optional'}</span>
+                            {option.description && <p className="text-xs text-gray-500">{option.description}</p>}
+                          </div>
+                          <div className="flex items-center gap-3">
+                            {option.chosen && (
+                              <span className="px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                                {option.kind === 'tier' ? 'Selected' : 'Included'}
+                              </span>
+                            )}
+                            <span className="font-medium text-gray-900">{formatCurrency(option.price)}</span>
+                          </div>
+                        </div>
+                      ))}
+                      <div className="px-4 py-2 flex justify-between text-base font-semibold">
+                        <span>Total with selected options</span>
+                        <span className="text-primary-600">
+                          {formatCurrency(selectedEstimate.acceptedTotal ?? EstimateService.getSelectionTotal(selectedEstimate))}
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 {/* Notes */}
                 {selectedEstimate.notes && (
                   <div>
@@ -610,6 +812,99 @@ const EstimatesPage = () => {
           </div>
         </div>
       )}
+
+      {showSignatureModal && selectedEstimate && (
+        <SignatureCaptureModal
+          title="Accept Estimate"
+          statement={`By signing, the customer accepts estimate ${selectedEstimate.estimateNumber || ''} for ${formatCurrency(EstimateService.getSelectionTotal(selectedEstimate))}.`}
+          defaultName={selectedEstimate.customerName || ''}
+          confirmLabel="Sign & Accept"
+          onCapture={handleSignedAcceptance}
+          onSkip={async () => {
+            if (await acceptSelectedEstimate()) setShowSignatureModal(false);
+          }}
+          onClose={() => setShowSignatureModal(false)}
+        />
+      )}
+
+      {/* Convert to Job Modal */}
+      {showConvertModal && selectedEstimate && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-[60]">
+          <div className="relative top-24 mx-auto p-5 border w-full max-w-md shadow-lg rounded-md bg-white">
+            <h3 className="text-lg font-medium text-gray-900 mb-1">Convert to Job</h3>
+            <p className="text-sm text-gray-500 mb-4">
+              {selectedEstimate.estimateNumber} · {selectedEstimate.customerName} · {formatCurrency(selectedEstimate.totalCost)}
+            </p>
+
+            <div className="space-y-4">
+              <div className="grid grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Date *</label>
+                  <input
+                    type="date"
+                    value={convertForm.date}
+                    onChange={(e) => setConvertForm((prev) => ({ ...prev, date: e.target.value }))}
+                    className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Time</label>
+                  <input
+                    type="time"
+                    value={convertForm.time}
+                    onChange={(e) => setConvertForm((prev) => ({ ...prev, time: e.target.value }))}
+                    className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                  />
+                </div>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Technician</label>
+                <select
+                  value={convertForm.assignedTo}
+                  onChange={(e) => setConvertForm((prev) => ({ ...prev, assignedTo: e.target.value }))}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 sm:text-sm"
+                >
+                  <option value="">Unassigned</option>
+                  {teamMembers.map((member) => (
+                    <option key={member.id} value={member.id}>
+                      {member.name || member.fullName || member.email}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <p className="text-xs text-gray-500">
+                Labor and {estimateMaterials.length} material line{estimateMaterials.length === 1 ? '' : 's'} are
+                carried over and used when the job is invoiced.
+              </p>
+            </div>
+
+            <div className="mt-6 flex justify-end space-x-3">
+              <button
+                onClick={() => setShowConvertModal(false)}
+                className="px-4 py-2 bg-white border border-gray-300 rounded-md shadow-sm text-sm font-medium text-gray-700 hover:bg-gray-50"
+              >
+                Not Now
+              </button>
+              <button
+                onClick={handleConvertToJob}
+                disabled={isConverting}
+                className="px-4 py-2 bg-primary-600 border border-transparent rounded-md shadow-sm text-sm font-medium text-white hover:bg-primary-700 disabled:opacity-50"
+              >
+                {isConverting ? 'Creating...' : 'Create Job'}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {showExportModal && (
+        <ExportModal
+          entity="estimates"
+          companyId={companyIdForEstimates}
+          userProfile={userProfile}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
     </div>
   );
 };
@@ -7,6 +7,8 @@ import CustomerService from '../services/customerService';
 import JobManagementService from '../services/jobManagementService';
 import ReportingService from '../services/reportingService';
 import TechnicianDashboard from '../components/TechnicianDashboard';
+import ReceivablesAgingWidget from '../components/ReceivablesAgingWidget';
+import { canViewCompanyAnalytics } from '../utils/permissions';
 import { motion } from 'framer-motion';
 import { 
   BuildingOfficeIcon, 
@@ -62,7 +64,7 @@ const HomePage = () => {
         ] = await Promise.all([
           CustomerService.getCustomerStats(userProfile, companyId),
           JobManagementService.getJobStats(),
-          ReportingService.getBusinessAnalytics('month'),
+          ReportingService.getBusinessAnalytics('month', { companyId }),
           includeTeamMetrics
             ? CompanyService.getTeamMembers(companyId).catch(() => ({
                 success: false,
@@ -269,6 +271,17 @@ const HomePage = () => {
         })}
       </motion.div>
 
+      {/* Accounts Receivable */}
+      {canViewCompanyAnalytics(userProfile) && (activeCompany?.id || userProfile?.companyId) && (
+        <motion.div
+          initial={{ opacity: 0, y: 20 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.5, delay: 0.15 }}
+        >
+          <ReceivablesAgingWidget companyId={activeCompany?.id || userProfile?.companyId} />
+        </motion.div>
+      )}
+
       {/* Quick Actions */}
       <motion.div
         initial={{ opacity: 0, y: 20 }}
@@ -14,8 +14,15 @@ import {
   ClockIcon,
   ExclamationCircleIcon,
   XCircleIcon,
-  PencilIcon
+  PencilIcon,
+  BanknotesIcon,
+  BellAlertIcon
 } from '@heroicons/react/24/outline';
+import RecordPaymentModal from '../components/RecordPaymentModal';
+import DunningModal from '../components/DunningModal';
+import ExportModal from '../components/ExportModal';
+import DunningService from '../services/dunningService';
+import { useAuth } from '../contexts/AuthContext';
 import { Link } from 'react-router-dom';
 import toast from 'react-hot-toast';
 import { parseDate, formatDate as formatDateHelper } from '../utils/dateHelpers';
@@ -35,6 +42,7 @@ import {
 } from '@syncfusion/ej2-react-grids';
 
 const InvoicePage = () => {
+  const { userProfile } = useAuth();
   const [invoices, setInvoices] = useState([]);
   const [filteredInvoices, setFilteredInvoices] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -43,6 +51,9 @@ const InvoicePage = () => {
   const [showViewModal, setShowViewModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [showPreviewModal, setShowPreviewModal] = useState(false);
+  const [paymentInvoice, setPaymentInvoice] = useState(null);
+  const [showDunningModal, setShowDunningModal] = useState(false);
+  const [showExportModal, setShowExportModal] = useState(false);
   const [selectedInvoice, setSelectedInvoice] = useState(null);
   const [completedJobs, setCompletedJobs] = useState([]);
   const [selectedJob, setSelectedJob] = useState(null);
@@ -77,6 +88,30 @@ const InvoicePage = () => {
     loadStats();
   }, []);
 
+  // Flag invoices that have gone past due and send any reminders the company has automated.
+  // Nothing runs these on a server schedule, so opening this page is what sends them.
+  const hasProfile = Boolean(userProfile);
+  const companyId = userProfile?.companyId;
+  useEffect(() => {
+    if (!hasProfile) return;
+
+    const runDunning = async () => {
+      const result = await DunningService.runScheduledDunning(companyId);
+      if (!result.success) {
+        console.error('Error running payment reminders:', result.error);
+        return;
+      }
+      if (result.markedOverdue > 0 || result.sent.length > 0) {
+        loadInvoices();
+        loadStats();
+      }
+      if (result.sent.length > 0) {
+        toast.success(`${result.sent.length} payment reminder${result.sent.length === 1 ? '' : 's'} sent`);
+      }
+    };
+    runDunning();
+  }, [hasProfile, companyId]);
+
   useEffect(() => {
     filterAndSortInvoices();
   }, [invoices, searchTerm, activeFilter, sortBy]);
@@ -107,10 +142,12 @@ const InvoicePage = () => {
           drafted: invoices.filter(inv => inv.status === 'drafted').length,
           sent: invoices.filter(inv => inv.status === 'sent').length,
           paid: invoices.filter(inv => inv.status === 'paid').length,
-          overdue: invoices.filter(inv => inv.status === 'overdue').length,
-          totalRevenue: invoices
-            .filter(inv => inv.status === 'paid')
-            .reduce((sum, inv) => sum + (inv.total || 0), 0)
+          overdue: invoices.filter(inv => inv.status === 'overdue' || (inv.status === 'partially_paid' && inv.overdueAt)).length,
+          // Revenue is what has actually been collected, including partial payments
+          totalRevenue: invoices.reduce(
+            (sum, inv) => sum + (inv.amountPaid ?? (inv.status === 'paid' ? inv.total || 0 : 0)),
+            0
+          )
         };
         setStats(stats);
       }
@@ -339,7 +376,9 @@ const InvoicePage = () => {
       drafted: { bg: 'bg-gray-100', text: 'text-gray-800', label: 'Drafted', icon: DocumentTextIcon },
       sent: { bg: 'bg-blue-100', text: 'text-blue-800', label: 'Sent', icon: PaperAirplaneIcon },
       viewed: { bg: 'bg-purple-100', text: 'text-purple-800', label: 'Viewed', icon: EyeIcon },
+      partially_paid: { bg: 'bg-yellow-100', text: 'text-yellow-800', label: 'Partially Paid', icon: ClockIcon },
       paid: { bg: 'bg-green-100', text: 'text-green-800', label: 'Paid', icon: CheckCircleIcon },
+      overpaid: { bg: 'bg-teal-100', text: 'text-teal-800', label: 'Overpaid (Credit)', icon: CheckCircleIcon },
       overdue: { bg: 'bg-red-100', text: 'text-red-800', label: 'Overdue', icon: ExclamationCircleIcon },
       cancelled: { bg: 'bg-gray-100', text: 'text-gray-800', label: 'Cancelled', icon: XCircleIcon }
     };
@@ -381,11 +420,26 @@ const InvoicePage = () => {
   );
 
   const invoiceDueTemplate = (props) => (
-    <span className="text-sm text-gray-800">{formatDate(props.dueDate)}</span>
+    <div>
+      <span className="text-sm text-gray-800">{formatDate(props.dueDate)}</span>
+      {props.lastReminderAt && (
+        <div className="text-xs text-gray-500">
+          {(props.reminders || []).filter(reminder => reminder.success).length} reminder(s), last {formatDate(props.lastReminderAt)}
+        </div>
+      )}
+    </div>
   );
 
   const invoiceAmountTemplate = (props) => (
-    <span className="text-sm font-semibold text-gray-900">{formatCurrency(props.total)}</span>
+    <div>
+      <span className="text-sm font-semibold text-gray-900">{formatCurrency(props.total)}</span>
+      {props.status === 'partially_paid' && (
+        <div className="text-xs text-yellow-700">{formatCurrency(props.balanceDue)} due</div>
+      )}
+      {props.status === 'overpaid' && (
+        <div className="text-xs text-teal-700">{formatCurrency(props.creditBalance)} credit</div>
+      )}
+    </div>
   );
 
   const invoiceStatusTemplate = (props) => getStatusBadge(props.status);
@@ -408,7 +462,17 @@ const InvoicePage = () => {
       >
         <ArrowDownTrayIcon className="h-5 w-5" />
       </button>
-      {(props.status === 'drafted' || props.status === 'sent' || props.status === 'viewed') && (
+      {props.status !== 'drafted' && props.status !== 'cancelled' && (
+        <button
+          type="button"
+          onClick={() => setPaymentInvoice(props)}
+          className="text-emerald-600 hover:text-emerald-900"
+          title="Payments"
+        >
+          <BanknotesIcon className="h-5 w-5" />
+        </button>
+      )}
+      {(props.status === 'drafted' || props.status === 'sent' || props.status === 'viewed' || props.status === 'partially_paid') && (
         <button
           type="button"
           onClick={() => handleEditInvoice(props)}
@@ -484,6 +548,20 @@ const InvoicePage = () => {
             <DocumentTextIcon className="h-5 w-5 mr-2" />
             Templates
           </Link>
+          <button
+            onClick={() => setShowDunningModal(true)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <BellAlertIcon className="h-5 w-5 mr-2" />
+            Reminders
+          </button>
+          <button
+            onClick={() => setShowExportModal(true)}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <ArrowDownTrayIcon className="h-5 w-5 mr-2" />
+            Export
+          </button>
           <button
             onClick={openCreateModal}
             className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
@@ -618,7 +696,9 @@ const InvoicePage = () => {
               <option value="drafted">Drafted</option>
               <option value="sent">Sent</option>
               <option value="viewed">Viewed</option>
+              <option value="partially_paid">Partially Paid</option>
               <option value="paid">Paid</option>
+              <option value="overpaid">Overpaid</option>
               <option value="overdue">Overdue</option>
             </select>
             <select
@@ -859,6 +939,30 @@ const InvoicePage = () => {
         </div>
       )}
 
+      {/* Payments Modal */}
+      {paymentInvoice && (
+        <RecordPaymentModal
+          invoice={paymentInvoice}
+          onClose={() => setPaymentInvoice(null)}
+          onRecorded={() => {
+            loadInvoices();
+            loadStats();
+          }}
+        />
+      )}
+
+      {/* Payment Reminders Modal */}
+      {showDunningModal && (
+        <DunningModal
+          companyId={companyId}
+          onClose={() => setShowDunningModal(false)}
+          onCompleted={() => {
+            loadInvoices();
+            loadStats();
+          }}
+        />
+      )}
+
       {/* Edit Invoice Modal */}
       {showEditModal && selectedInvoice && (
         <div className="fixed inset-0 z-50 overflow-y-auto">
@@ -1043,6 +1147,15 @@ const InvoicePage = () => {
           </div>
         </div>
       )}
+
+      {showExportModal && (
+        <ExportModal
+          entity="invoices"
+          companyId={companyId}
+          userProfile={userProfile}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
     </div>
   );
 };
@@ -1,6 +1,7 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useCompany } from '../contexts/CompanyContext';
 import InvoiceTemplateService from '../services/invoiceTemplateService';
+import DocumentNumberingSettings from '../components/DocumentNumberingSettings';
 import {
   DocumentTextIcon,
   PlusIcon,
@@ -274,6 +275,11 @@ const InvoiceTemplatesPage = () => {
           </button>
         </div>
 
+        {/* Invoice & Estimate Numbering */}
+        <div className="mb-8">
+          <DocumentNumberingSettings companyId={getEffectiveCompanyId()} />
+        </div>
+
         {/* Templates Grid */}
         {isLoading && templates.length === 0 ? (
           <div className="text-center py-12">
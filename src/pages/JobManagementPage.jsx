@@ -9,8 +9,26 @@ import PhotoService from '../services/photoService';
 import PhotoGallery from '../components/PhotoGallery';
 import { useAuth } from '../contexts/AuthContext';
 import { useCompany } from '../contexts/CompanyContext';
-import { canReassignJobs } from '../utils/permissions';
-import { parseDate, formatDate as formatDateHelper } from '../utils/dateHelpers';
+import { canReassignJobs, canManageCompanySettings } from '../utils/permissions';
+import { parseDate, formatDate as formatDateHelper, toLocalDateString } from '../utils/dateHelpers';
+import ExportModal from '../components/ExportModal';
+import SchedulingRulesModal from '../components/SchedulingRulesModal';
+import TechnicianSuggestions from '../components/TechnicianSuggestions';
+import SchedulingRulesService from '../services/schedulingRulesService';
+import LocationService from '../services/locationService';
+import JobStatusHistory from '../components/JobStatusHistory';
+import CompletionFormFields from '../components/CompletionFormFields';
+import CompletionFormSummary from '../components/CompletionFormSummary';
+import ChecklistTemplateService from '../services/checklistTemplateService';
+import SignatureService from '../services/signatureService';
+import SignatureCaptureModal from '../components/SignatureCaptureModal';
+import SignatureRecord from '../components/SignatureRecord';
+import {
+  JOB_STATUS_OPTIONS,
+  getAllowedJobStatuses,
+  getJobStatusLabel,
+  mapLegacyJobStatus
+} from '../constants/jobStatuses';
 import { 
   ClipboardDocumentListIcon, 
   PlusIcon,
@@ -27,7 +45,8 @@ import {
   CheckCircleIcon,
   XCircleIcon,
   ExclamationTriangleIcon,
-  ArrowPathIcon
+  ArrowPathIcon,
+  AdjustmentsHorizontalIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import {
@@ -55,6 +74,8 @@ const JobManagementPage = () => {
   );
 
   const [jobs, setJobs] = useState([]);
+  const [showExportModal, setShowExportModal] = useState(false);
+  const [showSchedulingRulesModal, setShowSchedulingRulesModal] = useState(false);
   const [filteredJobs, setFilteredJobs] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [searchTerm, setSearchTerm] = useState('');
@@ -81,7 +102,7 @@ const JobManagementPage = () => {
   });
 
   // Filter states
-  const [activeFilter, setActiveFilter] = useState('all'); // all, scheduled, in-progress, completed, cancelled
+  const [activeFilter, setActiveFilter] = useState('all'); // all or one of JOB_STATUS_OPTIONS
   const [dateFilter, setDateFilter] = useState('all'); // all, today, week, month
   const [sortBy, setSortBy] = useState('date'); // date, status, customer, cost
 
@@ -91,9 +112,14 @@ const JobManagementPage = () => {
     actualWorkDone: '',
     actualHours: '',
     completionNotes: '',
-    cancellationReason: ''
+    cancellationReason: '',
+    statusNote: ''
   });
 
+  const [completionForm, setCompletionForm] = useState(null);
+  const [customerSignature, setCustomerSignature] = useState(null);
+  const [showSignatureModal, setShowSignatureModal] = useState(false);
+
   const [teamMembers, setTeamMembers] = useState([]);
   const [showAssignModal, setShowAssignModal] = useState(false);
   const [selectedAssigneeId, setSelectedAssigneeId] = useState('');
@@ -119,6 +145,14 @@ const JobManagementPage = () => {
   );
   const [jobFormData, setJobFormData] = useState(defaultJobForm);
 
+  // A saved job can only move along the allowed transitions; new jobs may start in any status
+  const jobFormStatusOptions = useMemo(() => {
+    if (!isEditingJob || !selectedJob) return JOB_STATUS_OPTIONS;
+    const current = mapLegacyJobStatus(selectedJob.status);
+    const allowed = getAllowedJobStatuses(current);
+    return JOB_STATUS_OPTIONS.filter((option) => option.value === current || allowed.includes(option.value));
+  }, [isEditingJob, selectedJob]);
+
   const activeTeamMembers = useMemo(
     () =>
       teamMembers.filter((member) => {
@@ -292,6 +326,34 @@ const JobManagementPage = () => {
     }
   }, [companyIdForJobs]);
 
+  // Load the service type's checklist when a job is being completed
+  const isCompletingJob = showStatusModal && statusData.status === 'completed';
+  useEffect(() => {
+    if (!isCompletingJob || !selectedJob) {
+      setCompletionForm(null);
+      setCustomerSignature(null);
+      return;
+    }
+    setCustomerSignature(selectedJob.customerSignature || null);
+    if (selectedJob.completionForm) {
+      setCompletionForm(selectedJob.completionForm);
+      return;
+    }
+
+    let cancelled = false;
+    ChecklistTemplateService.getTemplateForServiceType(
+      selectedJob.companyId || companyIdForJobs,
+      selectedJob.serviceType
+    ).then((template) => {
+      if (!cancelled) {
+        setCompletionForm(template ? ChecklistTemplateService.createForm(template) : null);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [isCompletingJob, selectedJob, companyIdForJobs]);
+
   useEffect(() => {
     if (!canTransferJobs) {
       setTeamMembers([]);
@@ -382,7 +444,7 @@ const JobManagementPage = () => {
 
     // Apply status filter
     if (activeFilter !== 'all') {
-      filtered = filtered.filter(job => job.status === activeFilter);
+      filtered = filtered.filter(job => mapLegacyJobStatus(job.status) === activeFilter);
     }
 
     // Apply date filter
@@ -434,15 +496,50 @@ const JobManagementPage = () => {
     setFilteredJobs(filtered);
   };
 
+  const handleCustomerSignature = async ({ blob, signerName }) => {
+    const result = await SignatureService.saveSignature({
+      blob,
+      signerName,
+      companyId: selectedJob.companyId || companyIdForJobs || userProfile?.companyId,
+      documentType: 'job',
+      documentId: selectedJob.id
+    });
+    if (!result.success) {
+      toast.error(result.error || 'Failed to save signature');
+      return false;
+    }
+    setCustomerSignature(result.signature);
+    return true;
+  };
+
   const handleStatusUpdate = async () => {
     if (!statusData.status) {
       toast.error('Please select a status');
       return;
     }
 
+    if (statusData.status === 'completed' && completionForm) {
+      const { valid, errors } = ChecklistTemplateService.validateForm(completionForm);
+      if (!valid) {
+        toast.error(errors[0]);
+        return;
+      }
+    }
+
     setIsLoading(true);
     try {
-      const result = await JobManagementService.updateJobStatus(selectedJob.id, statusData.status, statusData);
+      const { status, statusNote, ...details } = statusData;
+      if (status === 'completed' && completionForm) {
+        details.completionForm = ChecklistTemplateService.finalizeForm(completionForm);
+      }
+      if (status === 'completed' && customerSignature) {
+        details.customerSignature = customerSignature;
+      }
+      const location = await LocationService.getDevicePosition();
+      const result = await JobManagementService.updateJobStatus(selectedJob.id, status, details, {
+        location,
+        notes: statusNote
+      });
       if (result.success) {
         setJobs(prev => prev.map(job => 
           job.id === selectedJob.id ? result.job : job
@@ -454,7 +551,8 @@ const JobManagementPage = () => {
           actualWorkDone: '',
           actualHours: '',
           completionNotes: '',
-          cancellationReason: ''
+          cancellationReason: '',
+          statusNote: ''
         });
         loadStats();
         toast.success('Job status updated successfully!');
@@ -509,7 +607,7 @@ const JobManagementPage = () => {
       customerPhone: job.customerPhone || '',
       address: job.address || '',
       serviceType: job.serviceType || '',
-      status: job.status || 'scheduled',
+      status: mapLegacyJobStatus(job.status),
       date: job.date || defaultJobForm.date,
       time: job.time || defaultJobForm.time,
       duration: job.duration || job.estimatedDuration || '',
@@ -542,11 +640,12 @@ const JobManagementPage = () => {
   const openStatusModal = (job) => {
     setSelectedJob(job);
     setStatusData({
-      status: job.status,
+      status: mapLegacyJobStatus(job.status),
       actualWorkDone: job.actualWorkDone || '',
       actualHours: job.actualHours || '',
       completionNotes: job.completionNotes || '',
-      cancellationReason: job.cancellationReason || ''
+      cancellationReason: job.cancellationReason || '',
+      statusNote: ''
     });
     setShowStatusModal(true);
   };
@@ -570,6 +669,41 @@ const JobManagementPage = () => {
     }
   }, []);
 
+  // Scheduling-rule conflicts for giving a job to a technician. Skill gaps are left out
+  // because getQualificationWarning has already asked about them; a check that could
+  // not run does not block the assignment.
+  const getAssignmentConflicts = async (technicianId, job, excludeJobId = null) => {
+    try {
+      const durationMinutes =
+        JobManagementService.parseDurationMinutes(job.duration, null) ||
+        JobManagementService.parseDurationMinutes(job.estimatedDuration || job.actualHours, null) ||
+        60;
+
+      const availability = await JobManagementService.checkTechnicianAvailability(
+        technicianId,
+        job.date,
+        job.time,
+        durationMinutes,
+        excludeJobId,
+        {
+          companyId: companyIdForJobs,
+          serviceType: job.serviceType,
+          customerId: job.customerId || null
+        }
+      );
+
+      if (availability?.error) {
+        console.warn('Could not check technician availability:', availability.error);
+        return [];
+      }
+
+      return (availability?.conflicts || []).filter((conflict) => conflict.type !== 'missing_skill');
+    } catch (availabilityError) {
+      console.warn('Could not check technician availability:', availabilityError.message);
+      return [];
+    }
+  };
+
   const handleAssignJob = async () => {
     if (!selectedJob) {
       return;
@@ -594,6 +728,24 @@ const JobManagementPage = () => {
       member.email ||
       'Team Member';
 
+    const warning = await SchedulingRulesService.getQualificationWarning(
+      companyIdForJobs,
+      member,
+      selectedJob.serviceType,
+      selectedJob.date
+    );
+    if (warning && !window.confirm(`${warning}.\n\nAssign anyway?`)) {
+      return;
+    }
+
+    const conflicts = await getAssignmentConflicts(member.id, selectedJob, selectedJob.id);
+    if (conflicts.length > 0) {
+      toast.error(
+        `Scheduling conflict detected for ${displayName}: ${conflicts.map((conflict) => conflict.message).join('; ')}`
+      );
+      return;
+    }
+
     setIsAssigning(true);
     try {
       const result = await JobManagementService.assignJob(
@@ -639,32 +791,14 @@ const JobManagementPage = () => {
     }
   };
 
-  const exportJobs = async () => {
-    try {
-      const filters = {
-        status: activeFilter !== 'all' ? activeFilter : undefined,
-        dateRange: dateFilter !== 'all' ? getDateRange(dateFilter) : undefined
-      };
-      
-      const result = await JobManagementService.exportJobs(filters);
-      if (result.success) {
-        const blob = new Blob([result.csvData], { type: 'text/csv' });
-        const url = window.URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `jobs-${new Date().toISOString().split('T')[0]}.csv`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        window.URL.revokeObjectURL(url);
-        toast.success('Jobs exported successfully!');
-      } else {
-        toast.error(result.error);
-      }
-    } catch (error) {
-      console.error('Error exporting jobs:', error);
-      toast.error('Error exporting jobs');
-    }
+  // Open the export dialog with the list's current status and date filters
+  const getExportFilters = () => {
+    const range = dateFilter !== 'all' ? getDateRange(dateFilter) : null;
+    return {
+      statuses: activeFilter !== 'all' ? [activeFilter] : [],
+      startDate: range?.startDate ? toLocalDateString(range.startDate) : '',
+      endDate: range?.endDate ? toLocalDateString(range.endDate) : ''
+    };
   };
 
   const getDateRange = (filter) => {
@@ -730,14 +864,19 @@ const JobManagementPage = () => {
   };
 
   const getStatusIcon = (status) => {
-    switch (status) {
+    switch (mapLegacyJobStatus(status)) {
       case 'scheduled':
         return <CalendarIcon className="h-4 w-4" />;
-      case 'in-progress':
+      case 'en_route':
+      case 'on_site':
+        return <MapPinIcon className="h-4 w-4" />;
+      case 'in_progress':
+      case 'on_hold':
         return <ClockIcon className="h-4 w-4" />;
       case 'completed':
         return <CheckCircleIcon className="h-4 w-4" />;
       case 'cancelled':
+      case 'no_show':
         return <XCircleIcon className="h-4 w-4" />;
       default:
         return <ExclamationTriangleIcon className="h-4 w-4" />;
@@ -745,14 +884,20 @@ const JobManagementPage = () => {
   };
 
   const getStatusColor = (status) => {
-    switch (status) {
+    switch (mapLegacyJobStatus(status)) {
       case 'scheduled':
         return 'bg-blue-100 text-blue-800';
-      case 'in-progress':
+      case 'en_route':
+      case 'on_site':
+        return 'bg-indigo-100 text-indigo-800';
+      case 'in_progress':
         return 'bg-yellow-100 text-yellow-800';
+      case 'on_hold':
+        return 'bg-purple-100 text-purple-800';
       case 'completed':
         return 'bg-green-100 text-green-800';
       case 'cancelled':
+      case 'no_show':
         return 'bg-red-100 text-red-800';
       default:
         return 'bg-gray-100 text-gray-800';
@@ -807,7 +952,7 @@ const JobManagementPage = () => {
   const jobStatusTemplate = (props) => (
     <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold ${getStatusColor(props.status)}`}>
       {getStatusIcon(props.status)}
-      <span className="ml-1 capitalize">{props.status?.replace('-', ' ') || 'Unknown'}</span>
+      <span className="ml-1">{getJobStatusLabel(props.status)}</span>
     </span>
   );
 
@@ -910,12 +1055,21 @@ const JobManagementPage = () => {
               Create Job
             </button>
             <button
-              onClick={exportJobs}
+              onClick={() => setShowExportModal(true)}
               className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
             >
               <ArrowDownTrayIcon className="h-4 w-4 mr-2" />
               Export
             </button>
+            {canManageCompanySettings(userProfile) && companyIdForJobs && (
+              <button
+                onClick={() => setShowSchedulingRulesModal(true)}
+                className="flex items-center px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                <AdjustmentsHorizontalIcon className="h-4 w-4 mr-2" />
+                Scheduling Rules
+              </button>
+            )}
           </div>
         </div>
       </div>
@@ -1061,10 +1215,9 @@ const JobManagementPage = () => {
               className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
             >
               <option value="all">All Status</option>
-              <option value="scheduled">Scheduled</option>
-              <option value="in-progress">In Progress</option>
-              <option value="completed">Completed</option>
-              <option value="cancelled">Cancelled</option>
+              {JOB_STATUS_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
             </select>
             
             <select
@@ -1215,7 +1368,7 @@ const JobManagementPage = () => {
                   <div className="flex items-center space-x-4 mt-2 text-sm text-gray-500">
                     <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-semibold ${getStatusColor(selectedJob.status)}`}>
                       {getStatusIcon(selectedJob.status)}
-                      <span className="ml-1 capitalize">{selectedJob.status?.replace('-', ' ')}</span>
+                      <span className="ml-1">{getJobStatusLabel(selectedJob.status)}</span>
                     </span>
                     <span>Created {formatDate(selectedJob.createdAt)}</span>
                   </div>
@@ -1273,6 +1426,12 @@ const JobManagementPage = () => {
                     </div>
                   </div>
                 )}
+
+                <CompletionFormSummary form={selectedJob.completionForm} />
+
+                <SignatureRecord signature={selectedJob.customerSignature} title="Customer Sign-off" />
+
+                <JobStatusHistory job={selectedJob} />
                 
                 <div className="border-t pt-4">
                   <PhotoGallery 
@@ -1555,10 +1714,9 @@ const JobManagementPage = () => {
                       }
                       className="block w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 text-sm transition-colors bg-white"
                     >
-                      <option value="scheduled">Scheduled</option>
-                      <option value="in-progress">In Progress</option>
-                      <option value="completed">Completed</option>
-                      <option value="cancelled">Cancelled</option>
+                      {jobFormStatusOptions.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                      ))}
                     </select>
                   </div>
                   <div>
@@ -1630,6 +1788,25 @@ const JobManagementPage = () => {
                   {jobFormErrors.assignedTechnicianId && (
                     <p className="mt-1 text-xs text-red-600">{jobFormErrors.assignedTechnicianId}</p>
                   )}
+                  <TechnicianSuggestions
+                    companyId={companyIdForJobs}
+                    technicians={activeTeamMembers}
+                    serviceType={jobFormData.serviceType === '__custom__' ? '' : jobFormData.serviceType}
+                    date={jobFormData.date}
+                    time={jobFormData.time}
+                    durationMinutes={JobManagementService.parseDurationMinutes(jobFormData.duration, 60)}
+                    customerId={jobFormData.customerId || null}
+                    excludeJobId={isEditingJob ? selectedJob?.id || null : null}
+                    selectedId={jobFormData.assignedTechnicianId}
+                    onSelect={(member) => {
+                      setJobFormData((prev) => ({
+                        ...prev,
+                        assignedTechnicianId: member.id,
+                        assignedTechnicianName: member.name || member.fullName || member.roleDisplay || member.email || '',
+                      }));
+                      setJobFormErrors((prev) => ({ ...prev, assignedTechnicianId: undefined }));
+                    }}
+                  />
                 </div>
 
                 <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
@@ -1748,12 +1925,30 @@ const JobManagementPage = () => {
                       return;
                     }
 
+                    // Warn before handing the job to someone without the skills the service requires
+                    const assignmentChanged =
+                      !isEditingJob ||
+                      selectedJob?.assignedTo !== jobFormData.assignedTechnicianId ||
+                      selectedJob?.serviceType !== jobFormData.serviceType;
+                    const technician = activeTeamMembers.find(
+                      (member) => member.id === jobFormData.assignedTechnicianId
+                    );
+                    if (technician && assignmentChanged) {
+                      const warning = await SchedulingRulesService.getQualificationWarning(
+                        companyIdForJobs,
+                        technician,
+                        jobFormData.serviceType,
+                        jobFormData.date
+                      );
+                      if (warning && !window.confirm(`${warning}.\n\nAssign anyway?`)) {
+                        return;
+                      }
+                    }
+
                     setIsSavingJob(true);
                     try {
                       let assignedMember = null;
-                      // TEMPORARILY DISABLED - Technician availability check
-                      // TODO: Re-enable after fixing Firestore permissions
-                      if (false && jobFormData.assignedTechnicianId) {
+                      if (jobFormData.assignedTechnicianId) {
                         assignedMember = activeTeamMembers.find(
                           (member) => member.id === jobFormData.assignedTechnicianId
                         );
@@ -1767,54 +1962,37 @@ const JobManagementPage = () => {
                           };
                         }
 
-                        try {
-                          const durationMinutes =
-                            JobManagementService.parseDurationMinutes(jobFormData.duration, null) ||
-                            JobManagementService.parseDurationMinutes(selectedJob?.duration, null) ||
-                            JobManagementService.parseDurationMinutes(
-                              selectedJob?.estimatedDuration || selectedJob?.actualHours,
-                              null
-                            ) ||
-                            60;
-
-                          const availability = await JobManagementService.checkTechnicianAvailability(
-                            jobFormData.assignedTechnicianId,
-                            jobFormData.date,
-                            jobFormData.time,
-                            durationMinutes,
-                            isEditingJob ? selectedJob?.id || null : null
-                          );
-
-                          if (availability?.error) {
-                            toast.error(availability.error);
-                            setIsSavingJob(false);
-                            return;
-                          }
+                        // Only a new assignee or a new time can create a conflict
+                        const scheduleChanged =
+                          assignmentChanged ||
+                          selectedJob?.date !== jobFormData.date ||
+                          selectedJob?.time !== jobFormData.time ||
+                          (selectedJob?.duration || '') !== (jobFormData.duration || '');
+                        const conflicts = !scheduleChanged ? [] : await getAssignmentConflicts(
+                          jobFormData.assignedTechnicianId,
+                          {
+                            ...jobFormData,
+                            duration: jobFormData.duration || selectedJob?.duration,
+                            estimatedDuration: selectedJob?.estimatedDuration,
+                            actualHours: selectedJob?.actualHours
+                          },
+                          isEditingJob ? selectedJob?.id || null : null
+                        );
 
-                          if (availability?.hasConflict) {
-                            const conflictSummary = availability.conflicts
-                              .map(
-                                (conflict) =>
-                                  `${conflict.date || jobFormData.date} at ${conflict.time || 'unspecified'} ` +
-                                  `(${conflict.serviceType || 'Job'}${conflict.customerName ? ` for ${conflict.customerName}` : ''
-                                  })`
-                              )
-                              .join('; ');
-                            toast.error(
-                              `Scheduling conflict detected for ${assignedMember?.name || 'technician'
-                              }: ${conflictSummary}`
-                            );
-                            setJobFormErrors((prev) => ({
-                              ...prev,
-                              assignedTechnicianId: 'Technician is unavailable at this time.',
-                            }));
-                            setIsSavingJob(false);
-                            return;
-                          }
-                        } catch (availabilityError) {
-                          // Log permission error but don't block job creation
-                          console.warn('⚠️ Could not check technician availability (permissions issue):', availabilityError.message);
-                          // Continue with job creation - availability check is nice-to-have but not critical
+                        if (conflicts.length > 0) {
+                          const conflictSummary = conflicts
+                            .map((conflict) => conflict.message)
+                            .join('; ');
+                          toast.error(
+                            `Scheduling conflict detected for ${assignedMember?.name || 'technician'
+                            }: ${conflictSummary}`
+                          );
+                          setJobFormErrors((prev) => ({
+                            ...prev,
+                            assignedTechnicianId: 'Technician is unavailable at this time.',
+                          }));
+                          setIsSavingJob(false);
+                          return;
                         }
                       }
 
@@ -1905,7 +2083,8 @@ const JobManagementPage = () => {
                       actualWorkDone: '',
                       actualHours: '',
                       completionNotes: '',
-                      cancellationReason: ''
+                      cancellationReason: '',
+                      statusNote: ''
                     });
                   }}
                   className="text-gray-400 hover:text-gray-600"
@@ -1925,13 +2104,29 @@ const JobManagementPage = () => {
                     onChange={(e) => setStatusData(prev => ({ ...prev, status: e.target.value }))}
                     className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
                   >
-                    <option value="">Select Status</option>
-                    <option value="scheduled">Scheduled</option>
-                    <option value="in-progress">In Progress</option>
-                    <option value="completed">Completed</option>
-                    <option value="cancelled">Cancelled</option>
+                    {JOB_STATUS_OPTIONS.filter((option) =>
+                      option.value === mapLegacyJobStatus(selectedJob.status) ||
+                      getAllowedJobStatuses(selectedJob.status).includes(option.value)
+                    ).map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.value === mapLegacyJobStatus(selectedJob.status) ? `${option.label} (current)` : option.label}
+                      </option>
+                    ))}
                   </select>
                 </div>
+
+                {!['completed', 'cancelled'].includes(statusData.status) && (
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700">Note</label>
+                    <input
+                      type="text"
+                      value={statusData.statusNote}
+                      onChange={(e) => setStatusData(prev => ({ ...prev, statusNote: e.target.value }))}
+                      className="mt-1 block w-full rounded-md border-gray-300 shadow-sm focus:border-primary-500 focus:ring-primary-500 sm:text-sm"
+                      placeholder="Optional, saved with the status history"
+                    />
+                  </div>
+                )}
                 
                 {statusData.status === 'completed' && (
                   <>
@@ -1967,6 +2162,32 @@ const JobManagementPage = () => {
                         placeholder="Additional notes about the completion..."
                       />
                     </div>
+
+                    {completionForm && (
+                      <CompletionFormFields
+                        form={completionForm}
+                        onChange={setCompletionForm}
+                        jobId={selectedJob.id}
+                        companyId={selectedJob.companyId || companyIdForJobs || userProfile?.companyId}
+                        uploadedBy={userProfile?.id || userProfile?.uid}
+                        customerName={selectedJob.customerName}
+                      />
+                    )}
+
+                    <div className="flex items-end justify-between gap-2">
+                      {customerSignature ? (
+                        <SignatureRecord signature={customerSignature} title="Customer Sign-off" />
+                      ) : (
+                        <p className="text-sm text-gray-500">No customer sign-off yet</p>
+                      )}
+                      <button
+                        type="button"
+                        onClick={() => setShowSignatureModal(true)}
+                        className="text-sm text-primary-600 hover:text-primary-800 whitespace-nowrap"
+                      >
+                        {customerSignature ? 'Sign again' : 'Capture signature'}
+                      </button>
+                    </div>
                   </>
                 )}
                 
@@ -1994,7 +2215,8 @@ const JobManagementPage = () => {
                       actualWorkDone: '',
                       actualHours: '',
                       completionNotes: '',
-                      cancellationReason: ''
+                      cancellationReason: '',
+                      statusNote: ''
                     });
                   }}
                   className="px-4 py-2 border border-gray-300 rounded-md text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
@@ -2013,6 +2235,15 @@ const JobManagementPage = () => {
           </div>
         </div>
       )}
+      {showSignatureModal && selectedJob && (
+        <SignatureCaptureModal
+          title="Customer Sign-off"
+          statement="I confirm the work on this job has been completed to my satisfaction."
+          defaultName={selectedJob.customerName}
+          onCapture={handleCustomerSignature}
+          onClose={() => setShowSignatureModal(false)}
+        />
+      )}
       {showAssignModal && selectedJob && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-50 overflow-y-auto h-full w-full z-50">
           <div className="relative top-20 mx-auto p-5 border w-full max-w-lg shadow-lg rounded-md bg-white">
@@ -2072,6 +2303,18 @@ const JobManagementPage = () => {
                   <p className="mt-2 text-xs text-gray-500">
                     Only active team members can be assigned jobs.
                   </p>
+                  <TechnicianSuggestions
+                    companyId={companyIdForJobs}
+                    technicians={activeTeamMembers}
+                    serviceType={selectedJob.serviceType}
+                    date={selectedJob.date}
+                    time={selectedJob.time}
+                    durationMinutes={JobManagementService.parseDurationMinutes(selectedJob.duration, 60)}
+                    customerId={selectedJob.customerId || null}
+                    excludeJobId={selectedJob.id}
+                    selectedId={selectedAssigneeId}
+                    onSelect={(member) => setSelectedAssigneeId(member.id)}
+                  />
                 </div>
               </div>
 
@@ -2098,6 +2341,23 @@ const JobManagementPage = () => {
           </div>
         </div>
       )}
+
+      {showSchedulingRulesModal && (
+        <SchedulingRulesModal
+          companyId={companyIdForJobs}
+          onClose={() => setShowSchedulingRulesModal(false)}
+        />
+      )}
+
+      {showExportModal && (
+        <ExportModal
+          entity="jobs"
+          companyId={companyIdForJobs}
+          userProfile={userProfile}
+          initialFilters={getExportFilters()}
+          onClose={() => setShowExportModal(false)}
+        />
+      )}
     </motion.div>
   );
 };
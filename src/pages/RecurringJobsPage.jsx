@@ -1,8 +1,15 @@
 import React, { useState, useEffect, useMemo, useRef, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import RecurringJobService from '../services/recurringJobService';
+import RRuleBuilder from '../components/RRuleBuilder';
+import RecurringJobPreviewModal from '../components/RecurringJobPreviewModal';
+import CompanyHolidaysModal from '../components/CompanyHolidaysModal';
+import { describeRRule, formatDateKey, toLocalDate } from '../utils/rrule';
 import CustomerService from '../services/customerService';
 import CompanyService from '../services/companyService';
+import SchedulingRulesService from '../services/schedulingRulesService';
+import JobManagementService from '../services/jobManagementService';
+import TechnicianSuggestions from '../components/TechnicianSuggestions';
 import { useAuth } from '../contexts/AuthContext';
 import { useCompany } from '../contexts/CompanyContext';
 import { SERVICE_CATEGORIES } from '../constants/serviceCategories';
@@ -34,26 +41,6 @@ import {
   Inject
 } from '@syncfusion/ej2-react-grids';
 
-const FREQUENCY_OPTIONS = [
-  { value: 'daily', label: 'Daily' },
-  { value: 'weekly', label: 'Weekly' },
-  { value: 'bi-weekly', label: 'Bi-Weekly' },
-  { value: 'monthly', label: 'Monthly' },
-  { value: 'bi-monthly', label: 'Bi-Monthly' },
-  { value: 'quarterly', label: 'Quarterly' },
-  { value: 'annually', label: 'Annually' }
-];
-
-const DAY_OF_WEEK_OPTIONS = [
-  { value: 0, label: 'Sunday' },
-  { value: 1, label: 'Monday' },
-  { value: 2, label: 'Tuesday' },
-  { value: 3, label: 'Wednesday' },
-  { value: 4, label: 'Thursday' },
-  { value: 5, label: 'Friday' },
-  { value: 6, label: 'Saturday' }
-];
-
 const RecurringJobsPage = () => {
   const { userProfile, isSuperAdmin } = useAuth();
   const { getEffectiveCompanyId } = useCompany();
@@ -64,6 +51,9 @@ const RecurringJobsPage = () => {
   const [showCreateModal, setShowCreateModal] = useState(false);
   const [showEditModal, setShowEditModal] = useState(false);
   const [selectedRecurringJob, setSelectedRecurringJob] = useState(null);
+  const [previewRecurringJob, setPreviewRecurringJob] = useState(null);
+  const [showHolidaysModal, setShowHolidaysModal] = useState(false);
+  const [isGeneratingAll, setIsGeneratingAll] = useState(false);
   const [teamMembers, setTeamMembers] = useState([]);
   const [teamMembersLoading, setTeamMembersLoading] = useState(false);
   
@@ -71,14 +61,13 @@ const RecurringJobsPage = () => {
     customerId: '',
     customerName: '',
     serviceType: '',
-    frequency: 'weekly',
-    dayOfWeek: null,
+    rrule: 'FREQ=WEEKLY',
+    holidayPolicy: 'skip',
     time: '09:00 AM',
     duration: '',
     estimatedCost: '',
     notes: '',
     startDate: '',
-    endDate: '',
     isActive: true,
     assignedTechnicianId: '',
     assignedTechnicianName: ''
@@ -180,11 +169,26 @@ const RecurringJobsPage = () => {
     }));
   };
 
+  // Warn before assigning a series to someone without the skills the service requires
+  const confirmTechnicianQualified = async () => {
+    const member = teamMembers.find((m) => m.id === formData.assignedTechnicianId);
+    if (!member) return true;
+
+    const warning = await SchedulingRulesService.getQualificationWarning(
+      getEffectiveCompanyId() || userProfile?.companyId,
+      member,
+      formData.serviceType,
+      formData.startDate
+    );
+    return !warning || window.confirm(`${warning}.\n\nAssign anyway?`);
+  };
+
   const handleCreateRecurringJob = async () => {
     if (!formData.customerId || !formData.serviceType) {
       toast.error('Please select a customer and service type');
       return;
     }
+    if (!(await confirmTechnicianQualified())) return;
 
     setIsLoading(true);
     try {
@@ -203,8 +207,8 @@ const RecurringJobsPage = () => {
           formData.assignedTechnicianName ||
           '',
         startDate: formData.startDate ? new Date(formData.startDate).toISOString() : null,
-        endDate: formData.endDate ? new Date(formData.endDate).toISOString() : null,
-        dayOfWeek: formData.dayOfWeek !== null && formData.dayOfWeek !== '' ? parseInt(formData.dayOfWeek) : null
+        // End date is derived from the rule's UNTIL by the service
+        endDate: null
       };
 
       const result = await RecurringJobService.createRecurringJob(recurringJobData);
@@ -226,6 +230,13 @@ const RecurringJobsPage = () => {
 
   const handleUpdateRecurringJob = async () => {
     if (!selectedRecurringJob) return;
+    if (
+      (formData.assignedTechnicianId !== selectedRecurringJob.assignedTechnicianId ||
+        formData.serviceType !== selectedRecurringJob.serviceType) &&
+      !(await confirmTechnicianQualified())
+    ) {
+      return;
+    }
 
     setIsLoading(true);
     try {
@@ -244,8 +255,8 @@ const RecurringJobsPage = () => {
           formData.assignedTechnicianName ||
           '',
         startDate: formData.startDate ? new Date(formData.startDate).toISOString() : null,
-        endDate: formData.endDate ? new Date(formData.endDate).toISOString() : null,
-        dayOfWeek: formData.dayOfWeek !== null && formData.dayOfWeek !== '' ? parseInt(formData.dayOfWeek) : null
+        // End date is derived from the rule's UNTIL by the service
+        endDate: null
       };
 
       const result = await RecurringJobService.updateRecurringJob(selectedRecurringJob.id, updates);
@@ -306,14 +317,51 @@ const RecurringJobsPage = () => {
     setIsLoading(false);
   };
 
+  const handleGenerateAll = async () => {
+    if (!window.confirm(
+      `Create jobs for the next ${RecurringJobService.DEFAULT_HORIZON_DAYS} days for all active recurring jobs? ` +
+      'Occurrences with technician conflicts are held back for review.'
+    )) {
+      return;
+    }
+
+    setIsGeneratingAll(true);
+    const result = await RecurringJobService.materializeAllRecurringJobs(userProfile, getEffectiveCompanyId());
+    setIsGeneratingAll(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to generate jobs');
+      return;
+    }
+    toast.success(
+      `${result.createdCount} job${result.createdCount === 1 ? '' : 's'} created` +
+      (result.conflictCount > 0 ? `, ${result.conflictCount} held back for conflicts` : '')
+    );
+    loadRecurringJobs();
+  };
+
+  // Jobs saved before RRULE support carry their end date separately
+  const getEditableRule = (recurringJob) => {
+    const rrule = RecurringJobService.getRecurrenceRule(recurringJob);
+    if (recurringJob.rrule || !recurringJob.endDate) {
+      return rrule;
+    }
+    // Read the stored calendar day rather than its UTC instant, which is the previous day west of UTC
+    const endDate = toLocalDate(recurringJob.endDate);
+    if (!endDate) {
+      return rrule;
+    }
+    return `${rrule};UNTIL=${formatDateKey(endDate).replace(/-/g, '')}`;
+  };
+
   const openEditModal = (recurringJob) => {
     setSelectedRecurringJob(recurringJob);
     setFormData({
       customerId: recurringJob.customerId || '',
       customerName: recurringJob.customerName || '',
       serviceType: recurringJob.serviceType || '',
-      frequency: recurringJob.frequency || 'weekly',
-      dayOfWeek: recurringJob.dayOfWeek !== undefined ? recurringJob.dayOfWeek.toString() : '',
+      rrule: getEditableRule(recurringJob),
+      holidayPolicy: recurringJob.holidayPolicy || 'skip',
       time: recurringJob.time || '09:00 AM',
       duration: recurringJob.duration || '',
       estimatedCost: recurringJob.estimatedCost || '',
@@ -321,9 +369,6 @@ const RecurringJobsPage = () => {
       startDate: recurringJob.startDate 
         ? (recurringJob.startDate.toDate ? recurringJob.startDate.toDate().toISOString().split('T')[0] : recurringJob.startDate.split('T')[0])
         : '',
-      endDate: recurringJob.endDate 
-        ? (recurringJob.endDate.toDate ? recurringJob.endDate.toDate().toISOString().split('T')[0] : recurringJob.endDate.split('T')[0])
-        : '',
       isActive: recurringJob.isActive !== undefined ? recurringJob.isActive : true,
       assignedTechnicianId: recurringJob.assignedTechnicianId || '',
       assignedTechnicianName: recurringJob.assignedTechnicianName || '',
@@ -336,14 +381,13 @@ const RecurringJobsPage = () => {
       customerId: '',
       customerName: '',
       serviceType: '',
-      frequency: 'weekly',
-      dayOfWeek: null,
+      rrule: 'FREQ=WEEKLY',
+      holidayPolicy: 'skip',
       time: '09:00 AM',
       duration: '',
       estimatedCost: '',
       notes: '',
       startDate: '',
-      endDate: '',
       isActive: true,
       assignedTechnicianId: '',
       assignedTechnicianName: ''
@@ -364,11 +408,6 @@ const RecurringJobsPage = () => {
     }
   };
 
-  const getFrequencyLabel = (frequency) => {
-    const option = FREQUENCY_OPTIONS.find(opt => opt.value === frequency);
-    return option ? option.label : frequency;
-  };
-
   const handleRecurringToolbarClick = useCallback((args) => {
     if (!recurringGridRef.current) return;
     const id = args.item?.id || '';
@@ -393,19 +432,11 @@ const RecurringJobsPage = () => {
     </div>
   );
 
-  const recurringFrequencyTemplate = (props) => {
-    const frequencyLabel = getFrequencyLabel(props.frequency);
-    const dayOfWeekLabel =
-      props.dayOfWeek !== null && props.dayOfWeek !== undefined
-        ? DAY_OF_WEEK_OPTIONS.find((d) => d.value === props.dayOfWeek)?.label
-        : null;
-    return (
-      <div className="text-sm text-gray-800">
-        {frequencyLabel}
-        {dayOfWeekLabel && <span className="ml-1 text-xs text-gray-500">({dayOfWeekLabel})</span>}
-      </div>
-    );
-  };
+  const recurringFrequencyTemplate = (props) => (
+    <div className="text-sm text-gray-800">
+      {describeRRule(RecurringJobService.getRecurrenceRule(props))}
+    </div>
+  );
 
   const recurringScheduleTemplate = (props) => (
     <div className="text-sm text-gray-800">
@@ -436,6 +467,14 @@ const RecurringJobsPage = () => {
 
   const recurringActionsTemplate = (props) => (
     <div className="flex items-center justify-end gap-2">
+      <button
+        type="button"
+        onClick={() => setPreviewRecurringJob(props)}
+        className="text-primary-600 hover:text-primary-900"
+        title="Preview & generate jobs"
+      >
+        <CalendarIcon className="h-5 w-5" />
+      </button>
       <button
         type="button"
         onClick={() => handleToggleActive(props.id, props.isActive)}
@@ -595,37 +634,6 @@ const RecurringJobsPage = () => {
                   </select>
                 </div>
 
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Frequency *</label>
-                    <select
-                      value={formData.frequency}
-                      onChange={(e) => handleInputChange('frequency', e.target.value)}
-                      className="w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
-                    >
-                      {FREQUENCY_OPTIONS.map(option => (
-                        <option key={option.value} value={option.value}>{option.label}</option>
-                      ))}
-                    </select>
-                  </div>
-
-                  {formData.frequency !== 'daily' && (
-                    <div>
-                      <label className="block text-sm font-medium text-gray-700 mb-2">Day of Week</label>
-                      <select
-                        value={formData.dayOfWeek || ''}
-                        onChange={(e) => handleInputChange('dayOfWeek', e.target.value || null)}
-                        className="w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
-                      >
-                        <option value="">Any Day</option>
-                        {DAY_OF_WEEK_OPTIONS.map(option => (
-                          <option key={option.value} value={option.value}>{option.label}</option>
-                        ))}
-                      </select>
-                    </div>
-                  )}
-                </div>
-
                 <div className="grid grid-cols-2 gap-4">
                   <div>
                     <label className="block text-sm font-medium text-gray-700 mb-2">Time</label>
@@ -688,28 +696,56 @@ const RecurringJobsPage = () => {
                       Add team members in Company Setup to enable technician assignments.
                     </p>
                   )}
+                  <TechnicianSuggestions
+                    companyId={getEffectiveCompanyId() || userProfile?.companyId}
+                    technicians={teamMembers}
+                    serviceType={formData.serviceType}
+                    date={formData.startDate}
+                    time={formData.time}
+                    durationMinutes={JobManagementService.parseDurationMinutes(formData.duration, 60)}
+                    customerId={formData.customerId || null}
+                    selectedId={formData.assignedTechnicianId}
+                    onSelect={(member) =>
+                      setFormData((prev) => ({
+                        ...prev,
+                        assignedTechnicianId: member.id,
+                        assignedTechnicianName:
+                          member.name || member.fullName || member.roleDisplay || member.email || '',
+                      }))
+                    }
+                  />
                 </div>
 
-                <div className="grid grid-cols-2 gap-4">
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
-                    <input
-                      type="date"
-                      value={formData.startDate}
-                      onChange={(e) => handleInputChange('startDate', e.target.value)}
-                      className="w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
-                    />
-                  </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Start Date</label>
+                  <input
+                    type="date"
+                    value={formData.startDate}
+                    onChange={(e) => handleInputChange('startDate', e.target.value)}
+                    className="w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
+                  />
+                </div>
 
-                  <div>
-                    <label className="block text-sm font-medium text-gray-700 mb-2">End Date (optional)</label>
-                    <input
-                      type="date"
-                      value={formData.endDate}
-                      onChange={(e) => handleInputChange('endDate', e.target.value)}
-                      className="w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
-                    />
-                  </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Recurrence *</label>
+                  <RRuleBuilder
+                    key={selectedRecurringJob?.id || 'new'}
+                    value={formData.rrule}
+                    startDate={formData.startDate}
+                    onChange={(rrule) => handleInputChange('rrule', rrule)}
+                  />
+                </div>
+
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">On Company Holidays</label>
+                  <select
+                    value={formData.holidayPolicy}
+                    onChange={(e) => handleInputChange('holidayPolicy', e.target.value)}
+                    className="w-full px-4 py-2.5 rounded-lg border border-gray-300 shadow-sm focus:border-primary-500 focus:ring-2 focus:ring-primary-500 focus:ring-opacity-50 transition-colors sm:text-sm"
+                  >
+                    <option value="skip">Skip the occurrence</option>
+                    <option value="next_business_day">Move to the next non-holiday day</option>
+                  </select>
                 </div>
 
                 <div>
@@ -776,16 +812,35 @@ const RecurringJobsPage = () => {
             <p className="text-gray-600">Manage automated job scheduling</p>
           </div>
         </div>
-        <button
-          onClick={() => {
-            resetForm();
-            setShowCreateModal(true);
-          }}
-          className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
-        >
-          <PlusIcon className="h-5 w-5 mr-2" />
-          Create Recurring Job
-        </button>
+        <div className="flex items-center gap-2">
+          {getEffectiveCompanyId() && (
+            <button
+              onClick={() => setShowHolidaysModal(true)}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-primary-500"
+            >
+              <CalendarIcon className="h-5 w-5 mr-2" />
+              Holidays
+            </button>
+          )}
+          <button
+            onClick={handleGenerateAll}
+            disabled={isGeneratingAll || recurringJobs.length === 0}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 focus:outline-none focus:ring-2 focus:ring-primary-500 disabled:opacity-50"
+          >
+            <ArrowPathIcon className={`h-5 w-5 mr-2 ${isGeneratingAll ? 'animate-spin' : ''}`} />
+            Generate Next {RecurringJobService.DEFAULT_HORIZON_DAYS} Days
+          </button>
+          <button
+            onClick={() => {
+              resetForm();
+              setShowCreateModal(true);
+            }}
+            className="inline-flex items-center px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 focus:outline-none focus:ring-2 focus:ring-primary-500"
+          >
+            <PlusIcon className="h-5 w-5 mr-2" />
+            Create Recurring Job
+          </button>
+        </div>
       </div>
 
       {/* Recurring Jobs List */}
@@ -874,6 +929,21 @@ const RecurringJobsPage = () => {
 
       {/* Edit Modal */}
       {showEditModal && renderModal(true)}
+
+      {previewRecurringJob && (
+        <RecurringJobPreviewModal
+          recurringJob={previewRecurringJob}
+          onClose={() => setPreviewRecurringJob(null)}
+          onGenerated={loadRecurringJobs}
+        />
+      )}
+
+      {showHolidaysModal && (
+        <CompanyHolidaysModal
+          companyId={getEffectiveCompanyId()}
+          onClose={() => setShowHolidaysModal(false)}
+        />
+      )}
     </div>
   );
 };
@@ -1,6 +1,8 @@
 import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
 import { motion } from 'framer-motion';
 import ReportingService from '../services/reportingService';
+import { useCompany } from '../contexts/CompanyContext';
+import { parseDate } from '../utils/dateHelpers';
 import { 
   ChartBarIcon, 
   DocumentArrowDownIcon,
@@ -11,7 +13,14 @@ import {
   ClockIcon,
   ArrowTrendingUpIcon,
   EyeIcon,
-  PrinterIcon
+  PrinterIcon,
+  FunnelIcon,
+  BuildingOfficeIcon,
+  TrophyIcon,
+  UserGroupIcon,
+  BanknotesIcon,
+  ChevronDownIcon,
+  ChevronRightIcon
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 import {
@@ -29,42 +38,107 @@ import {
   Inject
 } from '@syncfusion/ej2-react-grids';
 
+const EMPTY_FILTERS = { technicianId: '', serviceType: '', location: '' };
+
+const comparisonOptions = [
+  { value: 'previous_period', label: 'vs Previous Period' },
+  { value: 'previous_year', label: 'vs Same Period Last Year' }
+];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const breakdownDimensions = [
+  { value: 'technician', label: 'Technician' },
+  { value: 'serviceType', label: 'Service Type' },
+  { value: 'location', label: 'Location' }
+];
+
+// Leaderboard orderings; callbacks rank lowest first
+const leaderboardMetrics = [
+  { value: 'revenue', label: 'Revenue' },
+  { value: 'jobsCompleted', label: 'Jobs Completed' },
+  { value: 'utilization', label: 'Utilization' },
+  { value: 'averageRating', label: 'Rating' },
+  { value: 'callbackRate', label: 'Fewest Callbacks', ascending: true }
+];
+
 const ReportsPage = () => {
+  const { getEffectiveCompanyId, canSwitchCompanies, switchCompany, activeCompany } = useCompany();
   const [analytics, setAnalytics] = useState(null);
+  const [scope, setScope] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [showAllCompanies, setShowAllCompanies] = useState(false);
+  const [breakdownDimension, setBreakdownDimension] = useState('technician');
   const [report, setReport] = useState(null);
   const [isLoading, setIsLoading] = useState(false);
   const [selectedDateRange, setSelectedDateRange] = useState('month');
+  const [customRange, setCustomRange] = useState({ startDate: '', endDate: '' });
+  const [comparison, setComparison] = useState('previous_period');
+  const [period, setPeriod] = useState(null);
   const [selectedReportType, setSelectedReportType] = useState('comprehensive');
   const [showReportModal, setShowReportModal] = useState(false);
+  const [technicianPerformance, setTechnicianPerformance] = useState(null);
+  const [leaderboardMetric, setLeaderboardMetric] = useState('revenue');
+  const [aging, setAging] = useState(null);
+  const [expandedAgingCustomer, setExpandedAgingCustomer] = useState(null);
   const trendsGridRef = useRef(null);
   const trendsToolbarOptions = useMemo(() => ['Search', 'ExcelExport'], []);
   const trendsPageSettings = useMemo(() => ({ pageSize: 12, pageSizes: [12, 24, 36] }), []);
   const trendsFilterSettings = useMemo(() => ({ type: 'Excel' }), []);
 
   const dateRanges = [
-    { value: 'week', label: 'Last 7 Days' },
+    { value: 'week', label: 'This Week' },
     { value: 'month', label: 'This Month' },
     { value: 'quarter', label: 'This Quarter' },
-    { value: 'year', label: 'This Year' }
+    { value: 'year', label: 'This Year' },
+    { value: 'custom', label: 'Custom Range' }
   ];
 
   const reportTypes = [
     { value: 'comprehensive', label: 'Comprehensive Report', icon: ChartBarIcon },
     { value: 'revenue', label: 'Revenue Analysis', icon: CurrencyDollarIcon },
     { value: 'performance', label: 'Performance Metrics', icon: ClipboardDocumentListIcon },
-    { value: 'customers', label: 'Customer Analytics', icon: UsersIcon }
+    { value: 'customers', label: 'Customer Analytics', icon: UsersIcon },
+    { value: 'technicians', label: 'Technician Performance', icon: UserGroupIcon }
   ];
 
+  const companyId = useMemo(
+    () => (typeof getEffectiveCompanyId === 'function' ? getEffectiveCompanyId() : null),
+    [getEffectiveCompanyId]
+  );
+
+  // Super admins can widen the view to every company; everyone else is held to their own by the service
+  const analyticsOptions = useMemo(() => ({
+    companyId: canSwitchCompanies && showAllCompanies ? null : companyId,
+    ...filters,
+    comparison,
+    ...(selectedDateRange === 'custom' ? customRange : {})
+  }), [canSwitchCompanies, showAllCompanies, companyId, filters, comparison, selectedDateRange, customRange]);
+
+  // A custom range is only loaded once both ends are picked
+  const isRangeReady = selectedDateRange !== 'custom' || Boolean(customRange.startDate && customRange.endDate);
+
+  // Filter choices belong to one company, so start over when the company changes
   useEffect(() => {
-    loadAnalytics();
-  }, [selectedDateRange]);
+    setFilters(prev => (prev.technicianId || prev.serviceType || prev.location ? EMPTY_FILTERS : prev));
+  }, [companyId, showAllCompanies]);
 
-  const loadAnalytics = async () => {
+  const loadAnalytics = useCallback(async () => {
+    if (!isRangeReady) return;
     setIsLoading(true);
     try {
-      const result = await ReportingService.getBusinessAnalytics(selectedDateRange);
+      const result = await ReportingService.getBusinessAnalytics(selectedDateRange, analyticsOptions);
       if (result.success) {
         setAnalytics(result.analytics);
+        setScope(result.scope);
+        setPeriod({
+          dateRange: result.dateRange,
+          comparisonRange: result.comparisonRange,
+          fiscalYearStartMonth: result.fiscalYearStartMonth
+        });
       } else {
         toast.error(result.error);
       }
@@ -73,12 +147,150 @@ const ReportsPage = () => {
       toast.error('Error loading analytics');
     }
     setIsLoading(false);
+  }, [selectedDateRange, analyticsOptions, isRangeReady]);
+
+  useEffect(() => {
+    loadAnalytics();
+  }, [loadAnalytics]);
+
+  const loadTechnicianPerformance = useCallback(async () => {
+    if (!isRangeReady) return;
+    try {
+      const result = await ReportingService.getTechnicianPerformance(selectedDateRange, analyticsOptions);
+      if (result.success) {
+        setTechnicianPerformance(result);
+      } else {
+        setTechnicianPerformance(null);
+        toast.error(result.error);
+      }
+    } catch (error) {
+      console.error('Error loading technician performance:', error);
+      toast.error('Error loading technician performance');
+    }
+  }, [selectedDateRange, analyticsOptions, isRangeReady]);
+
+  useEffect(() => {
+    loadTechnicianPerformance();
+  }, [loadTechnicianPerformance]);
+
+  // Aging is as of today, so it follows the company but not the date range
+  const agingCompanyId = analyticsOptions.companyId;
+  const loadAging = useCallback(async () => {
+    try {
+      const result = await ReportingService.getAccountsReceivableAging({ companyId: agingCompanyId });
+      if (result.success) {
+        setAging(result);
+      } else {
+        setAging(null);
+        toast.error(result.error);
+      }
+    } catch (error) {
+      console.error('Error loading receivables aging:', error);
+      toast.error('Error loading receivables aging');
+    }
+  }, [agingCompanyId]);
+
+  useEffect(() => {
+    setExpandedAgingCustomer(null);
+    loadAging();
+  }, [loadAging]);
+
+  const exportAging = async (format) => {
+    const result = await ReportingService.exportAgingReport(aging, format);
+    if (result.success) {
+      toast.success(`Exported ${result.filename}`);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  // Ranked by the chosen metric; technicians without a value for it go last
+  const leaderboard = useMemo(() => {
+    if (!technicianPerformance) return [];
+    const metric = leaderboardMetrics.find(option => option.value === leaderboardMetric);
+    const direction = metric?.ascending ? 1 : -1;
+    return [...technicianPerformance.technicians]
+      .sort((a, b) => {
+        const aValue = a[leaderboardMetric];
+        const bValue = b[leaderboardMetric];
+        if (aValue === null && bValue === null) return b.revenue - a.revenue;
+        if (aValue === null) return 1;
+        if (bValue === null) return -1;
+        return (aValue - bValue) * direction || b.revenue - a.revenue;
+      })
+      .map((row, index) => ({ ...row, rank: index + 1 }));
+  }, [technicianPerformance, leaderboardMetric]);
+
+  const exportLeaderboard = async (format) => {
+    const result = await ReportingService.exportTechnicianPerformance(leaderboard, format);
+    if (result.success) {
+      toast.success(`Exported ${result.filename}`);
+    } else {
+      toast.error(result.error);
+    }
+  };
+
+  const updateFilter = (field, value) => {
+    setFilters(prev => ({ ...prev, [field]: value }));
+  };
+
+  const hasFilters = Boolean(filters.technicianId || filters.serviceType || filters.location);
+
+  const openCompany = async (rollupCompanyId) => {
+    try {
+      await switchCompany(rollupCompanyId);
+      setShowAllCompanies(false);
+    } catch (error) {
+      console.error('Error switching company:', error);
+      toast.error(error.message || 'Unable to switch company');
+    }
+  };
+
+  const scopeLabel = () => {
+    if (!scope) return '';
+    switch (scope.type) {
+      case 'all':
+        return 'All companies';
+      case 'technician':
+        return 'Your jobs';
+      case 'user':
+        return 'Records you created';
+      default:
+        return activeCompany?.name || 'Your company';
+    }
+  };
+
+  const formatPeriod = (range) => (
+    `${new Date(range.startDate).toLocaleDateString()} – ${new Date(range.endDate).toLocaleDateString()}`
+  );
+
+  const periodLabel = () => {
+    if (!period) return '';
+    const fiscalNote = period.fiscalYearStartMonth > 1 && ['quarter', 'year'].includes(selectedDateRange)
+      ? ` (fiscal year from ${MONTH_NAMES[period.fiscalYearStartMonth - 1]})`
+      : '';
+    return `${formatPeriod(period.dateRange)}${fiscalNote}, compared with ${formatPeriod(period.comparisonRange)}`;
+  };
+
+  const renderMetricChange = (key) => {
+    const metric = ReportingService.METRICS[key];
+    const entry = analytics?.comparison?.[key];
+    if (!metric || !entry) return null;
+    return (
+      <span className={`block text-xs ${metric.format === 'hours' ? 'text-gray-500' : changeColor(entry.change)}`}>
+        {ReportingService.formatMetricChange(entry, metric.format)} {analytics.comparisonLabel}
+      </span>
+    );
   };
 
   const generateReport = async () => {
+    if (!isRangeReady) {
+      toast.error('Choose a start and end date');
+      return;
+    }
     setIsLoading(true);
     try {
-      const result = await ReportingService.generateReport(selectedReportType, selectedDateRange);
+      const result = await ReportingService.generateReport(selectedReportType, selectedDateRange, analyticsOptions);
       if (result.success) {
         setReport(result.report);
         setShowReportModal(true);
@@ -138,6 +350,7 @@ const ReportsPage = () => {
             <h1>${report.title}</h1>
             <p>Generated: ${new Date(report.generatedAt).toLocaleDateString()}</p>
             <p>Date Range: ${new Date(report.dateRange.startDate).toLocaleDateString()} - ${new Date(report.dateRange.endDate).toLocaleDateString()}</p>
+            ${report.comparisonRange ? `<p>Compared With: ${new Date(report.comparisonRange.startDate).toLocaleDateString()} - ${new Date(report.comparisonRange.endDate).toLocaleDateString()}</p>` : ''}
           </div>
           <div class="summary">
             <h3>Summary</h3>
@@ -172,6 +385,19 @@ const ReportsPage = () => {
     return `${value.toFixed(1)}%`;
   };
 
+  // Percentage change; null means there was nothing in the prior period to compare with
+  const formatChange = (value) => {
+    if (value === null || value === undefined) return 'n/a';
+    return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+  };
+
+  const formatHours = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}h`);
+
+  const changeColor = (value) => {
+    if (value === null || value === undefined) return 'text-gray-500';
+    return value >= 0 ? 'text-green-600' : 'text-red-600';
+  };
+
   const handleTrendsToolbarClick = useCallback((args) => {
     if (!trendsGridRef.current) return;
     const id = args.item?.id || '';
@@ -190,6 +416,17 @@ const ReportsPage = () => {
     <span className="text-sm text-gray-900">{props.completedJobs}</span>
   );
 
+  const trendsGrowthTemplate = (props) => (
+    <span className={`text-sm ${changeColor(props.revenueGrowth)}`}>{formatChange(props.revenueGrowth)}</span>
+  );
+
+  const trendsRatingTemplate = (props) => (
+    <span className="text-sm text-gray-900">
+      {props.averageRating === null ? '—' : props.averageRating.toFixed(1)}
+      <span className="text-xs text-gray-500"> ({props.ratingCount})</span>
+    </span>
+  );
+
   const trendsJobsTemplate = (props) => (
     <span className="text-sm text-gray-900">{props.jobs}</span>
   );
@@ -223,9 +460,31 @@ const ReportsPage = () => {
             <div>
               <h1 className="text-2xl font-bold text-gray-900">Reports & Analytics</h1>
               <p className="text-gray-600">Comprehensive business insights and performance metrics</p>
+              {scope && (
+                <p className="mt-1 text-xs text-gray-500 flex items-center">
+                  <BuildingOfficeIcon className="h-4 w-4 mr-1" />
+                  {scopeLabel()}
+                </p>
+              )}
+              {period && (
+                <p className="mt-1 text-xs text-gray-500 flex items-center">
+                  <CalendarIcon className="h-4 w-4 mr-1" />
+                  {periodLabel()}
+                </p>
+              )}
             </div>
           </div>
           <div className="flex space-x-3">
+            {canSwitchCompanies && (
+              <select
+                value={showAllCompanies ? 'all' : 'company'}
+                onChange={(e) => setShowAllCompanies(e.target.value === 'all')}
+                className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+              >
+                <option value="company">{activeCompany?.name || 'Selected company'}</option>
+                <option value="all">All companies</option>
+              </select>
+            )}
             <select
               value={selectedDateRange}
               onChange={(e) => setSelectedDateRange(e.target.value)}
@@ -235,6 +494,35 @@ const ReportsPage = () => {
                 <option key={range.value} value={range.value}>{range.label}</option>
               ))}
             </select>
+            {selectedDateRange === 'custom' && (
+              <>
+                <input
+                  type="date"
+                  value={customRange.startDate}
+                  max={customRange.endDate || undefined}
+                  onChange={(e) => setCustomRange(prev => ({ ...prev, startDate: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  aria-label="Start date"
+                />
+                <input
+                  type="date"
+                  value={customRange.endDate}
+                  min={customRange.startDate || undefined}
+                  onChange={(e) => setCustomRange(prev => ({ ...prev, endDate: e.target.value }))}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+                  aria-label="End date"
+                />
+              </>
+            )}
+            <select
+              value={comparison}
+              onChange={(e) => setComparison(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:ring-primary-500 focus:border-primary-500"
+            >
+              {comparisonOptions.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
             <button
               onClick={generateReport}
               disabled={isLoading}
@@ -247,6 +535,58 @@ const ReportsPage = () => {
         </div>
       </div>
 
+      {/* Filters */}
+      {analytics && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-4">
+          <div className="flex flex-wrap items-center gap-3">
+            <FunnelIcon className="h-5 w-5 text-gray-400" />
+            <select
+              value={filters.technicianId}
+              onChange={(e) => updateFilter('technicianId', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All technicians</option>
+              {analytics.filterOptions.technicians.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.serviceType}
+              onChange={(e) => updateFilter('serviceType', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All service types</option>
+              {analytics.filterOptions.serviceTypes.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <select
+              value={filters.location}
+              onChange={(e) => updateFilter('location', e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">All locations</option>
+              {analytics.filterOptions.locations.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {hasFilters && (
+              <button
+                onClick={() => setFilters(EMPTY_FILTERS)}
+                className="text-sm text-primary-600 hover:text-primary-700"
+              >
+                Clear filters
+              </button>
+            )}
+          </div>
+          {hasFilters && (
+            <p className="mt-2 text-xs text-gray-500">
+              Job, revenue and rating figures reflect the filters; customer totals cover the whole {scope?.type === 'all' ? 'platform' : 'company'}.
+            </p>
+          )}
+        </div>
+      )}
+
       {/* Quick Stats */}
       {analytics && (
         <div className="grid grid-cols-1 gap-5 sm:grid-cols-2 lg:grid-cols-4">
@@ -260,6 +600,7 @@ const ReportsPage = () => {
                   <dl>
                     <dt className="text-sm font-medium text-gray-500 truncate">Total Revenue</dt>
                     <dd className="text-lg font-medium text-gray-900">{formatCurrency(analytics.totalRevenue)}</dd>
+                    <dd>{renderMetricChange('totalRevenue')}</dd>
                   </dl>
                 </div>
               </div>
@@ -276,6 +617,7 @@ const ReportsPage = () => {
                   <dl>
                     <dt className="text-sm font-medium text-gray-500 truncate">Total Jobs</dt>
                     <dd className="text-lg font-medium text-gray-900">{analytics.totalJobs}</dd>
+                    <dd>{renderMetricChange('totalJobs')}</dd>
                   </dl>
                 </div>
               </div>
@@ -292,6 +634,7 @@ const ReportsPage = () => {
                   <dl>
                     <dt className="text-sm font-medium text-gray-500 truncate">Total Customers</dt>
                     <dd className="text-lg font-medium text-gray-900">{analytics.totalCustomers}</dd>
+                    <dd>{renderMetricChange('totalCustomers')}</dd>
                   </dl>
                 </div>
               </div>
@@ -308,6 +651,7 @@ const ReportsPage = () => {
                   <dl>
                     <dt className="text-sm font-medium text-gray-500 truncate">Completion Rate</dt>
                     <dd className="text-lg font-medium text-gray-900">{formatPercentage(analytics.completionRate)}</dd>
+                    <dd>{renderMetricChange('completionRate')}</dd>
                   </dl>
                 </div>
               </div>
@@ -319,7 +663,7 @@ const ReportsPage = () => {
       {/* Report Type Selection */}
       <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
         <h3 className="text-lg font-medium text-gray-900 mb-4">Select Report Type</h3>
-        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-5">
           {reportTypes.map((type) => {
             const Icon = type.icon;
             return (
@@ -363,8 +707,15 @@ const ReportsPage = () => {
                 <span className="text-sm font-medium">{formatCurrency(analytics.revenueThisMonth)}</span>
               </div>
               <div className="flex justify-between">
-                <span className="text-sm text-gray-600">Growth Rate</span>
-                <span className="text-sm font-medium text-green-600">+{analytics.revenueGrowth.percentage.toFixed(1)}%</span>
+                <span className="text-sm text-gray-600">Growth {analytics.comparisonLabel}</span>
+                <span className="text-right">
+                  <span className={`text-sm font-medium ${changeColor(analytics.revenueGrowth.percentage)}`}>
+                    {formatChange(analytics.revenueGrowth.percentage)}
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    {formatCurrency(analytics.revenueGrowth.previousRevenue)} from {analytics.revenueGrowth.previousSampleSize} completed job{analytics.revenueGrowth.previousSampleSize === 1 ? '' : 's'} before
+                  </span>
+                </span>
               </div>
             </div>
           </div>
@@ -388,9 +739,24 @@ const ReportsPage = () => {
                 <span className="text-sm text-gray-600">Average Duration</span>
                 <span className="text-sm font-medium">{analytics.averageJobDuration.toFixed(1)} hrs</span>
               </div>
+              <div className="flex justify-between">
+                <span className="text-sm text-gray-600">Average Travel Time</span>
+                <span className="text-sm font-medium">{analytics.averageTravelTime.toFixed(1)} hrs</span>
+              </div>
               <div className="flex justify-between">
                 <span className="text-sm text-gray-600">Customer Satisfaction</span>
-                <span className="text-sm font-medium">{analytics.customerSatisfactionScore.toFixed(1)}/5.0</span>
+                <span className="text-right">
+                  <span className="text-sm font-medium">
+                    {analytics.customerSatisfactionScore.average === null
+                      ? 'No ratings'
+                      : `${analytics.customerSatisfactionScore.average.toFixed(1)}/5.0`}
+                  </span>
+                  <span className="block text-xs text-gray-500">
+                    {analytics.customerSatisfactionScore.count} rating{analytics.customerSatisfactionScore.count === 1 ? '' : 's'}
+                    {analytics.customerSatisfactionScore.change !== null &&
+                      ` · ${analytics.customerSatisfactionScore.change >= 0 ? '+' : ''}${analytics.customerSatisfactionScore.change.toFixed(1)} ${analytics.comparisonLabel}`}
+                  </span>
+                </span>
               </div>
             </div>
           </div>
@@ -439,6 +805,406 @@ const ReportsPage = () => {
         </div>
       )}
 
+      {/* Period Comparison */}
+      {analytics && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+            <ArrowTrendingUpIcon className="h-5 w-5 mr-2 text-primary-500" />
+            Period Comparison
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Metric</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Current</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                    {comparison === 'previous_year' ? 'Last Year' : 'Previous'}
+                  </th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {Object.entries(ReportingService.METRICS).map(([key, metric]) => {
+                  const entry = analytics.comparison[key];
+                  return (
+                    <tr key={key}>
+                      <td className="px-4 py-2 text-sm text-gray-900">{metric.label}</td>
+                      <td className="px-4 py-2 text-sm text-right font-medium">
+                        {ReportingService.formatMetricValue(entry.current, metric.format)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right text-gray-600">
+                        {ReportingService.formatMetricValue(entry.comparison, metric.format)}
+                      </td>
+                      <td className={`px-4 py-2 text-sm text-right ${metric.format === 'hours' ? 'text-gray-500' : changeColor(entry.change)}`}>
+                        {ReportingService.formatMetricChange(entry, metric.format)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Company Rollup (super admin, all companies) */}
+      {analytics && analytics.companyRollup.length > 0 && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <h3 className="text-lg font-medium text-gray-900 mb-4 flex items-center">
+            <BuildingOfficeIcon className="h-5 w-5 mr-2 text-primary-500" />
+            Company Rollup
+          </h3>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Company</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Jobs</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Completion</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Change</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Customers</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rating</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {analytics.companyRollup.map(company => (
+                  <tr key={company.companyId}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{company.companyName}</td>
+                    <td className="px-4 py-2 text-sm text-right">{company.jobs}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatPercentage(company.completionRate)}</td>
+                    <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(company.revenue)}</td>
+                    <td className={`px-4 py-2 text-sm text-right ${changeColor(company.revenueGrowth)}`}>{formatChange(company.revenueGrowth)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{company.customers}</td>
+                    <td className="px-4 py-2 text-sm text-right">{company.averageRating === null ? '—' : company.averageRating.toFixed(1)}</td>
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        onClick={() => openCompany(company.companyId)}
+                        className="text-sm text-primary-600 hover:text-primary-700"
+                      >
+                        View
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {/* Breakdown by technician, service type or location */}
+      {analytics && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <ChartBarIcon className="h-5 w-5 mr-2 text-primary-500" />
+              Breakdown
+            </h3>
+            <div className="flex space-x-2">
+              {breakdownDimensions.map(dimension => (
+                <button
+                  key={dimension.value}
+                  onClick={() => setBreakdownDimension(dimension.value)}
+                  className={`px-3 py-1 text-sm rounded-md border ${
+                    breakdownDimension === dimension.value
+                      ? 'border-primary-500 bg-primary-50 text-primary-700'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  }`}
+                >
+                  {dimension.label}
+                </button>
+              ))}
+            </div>
+          </div>
+          {analytics.breakdowns[breakdownDimension].length === 0 ? (
+            <p className="py-6 text-center text-sm text-gray-500">No jobs in this range.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">
+                      {breakdownDimensions.find(dimension => dimension.value === breakdownDimension)?.label}
+                    </th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Jobs</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Completed</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Completion</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Avg Job</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {analytics.breakdowns[breakdownDimension].map(row => (
+                    <tr key={row.key}>
+                      <td className="px-4 py-2 text-sm text-gray-900">{row.label}</td>
+                      <td className="px-4 py-2 text-sm text-right">{row.jobs}</td>
+                      <td className="px-4 py-2 text-sm text-right">{row.completedJobs}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatPercentage(row.completionRate)}</td>
+                      <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(row.revenue)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatCurrency(row.averageJobValue)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Technician Leaderboard */}
+      {technicianPerformance && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h3 className="text-lg font-medium text-gray-900 flex items-center">
+              <TrophyIcon className="h-5 w-5 mr-2 text-primary-500" />
+              Technician Leaderboard
+            </h3>
+            <div className="flex items-center space-x-2">
+              <select
+                value={leaderboardMetric}
+                onChange={(e) => setLeaderboardMetric(e.target.value)}
+                className="border border-gray-300 rounded-md px-3 py-1 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+              >
+                {leaderboardMetrics.map(metric => (
+                  <option key={metric.value} value={metric.value}>Rank by {metric.label}</option>
+                ))}
+              </select>
+              <button
+                onClick={() => exportLeaderboard('csv')}
+                disabled={leaderboard.length === 0}
+                className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                CSV
+              </button>
+              <button
+                onClick={() => exportLeaderboard('xlsx')}
+                disabled={leaderboard.length === 0}
+                className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                XLSX
+              </button>
+            </div>
+          </div>
+          {leaderboard.length === 0 ? (
+            <p className="py-6 text-center text-sm text-gray-500">No technician activity in this range.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">#</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Technician</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Completed</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Revenue</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Billable / Scheduled</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Utilization</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">On Site</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Drive</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Miles</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Rating</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Callbacks</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {leaderboard.map(row => (
+                    <tr key={row.technicianId}>
+                      <td className="px-4 py-2 text-sm text-gray-500">{row.rank}</td>
+                      <td className="px-4 py-2 text-sm text-gray-900">{row.name}</td>
+                      <td className="px-4 py-2 text-sm text-right">{row.jobsCompleted} / {row.jobsAssigned}</td>
+                      <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(row.revenue)}</td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {formatHours(row.billableHours)} / {formatHours(row.scheduledHours)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {row.utilization === null ? '—' : formatPercentage(row.utilization)}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">{formatHours(row.onSiteHours)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{formatHours(row.driveHours)}</td>
+                      <td className="px-4 py-2 text-sm text-right">{row.miles === null ? '—' : row.miles.toFixed(1)}</td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {row.averageRating === null ? '—' : `${row.averageRating.toFixed(1)} (${row.ratingCount})`}
+                      </td>
+                      <td className="px-4 py-2 text-sm text-right">
+                        {row.callbacks} ({formatPercentage(row.callbackRate)})
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Accounts Receivable Aging */}
+      {aging && (
+        <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900 flex items-center">
+                <BanknotesIcon className="h-5 w-5 mr-2 text-primary-500" />
+                Accounts Receivable Aging
+              </h3>
+              <p className="text-sm text-gray-500">
+                As of {new Date(aging.asOf).toLocaleDateString()} · {formatCurrency(aging.totals.outstanding)} outstanding
+                {' '}across {aging.totals.invoiceCount} invoice{aging.totals.invoiceCount === 1 ? '' : 's'} ·
+                {' '}DSO {aging.dso === null ? 'n/a' : `${aging.dso.toFixed(0)} days`}
+              </p>
+            </div>
+            <div className="flex items-center space-x-2">
+              <button
+                onClick={() => exportAging('pdf')}
+                disabled={aging.customers.length === 0}
+                className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                PDF
+              </button>
+              <button
+                onClick={() => exportAging('xlsx')}
+                disabled={aging.customers.length === 0}
+                className="px-3 py-1 text-sm rounded-md border border-gray-300 text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+              >
+                XLSX
+              </button>
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-3 sm:grid-cols-5 mb-4">
+            {aging.buckets.map(bucket => (
+              <div key={bucket.key} className="rounded-md border border-gray-200 p-3">
+                <p className="text-xs font-medium text-gray-500 uppercase">{bucket.label}</p>
+                <p className={`text-lg font-semibold ${bucket.key === 'current' ? 'text-gray-900' : bucket.amount > 0 ? 'text-red-600' : 'text-gray-900'}`}>
+                  {formatCurrency(bucket.amount)}
+                </p>
+                <p className="text-xs text-gray-500">{bucket.count} invoice{bucket.count === 1 ? '' : 's'}</p>
+              </div>
+            ))}
+          </div>
+
+          {aging.customers.length === 0 ? (
+            <p className="py-6 text-center text-sm text-gray-500">No open invoices.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Customer</th>
+                    {aging.buckets.map(bucket => (
+                      <th key={bucket.key} className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">
+                        {bucket.label}
+                      </th>
+                    ))}
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Total</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {aging.customers.map(customer => {
+                    const customerKey = customer.customerId || customer.customerName;
+                    const isExpanded = expandedAgingCustomer === customerKey;
+                    const ToggleIcon = isExpanded ? ChevronDownIcon : ChevronRightIcon;
+                    return (
+                      <React.Fragment key={customerKey}>
+                        <tr
+                          onClick={() => setExpandedAgingCustomer(isExpanded ? null : customerKey)}
+                          className="cursor-pointer hover:bg-gray-50"
+                        >
+                          <td className="px-4 py-2 text-sm text-gray-900">
+                            <span className="flex items-center">
+                              <ToggleIcon className="h-4 w-4 mr-1 text-gray-400" />
+                              {customer.customerName}
+                            </span>
+                          </td>
+                          {aging.buckets.map(bucket => (
+                            <td key={bucket.key} className="px-4 py-2 text-sm text-right">
+                              {customer.buckets[bucket.key] > 0 ? formatCurrency(customer.buckets[bucket.key]) : '—'}
+                            </td>
+                          ))}
+                          <td className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(customer.total)}</td>
+                        </tr>
+                        {isExpanded && (
+                          <tr>
+                            <td colSpan={aging.buckets.length + 2} className="px-4 py-3 bg-gray-50">
+                              <table className="min-w-full">
+                                <thead>
+                                  <tr>
+                                    <th className="px-2 py-1 text-left text-xs font-medium text-gray-500">Invoice</th>
+                                    <th className="px-2 py-1 text-left text-xs font-medium text-gray-500">Due</th>
+                                    <th className="px-2 py-1 text-left text-xs font-medium text-gray-500">Status</th>
+                                    <th className="px-2 py-1 text-right text-xs font-medium text-gray-500">Days Past Due</th>
+                                    <th className="px-2 py-1 text-right text-xs font-medium text-gray-500">Total</th>
+                                    <th className="px-2 py-1 text-right text-xs font-medium text-gray-500">Paid</th>
+                                    <th className="px-2 py-1 text-right text-xs font-medium text-gray-500">Balance</th>
+                                  </tr>
+                                </thead>
+                                <tbody>
+                                  {customer.invoices.map(invoice => (
+                                    <tr key={invoice.id}>
+                                      <td className="px-2 py-1 text-sm text-gray-900">{invoice.invoiceNumber || invoice.id}</td>
+                                      <td className="px-2 py-1 text-sm text-gray-600">
+                                        {invoice.dueDate ? parseDate(invoice.dueDate).toLocaleDateString() : '—'}
+                                      </td>
+                                      <td className="px-2 py-1 text-sm text-gray-600 capitalize">{invoice.status.replace('_', ' ')}</td>
+                                      <td className={`px-2 py-1 text-sm text-right ${invoice.daysPastDue > 0 ? 'text-red-600' : 'text-gray-600'}`}>
+                                        {invoice.daysPastDue > 0 ? invoice.daysPastDue : '—'}
+                                      </td>
+                                      <td className="px-2 py-1 text-sm text-right">{formatCurrency(invoice.total)}</td>
+                                      <td className="px-2 py-1 text-sm text-right">{formatCurrency(invoice.amountPaid)}</td>
+                                      <td className="px-2 py-1 text-sm text-right font-medium">{formatCurrency(invoice.balanceDue)}</td>
+                                    </tr>
+                                  ))}
+                                </tbody>
+                              </table>
+                            </td>
+                          </tr>
+                        )}
+                      </React.Fragment>
+                    );
+                  })}
+                </tbody>
+                <tfoot className="bg-gray-50">
+                  <tr>
+                    <td className="px-4 py-2 text-sm font-medium text-gray-900">Total</td>
+                    {aging.buckets.map(bucket => (
+                      <td key={bucket.key} className="px-4 py-2 text-sm text-right font-medium">{formatCurrency(bucket.amount)}</td>
+                    ))}
+                    <td className="px-4 py-2 text-sm text-right font-semibold">{formatCurrency(aging.totals.outstanding)}</td>
+                  </tr>
+                </tfoot>
+              </table>
+            </div>
+          )}
+
+          <h4 className="text-sm font-medium text-gray-700 mt-6 mb-2">Collected vs Billed</h4>
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Month</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Billed</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Collected</th>
+                  <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Collection Rate</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {aging.trend.map(month => (
+                  <tr key={month.key}>
+                    <td className="px-4 py-2 text-sm text-gray-900">{month.label}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(month.billed)}</td>
+                    <td className="px-4 py-2 text-sm text-right">{formatCurrency(month.collected)}</td>
+                    <td className="px-4 py-2 text-sm text-right">
+                      {month.collectionRate === null ? '—' : formatPercentage(month.collectionRate)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {/* Monthly Trends */}
       {analytics && (
         <div className="bg-white rounded-lg shadow-sm border border-gray-200 p-6">
@@ -485,6 +1251,18 @@ const ReportsPage = () => {
                   width="160"
                   template={trendsRevenueTemplate}
                 />
+                <ColumnDirective
+                  field="revenueGrowth"
+                  headerText="vs Prior Month"
+                  width="150"
+                  template={trendsGrowthTemplate}
+                />
+                <ColumnDirective
+                  field="averageRating"
+                  headerText="Rating (n)"
+                  width="140"
+                  template={trendsRatingTemplate}
+                />
               </ColumnsDirective>
               <Inject services={[Page, Toolbar, Sort, Filter, ExcelExport, Selection, Search, Resize]} />
             </GridComponent>
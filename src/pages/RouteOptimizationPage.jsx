@@ -14,6 +14,7 @@ import {
 import { GoogleMap, useJsApiLoader, Marker, DirectionsRenderer } from '@react-google-maps/api';
 import { collection, query, where, getDocs } from 'firebase/firestore';
 import { db } from '../services/firebase';
+import RoutePlanService from '../services/routePlanService';
 import toast from 'react-hot-toast';
 import { GOOGLE_MAPS_API_KEY, GOOGLE_MAPS_LIBRARIES, DEFAULT_MAP_CENTER } from '../constants/googleMaps';
 
@@ -41,6 +42,11 @@ const RouteOptimizationPage = () => {
   const [directions, setDirections] = useState(null);
   const [routeInfo, setRouteInfo] = useState(null);
   const [optimizing, setOptimizing] = useState(false);
+  const [savedPlan, setSavedPlan] = useState(null);
+  const [savingPlan, setSavingPlan] = useState(false);
+  const [planningMode, setPlanningMode] = useState('single');
+  const [selectedTechnicianIds, setSelectedTechnicianIds] = useState([]);
+  const [solverResult, setSolverResult] = useState(null);
 
   useEffect(() => {
     loadData();
@@ -60,7 +66,7 @@ const RouteOptimizationPage = () => {
         collection(db, 'jobs'),
         where('companyId', '==', companyId),
         where('date', '==', selectedDate),
-        where('status', 'in', ['scheduled', 'in_progress'])
+        where('status', 'in', ['scheduled', 'en_route', 'on_site', 'in_progress', 'on_hold', 'in-progress'])
       );
 
       const jobsSnapshot = await getDocs(jobsQuery);
@@ -97,12 +103,143 @@ const RouteOptimizationPage = () => {
     }
   };
 
+  const loadSavedPlan = useCallback(async () => {
+    const companyId = activeCompany?.id || userProfile?.companyId;
+    if (!companyId || !selectedTechnician) {
+      setSavedPlan(null);
+      return;
+    }
+
+    const result = await RoutePlanService.getRoutePlan(companyId, selectedTechnician, selectedDate);
+    setSavedPlan(result.success ? result.routePlan : null);
+  }, [activeCompany?.id, userProfile?.companyId, selectedTechnician, selectedDate]);
+
+  useEffect(() => {
+    loadSavedPlan();
+  }, [loadSavedPlan]);
+
+  // Load a saved plan back into the editor so it can be revised and re-saved
+  const reviseSavedPlan = () => {
+    if (!savedPlan) return;
+
+    const availableIds = new Set(jobs.map((job) => job.id));
+    const orderedJobIds = savedPlan.stops
+      .map((stop) => stop.jobId)
+      .filter((jobId) => availableIds.has(jobId));
+
+    setSelectedJobs(orderedJobIds);
+    setDirections(null);
+    setRouteInfo({
+      totalDistance: (savedPlan.totalMiles || 0).toFixed(1),
+      totalDuration: savedPlan.totalTravelMinutes || 0,
+      orderedJobIds,
+      legs: savedPlan.stops
+        .filter((stop) => availableIds.has(stop.jobId))
+        .map((stop) => ({ durationMinutes: stop.travelMinutes, distanceMiles: stop.travelMiles })),
+    });
+  };
+
   const toggleJobSelection = (jobId) => {
     setSelectedJobs((prev) =>
       prev.includes(jobId) ? prev.filter((id) => id !== jobId) : [...prev, jobId]
     );
   };
 
+  const toggleTechnicianSelection = (technicianId) => {
+    setSelectedTechnicianIds((prev) =>
+      prev.includes(technicianId) ? prev.filter((id) => id !== technicianId) : [...prev, technicianId]
+    );
+  };
+
+  const getJobName = (jobId) => jobs.find((job) => job.id === jobId)?.customerName || 'Unknown job';
+
+  const getTechnicianName = (technicianId) =>
+    technicians.find((tech) => tech.id === technicianId)?.name || 'Technician';
+
+  // Split the selected jobs across several technicians with the local solver (no Maps call)
+  const autoAssignRoutes = async () => {
+    if (selectedJobs.length === 0) {
+      toast.error('Please select jobs to assign');
+      return;
+    }
+    if (selectedTechnicianIds.length === 0) {
+      toast.error('Please select at least one technician');
+      return;
+    }
+
+    setOptimizing(true);
+    try {
+      const result = await RoutePlanService.optimizeTechnicianRoutes({
+        companyId: activeCompany?.id || userProfile?.companyId,
+        company: activeCompany,
+        date: selectedDate,
+        jobs: jobs.filter((job) => selectedJobs.includes(job.id)),
+        technicians: technicians.filter((tech) => selectedTechnicianIds.includes(tech.id)),
+      });
+
+      if (!result.success) {
+        toast.error(result.error || 'Failed to optimize routes');
+        return;
+      }
+
+      setSolverResult(result);
+      if (result.unassigned.length > 0) {
+        toast(`${result.unassigned.length} job(s) could not be scheduled`, { icon: '⚠️' });
+      } else {
+        toast.success('Routes optimized successfully!');
+      }
+    } catch (error) {
+      console.error('Error optimizing routes:', error);
+      toast.error('Error optimizing routes: ' + (error.message || 'Unknown error'));
+    } finally {
+      setOptimizing(false);
+    }
+  };
+
+  const saveSolverRoutes = async () => {
+    if (!solverResult) return;
+
+    const companyId = activeCompany?.id || userProfile?.companyId;
+    const routes = solverResult.routes.filter((route) => route.stops.length > 0);
+
+    setSavingPlan(true);
+    try {
+      let savedCount = 0;
+      for (const route of routes) {
+        const result = await RoutePlanService.saveRoutePlan({
+          companyId,
+          date: selectedDate,
+          technicianId: route.technicianId,
+          technicianName: route.technicianName || getTechnicianName(route.technicianId),
+          orderedJobs: route.orderedJobIds
+            .map((jobId) => jobs.find((job) => job.id === jobId))
+            .filter(Boolean),
+          legs: route.legs,
+          startTime: route.startTime,
+          source: 'local_solver',
+        });
+        if (result.success) {
+          savedCount++;
+        } else {
+          toast.error(`${getTechnicianName(route.technicianId)}: ${result.error}`);
+        }
+      }
+
+      if (savedCount > 0) {
+        toast.success(`Saved ${savedCount} route${savedCount === 1 ? '' : 's'}`);
+      }
+      setSolverResult(null);
+      setSelectedJobs([]);
+      await loadData();
+      await loadSavedPlan();
+    } catch (error) {
+      console.error('Error saving routes:', error);
+      toast.error('Failed to save routes');
+    } finally {
+      setSavingPlan(false);
+    }
+  };
+
   const optimizeRoute = useCallback(async () => {
     if (selectedJobs.length < 2) {
       toast.error('Please select at least 2 jobs to optimize');
@@ -116,7 +253,9 @@ const RouteOptimizationPage = () => {
 
     setOptimizing(true);
     try {
-      const selectedJobsData = jobs.filter((job) => selectedJobs.includes(job.id));
+      const selectedJobsData = selectedJobs
+        .map((jobId) => jobs.find((job) => job.id === jobId))
+        .filter(Boolean);
 
       // Get addresses
       const waypoints = selectedJobsData.map((job) => ({
@@ -159,10 +298,44 @@ const RouteOptimizationPage = () => {
             totalDuration += leg.duration.value;
           });
 
+          // Visiting order: origin, optimized intermediate stops, destination
+          const intermediateJobs = selectedJobsData.slice(1, -1);
+          const orderedJobIds = [
+            selectedJobsData[0].id,
+            ...route.waypoint_order.map((index) => intermediateJobs[index].id),
+            selectedJobsData[selectedJobsData.length - 1].id,
+          ];
+
+          // legs[i] is the drive into stop i; the route starts at the first stop
+          const legs = [
+            { durationMinutes: 0, distanceMiles: 0 },
+            ...route.legs.map((leg) => ({
+              durationMinutes: leg.duration.value / 60,
+              distanceMiles: leg.distance.value / 1609.34,
+            })),
+          ];
+
+          // Remember measured legs so the local solver can reuse them
+          RoutePlanService.recordMeasuredLegs(
+            route.legs.map((leg, index) => {
+              const fromJob = jobs.find((job) => job.id === orderedJobIds[index]);
+              const toJob = jobs.find((job) => job.id === orderedJobIds[index + 1]);
+              return {
+                from: RoutePlanService.getPoint(fromJob),
+                to: RoutePlanService.getPoint(toJob),
+                miles: leg.distance.value / 1609.34,
+                minutes: leg.duration.value / 60,
+              };
+            })
+          );
+
+          setSelectedJobs(orderedJobIds);
           setRouteInfo({
             totalDistance: (totalDistance / 1609.34).toFixed(1), // Convert meters to miles
             totalDuration: Math.round(totalDuration / 60), // Convert seconds to minutes
             waypointOrder: route.waypoint_order,
+            orderedJobIds,
+            legs,
           });
 
           toast.success('Route optimized successfully!');
@@ -190,21 +363,48 @@ const RouteOptimizationPage = () => {
       return;
     }
 
+    const companyId = activeCompany?.id || userProfile?.companyId;
+    const technician = technicians.find((t) => t.id === selectedTechnician);
+    const orderedJobs = (routeInfo.orderedJobIds || selectedJobs)
+      .map((jobId) => jobs.find((job) => job.id === jobId))
+      .filter(Boolean);
+
+    setSavingPlan(true);
     try {
-      // In a real implementation, you would:
-      // 1. Update job assignments in Firestore
-      // 2. Update job order based on waypoint_order
-      // 3. Send notification to technician
+      const result = await RoutePlanService.saveRoutePlan({
+        companyId,
+        date: selectedDate,
+        technicianId: selectedTechnician,
+        technicianName: technician?.name || '',
+        orderedJobs,
+        legs: routeInfo.legs || [],
+      });
+
+      if (!result.success) {
+        toast.error(result.error || 'Failed to assign route');
+        return;
+      }
+
+      if (result.failedJobIds.length > 0) {
+        toast.error(`${result.failedJobIds.length} job(s) could not be assigned`);
+      }
+      toast.success(`Route assigned to ${technician?.name}`);
+      if (!result.notificationSent) {
+        toast('Route saved, but the technician could not be notified', { icon: '⚠️' });
+      }
+
+      setSavedPlan(result.routePlan);
 
-      toast.success(`Route assigned to ${technicians.find((t) => t.id === selectedTechnician)?.name}`);
-      
       // Reset selections
       setSelectedJobs([]);
       setDirections(null);
       setRouteInfo(null);
+      await loadData();
     } catch (error) {
       console.error('Error assigning route:', error);
       toast.error('Failed to assign route');
+    } finally {
+      setSavingPlan(false);
     }
   };
 
@@ -241,92 +441,252 @@ const RouteOptimizationPage = () => {
         transition={{ duration: 0.5, delay: 0.1 }}
         className="bg-white rounded-lg shadow-sm border border-gray-200 p-6"
       >
-        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              <CalendarIcon className="inline h-4 w-4 mr-1" />
-              Select Date
-            </label>
-            <input
-              type="date"
-              value={selectedDate}
-              onChange={(e) => setSelectedDate(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
-            />
-          </div>
+        <div className="flex gap-2 mb-4">
+          <button
+            onClick={() => setPlanningMode('single')}
+            className={`px-3 py-1 text-sm rounded-md ${
+              planningMode === 'single' ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            Single Technician
+          </button>
+          <button
+            onClick={() => {
+              setPlanningMode('multi');
+              setDirections(null);
+              setRouteInfo(null);
+            }}
+            className={`px-3 py-1 text-sm rounded-md ${
+              planningMode === 'multi' ? 'bg-primary-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+            }`}
+          >
+            Auto-Assign Across Technicians
+          </button>
+        </div>
 
+        {planningMode === 'multi' ? (
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              <TruckIcon className="inline h-4 w-4 mr-1" />
-              Assign to Technician
-            </label>
-            <select
-              value={selectedTechnician}
-              onChange={(e) => setSelectedTechnician(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
-            >
-              <option value="">Select Technician</option>
-              {technicians.map((tech) => (
-                <option key={tech.id} value={tech.id}>
-                  {tech.name}
-                </option>
-              ))}
-            </select>
-          </div>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <CalendarIcon className="inline h-4 w-4 mr-1" />
+                  Select Date
+                </label>
+                <input
+                  type="date"
+                  value={selectedDate}
+                  onChange={(e) => setSelectedDate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <TruckIcon className="inline h-4 w-4 mr-1" />
+                  Technicians
+                </label>
+                <div className="max-h-32 overflow-y-auto border border-gray-300 rounded-md p-2 space-y-1">
+                  {technicians.map((tech) => (
+                    <label key={tech.id} className="flex items-center gap-2 text-sm text-gray-700">
+                      <input
+                        type="checkbox"
+                        checked={selectedTechnicianIds.includes(tech.id)}
+                        onChange={() => toggleTechnicianSelection(tech.id)}
+                        className="rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+                      />
+                      {tech.name}
+                    </label>
+                  ))}
+                </div>
+              </div>
+              <div className="flex items-end gap-2">
+                <button
+                  onClick={autoAssignRoutes}
+                  disabled={selectedJobs.length === 0 || selectedTechnicianIds.length === 0 || optimizing}
+                  className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  <ArrowPathIcon className={`h-5 w-5 ${optimizing ? 'animate-spin' : ''}`} />
+                  {optimizing ? 'Optimizing...' : 'Auto-Assign'}
+                </button>
+                {solverResult && (
+                  <button
+                    onClick={saveSolverRoutes}
+                    disabled={savingPlan}
+                    className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                  >
+                    <PlusIcon className="h-5 w-5" />
+                    {savingPlan ? 'Saving...' : 'Save Routes'}
+                  </button>
+                )}
+              </div>
+            </div>
 
-          <div className="flex items-end gap-2">
-            <button
-              onClick={optimizeRoute}
-              disabled={selectedJobs.length < 2 || optimizing}
-              className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
-            >
-              {optimizing ? (
-                <>
-                  <ArrowPathIcon className="h-5 w-5 animate-spin" />
-                  Optimizing...
-                </>
-              ) : (
-                <>
-                  <ArrowPathIcon className="h-5 w-5" />
-                  Optimize Route
-                </>
-              )}
-            </button>
-            {routeInfo && (
-              <button
-                onClick={assignOptimizedRoute}
-                className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 flex items-center gap-2"
-              >
-                <PlusIcon className="h-5 w-5" />
-                Assign
-              </button>
+            {solverResult && (
+              <div className="mt-4 space-y-3">
+                {solverResult.routes.map((route) => (
+                  <div key={route.technicianId} className="p-4 bg-green-50 border border-green-200 rounded-md">
+                    <div className="flex items-center justify-between mb-2">
+                      <h3 className="text-sm font-medium text-green-900">
+                        {route.technicianName || getTechnicianName(route.technicianId)}
+                      </h3>
+                      <span className="text-xs text-green-700">
+                        {route.stops.length} stops · {route.totalMiles} miles · {route.totalTravelMinutes} min driving
+                      </span>
+                    </div>
+                    {route.stops.length === 0 ? (
+                      <p className="text-xs text-green-700">No jobs assigned</p>
+                    ) : (
+                      <ol className="space-y-1">
+                        {route.stops.map((stop, index) => (
+                          <li key={stop.jobId} className="flex items-center gap-3 text-xs text-green-900">
+                            <span className="font-mono w-12">{stop.plannedArrival}</span>
+                            <span>{index + 1}. {getJobName(stop.jobId)}</span>
+                          </li>
+                        ))}
+                      </ol>
+                    )}
+                  </div>
+                ))}
+                {(solverResult.unassigned.length > 0 || solverResult.skippedTechnicians.length > 0) && (
+                  <div className="p-4 bg-yellow-50 border border-yellow-200 rounded-md text-xs text-yellow-900 space-y-1">
+                    {solverResult.unassigned.map((item) => (
+                      <p key={item.jobId}>
+                        {getJobName(item.jobId)}: {item.reason === 'missing_coordinates'
+                          ? 'no map coordinates for this address'
+                          : 'does not fit any technician\'s day'}
+                      </p>
+                    ))}
+                    {solverResult.skippedTechnicians.map((item) => (
+                      <p key={item.technicianId}>
+                        {getTechnicianName(item.technicianId)} skipped: {item.reason.replace(/_/g, ' ')}
+                      </p>
+                    ))}
+                  </div>
+                )}
+              </div>
             )}
           </div>
-        </div>
-
-        {routeInfo && (
-          <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-md">
-            <div className="flex items-center gap-6">
-              <div className="flex items-center gap-2">
-                <MapPinIcon className="h-5 w-5 text-green-600" />
-                <span className="text-sm font-medium text-green-900">
-                  {routeInfo.totalDistance} miles
-                </span>
+        ) : (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <CalendarIcon className="inline h-4 w-4 mr-1" />
+                  Select Date
+                </label>
+                <input
+                  type="date"
+                  value={selectedDate}
+                  onChange={(e) => setSelectedDate(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                />
               </div>
-              <div className="flex items-center gap-2">
-                <ClockIcon className="h-5 w-5 text-green-600" />
-                <span className="text-sm font-medium text-green-900">
-                  {routeInfo.totalDuration} minutes
-                </span>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  <TruckIcon className="inline h-4 w-4 mr-1" />
+                  Assign to Technician
+                </label>
+                <select
+                  value={selectedTechnician}
+                  onChange={(e) => setSelectedTechnician(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary-500"
+                >
+                  <option value="">Select Technician</option>
+                  {technicians.map((tech) => (
+                    <option key={tech.id} value={tech.id}>
+                      {tech.name}
+                    </option>
+                  ))}
+                </select>
               </div>
-              <div className="flex items-center gap-2">
-                <TruckIcon className="h-5 w-5 text-green-600" />
-                <span className="text-sm font-medium text-green-900">
-                  {selectedJobs.length} stops
-                </span>
+
+              <div className="flex items-end gap-2">
+                <button
+                  onClick={optimizeRoute}
+                  disabled={selectedJobs.length < 2 || optimizing}
+                  className="flex-1 px-4 py-2 bg-primary-600 text-white rounded-md hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed flex items-center justify-center gap-2"
+                >
+                  {optimizing ? (
+                    <>
+                      <ArrowPathIcon className="h-5 w-5 animate-spin" />
+                      Optimizing...
+                    </>
+                  ) : (
+                    <>
+                      <ArrowPathIcon className="h-5 w-5" />
+                      Optimize Route
+                    </>
+                  )}
+                </button>
+                {routeInfo && (
+                  <button
+                    onClick={assignOptimizedRoute}
+                    disabled={savingPlan}
+                    className="px-4 py-2 bg-green-600 text-white rounded-md hover:bg-green-700 disabled:opacity-50 flex items-center gap-2"
+                  >
+                    <PlusIcon className="h-5 w-5" />
+                    {savingPlan ? 'Saving...' : savedPlan ? 'Update Route' : 'Assign'}
+                  </button>
+                )}
               </div>
             </div>
-          </div>
+
+            {routeInfo && (
+              <div className="mt-4 p-4 bg-green-50 border border-green-200 rounded-md">
+                <div className="flex items-center gap-6">
+                  <div className="flex items-center gap-2">
+                    <MapPinIcon className="h-5 w-5 text-green-600" />
+                    <span className="text-sm font-medium text-green-900">
+                      {routeInfo.totalDistance} miles
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <ClockIcon className="h-5 w-5 text-green-600" />
+                    <span className="text-sm font-medium text-green-900">
+                      {routeInfo.totalDuration} minutes
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <TruckIcon className="h-5 w-5 text-green-600" />
+                    <span className="text-sm font-medium text-green-900">
+                      {selectedJobs.length} stops
+                    </span>
+                  </div>
+                </div>
+              </div>
+            )}
+
+            {savedPlan && (
+              <div className="mt-4 p-4 bg-blue-50 border border-blue-200 rounded-md">
+                <div className="flex items-center justify-between mb-2">
+                  <div>
+                    <h3 className="text-sm font-medium text-blue-900">
+                      Saved route for {savedPlan.technicianName || 'technician'}
+                    </h3>
+                    <p className="text-xs text-blue-700">
+                      Revision {savedPlan.revision} · {savedPlan.totalStops} stops · {savedPlan.plannedStart}–{savedPlan.plannedEnd}
+                      {savedPlan.totalMiles ? ` · ${savedPlan.totalMiles} miles` : ''}
+                    </p>
+                  </div>
+                  <button
+                    onClick={reviseSavedPlan}
+                    className="px-3 py-1 text-sm bg-white border border-blue-300 text-blue-700 rounded-md hover:bg-blue-100"
+                  >
+                    Revise Route
+                  </button>
+                </div>
+                <ol className="space-y-1">
+                  {savedPlan.stops.map((stop) => (
+                    <li key={stop.jobId} className="flex items-center gap-3 text-xs text-blue-900">
+                      <span className="font-mono w-12">{stop.plannedArrival}</span>
+                      <span className="font-medium">{stop.order}. {stop.customerName}</span>
+                      <span className="text-blue-700 truncate">{stop.address}</span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            )}
+          </>
         )}
       </motion.div>
 
@@ -0,0 +1,581 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useCustomerPortal } from '../../contexts/CustomerPortalContext';
+import { useAuthSafe } from '../../contexts/AuthContext';
+import CustomerPortalService from '../../services/customerPortalService';
+import EstimateService from '../../services/estimateService';
+import SignatureService from '../../services/signatureService';
+import SignatureCaptureModal from '../../components/SignatureCaptureModal';
+import SignatureRecord from '../../components/SignatureRecord';
+import {
+  ClipboardDocumentListIcon,
+  CalendarIcon,
+  CurrencyDollarIcon,
+  XMarkIcon,
+  EyeIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+import toast from 'react-hot-toast';
+
+const STATUS_LABELS = {
+  sent: 'Awaiting approval',
+  accepted: 'Approved',
+  rejected: 'Declined'
+};
+
+// validUntil is usually a YYYY-MM-DD date, which should read as local midnight
+const getValidUntil = (estimate) => {
+  if (!estimate.validUntil) return null;
+  const value = /^\d{4}-\d{2}-\d{2}$/.test(estimate.validUntil)
+    ? new Date(`${estimate.validUntil}T00:00:00`)
+    : new Date(estimate.validUntil);
+  return Number.isNaN(value.getTime()) ? null : value;
+};
+
+const isExpired = (estimate) => {
+  const validUntil = getValidUntil(estimate);
+  if (!validUntil) return false;
+  validUntil.setHours(23, 59, 59, 999);
+  return validUntil < new Date();
+};
+
+const EstimatesPage = () => {
+  const { customer, selectedCompanyId } = useCustomerPortal();
+  const authContext = useAuthSafe();
+  const userProfile = authContext?.userProfile || null;
+
+  // Use customer from CustomerPortalContext if available, otherwise use userProfile from AuthContext
+  const customerData = customer || (userProfile?.role === 'customer' ? userProfile : null);
+  const effectiveCompanyId = selectedCompanyId || userProfile?.companyId;
+  const [estimates, setEstimates] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [selectedEstimate, setSelectedEstimate] = useState(null);
+
+  const customerEmail = customerData?.email;
+
+  const loadEstimates = useCallback(async () => {
+    if (!customerEmail) {
+      setIsLoading(false);
+      return;
+    }
+
+    setIsLoading(true);
+    setError(null);
+    try {
+      const result = await CustomerPortalService.getCustomerEstimates(
+        customerEmail,
+        effectiveCompanyId,
+        statusFilter === 'all' ? null : statusFilter
+      );
+
+      if (result.success) {
+        setEstimates(result.estimates);
+      } else {
+        setError(result.error || 'Failed to load estimates');
+        toast.error(result.error || 'Failed to load estimates');
+      }
+    } catch (err) {
+      console.error('Error loading estimates:', err);
+      setError('An error occurred while loading estimates');
+      toast.error('An error occurred while loading estimates');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [customerEmail, effectiveCompanyId, statusFilter]);
+
+  useEffect(() => {
+    loadEstimates();
+  }, [loadEstimates]);
+
+  const handleResponded = (estimate) => {
+    setEstimates((prev) => prev.map((item) => (item.id === estimate.id ? estimate : item)));
+    setSelectedEstimate(estimate);
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      sent: 'bg-blue-50 text-blue-700 border-blue-200',
+      accepted: 'bg-green-50 text-green-700 border-green-200',
+      rejected: 'bg-red-50 text-red-700 border-red-200'
+    };
+    return colors[status] || 'bg-gray-50 text-gray-700 border-gray-200';
+  };
+
+  const awaitingCount = estimates.filter((estimate) => estimate.status === 'sent').length;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Your Estimates</h1>
+        <p className="mt-1 text-sm text-gray-600">
+          Review quotes, choose options and approve the work
+        </p>
+      </div>
+
+      {/* No Company Warning */}
+      {!effectiveCompanyId && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 flex items-start gap-3">
+          <ExclamationTriangleIcon className="w-6 h-6 text-yellow-600 flex-shrink-0 mt-0.5" />
+          <div>
+            <h3 className="text-sm font-semibold text-yellow-900">No Service Company Associated</h3>
+            <p className="mt-1 text-sm text-yellow-700">
+              You haven't been associated with a service company yet. Once a company sends you an estimate, it will appear here.
+            </p>
+          </div>
+        </div>
+      )}
+
+      {!isLoading && !error && awaitingCount > 0 && (
+        <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 text-sm text-blue-800">
+          {awaitingCount} estimate{awaitingCount !== 1 ? 's are' : ' is'} waiting for your approval
+        </div>
+      )}
+
+      {/* Status Filter */}
+      <div className="bg-white rounded-lg border border-gray-200 p-6">
+        <label className="block text-sm font-medium text-gray-700 mb-3">
+          Filter by Status
+        </label>
+        <div className="flex flex-wrap gap-2">
+          {[
+            { value: 'all', label: 'All Estimates' },
+            { value: 'sent', label: STATUS_LABELS.sent },
+            { value: 'accepted', label: STATUS_LABELS.accepted },
+            { value: 'rejected', label: STATUS_LABELS.rejected }
+          ].map(option => (
+            <button
+              key={option.value}
+              onClick={() => setStatusFilter(option.value)}
+              className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+                statusFilter === option.value
+                  ? 'bg-green-600 text-white'
+                  : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Loading State */}
+      {isLoading && (
+        <div className="flex items-center justify-center py-12">
+          <div className="text-center">
+            <div className="inline-block">
+              <div className="w-12 h-12 border-4 border-green-200 border-t-green-600 rounded-full animate-spin" />
+            </div>
+            <p className="mt-4 text-gray-600 font-medium">Loading your estimates...</p>
+          </div>
+        </div>
+      )}
+
+      {/* Error State */}
+      {error && !isLoading && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+          <p className="text-red-700 font-medium">{error}</p>
+          <button
+            onClick={loadEstimates}
+            className="mt-4 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+          >
+            Try Again
+          </button>
+        </div>
+      )}
+
+      {/* Empty State */}
+      {!isLoading && !error && estimates.length === 0 && (
+        <div className="bg-gray-50 border-2 border-dashed border-gray-300 rounded-lg p-12 text-center">
+          <ClipboardDocumentListIcon className="w-16 h-16 text-gray-300 mx-auto mb-4" />
+          <h3 className="text-lg font-medium text-gray-900 mb-2">No estimates found</h3>
+          <p className="text-gray-600">You don't have any estimates yet</p>
+        </div>
+      )}
+
+      {/* Estimates List */}
+      {!isLoading && !error && estimates.length > 0 && (
+        <div className="grid gap-4">
+          {estimates.map(estimate => (
+            <button
+              key={estimate.id}
+              onClick={() => setSelectedEstimate(estimate)}
+              className="bg-white rounded-lg border border-gray-200 p-6 hover:shadow-lg hover:border-gray-300 transition-all text-left"
+            >
+              <div className="flex items-start justify-between mb-4">
+                <div className="flex-1">
+                  <h3 className="text-lg font-semibold text-gray-900">{estimate.estimateNumber}</h3>
+                  <p className="text-sm text-gray-600 mt-1">{estimate.serviceType}</p>
+                </div>
+                <span className={`px-3 py-1 rounded-full text-sm font-medium border ${getStatusColor(estimate.status)}`}>
+                  {STATUS_LABELS[estimate.status] || estimate.status}
+                </span>
+              </div>
+
+              <div className="grid grid-cols-2 gap-4 text-sm">
+                <div className="flex items-center gap-2">
+                  <CurrencyDollarIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                  <div>
+                    <p className="text-xs text-gray-500">Amount</p>
+                    <p className="font-semibold text-gray-900">
+                      {CustomerPortalService.formatCurrency(estimate.acceptedTotal ?? EstimateService.getSelectionTotal(estimate))}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2">
+                  <CalendarIcon className="w-4 h-4 flex-shrink-0 text-gray-400" />
+                  <div>
+                    <p className="text-xs text-gray-500">Valid Until</p>
+                    <p className={`font-medium ${estimate.status === 'sent' && isExpired(estimate) ? 'text-red-600' : 'text-gray-900'}`}>
+                      {getValidUntil(estimate) ? CustomerPortalService.formatDate(getValidUntil(estimate)) : 'N/A'}
+                    </p>
+                  </div>
+                </div>
+              </div>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selectedEstimate && (
+        <EstimateDetailsModal
+          estimate={selectedEstimate}
+          onClose={() => setSelectedEstimate(null)}
+          onResponded={handleResponded}
+          getStatusColor={getStatusColor}
+        />
+      )}
+    </div>
+  );
+};
+
+/**
+ * Estimate Details Modal Component
+ */
+function EstimateDetailsModal({ estimate, onClose, onResponded, getStatusColor }) {
+  const [selection, setSelection] = useState(() => EstimateService.getSelection(estimate));
+  const [materials, setMaterials] = useState([]);
+  const [isGeneratingPDF, setIsGeneratingPDF] = useState(false);
+  const [showSignatureModal, setShowSignatureModal] = useState(false);
+  const [showDeclineForm, setShowDeclineForm] = useState(false);
+  const [declineReason, setDeclineReason] = useState('');
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const canRespond = estimate.status === 'sent' && !isExpired(estimate);
+  const tiers = estimate.tiers || [];
+  const optionalItems = estimate.optionalItems || [];
+  const total = EstimateService.getSelectionTotal(estimate, selection);
+  const laborCost = (Number(estimate.laborHours) || 0) * (Number(estimate.laborRate) || 0);
+
+  useEffect(() => {
+    EstimateService.getEstimateMaterials(estimate.id).then((result) => {
+      if (result.success) {
+        setMaterials(result.materials);
+      }
+    });
+  }, [estimate.id]);
+
+  const toggleOptionalItem = (itemId) => {
+    setSelection((prev) => ({
+      ...prev,
+      optionalItemIds: prev.optionalItemIds.includes(itemId)
+        ? prev.optionalItemIds.filter((id) => id !== itemId)
+        : [...prev.optionalItemIds, itemId]
+    }));
+  };
+
+  const handleViewPDF = async () => {
+    setIsGeneratingPDF(true);
+    try {
+      // Preview shows the options as currently chosen
+      const previewEstimate = canRespond
+        ? { ...estimate, selectedTierId: selection.tierId, selectedOptionalItemIds: selection.optionalItemIds }
+        : estimate;
+      const result = await EstimateService.generatePDF(previewEstimate, materials, { download: false });
+      if (result.success) {
+        window.open(result.pdfUrl, '_blank');
+      } else {
+        throw new Error(result.error || 'Failed to generate PDF');
+      }
+    } catch (error) {
+      console.error('Error viewing estimate PDF:', error);
+      toast.error(error.message || 'Failed to open estimate');
+    } finally {
+      setIsGeneratingPDF(false);
+    }
+  };
+
+  const handleApprove = async ({ blob, signerName }) => {
+    const saved = await SignatureService.saveSignature({
+      blob,
+      signerName,
+      companyId: estimate.companyId,
+      documentType: 'estimate',
+      documentId: estimate.id
+    });
+    if (!saved.success) {
+      toast.error(saved.error || 'Failed to save signature');
+      return false;
+    }
+
+    const result = await EstimateService.acceptEstimate(estimate.id, {
+      signature: saved.signature,
+      selection,
+      estimate,
+      source: 'portal'
+    });
+    if (!result.success) {
+      toast.error(result.error || 'Failed to approve estimate');
+      return false;
+    }
+
+    const updated = { ...estimate, ...result.updates };
+    EstimateService.notifyCompanyOfResponse(updated);
+    toast.success('Estimate approved');
+    onResponded(updated);
+    return true;
+  };
+
+  const handleDecline = async () => {
+    if (!declineReason.trim()) {
+      toast.error('Please tell us why you are declining');
+      return;
+    }
+
+    setIsSubmitting(true);
+    const result = await EstimateService.declineEstimate(estimate.id, {
+      reason: declineReason,
+      source: 'portal'
+    });
+    setIsSubmitting(false);
+
+    if (!result.success) {
+      toast.error(result.error || 'Failed to decline estimate');
+      return;
+    }
+
+    const updated = { ...estimate, ...result.updates };
+    EstimateService.notifyCompanyOfResponse(updated);
+    toast.success('Estimate declined');
+    setShowDeclineForm(false);
+    onResponded(updated);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 z-50 flex items-center justify-center p-4">
+      <div className="bg-white rounded-lg max-w-2xl w-full max-h-[90vh] overflow-y-auto">
+        {/* Header */}
+        <div className="sticky top-0 bg-white border-b border-gray-200 px-6 py-4 flex items-center justify-between">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-900">{estimate.estimateNumber}</h2>
+            <span className={`mt-1 px-3 py-0.5 rounded-full text-xs font-medium border inline-block ${getStatusColor(estimate.status)}`}>
+              {STATUS_LABELS[estimate.status] || estimate.status}
+            </span>
+          </div>
+          <button onClick={onClose} className="text-gray-400 hover:text-gray-600">
+            <XMarkIcon className="w-6 h-6" />
+          </button>
+        </div>
+
+        {/* Content */}
+        <div className="p-6 space-y-6">
+          <div className="grid grid-cols-2 gap-6">
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide">Service</h3>
+              <p className="mt-2 text-lg text-gray-900">{estimate.serviceType || 'N/A'}</p>
+            </div>
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide">Valid Until</h3>
+              <p className="mt-2 text-lg text-gray-900">
+                {getValidUntil(estimate) ? CustomerPortalService.formatDate(getValidUntil(estimate)) : 'N/A'}
+              </p>
+            </div>
+          </div>
+
+          {estimate.scopeOfWork && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-2">Scope of Work</h3>
+              <p className="text-sm text-gray-700 whitespace-pre-wrap">{estimate.scopeOfWork}</p>
+            </div>
+          )}
+
+          {/* Base price */}
+          <div className="bg-gray-50 rounded-lg p-4 space-y-2">
+            {laborCost > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">Labor ({estimate.laborHours} hrs)</span>
+                <span className="text-gray-900">{CustomerPortalService.formatCurrency(laborCost)}</span>
+              </div>
+            )}
+            {Number(estimate.materialCost) > 0 && (
+              <div className="flex justify-between text-sm">
+                <span className="text-gray-600">Materials</span>
+                <span className="text-gray-900">{CustomerPortalService.formatCurrency(estimate.materialCost)}</span>
+              </div>
+            )}
+            <div className="flex justify-between text-sm font-medium">
+              <span className="text-gray-700">{tiers.length + optionalItems.length > 0 ? 'Base price' : 'Estimate total'}</span>
+              <span className="text-gray-900">{CustomerPortalService.formatCurrency(estimate.totalCost)}</span>
+            </div>
+          </div>
+
+          {/* Tiers */}
+          {tiers.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-2">Choose a package</h3>
+              <div className="space-y-2">
+                {tiers.map((tier) => (
+                  <label
+                    key={tier.id}
+                    className={`flex items-start gap-3 p-3 rounded-lg border ${
+                      selection.tierId === tier.id ? 'border-green-500 bg-green-50' : 'border-gray-200'
+                    } ${canRespond ? 'cursor-pointer' : ''}`}
+                  >
+                    <input
+                      type="radio"
+                      name="estimate-tier"
+                      checked={selection.tierId === tier.id}
+                      disabled={!canRespond}
+                      onChange={() => setSelection((prev) => ({ ...prev, tierId: tier.id }))}
+                      className="mt-1 h-4 w-4 text-green-600 border-gray-300"
+                    />
+                    <div className="flex-1">
+                      <p className="text-sm font-medium text-gray-900">
+                        {tier.name}
+                        {tier.recommended && <span className="ml-2 text-xs text-green-700">Recommended</span>}
+                      </p>
+                      {tier.description && <p className="text-sm text-gray-600">{tier.description}</p>}
+                    </div>
+                    <span className="text-sm font-medium text-gray-900">+{CustomerPortalService.formatCurrency(tier.price)}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {/* Optional items */}
+          {optionalItems.length > 0 && (
+            <div>
+              <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-2">Optional add-ons</h3>
+              <div className="space-y-2">
+                {optionalItems.map((item) => (
+                  <label
+                    key={item.id}
+                    className={`flex items-start gap-3 p-3 rounded-lg border border-gray-200 ${canRespond ? 'cursor-pointer' : ''}`}
+                  >
+                    <input
+                      type="checkbox"
+                      checked={selection.optionalItemIds.includes(item.id)}
+                      disabled={!canRespond}
+                      onChange={() => toggleOptionalItem(item.id)}
+                      className="mt-1 h-4 w-4 rounded text-green-600 border-gray-300"
+                    />
+                    <div className="flex-1">
+                      <p className="text-sm font-medium text-gray-900">{item.name}</p>
+                      {item.description && <p className="text-sm text-gray-600">{item.description}</p>}
+                    </div>
+                    <span className="text-sm font-medium text-gray-900">+{CustomerPortalService.formatCurrency(item.price)}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+
+          <div className="border-t border-gray-200 pt-4 flex justify-between items-center">
+            <span className="font-medium text-gray-900">Total</span>
+            <span className="text-2xl font-bold text-gray-900">
+              {CustomerPortalService.formatCurrency(estimate.acceptedTotal ?? total)}
+            </span>
+          </div>
+
+          {estimate.status === 'accepted' && (
+            <SignatureRecord signature={estimate.signature} title="Approved By" />
+          )}
+
+          {estimate.status === 'rejected' && estimate.declineReason && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-800">
+              Declined: {estimate.declineReason}
+            </div>
+          )}
+
+          {estimate.status === 'sent' && isExpired(estimate) && (
+            <div className="p-3 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+              This estimate has expired. Contact the company for an updated quote.
+            </div>
+          )}
+
+          {showDeclineForm && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reason for declining</label>
+              <textarea
+                value={declineReason}
+                onChange={(e) => setDeclineReason(e.target.value)}
+                rows={3}
+                className="w-full border border-gray-300 rounded-lg shadow-sm focus:border-green-500 focus:ring-green-500 text-sm"
+                placeholder="Let the company know why, e.g. price, timing or going with another option"
+              />
+            </div>
+          )}
+        </div>
+
+        {/* Actions */}
+        <div className="sticky bottom-0 bg-gray-50 border-t border-gray-200 px-6 py-4 flex flex-wrap justify-end gap-3">
+          <button
+            onClick={handleViewPDF}
+            disabled={isGeneratingPDF}
+            className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50"
+          >
+            <EyeIcon className="w-4 h-4 inline mr-1" />
+            {isGeneratingPDF ? 'Opening...' : 'View PDF'}
+          </button>
+          {canRespond && (showDeclineForm ? (
+            <>
+              <button
+                onClick={() => setShowDeclineForm(false)}
+                className="px-4 py-2 border border-gray-300 rounded-lg text-sm font-medium text-gray-700 bg-white hover:bg-gray-50"
+              >
+                Back
+              </button>
+              <button
+                onClick={handleDecline}
+                disabled={isSubmitting}
+                className="px-4 py-2 bg-red-600 text-white rounded-lg text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+              >
+                {isSubmitting ? 'Sending...' : 'Decline Estimate'}
+              </button>
+            </>
+          ) : (
+            <>
+              <button
+                onClick={() => setShowDeclineForm(true)}
+                className="px-4 py-2 border border-red-300 rounded-lg text-sm font-medium text-red-700 bg-white hover:bg-red-50"
+              >
+                Decline
+              </button>
+              <button
+                onClick={() => setShowSignatureModal(true)}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg text-sm font-medium hover:bg-green-700"
+              >
+                Approve
+              </button>
+            </>
+          ))}
+        </div>
+      </div>
+
+      {showSignatureModal && (
+        <SignatureCaptureModal
+          title="Approve Estimate"
+          statement={`By signing, you approve estimate ${estimate.estimateNumber || ''} for ${CustomerPortalService.formatCurrency(total)}.`}
+          defaultName={estimate.customerName || ''}
+          confirmLabel="Sign & Approve"
+          onCapture={handleApprove}
+          onClose={() => setShowSignatureModal(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+export default EstimatesPage;
@@ -17,6 +17,30 @@ import {
 } from '@heroicons/react/24/outline';
 import toast from 'react-hot-toast';
 
+/**
+ * Amounts paid and owed on an invoice. Reads the payments ledger when present and
+ * falls back to the legacy paidAmount/paymentHistory fields on older invoices.
+ */
+const getPaymentDetails = (invoice) => {
+  if (invoice.payments && invoice.payments.length > 0) {
+    return {
+      ...InvoiceService.computePaymentSummary(invoice),
+      history: invoice.payments.filter(payment => !payment.voidedAt)
+    };
+  }
+
+  const total = invoice.total || 0;
+  const amountPaid = invoice.paidAmount || (invoice.status === 'paid' ? total : 0);
+  return {
+    amountPaid,
+    balanceDue: Math.max(total - amountPaid, 0),
+    creditBalance: Math.max(amountPaid - total, 0),
+    history: invoice.paymentHistory || []
+  };
+};
+
+const formatStatus = (status) => (status || '').replace(/_/g, ' ');
+
 const InvoicesPage = () => {
   const { customer, selectedCompanyId } = useCustomerPortal();
   const authContext = useAuthSafe();
@@ -85,6 +109,11 @@ const InvoicesPage = () => {
     setShowDetailsModal(true);
   };
 
+  const handlePayInvoice = (invoice) => {
+    setPaymentInvoice(invoice);
+    setShowPaymentModal(true);
+  };
+
   const totalAmount = filteredInvoices.reduce((sum, inv) => sum + (inv.total || 0), 0);
 
   const getStatusColor = (status) => {
@@ -92,7 +121,9 @@ const InvoicesPage = () => {
       draft: 'bg-gray-50 text-gray-700 border-gray-200',
       sent: 'bg-blue-50 text-blue-700 border-blue-200',
       viewed: 'bg-purple-50 text-purple-700 border-purple-200',
+      partially_paid: 'bg-orange-50 text-orange-700 border-orange-200',
       paid: 'bg-green-50 text-green-700 border-green-200',
+      overpaid: 'bg-teal-50 text-teal-700 border-teal-200',
       pending: 'bg-yellow-50 text-yellow-700 border-yellow-200',
       overdue: 'bg-red-50 text-red-700 border-red-200'
     };
@@ -104,7 +135,9 @@ const InvoicesPage = () => {
       draft: '📝',
       sent: '📤',
       viewed: '👁️',
+      partially_paid: '🧾',
       paid: '✅',
+      overpaid: '💳',
       pending: '⏳',
       overdue: '⚠️'
     };
@@ -153,8 +186,8 @@ const InvoicesPage = () => {
             title="Amount Pending"
             value={CustomerPortalService.formatCurrency(
               invoices
-                .filter(inv => inv.status === 'pending' || inv.status === 'overdue')
-                .reduce((sum, inv) => sum + (inv.total || 0), 0)
+                .filter(inv => inv.status !== 'draft' && inv.status !== 'drafted' && inv.status !== 'cancelled')
+                .reduce((sum, inv) => sum + getPaymentDetails(inv).balanceDue, 0)
             )}
             icon={<ClockIcon className="w-6 h-6" />}
             color="yellow"
@@ -191,6 +224,7 @@ const InvoicesPage = () => {
               { value: 'all', label: 'All Invoices' },
               { value: 'pending', label: '⏳ Pending' },
               { value: 'overdue', label: '⚠️ Overdue' },
+              { value: 'partially_paid', label: '🧾 Partially Paid' },
               { value: 'paid', label: '✅ Paid' },
               { value: 'draft', label: '📝 Draft' }
             ].map(option => (
@@ -278,6 +312,7 @@ const InvoicesPage = () => {
           }}
           getStatusColor={getStatusColor}
           getStatusIcon={getStatusIcon}
+          onPay={handlePayInvoice}
         />
       )}
 
@@ -337,6 +372,8 @@ function SummaryCard({ title, value, icon, color }) {
  * Invoice Card Component
  */
 function InvoiceCard({ invoice, onViewDetails, getStatusColor, getStatusIcon }) {
+  const payment = getPaymentDetails(invoice);
+
   return (
     <button
       onClick={onViewDetails}
@@ -348,7 +385,7 @@ function InvoiceCard({ invoice, onViewDetails, getStatusColor, getStatusIcon })
           <p className="text-sm text-gray-600 mt-1">{invoice.customerName}</p>
         </div>
         <span className={`px-3 py-1 rounded-full text-sm font-medium border ${getStatusColor(invoice.status)}`}>
-          {getStatusIcon(invoice.status)} {invoice.status}
+          {getStatusIcon(invoice.status)} {formatStatus(invoice.status)}
         </span>
       </div>
 
@@ -369,14 +406,19 @@ function InvoiceCard({ invoice, onViewDetails, getStatusColor, getStatusIcon })
             </p>
           </div>
         </div>
-        {invoice.paidAmount > 0 ? (
+        {payment.amountPaid > 0 ? (
           <div className="flex items-center gap-2">
             <CheckCircleIcon className="w-4 h-4 flex-shrink-0 text-green-600" />
             <div>
               <p className="text-xs text-gray-500">Paid</p>
               <p className="font-medium text-green-600">
-                {CustomerPortalService.formatCurrency(invoice.paidAmount)}
+                {CustomerPortalService.formatCurrency(payment.amountPaid)}
               </p>
+              {payment.balanceDue > 0 && (
+                <p className="text-xs text-orange-600">
+                  {CustomerPortalService.formatCurrency(payment.balanceDue)} due
+                </p>
+              )}
             </div>
           </div>
         ) : (
@@ -384,7 +426,7 @@ function InvoiceCard({ invoice, onViewDetails, getStatusColor, getStatusIcon })
             <ClockIcon className="w-4 h-4 flex-shrink-0 text-yellow-500" />
             <div>
               <p className="text-xs text-gray-500">Status</p>
-              <p className="font-medium text-gray-900 capitalize">{invoice.status}</p>
+              <p className="font-medium text-gray-900 capitalize">{formatStatus(invoice.status)}</p>
             </div>
           </div>
         )}
@@ -416,8 +458,9 @@ function InvoiceCard({ invoice, onViewDetails, getStatusColor, getStatusIcon })
 /**
  * Invoice Details Modal Component
  */
-function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }) {
+function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon, onPay }) {
   const [isGeneratingPDF, setIsGeneratingPDF] = useState(false);
+  const payment = getPaymentDetails(invoice);
 
   const handleDownloadPDF = async () => {
     setIsGeneratingPDF(true);
@@ -507,7 +550,7 @@ function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }
             <div>
               <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide">Status</h3>
               <p className={`mt-2 px-3 py-1 rounded-full text-sm font-medium border inline-block ${getStatusColor(invoice.status)}`}>
-                {getStatusIcon(invoice.status)} {invoice.status}
+                {getStatusIcon(invoice.status)} {formatStatus(invoice.status)}
               </p>
             </div>
             <div>
@@ -602,12 +645,12 @@ function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }
           <div>
             <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-3">Payment Information</h3>
             <div className="bg-gray-50 rounded-lg p-4 space-y-2">
-              {invoice.paidAmount > 0 ? (
+              {payment.amountPaid > 0 ? (
                 <>
                   <div className="flex justify-between items-center">
                     <span className="text-sm text-gray-600">Amount Paid</span>
                     <span className="text-lg font-semibold text-green-600">
-                      {CustomerPortalService.formatCurrency(invoice.paidAmount)}
+                      {CustomerPortalService.formatCurrency(payment.amountPaid)}
                     </span>
                   </div>
                   {invoice.paidDate && (
@@ -624,11 +667,19 @@ function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }
                       <span className="text-gray-900 capitalize">{invoice.paymentMethod}</span>
                     </div>
                   )}
-                  {invoice.total > invoice.paidAmount && (
+                  {payment.balanceDue > 0 && (
                     <div className="pt-2 border-t border-gray-200 flex justify-between items-center">
                       <span className="text-sm font-medium text-gray-700">Remaining Balance</span>
                       <span className="text-lg font-semibold text-orange-600">
-                        {CustomerPortalService.formatCurrency(invoice.total - invoice.paidAmount)}
+                        {CustomerPortalService.formatCurrency(payment.balanceDue)}
+                      </span>
+                    </div>
+                  )}
+                  {payment.creditBalance > 0 && (
+                    <div className="pt-2 border-t border-gray-200 flex justify-between items-center">
+                      <span className="text-sm font-medium text-gray-700">Credit on Account</span>
+                      <span className="text-lg font-semibold text-teal-600">
+                        {CustomerPortalService.formatCurrency(payment.creditBalance)}
                       </span>
                     </div>
                   )}
@@ -647,7 +698,7 @@ function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }
           </div>
 
           {/* Payment History */}
-          {invoice.paymentHistory && invoice.paymentHistory.length > 0 && (
+          {payment.history.length > 0 && (
             <div>
               <h3 className="text-sm font-medium text-gray-500 uppercase tracking-wide mb-3">Payment History</h3>
               <div className="border border-gray-200 rounded-lg overflow-hidden">
@@ -661,19 +712,19 @@ function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }
                     </tr>
                   </thead>
                   <tbody className="divide-y divide-gray-200">
-                    {invoice.paymentHistory.map((payment, idx) => (
-                      <tr key={idx} className="hover:bg-gray-50">
+                    {payment.history.map((entry, idx) => (
+                      <tr key={entry.id || idx} className="hover:bg-gray-50">
                         <td className="px-4 py-2 text-sm text-gray-900">
-                          {CustomerPortalService.formatDate(payment.date)}
+                          {CustomerPortalService.formatDate(entry.date)}
                         </td>
                         <td className="px-4 py-2 text-sm font-medium text-gray-900">
-                          {CustomerPortalService.formatCurrency(payment.amount)}
+                          {entry.type === 'refund' ? '-' : ''}{CustomerPortalService.formatCurrency(entry.amount)}
                         </td>
                         <td className="px-4 py-2 text-sm text-gray-900 capitalize">
-                          {payment.method || 'N/A'}
+                          {entry.method || 'N/A'}
                         </td>
                         <td className="px-4 py-2 text-sm text-gray-600 font-mono">
-                          {payment.reference || 'N/A'}
+                          {entry.reference || 'N/A'}
                         </td>
                       </tr>
                     ))}
@@ -711,15 +762,12 @@ function InvoiceDetailsModal({ invoice, onClose, getStatusColor, getStatusIcon }
               </>
             )}
           </button>
-          {invoice.status !== 'paid' && invoice.status !== 'cancelled' && (
+          {payment.balanceDue > 0 && invoice.status !== 'cancelled' && (
             <button
               className="flex-1 px-4 py-2 bg-green-600 text-white rounded-lg font-medium hover:bg-green-700 transition-colors"
-              onClick={() => {
-                setPaymentInvoice(invoice);
-                setShowPaymentModal(true);
-              }}
+              onClick={() => onPay(invoice)}
             >
-              Pay Now
+              {payment.amountPaid > 0 ? 'Pay Balance' : 'Pay Now'}
             </button>
           )}
           <button
@@ -2,6 +2,9 @@ import React, { useState, useEffect } from 'react';
 import { useCustomerPortal } from '../../contexts/CustomerPortalContext';
 import { useAuthSafe } from '../../contexts/AuthContext';
 import CustomerPortalService from '../../services/customerPortalService';
+import CompletionFormSummary from '../../components/CompletionFormSummary';
+import SignatureRecord from '../../components/SignatureRecord';
+import { mapLegacyJobStatus } from '../../constants/jobStatuses';
 import { 
   CalendarIcon, 
   ClockIcon, 
@@ -37,7 +40,7 @@ const JobsPage = () => {
     if (customerData?.id) {
       loadJobs();
     }
-  }, [effectiveCompanyId, statusFilter, customerData?.id]);
+  }, [effectiveCompanyId, customerData?.id]);
 
   const loadJobs = async () => {
     if (!customerData?.id) {
@@ -48,10 +51,10 @@ const JobsPage = () => {
     setIsLoading(true);
     setError(null);
     try {
+      // Status is filtered client-side so legacy values (e.g. 'in-progress') still match
       const result = await CustomerPortalService.getCustomerJobs(
         customerData.id,
-        effectiveCompanyId,
-        statusFilter === 'all' ? null : statusFilter
+        effectiveCompanyId
       );
 
       if (result.success) {
@@ -69,8 +72,11 @@ const JobsPage = () => {
     }
   };
 
-  // Filter jobs by search term
+  // Filter jobs by status and search term
   const filteredJobs = jobs.filter(job => {
+    if (statusFilter !== 'all' && mapLegacyJobStatus(job.status) !== statusFilter) {
+      return false;
+    }
     const searchLower = searchTerm.toLowerCase();
     return (
       (job.serviceType && job.serviceType.toLowerCase().includes(searchLower)) ||
@@ -88,8 +94,12 @@ const JobsPage = () => {
       scheduled: 'bg-blue-50 text-blue-700 border-blue-200',
       'in-progress': 'bg-yellow-50 text-yellow-700 border-yellow-200',
       'in_progress': 'bg-yellow-50 text-yellow-700 border-yellow-200',
+      en_route: 'bg-indigo-50 text-indigo-700 border-indigo-200',
+      on_site: 'bg-indigo-50 text-indigo-700 border-indigo-200',
+      on_hold: 'bg-purple-50 text-purple-700 border-purple-200',
       completed: 'bg-green-50 text-green-700 border-green-200',
-      cancelled: 'bg-red-50 text-red-700 border-red-200'
+      cancelled: 'bg-red-50 text-red-700 border-red-200',
+      no_show: 'bg-red-50 text-red-700 border-red-200'
     };
     return colors[status] || 'bg-gray-50 text-gray-700 border-gray-200';
   };
@@ -99,8 +109,12 @@ const JobsPage = () => {
       scheduled: '📅 Scheduled',
       'in-progress': '⏳ In Progress',
       'in_progress': '⏳ In Progress',
+      en_route: '🚚 On the Way',
+      on_site: '📍 Technician Arrived',
+      on_hold: '⏸️ On Hold',
       completed: '✅ Completed',
-      cancelled: '❌ Cancelled'
+      cancelled: '❌ Cancelled',
+      no_show: '❌ Missed Appointment'
     };
     return text[status] || status;
   };
@@ -156,7 +170,7 @@ const JobsPage = () => {
             {[
               { value: 'all', label: 'All Jobs' },
               { value: 'scheduled', label: '📅 Scheduled' },
-              { value: 'in-progress', label: '⏳ In Progress' },
+              { value: 'in_progress', label: '⏳ In Progress' },
               { value: 'completed', label: '✅ Completed' },
               { value: 'cancelled', label: '❌ Cancelled' }
             ].map(option => (
@@ -242,6 +256,9 @@ const JobsPage = () => {
             setShowDetailsModal(false);
             setSelectedJob(null);
           }}
+          onRated={(jobId, rating, review) => {
+            setJobs((prev) => prev.map((job) => (job.id === jobId ? { ...job, rating, review } : job)));
+          }}
           getStatusColor={getStatusColor}
           getStatusBadgeText={getStatusBadgeText}
         />
@@ -313,10 +330,25 @@ function JobCard({ job, onViewDetails, getStatusColor, getStatusBadgeText }) {
 /**
  * Job Details Modal Component
  */
-function JobDetailsModal({ job, onClose, getStatusColor, getStatusBadgeText }) {
+function JobDetailsModal({ job, onClose, onRated, getStatusColor, getStatusBadgeText }) {
   const [submittingRating, setSubmittingRating] = useState(false);
   const [rating, setRating] = useState(job.rating || 0);
   const [review, setReview] = useState(job.review || '');
+  const [completion, setCompletion] = useState({ completionForm: null, customerSignature: null });
+
+  // The checklist and sign-off live on the job, not on the portal's job projection
+  useEffect(() => {
+    if (job.status !== 'completed') return;
+    let isCancelled = false;
+    CustomerPortalService.getJobCompletion(job.id).then((result) => {
+      if (!isCancelled && result.success) {
+        setCompletion(result);
+      }
+    });
+    return () => {
+      isCancelled = true;
+    };
+  }, [job.id, job.status]);
 
   const handleSubmitRating = async () => {
     if (!rating) {
@@ -326,8 +358,15 @@ function JobDetailsModal({ job, onClose, getStatusColor, getStatusBadgeText }) {
 
     setSubmittingRating(true);
     try {
-      // TODO: Call Cloud Function to submit rating
+      const result = await CustomerPortalService.submitJobRating(job.id, rating, review, {
+        companyId: job.companyId,
+        technicianId: job.assignedTo || job.technician?.id || null
+      });
+      if (!result.success) {
+        throw new Error(result.error);
+      }
       toast.success('Thank you for your rating!');
+      onRated(job.id, result.rating, result.review);
       onClose();
     } catch (error) {
       toast.error('Failed to submit rating');
@@ -416,6 +455,11 @@ function JobDetailsModal({ job, onClose, getStatusColor, getStatusBadgeText }) {
             </div>
           )}
 
+          {/* Completion Checklist */}
+          {completion.completionForm && <CompletionFormSummary form={completion.completionForm} />}
+
+          <SignatureRecord signature={completion.customerSignature} title="Your Sign-off" />
+
           {/* Technician Info */}
           {job.technician && (
             <div className="bg-gray-50 rounded-lg p-4">
@@ -0,0 +1,331 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  addDoc,
+  updateDoc,
+  deleteDoc
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+
+/**
+ * Checklist Template Service
+ *
+ * Completion forms a technician fills in when finishing a job. Each company
+ * keeps templates in `checklistTemplates`, each covering one or more service
+ * types. When a job is completed the template is copied onto the job as
+ * `completionForm` together with the answers, so later template edits never
+ * change a finished job's record.
+ */
+class ChecklistTemplateService {
+  static FIELD_TYPES = {
+    checkbox: 'Checkbox',
+    numeric: 'Numeric Reading',
+    pass_fail: 'Pass / Fail',
+    photo: 'Photo',
+    signature: 'Signature'
+  };
+
+  // Get current user ID
+  static getCurrentUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+    return user.uid;
+  }
+
+  static createFieldId() {
+    return `field-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+  }
+
+  /**
+   * Clean a template field definition
+   * @param {Object} field - { id?, label, type, required?, unit?, min?, max? }
+   * @returns {Object|null} Normalized field, or null when it has no label or an unknown type
+   */
+  static normalizeField(field = {}) {
+    const label = (field.label || '').trim();
+    if (!label || !this.FIELD_TYPES[field.type]) {
+      return null;
+    }
+
+    const normalized = {
+      id: field.id || this.createFieldId(),
+      label,
+      type: field.type,
+      required: Boolean(field.required)
+    };
+
+    if (field.type === 'numeric') {
+      const min = field.min === '' || field.min === null || field.min === undefined ? null : Number(field.min);
+      const max = field.max === '' || field.max === null || field.max === undefined ? null : Number(field.max);
+      normalized.unit = (field.unit || '').trim();
+      normalized.min = Number.isFinite(min) ? min : null;
+      normalized.max = Number.isFinite(max) ? max : null;
+    }
+
+    return normalized;
+  }
+
+  static normalizeTemplate(templateData = {}) {
+    return {
+      name: (templateData.name || '').trim(),
+      serviceTypes: [...new Set((templateData.serviceTypes || []).map((service) => service.trim()).filter(Boolean))],
+      fields: (templateData.fields || []).map((field) => this.normalizeField(field)).filter(Boolean),
+      active: templateData.active !== false
+    };
+  }
+
+  /**
+   * Get a company's checklist templates, sorted by name
+   * @param {string} companyId - Company ID
+   * @param {Object} options - { includeInactive: boolean }
+   * @returns {Promise<Object>} { success: boolean, templates: Array, error?: string }
+   */
+  static async getTemplates(companyId, { includeInactive = false } = {}) {
+    try {
+      if (!companyId) {
+        return { success: false, error: 'Company ID is required', templates: [] };
+      }
+
+      const snapshot = await getDocs(query(
+        collection(db, 'checklistTemplates'),
+        where('companyId', '==', companyId)
+      ));
+
+      const templates = snapshot.docs
+        .map((templateDoc) => ({ id: templateDoc.id, ...templateDoc.data() }))
+        .filter((template) => includeInactive || template.active !== false)
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+      return { success: true, templates };
+    } catch (error) {
+      console.error('Error getting checklist templates:', error);
+      return { success: false, error: error.message, templates: [] };
+    }
+  }
+
+  /**
+   * The active template that covers a service type, if any
+   * @param {string} companyId - Company ID
+   * @param {string} serviceType - Job service type
+   * @returns {Promise<Object|null>}
+   */
+  static async getTemplateForServiceType(companyId, serviceType) {
+    if (!companyId || !serviceType) {
+      return null;
+    }
+
+    const result = await this.getTemplates(companyId);
+    if (!result.success) {
+      console.error('Error loading checklist for service type:', result.error);
+      return null;
+    }
+
+    const key = serviceType.trim().toLowerCase();
+    return result.templates.find((template) =>
+      (template.serviceTypes || []).some((service) => service.toLowerCase() === key)
+    ) || null;
+  }
+
+  /**
+   * Create a checklist template
+   * @param {string} companyId - Company ID
+   * @param {Object} templateData - { name, serviceTypes: string[], fields: Array }
+   * @returns {Promise<Object>} { success: boolean, template?: Object, error?: string }
+   */
+  static async createTemplate(companyId, templateData) {
+    try {
+      const userId = this.getCurrentUserId();
+      const template = this.normalizeTemplate(templateData);
+
+      if (!template.name) {
+        return { success: false, error: 'Template name is required' };
+      }
+      if (template.fields.length === 0) {
+        return { success: false, error: 'Add at least one field' };
+      }
+
+      const nowIso = new Date().toISOString();
+      const data = {
+        ...template,
+        companyId,
+        createdBy: userId,
+        createdAt: nowIso,
+        updatedAt: nowIso
+      };
+
+      const docRef = await addDoc(collection(db, 'checklistTemplates'), data);
+      return { success: true, template: { id: docRef.id, ...data } };
+    } catch (error) {
+      console.error('Error creating checklist template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Update a checklist template
+   * @param {string} templateId - Template ID
+   * @param {Object} templateData - { name, serviceTypes, fields, active }
+   * @returns {Promise<Object>} { success: boolean, template?: Object, error?: string }
+   */
+  static async updateTemplate(templateId, templateData) {
+    try {
+      this.getCurrentUserId();
+      const template = this.normalizeTemplate(templateData);
+
+      if (!template.name) {
+        return { success: false, error: 'Template name is required' };
+      }
+      if (template.fields.length === 0) {
+        return { success: false, error: 'Add at least one field' };
+      }
+
+      const updates = { ...template, updatedAt: new Date().toISOString() };
+      await updateDoc(doc(db, 'checklistTemplates', templateId), updates);
+      return { success: true, template: { id: templateId, ...updates } };
+    } catch (error) {
+      console.error('Error updating checklist template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Completed jobs keep their own copy of the form, so templates can be deleted outright
+  static async deleteTemplate(templateId) {
+    try {
+      this.getCurrentUserId();
+      await deleteDoc(doc(db, 'checklistTemplates', templateId));
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting checklist template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Blank completion form for a template
+   * @param {Object} template - Checklist template
+   * @returns {Object} { templateId, templateName, fields: [{ ...field, value }] }
+   */
+  static createForm(template) {
+    return {
+      templateId: template.id,
+      templateName: template.name,
+      fields: (template.fields || []).map((field) => ({
+        ...field,
+        value: this.getEmptyValue(field.type)
+      }))
+    };
+  }
+
+  static getEmptyValue(type) {
+    switch (type) {
+      case 'checkbox':
+        return false;
+      case 'photo':
+        return [];
+      default:
+        return null;
+    }
+  }
+
+  static isOutOfRange(field) {
+    if (field.type !== 'numeric' || field.value === null || field.value === '') return false;
+    const value = Number(field.value);
+    return (field.min !== null && field.min !== undefined && value < field.min) ||
+      (field.max !== null && field.max !== undefined && value > field.max);
+  }
+
+  /**
+   * Check required answers before a job is completed
+   * @param {Object} form - Completion form
+   * @returns {{valid: boolean, errors: string[]}}
+   */
+  static validateForm(form) {
+    const errors = [];
+
+    (form?.fields || []).forEach((field) => {
+      switch (field.type) {
+        case 'checkbox':
+          if (field.required && field.value !== true) errors.push(`${field.label} must be checked`);
+          break;
+        case 'numeric':
+          if (field.value !== null && field.value !== '' && !Number.isFinite(Number(field.value))) {
+            errors.push(`${field.label} must be a number`);
+          } else if (field.required && (field.value === null || field.value === '')) {
+            errors.push(`${field.label} needs a reading`);
+          }
+          break;
+        case 'pass_fail':
+          if (field.required && !['pass', 'fail'].includes(field.value)) errors.push(`${field.label} needs pass or fail`);
+          break;
+        case 'photo':
+          if (field.required && (!Array.isArray(field.value) || field.value.length === 0)) {
+            errors.push(`${field.label} needs a photo`);
+          }
+          break;
+        case 'signature':
+          if (field.required && !field.value?.url) errors.push(`${field.label} needs a signature`);
+          break;
+        default:
+          break;
+      }
+    });
+
+    return { valid: errors.length === 0, errors };
+  }
+
+  /**
+   * Completed form as saved on the job
+   * @param {Object} form - Completion form with answers
+   * @returns {Object}
+   */
+  static finalizeForm(form) {
+    const user = auth.currentUser;
+    return {
+      ...form,
+      fields: form.fields.map((field) => (
+        field.type === 'numeric' && field.value !== null && field.value !== ''
+          ? { ...field, value: Number(field.value), outOfRange: this.isOutOfRange(field) }
+          : field
+      )),
+      completedAt: new Date().toISOString(),
+      completedBy: user?.uid || null,
+      completedByName: user?.displayName || user?.email || ''
+    };
+  }
+
+  /**
+   * Answer as display text, for the portal and PDFs
+   * @param {Object} field - Form field with value
+   * @returns {string}
+   */
+  static formatAnswer(field) {
+    switch (field.type) {
+      case 'checkbox':
+        return field.value ? 'Yes' : 'No';
+      case 'numeric': {
+        if (field.value === null || field.value === '') return '—';
+        const reading = `${field.value}${field.unit ? ` ${field.unit}` : ''}`;
+        return field.outOfRange ? `${reading} (out of range)` : reading;
+      }
+      case 'pass_fail':
+        return field.value === 'pass' ? 'Pass' : field.value === 'fail' ? 'Fail' : '—';
+      case 'photo': {
+        const count = Array.isArray(field.value) ? field.value.length : 0;
+        return count === 0 ? 'No photo' : `${count} photo${count === 1 ? '' : 's'}`;
+      }
+      case 'signature':
+        return field.value?.name
+          ? `Signed by ${field.value.name}${field.value.signedAt ? ` on ${new Date(field.value.signedAt).toLocaleDateString()}` : ''}`
+          : 'Not signed';
+      default:
+        return field.value === null || field.value === undefined ? '—' : String(field.value);
+    }
+  }
+}
+
+export default ChecklistTemplateService;
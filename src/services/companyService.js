@@ -56,6 +56,12 @@ class CompanyService {
     return Math.max(0, Math.min(365, Math.round(numeric)));
   }
 
+  // Month the company's fiscal year starts in, 1-12 (defaults to January)
+  static normalizeFiscalYearStartMonth(value) {
+    const month = parseInt(value, 10);
+    return Number.isFinite(month) && month >= 1 && month <= 12 ? month : 1;
+  }
+
   static async hasTeamManagementPrivileges(companyId, companyRecord = null) {
     try {
       const userId = this.getCurrentUserId();
@@ -236,6 +242,7 @@ class CompanyService {
       const company = {
         ...companyData,
         photoRetentionDays: this.normalizeRetentionDays(companyData.photoRetentionDays),
+        fiscalYearStartMonth: this.normalizeFiscalYearStartMonth(companyData.fiscalYearStartMonth),
         code: companyCode,
         ownerId: userId,
         createdAt: new Date().toISOString(),
@@ -417,7 +424,51 @@ class CompanyService {
     }
   }
 
-  // Get company by user ID
+  /**
+   * Normalize a company holiday list: { date: 'YYYY-MM-DD', name }, sorted, one entry per date
+   */
+  static normalizeHolidays(holidays = []) {
+    const byDate = new Map();
+    (holidays || []).forEach((holiday) => {
+      const date = (holiday?.date || '').toString().slice(0, 10);
+      if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        byDate.set(date, { date, name: (holiday.name || '').toString().trim() });
+      }
+    });
+    return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // Get company holidays (dates on which no recurring work is scheduled)
+  static async getCompanyHolidays(companyId) {
+    const companyResult = await this.getCompany(companyId);
+    if (!companyResult.success) {
+      return { ...companyResult, holidays: [] };
+    }
+    return {
+      success: true,
+      holidays: this.normalizeHolidays(companyResult.company.holidays)
+    };
+  }
+
+  // Replace the company holiday list
+  static async updateCompanyHolidays(companyId, holidays) {
+    const normalized = this.normalizeHolidays(holidays);
+    const result = await this.updateCompany(companyId, { holidays: normalized });
+    return result.success ? { success: true, holidays: normalized } : result;
+  }
+
+  // Get the month a company's fiscal year starts in, for reporting periods
+  static async getFiscalYearStartMonth(companyId) {
+    const companyResult = await this.getCompany(companyId);
+    if (!companyResult.success) {
+      return { ...companyResult, fiscalYearStartMonth: 1 };
+    }
+    return {
+      success: true,
+      fiscalYearStartMonth: this.normalizeFiscalYearStartMonth(companyResult.company.fiscalYearStartMonth)
+    };
+  }
+
   static async getCompanyByUserId(userId) {
     try {
       const q = query(
@@ -522,6 +573,7 @@ class CompanyService {
       const company = {
         ...companyData,
         photoRetentionDays: retentionDays,
+        fiscalYearStartMonth: this.normalizeFiscalYearStartMonth(companyData.fiscalYearStartMonth),
         code: companyCode,
         ownerId: ownerId || null,
         ownerPendingEmail: ownerStatus === 'invited' ? normalizedOwnerEmail : null,
@@ -939,6 +991,9 @@ class CompanyService {
       if (Object.prototype.hasOwnProperty.call(updatesCopy, 'photoRetentionDays')) {
         updatesCopy.photoRetentionDays = this.normalizeRetentionDays(updatesCopy.photoRetentionDays);
       }
+      if (Object.prototype.hasOwnProperty.call(updatesCopy, 'fiscalYearStartMonth')) {
+        updatesCopy.fiscalYearStartMonth = this.normalizeFiscalYearStartMonth(updatesCopy.fiscalYearStartMonth);
+      }
 
       // Handle directory fields
       // If displayInDirectory is being set to true, update directoryLastUpdated
@@ -1,4 +1,4 @@
-import { db } from './firebase';
+import { db, auth } from './firebase';
 import {
   collection,
   query,
@@ -9,6 +9,7 @@ import {
   startAfter,
   doc,
   getDoc,
+  setDoc,
 } from 'firebase/firestore';
 
 /**
@@ -16,6 +17,8 @@ import {
  * Handles all customer portal data operations
  */
 class CustomerPortalService {
+  static PORTAL_ESTIMATE_STATUSES = ['sent', 'accepted', 'rejected'];
+
   /**
    * Get all jobs for a customer
    */
@@ -61,14 +64,19 @@ class CustomerPortalService {
         );
       }
 
-      const snapshot = await getDocs(q);
+      const [snapshot, ratings] = await Promise.all([
+        getDocs(q),
+        this.getCustomerRatings(customerId)
+      ]);
       const jobs = [];
 
       snapshot.forEach((doc) => {
-        jobs.push({
+        const job = {
           id: doc.id,
           ...doc.data()
-        });
+        };
+        const rating = ratings[doc.id];
+        jobs.push(rating && !job.rating ? { ...job, rating: rating.rating, review: rating.review } : job);
       });
 
       return {
@@ -121,26 +129,95 @@ class CustomerPortalService {
   }
 
   /**
-   * Submit job rating
+   * Completion checklist and customer sign-off for a job. Both are saved on the
+   * job itself, not on the customerJobs projection (which shares the job's ID),
+   * so they are read from `jobs`. Either may be null.
    */
-  static async submitJobRating(jobId, rating, review) {
+  static async getJobCompletion(jobId) {
+    try {
+      if (!jobId) {
+        throw new Error('Job ID is required');
+      }
+
+      const jobDoc = await getDoc(doc(db, 'jobs', jobId));
+      const data = jobDoc.exists() ? jobDoc.data() : {};
+
+      return {
+        success: true,
+        completionForm: data.completionForm || null,
+        customerSignature: data.customerSignature || null
+      };
+    } catch (error) {
+      console.error('Error getting job completion:', error);
+      return {
+        success: false,
+        error: error.message,
+        completionForm: null,
+        customerSignature: null
+      };
+    }
+  }
+
+  /**
+   * Ratings the customer has left, keyed by job ID. Never fails the caller.
+   */
+  static async getCustomerRatings(customerId) {
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'jobRatings'),
+        where('customerId', '==', customerId)
+      ));
+      const ratings = {};
+      snapshot.forEach((ratingDoc) => {
+        ratings[ratingDoc.id] = ratingDoc.data();
+      });
+      return ratings;
+    } catch (error) {
+      console.error('Error getting customer ratings:', error);
+      return {};
+    }
+  }
+
+  /**
+   * Submit job rating. Saved to `jobRatings/{jobId}`, one per job; reporting
+   * reads these for customer satisfaction.
+   * @param {string} jobId - Job ID
+   * @param {number} rating - Whole stars, 1 to 5
+   * @param {string} review - Optional feedback
+   * @param {Object} job - { companyId, technicianId } from the portal job
+   */
+  static async submitJobRating(jobId, rating, review, job = {}) {
     try {
       if (!jobId || !rating) {
         throw new Error('Job ID and rating are required');
       }
 
-      if (rating < 1 || rating > 5) {
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
         throw new Error('Rating must be between 1 and 5');
       }
 
-      // Note: This will be done via Cloud Function for security
-      // Frontend just prepares the data
+      const customerId = auth.currentUser?.uid;
+      if (!customerId) {
+        throw new Error('No user is currently signed in');
+      }
+
+      const ratingData = {
+        jobId,
+        companyId: job.companyId || null,
+        customerId,
+        technicianId: job.technicianId || null,
+        rating,
+        review: (review || '').trim(),
+        createdAt: new Date().toISOString()
+      };
+
+      await setDoc(doc(db, 'jobRatings', jobId), ratingData);
 
       return {
         success: true,
         message: 'Rating submitted',
         rating,
-        review
+        review: ratingData.review
       };
     } catch (error) {
       console.error('Error submitting rating:', error);
@@ -255,6 +332,75 @@ class CustomerPortalService {
     }
   }
 
+  /**
+   * CRM customer records that belong to a portal customer in one company.
+   * Staff-side documents (estimates) are keyed on these auto-generated IDs rather
+   * than the portal auth UID, so they are matched on the email the customer
+   * verified when signing in.
+   */
+  static async getLinkedCustomerIds(email, companyId) {
+    const searchEmail = (email || '').toString().trim().toLowerCase();
+    if (!searchEmail || !companyId) {
+      return [];
+    }
+
+    const snapshot = await getDocs(query(
+      collection(db, 'customers'),
+      where('searchEmail', '==', searchEmail),
+      where('companyId', '==', companyId)
+    ));
+
+    return snapshot.docs.map((customerDoc) => customerDoc.id);
+  }
+
+  /**
+   * Get estimates sent to a customer. Drafts stay internal, so only sent,
+   * accepted and rejected estimates are returned.
+   * @param {string} email - Portal customer's sign-in email
+   */
+  static async getCustomerEstimates(email, companyId = null, statusFilter = null) {
+    try {
+      if (!email) {
+        throw new Error('Customer email is required');
+      }
+
+      const customerIds = await this.getLinkedCustomerIds(email, companyId);
+
+      const snapshots = await Promise.all(customerIds.map((customerId) => getDocs(query(
+        collection(db, 'estimates'),
+        where('customerId', '==', customerId),
+        where('companyId', '==', companyId),
+        statusFilter
+          ? where('status', '==', statusFilter)
+          : where('status', 'in', this.PORTAL_ESTIMATE_STATUSES),
+        orderBy('createdAt', 'desc'),
+        limit(100)
+      ))));
+
+      const estimates = snapshots
+        .flatMap((snapshot) => snapshot.docs)
+        .map((estimateDoc) => ({
+          id: estimateDoc.id,
+          ...estimateDoc.data()
+        }))
+        .sort((a, b) => String(b.createdAt || '').localeCompare(String(a.createdAt || '')));
+
+      return {
+        success: true,
+        estimates,
+        count: estimates.length
+      };
+    } catch (error) {
+      console.error('Error getting customer estimates:', error);
+      return {
+        success: false,
+        error: error.message,
+        estimates: [],
+        count: 0
+      };
+    }
+  }
+
   /**
    * Get job stats for dashboard
    */
@@ -405,6 +551,10 @@ class CustomerPortalService {
       scheduled: 'blue',
       'in-progress': 'yellow',
       'in_progress': 'yellow',
+      en_route: 'indigo',
+      on_site: 'indigo',
+      on_hold: 'purple',
+      no_show: 'red',
       completed: 'green',
       cancelled: 'red',
       draft: 'gray',
@@ -412,7 +562,9 @@ class CustomerPortalService {
       viewed: 'purple',
       paid: 'green',
       pending: 'yellow',
-      overdue: 'red'
+      overdue: 'red',
+      accepted: 'green',
+      rejected: 'red'
     };
     return colors[status] || 'gray';
   }
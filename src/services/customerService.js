@@ -16,6 +16,15 @@ import {
 import { db } from './firebase';
 import { auth } from './firebase';
 import { getCustomerCreationStatus, canApproveCustomers } from '../utils/permissions';
+import { formatPhoneNumber, isValidPhoneNumber } from '../utils/phoneFormatter';
+import ExportService from './exportService';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const US_ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const CA_POSTAL_PATTERN = /^[A-Za-z]\d[A-Za-z] ?\d[A-Za-z]\d$/;
+
+// Compare spreadsheet headers without regard to case, spacing or punctuation
+const normalizeImportHeader = (header) => (header || '').toString().toLowerCase().replace(/[^a-z0-9]/g, '');
 
 class CustomerService {
   // Get current user ID
@@ -820,62 +829,255 @@ class CustomerService {
     }
   }
 
-  // Import customers from CSV (placeholder for future implementation)
-  static async importCustomers(csvData) {
-    try {
-      // This would parse CSV and create multiple customers
-      // For now, return a placeholder
-      return {
-        success: false,
-        error: 'CSV import not yet implemented'
-      };
-    } catch (error) {
-      console.error('Error importing customers:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+  // Customer fields accepted by importCustomers, with the spreadsheet headers recognised for each
+  static IMPORT_FIELDS = [
+    { key: 'name', label: 'Name', required: true, aliases: ['name', 'customer name', 'full name'] },
+    { key: 'email', label: 'Email', aliases: ['email', 'customer email', 'email address'] },
+    { key: 'phone', label: 'Phone', aliases: ['phone', 'phone number', 'telephone', 'mobile'] },
+    { key: 'address', label: 'Address', aliases: ['address', 'street address', 'street'] },
+    { key: 'city', label: 'City', aliases: ['city', 'city/town', 'town'] },
+    { key: 'state', label: 'State', aliases: ['state', 'state/province', 'province'] },
+    { key: 'zipCode', label: 'ZIP Code', aliases: ['zipCode', 'zip code', 'zip', 'postal code', 'postcode'] },
+    { key: 'notes', label: 'Notes', aliases: ['notes', 'service notes', 'comments'] },
+    { key: 'emailConsent', label: 'Email Consent', aliases: ['emailConsent', 'email consent', 'email opt in'] }
+  ];
+
+  /**
+   * Guess which spreadsheet column feeds each customer field.
+   * @param {Array<string>} headers - Column headers from the file
+   * @returns {Object} Map of field key -> header (fields without a match are omitted)
+   */
+  static buildImportColumnMapping(headers = []) {
+    const byNormalized = new Map(headers.map((header) => [normalizeImportHeader(header), header]));
+    const mapping = {};
+
+    this.IMPORT_FIELDS.forEach((field) => {
+      const match = field.aliases
+        .map((alias) => byNormalized.get(normalizeImportHeader(alias)))
+        .find(Boolean);
+      if (match) {
+        mapping[field.key] = match;
+      }
+    });
+
+    return mapping;
+  }
+
+  /**
+   * Read rows from a CSV string or an XLSX/XLS/CSV file's bytes (first sheet only)
+   * @param {string|ArrayBuffer|Uint8Array} data
+   * @returns {Promise<{headers: Array<string>, rows: Array<Object>}>}
+   */
+  static async parseImportFile(data) {
+    // Loaded on demand so the spreadsheet library stays out of the main bundle
+    const XLSX = await import('xlsx');
+    const workbook = typeof data === 'string'
+      ? XLSX.read(data, { type: 'string' })
+      : XLSX.read(data instanceof Uint8Array ? data : new Uint8Array(data), { type: 'array' });
+    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = firstSheet ? XLSX.utils.sheet_to_json(firstSheet, { defval: '' }) : [];
+    const headerRow = firstSheet ? XLSX.utils.sheet_to_json(firstSheet, { header: 1 })[0] || [] : [];
+
+    return {
+      headers: headerRow.map((header) => (header ?? '').toString()).filter(Boolean),
+      rows
+    };
+  }
+
+  /**
+   * Map and validate one import row.
+   * @returns {{data: Object, errors: Array<string>, warnings: Array<string>}}
+   */
+  static validateImportRow(row, mapping) {
+    const read = (key) => {
+      const header = mapping[key];
+      const value = header ? row[header] : '';
+      return value === undefined || value === null ? '' : value.toString().trim();
+    };
+
+    const errors = [];
+    const warnings = [];
+
+    const name = read('name');
+    const email = read('email').toLowerCase();
+    const rawPhone = read('phone');
+    let zipCode = read('zipCode');
+
+    if (!name) {
+      errors.push('Missing customer name');
+    }
+
+    if (!email && !rawPhone) {
+      errors.push('At least one of email or phone is required');
+    }
+
+    if (email && !EMAIL_PATTERN.test(email)) {
+      errors.push(`Invalid email "${email}"`);
+    }
+
+    // Accept a leading US country code, but store the 10-digit number
+    let phone = '';
+    if (rawPhone) {
+      const digits = rawPhone.replace(/\D/g, '');
+      const localDigits = digits.length === 11 && digits.startsWith('1') ? digits.slice(1) : digits;
+      if (isValidPhoneNumber(localDigits)) {
+        phone = formatPhoneNumber(localDigits);
+      } else {
+        errors.push(`Invalid phone number "${rawPhone}" (expected 10 digits)`);
+      }
     }
+
+    if (zipCode) {
+      // Spreadsheets store ZIPs as numbers and drop leading zeros (02134 -> 2134)
+      if (/^\d{3,4}$/.test(zipCode)) {
+        warnings.push(`ZIP "${zipCode}" padded to ${zipCode.padStart(5, '0')}`);
+        zipCode = zipCode.padStart(5, '0');
+      }
+      if (!US_ZIP_PATTERN.test(zipCode) && !CA_POSTAL_PATTERN.test(zipCode)) {
+        errors.push(`Invalid ZIP code "${zipCode}"`);
+      }
+    }
+
+    const consent = read('emailConsent').toLowerCase();
+
+    return {
+      data: {
+        name,
+        email,
+        phone,
+        address: read('address'),
+        city: read('city'),
+        state: read('state'),
+        zipCode,
+        notes: read('notes'),
+        emailConsent: ['true', 'yes', 'y', '1'].includes(consent)
+      },
+      errors,
+      warnings
+    };
   }
 
-  // Export customers to CSV (placeholder for future implementation)
-  static async exportCustomers() {
+  /**
+   * Import customers from spreadsheet rows, a CSV string or file bytes.
+   *
+   * Each row is mapped, validated and checked against existing customers (and
+   * earlier rows in the same file) by email and by name + ZIP. With `dryRun`
+   * nothing is written and the report says what would happen to each row.
+   *
+   * @param {Array<Object>|string|ArrayBuffer|Uint8Array} input
+   * @param {Object} options
+   * @param {Object} options.mapping - Field key -> column header; defaults to buildImportColumnMapping
+   * @param {boolean} options.dryRun - Validate only
+   * @param {Object} options.userProfile - Importing user's profile (company and approval rules)
+   * @param {Function} options.onProgress - Called with the number of rows processed
+   * @returns {Promise<Object>} { success, dryRun, total, successful, failed, duplicates, warnings, errors, rows }
+   */
+  static async importCustomers(input, { mapping = null, dryRun = false, userProfile = null, onProgress = () => {} } = {}) {
     try {
-      const result = await this.getCustomers(1000);
-      if (!result.success) {
-        return result;
+      if (!userProfile) {
+        userProfile = await this.getCurrentUserProfile();
       }
 
-      // Convert to CSV format
-      const headers = ['Name', 'Email', 'Phone', 'Address', 'City', 'State', 'ZIP', 'Created Date'];
-      const csvRows = [headers.join(',')];
-      
-      result.customers.forEach(customer => {
-        const row = [
-          customer.name || '',
-          customer.email || '',
-          customer.phone || '',
-          customer.address || '',
-          customer.city || '',
-          customer.state || '',
-          customer.zipCode || '',
-          customer.createdAt || ''
-        ];
-        csvRows.push(row.map(field => `"${field}"`).join(','));
-      });
+      const parsed = Array.isArray(input)
+        ? { headers: Object.keys(input[0] || {}), rows: input }
+        : await this.parseImportFile(input);
+      const columnMapping = { ...this.buildImportColumnMapping(parsed.headers), ...(mapping || {}) };
 
-      return {
+      if (!columnMapping.name) {
+        return {
+          success: false,
+          error: 'No column is mapped to the customer name'
+        };
+      }
+
+      const report = {
         success: true,
-        csvData: csvRows.join('\n')
+        dryRun,
+        mapping: columnMapping,
+        total: parsed.rows.length,
+        successful: 0,
+        failed: 0,
+        duplicates: 0,
+        warnings: 0,
+        errors: [],
+        rows: []
       };
+
+      const duplicateMaps = await this.getCustomerDuplicateMaps(userProfile);
+      const emailKeys = new Set(duplicateMaps.emailKeys);
+      const nameZipKeys = new Set(duplicateMaps.nameZipKeys);
+      const companyId = userProfile?.companyId || null;
+
+      for (let i = 0; i < parsed.rows.length; i++) {
+        const rowNumber = i + 2; // +2 for 1-indexed and header row
+        const { data, errors, warnings } = this.validateImportRow(parsed.rows[i], columnMapping);
+        const identifier = data.name || data.email || data.phone || '(no identifier)';
+        const rowReport = { row: rowNumber, identifier, status: 'ready', errors, warnings, data };
+        report.rows.push(rowReport);
+        report.warnings += warnings.length > 0 ? 1 : 0;
+
+        const emailKey = companyId && data.email ? `${companyId}__${data.email}` : null;
+        const nameZipKey = companyId && data.name && data.zipCode
+          ? `${companyId}__${data.name.toLowerCase()}__${data.zipCode.toLowerCase()}`
+          : null;
+
+        if (errors.length > 0) {
+          rowReport.status = 'invalid';
+          report.failed++;
+          report.errors.push({ row: rowNumber, identifier, error: errors.join('; ') });
+        } else if (emailKey && emailKeys.has(emailKey)) {
+          rowReport.status = 'duplicate';
+          rowReport.errors.push('Duplicate customer (email already exists) - skipped');
+        } else if (nameZipKey && nameZipKeys.has(nameZipKey)) {
+          rowReport.status = 'duplicate';
+          rowReport.errors.push('Duplicate customer (name + ZIP already exists) - skipped');
+        } else if (!dryRun) {
+          const result = await this.createCustomer(data, userProfile);
+          if (result.success) {
+            rowReport.status = 'imported';
+            rowReport.customerId = result.customerId;
+            rowReport.approvalStatus = result.customer.status;
+          } else {
+            rowReport.status = /duplicate/i.test(result.error || '') ? 'duplicate' : 'failed';
+            rowReport.errors.push(result.error || 'Failed to create customer');
+          }
+        }
+
+        if (rowReport.status === 'duplicate') {
+          report.duplicates++;
+          report.errors.push({ row: rowNumber, identifier, error: rowReport.errors[rowReport.errors.length - 1] });
+        } else if (rowReport.status === 'failed') {
+          report.failed++;
+          report.errors.push({ row: rowNumber, identifier, error: rowReport.errors[rowReport.errors.length - 1] });
+        } else if (rowReport.status === 'ready' || rowReport.status === 'imported') {
+          report.successful++;
+          // Later rows in the same file count as duplicates of this one
+          if (emailKey) emailKeys.add(emailKey);
+          if (nameZipKey) nameZipKeys.add(nameZipKey);
+        }
+
+        // Small delay to avoid rate limiting
+        if (!dryRun && i % 10 === 0 && i > 0) {
+          await new Promise(resolve => setTimeout(resolve, 100));
+        }
+
+        onProgress(i + 1);
+      }
+
+      return report;
     } catch (error) {
-      console.error('Error exporting customers:', error);
+      console.error('Error importing customers:', error);
       return {
         success: false,
         error: error.message
       };
     }
   }
+
+  // Export customers to CSV (see ExportService for column selection and XLSX)
+  static async exportCustomers(options = {}) {
+    return ExportService.exportRecords('customers', options);
+  }
 }
 
 export default CustomerService;
@@ -0,0 +1,279 @@
+import { collection, doc, getDocs, query, where, updateDoc, arrayUnion, runTransaction } from 'firebase/firestore';
+import { db, auth } from './firebase';
+import InvoiceService from './invoiceService';
+import CompanyService from './companyService';
+import { parseDate, toLocalDateString } from '../utils/dateHelpers';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Dunning Service
+ *
+ * Marks unpaid invoices overdue once their due date has passed and sends
+ * reminder emails on a per-company cadence. The cadence is a list of day
+ * offsets relative to the due date (negative = before due). Each reminder is
+ * logged on the invoice under `reminders`, and an invoice drops out of
+ * dunning as soon as the payments ledger shows no balance due.
+ *
+ * There is no server-side schedule: "automatic" reminders go out from the
+ * browser the first time someone opens the Invoices page on a given day.
+ */
+class DunningService {
+  static DEFAULT_CADENCE = [-3, 0, 7, 14, 30];
+
+  // Invoices in these statuses have been sent to the customer and may still be owed
+  static DUNNABLE_STATUSES = ['sent', 'viewed', 'partially_paid', 'overdue'];
+
+  static normalizeSettings(settings = {}) {
+    const cadence = Array.from(new Set(
+      (Array.isArray(settings.cadence) ? settings.cadence : this.DEFAULT_CADENCE)
+        .map((offset) => parseInt(offset, 10))
+        .filter((offset) => Number.isInteger(offset) && offset >= -60 && offset <= 365)
+    )).sort((a, b) => a - b);
+
+    return {
+      enabled: settings.enabled !== false,
+      autoSend: settings.autoSend === true,
+      cadence
+    };
+  }
+
+  static async getSettings(companyId) {
+    if (!companyId) {
+      return { success: true, settings: this.normalizeSettings() };
+    }
+
+    const companyResult = await CompanyService.getCompany(companyId);
+    if (!companyResult.success) {
+      return { ...companyResult, settings: this.normalizeSettings() };
+    }
+
+    return {
+      success: true,
+      settings: this.normalizeSettings(companyResult.company.dunningSettings),
+      lastRunDate: companyResult.company.dunningLastRunDate || null
+    };
+  }
+
+  static async updateSettings(companyId, settings) {
+    const normalized = this.normalizeSettings(settings);
+    const result = await CompanyService.updateCompany(companyId, { dunningSettings: normalized });
+    return result.success ? { success: true, settings: normalized } : result;
+  }
+
+  /**
+   * Whole days from the invoice due date to `asOf` (positive once past due)
+   */
+  static getDaysPastDue(invoice, asOf = new Date()) {
+    if (!invoice.dueDate) {
+      return null;
+    }
+    const dueKey = toLocalDateString(parseDate(invoice.dueDate));
+    const todayKey = toLocalDateString(asOf);
+    return Math.round((parseDate(todayKey) - parseDate(dueKey)) / DAY_MS);
+  }
+
+  static hasBalanceDue(invoice) {
+    return InvoiceService.computePaymentSummary(invoice).balanceDue > 0;
+  }
+
+  static isOverdue(invoice, asOf = new Date()) {
+    const daysPastDue = this.getDaysPastDue(invoice, asOf);
+    return (
+      this.DUNNABLE_STATUSES.includes(invoice.status) &&
+      daysPastDue !== null &&
+      daysPastDue > 0 &&
+      this.hasBalanceDue(invoice)
+    );
+  }
+
+  /**
+   * The cadence step an invoice is due for today, or null.
+   * Only the most recent step that has been reached is returned, so an invoice
+   * that missed several runs gets one reminder rather than a burst of them.
+   */
+  static getDueReminder(invoice, cadence, asOf = new Date()) {
+    if (!this.DUNNABLE_STATUSES.includes(invoice.status) || !this.hasBalanceDue(invoice)) {
+      return null;
+    }
+
+    const daysPastDue = this.getDaysPastDue(invoice, asOf);
+    if (daysPastDue === null) {
+      return null;
+    }
+
+    const reached = cadence.filter((offset) => offset <= daysPastDue);
+    if (reached.length === 0) {
+      return null;
+    }
+
+    const offset = reached[reached.length - 1];
+    const alreadySent = (invoice.reminders || []).some(
+      (reminder) => reminder.offset === offset && reminder.success
+    );
+    return alreadySent ? null : { offset, daysPastDue };
+  }
+
+  /**
+   * Every invoice dunning applies to: the whole company's when there is one,
+   * since settings and the last run date are company-wide, else the user's own
+   */
+  static async getDunningInvoices(companyId) {
+    const scopeFilter = companyId
+      ? where('companyId', '==', companyId)
+      : where('userId', '==', auth.currentUser?.uid || null);
+    const snapshot = await getDocs(query(collection(db, 'invoices'), scopeFilter));
+    return snapshot.docs.map((invoiceDoc) => ({ id: invoiceDoc.id, ...invoiceDoc.data() }));
+  }
+
+  /**
+   * Work out what a dunning run would do without changing anything
+   */
+  static async previewDunning(companyId, { asOf = new Date() } = {}) {
+    try {
+      const [invoices, settingsResult] = await Promise.all([
+        this.getDunningInvoices(companyId),
+        this.getSettings(companyId)
+      ]);
+
+      const settings = settingsResult.settings;
+      const toMarkOverdue = [];
+      const reminders = [];
+
+      invoices.forEach((invoice) => {
+        if (this.isOverdue(invoice, asOf) && !invoice.overdueAt) {
+          toMarkOverdue.push(invoice);
+        }
+        if (settings.enabled) {
+          const reminder = this.getDueReminder(invoice, settings.cadence, asOf);
+          if (reminder) {
+            reminders.push({ invoice, ...reminder });
+          }
+        }
+      });
+
+      return { success: true, settings, toMarkOverdue, reminders };
+    } catch (error) {
+      console.error('Error previewing dunning run:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to preview reminders'
+      };
+    }
+  }
+
+  static async markOverdue(invoice) {
+    const updates = {
+      overdueAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+    // Partially paid invoices keep their payment status; the overdue flag is carried by overdueAt
+    if (invoice.status === 'sent' || invoice.status === 'viewed') {
+      updates.status = 'overdue';
+    }
+    await updateDoc(doc(db, 'invoices', invoice.id), updates);
+  }
+
+  static async logReminder(invoiceId, entry) {
+    await updateDoc(doc(db, 'invoices', invoiceId), {
+      reminders: arrayUnion(entry),
+      lastReminderAt: entry.sentAt,
+      updatedAt: entry.sentAt
+    });
+  }
+
+  /**
+   * Mark overdue invoices and send the reminders that are due.
+   * @param {string} companyId
+   * @param {Object} options - { sendReminders: boolean, asOf: Date }
+   * @returns {Promise<{success: boolean, markedOverdue: number, sent: Array, failed: Array, error?: string}>}
+   */
+  static async runDunning(companyId, { sendReminders = true, asOf = new Date() } = {}) {
+    try {
+      const preview = await this.previewDunning(companyId, { asOf });
+      if (!preview.success) {
+        return preview;
+      }
+
+      for (const invoice of preview.toMarkOverdue) {
+        await this.markOverdue(invoice);
+      }
+
+      const sent = [];
+      const failed = [];
+
+      if (sendReminders) {
+        const userId = auth.currentUser?.uid || null;
+        for (const { invoice, offset, daysPastDue } of preview.reminders) {
+          const emailResult = await InvoiceService.sendInvoiceEmail(invoice.id, {
+            reminder: { offset, daysPastDue }
+          });
+          const entry = {
+            offset,
+            daysPastDue,
+            sentAt: new Date().toISOString(),
+            sentBy: userId,
+            success: emailResult.success,
+            error: emailResult.success ? null : emailResult.error || 'Failed to send'
+          };
+
+          await this.logReminder(invoice.id, entry);
+          (emailResult.success ? sent : failed).push({ invoice, ...entry });
+        }
+
+        if (companyId) {
+          await CompanyService.updateCompany(companyId, { dunningLastRunDate: toLocalDateString(asOf) });
+        }
+      }
+
+      return {
+        success: true,
+        markedOverdue: preview.toMarkOverdue.length,
+        sent,
+        failed
+      };
+    } catch (error) {
+      console.error('Error running dunning:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to run reminders'
+      };
+    }
+  }
+
+  /**
+   * Claim today's reminder run for a company. Only one caller per day gets
+   * true, so two tabs or admins opening invoices together don't both send.
+   */
+  static async claimDailyRun(companyId, asOf = new Date()) {
+    const dayKey = toLocalDateString(asOf);
+    try {
+      return await runTransaction(db, async (transaction) => {
+        const companyRef = doc(db, 'companies', companyId);
+        const companyDoc = await transaction.get(companyRef);
+        if (!companyDoc.exists() || companyDoc.data().dunningLastRunDate === dayKey) {
+          return false;
+        }
+        transaction.update(companyRef, { dunningLastRunDate: dayKey });
+        return true;
+      });
+    } catch (error) {
+      console.error('Error claiming dunning run:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Entry point run when the Invoices page is opened (reminders are not sent
+   * unless someone opens it): always marks overdue invoices and, when the
+   * company has opted into automatic reminders, sends them at most once a day.
+   */
+  static async runScheduledDunning(companyId) {
+    const { settings } = await this.getSettings(companyId);
+    const sendReminders = Boolean(companyId) && settings.enabled && settings.autoSend &&
+      await this.claimDailyRun(companyId);
+    return this.runDunning(companyId, { sendReminders });
+  }
+}
+
+export default DunningService;
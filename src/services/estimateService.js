@@ -12,12 +12,18 @@ import {
   orderBy,
   limit,
   startAfter,
-  serverTimestamp
+  serverTimestamp,
+  runTransaction
 } from 'firebase/firestore';
 import { db, auth } from './firebase';
 import jsPDF from 'jspdf';
 import autoTable from 'jspdf-autotable';
 import CompanyService from './companyService';
+import CustomerService from './customerService';
+import JobManagementService from './jobManagementService';
+import NumberingService from './numberingService';
+import SignatureService from './signatureService';
+import NotificationService from './notificationService';
 
 class EstimateService {
   // Get current user ID
@@ -44,11 +50,10 @@ class EstimateService {
     }
   }
 
-  // Generate estimate number
-  static async generateEstimateNumber() {
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 1000);
-    return `EST-${timestamp}-${random}`;
+  // Preview the next estimate number (reserved only when the estimate is saved)
+  static async generateEstimateNumber(companyId = null) {
+    const result = await NumberingService.previewNextNumber(companyId, 'estimate');
+    return result.success ? result.number : null;
   }
 
   // Calculate valid until date (30 days from now)
@@ -152,12 +157,12 @@ class EstimateService {
     try {
       const userId = this.getCurrentUserId();
       const userProfile = await this.getCurrentUserProfile();
-      const estimateNumber = await this.generateEstimateNumber();
+      const companyId = estimateData.companyId || userProfile?.companyId || null;
       const nowIso = new Date().toISOString();
 
       const estimate = {
         userId,
-        companyId: estimateData.companyId || userProfile?.companyId || null,
+        companyId,
         customerId: estimateData.customerId || null,
         customerName: (estimateData.customerName || '').trim(),
         serviceType: (estimateData.serviceType || '').trim(),
@@ -166,19 +171,37 @@ class EstimateService {
         laborRate: estimateData.laborRate || 0,
         materialCost: estimateData.materialCost || 0,
         totalCost: estimateData.totalCost || 0,
+        tiers: this.normalizeOptions(estimateData.tiers),
+        optionalItems: this.normalizeOptions(estimateData.optionalItems),
         notes: estimateData.notes || '',
-        estimateNumber: estimateNumber,
         status: 'draft',
         validUntil: estimateData.validUntil || this.calculateValidUntil(),
         createdAt: nowIso,
         updatedAt: nowIso,
       };
 
-      const docRef = await addDoc(collection(db, 'estimates'), estimate);
+      const saveResult = await NumberingService.createNumberedDocument({
+        companyId,
+        documentType: 'estimate',
+        collectionName: 'estimates',
+        numberField: 'estimateNumber',
+        data: estimate,
+        locationCode: estimateData.locationCode || null
+      });
+
+      if (!saveResult.success) {
+        return { success: false, error: saveResult.error };
+      }
 
       return {
         success: true,
-        estimate: { id: docRef.id, ...estimate }
+        estimate: {
+          id: saveResult.id,
+          ...estimate,
+          estimateNumber: saveResult.number,
+          numberSequence: saveResult.sequence,
+          numberPeriod: saveResult.period
+        }
       };
     } catch (error) {
       console.error('Error creating estimate:', error);
@@ -212,6 +235,202 @@ class EstimateService {
     }
   }
 
+  /**
+   * Clean a list of tiers or optional items
+   * @param {Array} options - [{ id?, name, description?, price, recommended? }]
+   * @returns {Array} Options with an id and a numeric price; unnamed entries are dropped
+   */
+  static normalizeOptions(options = []) {
+    return (options || [])
+      .map((option, index) => ({
+        id: option.id || `option-${index + 1}`,
+        name: (option.name || '').trim(),
+        description: (option.description || '').trim(),
+        price: Number(option.price) || 0,
+        recommended: Boolean(option.recommended)
+      }))
+      .filter((option) => option.name);
+  }
+
+  /**
+   * The tier and optional items chosen on an estimate. Before the customer has
+   * chosen, the recommended tier (or the first one) and recommended items are used.
+   * @param {Object} estimate
+   * @returns {{tierId: string|null, optionalItemIds: string[]}}
+   */
+  static getSelection(estimate) {
+    const tiers = estimate.tiers || [];
+    const optionalItems = estimate.optionalItems || [];
+
+    const tierId = tiers.some((tier) => tier.id === estimate.selectedTierId)
+      ? estimate.selectedTierId
+      : (tiers.find((tier) => tier.recommended) || tiers[0])?.id || null;
+
+    const optionalItemIds = Array.isArray(estimate.selectedOptionalItemIds)
+      ? estimate.selectedOptionalItemIds.filter((id) => optionalItems.some((item) => item.id === id))
+      : optionalItems.filter((item) => item.recommended).map((item) => item.id);
+
+    return { tierId, optionalItemIds };
+  }
+
+  /**
+   * Total for a selection: the base estimate plus the chosen tier and optional items.
+   * Estimates without tiers or optional items total to their totalCost.
+   * @param {Object} estimate
+   * @param {Object} selection - { tierId, optionalItemIds }, defaults to getSelection(estimate)
+   * @returns {number}
+   */
+  static getSelectionTotal(estimate, selection = this.getSelection(estimate)) {
+    const tier = (estimate.tiers || []).find((option) => option.id === selection.tierId);
+    const itemsTotal = (estimate.optionalItems || [])
+      .filter((item) => selection.optionalItemIds.includes(item.id))
+      .reduce((sum, item) => sum + (Number(item.price) || 0), 0);
+
+    return (Number(estimate.totalCost) || 0) + (Number(tier?.price) || 0) + itemsTotal;
+  }
+
+  /**
+   * Price the customer agreed to: the total recorded at acceptance, or the
+   * current selection's total for estimates accepted before that was stored
+   * @param {Object} estimate
+   * @returns {number}
+   */
+  static getApprovedTotal(estimate) {
+    const acceptedTotal = Number(estimate.acceptedTotal);
+    return estimate.acceptedTotal != null && Number.isFinite(acceptedTotal)
+      ? acceptedTotal
+      : this.getSelectionTotal(estimate);
+  }
+
+  /**
+   * Add an adjustment line when line items don't add up to the approved price
+   * (e.g. a total priced by hand), so the job and invoice bill what was signed
+   * @param {Array<Object>} items - Line items with an amount
+   * @param {number} approvedTotal
+   * @returns {Array<Object>}
+   */
+  static reconcileLineItems(items, approvedTotal) {
+    const itemsTotal = items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0);
+    const difference = Math.round((approvedTotal - itemsTotal) * 100) / 100;
+    if (difference === 0) {
+      return items;
+    }
+
+    return [...items, {
+      type: 'adjustment',
+      description: 'Adjustment to approved estimate total',
+      quantity: 1,
+      unitPrice: difference,
+      amount: difference,
+      notes: ''
+    }];
+  }
+
+  /**
+   * Mark an estimate accepted, keeping the customer's signature as proof of acceptance
+   * @param {string} estimateId - Estimate ID
+   * @param {Object} options - { signature: Object|null } record from SignatureService.saveSignature,
+   *   { selection } tier and optional items the customer chose, { estimate } the current
+   *   estimate (needed to total a selection), { source: 'staff'|'portal' }
+   * @returns {Promise<{success: boolean, updates?: Object, error?: string}>}
+   */
+  static async acceptEstimate(estimateId, { signature = null, selection = null, estimate = null, source = 'staff' } = {}) {
+    try {
+      const updates = {
+        status: 'accepted',
+        acceptedAt: signature?.signedAt || new Date().toISOString(),
+        acceptedBy: auth.currentUser?.uid || null,
+        acceptedVia: source,
+        signature
+      };
+
+      if (estimate) {
+        const chosen = selection || this.getSelection(estimate);
+        updates.selectedTierId = chosen.tierId;
+        updates.selectedOptionalItemIds = chosen.optionalItemIds;
+        updates.acceptedTotal = this.getSelectionTotal(estimate, chosen);
+      }
+
+      const result = await this.updateEstimate(estimateId, updates);
+      return result.success ? { success: true, updates } : result;
+    } catch (error) {
+      console.error('Error accepting estimate:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Mark an estimate declined with the customer's reason
+   * @param {string} estimateId - Estimate ID
+   * @param {Object} options - { reason: string, source: 'staff'|'portal' }
+   * @returns {Promise<{success: boolean, updates?: Object, error?: string}>}
+   */
+  static async declineEstimate(estimateId, { reason = '', source = 'staff' } = {}) {
+    try {
+      const updates = {
+        status: 'rejected',
+        declinedAt: new Date().toISOString(),
+        declinedBy: auth.currentUser?.uid || null,
+        declinedVia: source,
+        declineReason: reason.trim()
+      };
+
+      const result = await this.updateEstimate(estimateId, updates);
+      return result.success ? { success: true, updates } : result;
+    } catch (error) {
+      console.error('Error declining estimate:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Tell the estimate's author and the company owner that the customer responded.
+   * Never fails the response itself; callers don't need to await this.
+   * @param {Object} estimate - Estimate including the response updates
+   * @returns {Promise<boolean>} whether a notification was sent
+   */
+  static async notifyCompanyOfResponse(estimate) {
+    try {
+      const recipients = new Set();
+      if (estimate.userId) {
+        recipients.add(estimate.userId);
+      }
+      if (estimate.companyId) {
+        const companyResult = await CompanyService.getCompany(estimate.companyId);
+        if (companyResult.success && companyResult.company.ownerId) {
+          recipients.add(companyResult.company.ownerId);
+        }
+      }
+      if (recipients.size === 0) {
+        return false;
+      }
+
+      const label = `Estimate ${estimate.estimateNumber || ''}`.trim();
+      const accepted = estimate.status === 'accepted';
+      const title = accepted ? `${label} approved` : `${label} declined`;
+      const body = accepted
+        ? `${estimate.customerName || 'The customer'} approved ${this.formatCurrency(estimate.acceptedTotal ?? estimate.totalCost)}`
+        : `${estimate.customerName || 'The customer'} declined${estimate.declineReason ? `: ${estimate.declineReason}` : ''}`;
+
+      const result = await NotificationService.sendNotification(
+        Array.from(recipients),
+        title,
+        body,
+        { screen: 'estimates', estimateId: estimate.id }
+      );
+      return result.success;
+    } catch (error) {
+      console.error('Error sending estimate response notification:', error);
+      return false;
+    }
+  }
+
   // Delete estimate
   static async deleteEstimate(estimateId) {
     try {
@@ -307,6 +526,185 @@ class EstimateService {
     }
   }
 
+  /**
+   * Line items for an estimate: labor first, then each material.
+   * These are copied onto the job at conversion and reused on the invoice.
+   */
+  static buildEstimateLineItems(estimate, materials = []) {
+    const items = [];
+    const laborHours = Number(estimate.laborHours) || 0;
+    const laborRate = Number(estimate.laborRate) || 0;
+
+    if (laborHours > 0) {
+      items.push({
+        type: 'labor',
+        description: `Labor - ${estimate.serviceType || 'Service'}`,
+        quantity: laborHours,
+        unitPrice: laborRate,
+        amount: laborHours * laborRate,
+        notes: ''
+      });
+    }
+
+    materials.forEach((material) => {
+      const quantity = Number(material.quantity) || 1;
+      const unitPrice = Number(material.unitPrice) || 0;
+      items.push({
+        type: 'material',
+        materialId: material.materialId || null,
+        description: material.materialName || 'Material',
+        quantity,
+        unit: material.unit || '',
+        unitPrice,
+        amount: Number(material.totalPrice) || quantity * unitPrice,
+        notes: material.notes || ''
+      });
+    });
+
+    // Estimates priced without itemized materials still carry a material total
+    const materialCost = Number(estimate.materialCost) || 0;
+    if (materials.length === 0 && materialCost > 0) {
+      items.push({
+        type: 'material',
+        materialId: null,
+        description: 'Materials',
+        quantity: 1,
+        unitPrice: materialCost,
+        amount: materialCost,
+        notes: ''
+      });
+    }
+
+    const selection = this.getSelection(estimate);
+    const chosenOptions = [
+      ...(estimate.tiers || []).filter((tier) => tier.id === selection.tierId),
+      ...(estimate.optionalItems || []).filter((item) => selection.optionalItemIds.includes(item.id))
+    ];
+
+    const total = Number(estimate.totalCost) || 0;
+    if (items.length === 0 && (total > 0 || chosenOptions.length === 0)) {
+      items.push({
+        type: 'service',
+        description: estimate.serviceType || 'Service',
+        quantity: 1,
+        unitPrice: total,
+        amount: total,
+        notes: estimate.scopeOfWork || ''
+      });
+    }
+
+    chosenOptions.forEach((option) => {
+      items.push({
+        type: 'service',
+        description: option.name,
+        quantity: 1,
+        unitPrice: option.price,
+        amount: option.price,
+        notes: option.description || ''
+      });
+    });
+
+    return this.reconcileLineItems(items, this.getApprovedTotal(estimate));
+  }
+
+  /**
+   * Create a scheduled job from an accepted estimate.
+   * Converting the same estimate twice returns the job created the first time;
+   * the estimate's jobId is claimed in the same transaction that writes the job.
+   * @param {string} estimateId
+   * @param {Object} jobDetails - { date, time, duration, assignedTo, assignedToName, notes }
+   * @returns {Promise<{success: boolean, job?: Object, alreadyConverted?: boolean, error?: string}>}
+   */
+  static async convertEstimateToJob(estimateId, jobDetails = {}) {
+    try {
+      const estimateResult = await this.getEstimate(estimateId);
+      if (!estimateResult.success) {
+        return estimateResult;
+      }
+
+      const estimate = estimateResult.estimate;
+      if (estimate.status !== 'accepted') {
+        return { success: false, error: 'Only accepted estimates can be converted to jobs' };
+      }
+
+      if (estimate.jobId) {
+        const existingJob = await JobManagementService.getJob(estimate.jobId);
+        if (existingJob.success) {
+          return { success: true, job: existingJob.job, alreadyConverted: true };
+        }
+      }
+
+      const materialsResult = await this.getEstimateMaterials(estimateId);
+      const lineItems = this.buildEstimateLineItems(estimate, materialsResult.materials || []);
+
+      let customer = null;
+      if (estimate.customerId) {
+        const customerResult = await CustomerService.getCustomer(estimate.customerId);
+        customer = customerResult.success ? customerResult.customer : null;
+      }
+
+      const laborHours = Number(estimate.laborHours) || 0;
+      const jobRef = doc(collection(db, 'jobs'));
+      const job = JobManagementService.buildJobRecord({
+        companyId: estimate.companyId || null,
+        customerId: estimate.customerId || null,
+        customerName: estimate.customerName || customer?.name || '',
+        customerPhone: customer?.phone || '',
+        address: customer?.address || '',
+        serviceType: estimate.serviceType || '',
+        status: 'scheduled',
+        date: jobDetails.date,
+        time: jobDetails.time,
+        duration: jobDetails.duration || (laborHours > 0 ? `${laborHours} hours` : ''),
+        estimatedCost: this.getApprovedTotal(estimate),
+        notes: jobDetails.notes ?? (estimate.scopeOfWork || estimate.notes || ''),
+        assignedTo: jobDetails.assignedTo || null,
+        assignedToName: jobDetails.assignedToName || '',
+        estimateId,
+        estimateNumber: estimate.estimateNumber || '',
+        lineItems
+      });
+
+      // A job linked since we read the estimate (e.g. a double click) wins
+      const claimedJobId = await runTransaction(db, async (transaction) => {
+        const estimateRef = doc(db, 'estimates', estimateId);
+        const current = await transaction.get(estimateRef);
+        if (!current.exists()) {
+          throw new Error('Estimate not found');
+        }
+
+        const currentJobId = current.data().jobId || null;
+        if (currentJobId && currentJobId !== (estimate.jobId || null)) {
+          return currentJobId;
+        }
+
+        const nowIso = new Date().toISOString();
+        transaction.set(jobRef, job);
+        transaction.update(estimateRef, {
+          jobId: jobRef.id,
+          convertedAt: nowIso,
+          updatedAt: nowIso
+        });
+        return jobRef.id;
+      });
+
+      if (claimedJobId !== jobRef.id) {
+        const existingJob = await JobManagementService.getJob(claimedJobId);
+        return existingJob.success
+          ? { success: true, job: existingJob.job, alreadyConverted: true }
+          : existingJob;
+      }
+
+      return { success: true, job: { id: jobRef.id, ...job } };
+    } catch (error) {
+      console.error('Error converting estimate to job:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   // Get estimate stats
   static async getEstimateStats(companyId = null) {
     try {
@@ -397,7 +795,8 @@ class EstimateService {
   }
 
   // Generate PDF for estimate
-  static async generatePDF(estimate, materials = []) {
+  // Pass { download: false } to get the PDF back as a blob instead of saving it
+  static async generatePDF(estimate, materials = [], { download = true } = {}) {
     try {
       const doc = new jsPDF();
       const pageWidth = doc.internal.pageSize.getWidth();
@@ -608,6 +1007,75 @@ class EstimateService {
 
       yPos = doc.lastAutoTable.finalY + 15;
 
+      // Tiers and optional items, with the customer's current choice marked
+      const tiers = estimate.tiers || [];
+      const optionalItems = estimate.optionalItems || [];
+      if (tiers.length > 0 || optionalItems.length > 0) {
+        const selection = this.getSelection(estimate);
+        const optionRows = [
+          ...tiers.map((tier) => [
+            `${tier.name}${tier.description ? `\n${tier.description}` : ''}`,
+            'Package',
+            tier.id === selection.tierId ? 'Selected' : '',
+            this.formatCurrency(tier.price)
+          ]),
+          ...optionalItems.map((item) => [
+            `${item.name}${item.description ? `\n${item.description}` : ''}`,
+            'Optional',
+            selection.optionalItemIds.includes(item.id) ? 'Included' : '',
+            this.formatCurrency(item.price)
+          ])
+        ];
+
+        if (yPos > 220) {
+          doc.addPage();
+          yPos = margin;
+        }
+
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.text('Options:', margin, yPos);
+        yPos += 7;
+
+        autoTable(doc, {
+          startY: yPos,
+          head: [['Option', 'Type', 'Choice', 'Price']],
+          body: optionRows,
+          foot: [['', '', 'Total', this.formatCurrency(this.getSelectionTotal(estimate, selection))]],
+          theme: 'grid',
+          headStyles: {
+            fillColor: [59, 130, 246],
+            textColor: [255, 255, 255],
+            fontStyle: 'bold'
+          },
+          footStyles: {
+            fillColor: [255, 255, 255],
+            textColor: [37, 99, 235],
+            fontStyle: 'bold'
+          },
+          styles: {
+            fontSize: 10,
+            cellPadding: 4
+          },
+          columnStyles: {
+            1: { cellWidth: 25 },
+            2: { cellWidth: 25 },
+            3: { cellWidth: 35, halign: 'right' }
+          }
+        });
+
+        yPos = doc.lastAutoTable.finalY + 15;
+      }
+
+      // Customer acceptance
+      if (estimate.signature?.url) {
+        yPos = await SignatureService.drawOnPdf(doc, estimate.signature, {
+          x: margin,
+          y: yPos,
+          title: 'Accepted By'
+        });
+      }
+
       // Notes section
       if (estimate.notes) {
         if (yPos > 240) {
@@ -655,6 +1123,15 @@ class EstimateService {
         );
       }
 
+      if (!download) {
+        const pdfBlob = doc.output('blob');
+        return {
+          success: true,
+          pdfBlob,
+          pdfUrl: URL.createObjectURL(pdfBlob)
+        };
+      }
+
       // Save PDF
       const fileName = `Estimate-${estimate.estimateNumber || 'draft'}.pdf`;
       doc.save(fileName);
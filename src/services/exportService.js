@@ -0,0 +1,420 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  addDoc,
+  deleteDoc,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAfter,
+  documentId,
+  Timestamp
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+import { toCSV, downloadFile } from '../utils/csv';
+import { parseDate } from '../utils/dateHelpers';
+import { JOB_STATUS_OPTIONS, mapLegacyJobStatus } from '../constants/jobStatuses';
+
+const PAGE_SIZE = 500;
+
+const formatAddress = (record) =>
+  [record.address, record.city, record.state, record.zipCode].filter(Boolean).join(', ');
+
+/**
+ * Export definitions. Each entity lists its collection, how it is scoped
+ * ('company' reads by companyId and falls back to userId; 'owner' always
+ * reads by userId to match the security rules), the field used for date
+ * filters, its statuses and the columns a user can pick from.
+ */
+const ENTITIES = {
+  customers: {
+    label: 'Customers',
+    collection: 'customers',
+    scope: 'company',
+    dateField: 'createdAt',
+    statuses: ['approved', 'pending', 'rejected'],
+    columns: [
+      { key: 'name', label: 'Name', default: true },
+      { key: 'email', label: 'Email', default: true },
+      { key: 'phone', label: 'Phone', default: true },
+      { key: 'address', label: 'Address', default: true },
+      { key: 'city', label: 'City', default: true },
+      { key: 'state', label: 'State', default: true },
+      { key: 'zipCode', label: 'ZIP', default: true },
+      { key: 'fullAddress', label: 'Full Address', value: formatAddress },
+      { key: 'status', label: 'Status' },
+      { key: 'emailConsent', label: 'Email Consent' },
+      { key: 'totalJobs', label: 'Total Jobs' },
+      { key: 'totalSpent', label: 'Total Spent' },
+      { key: 'lastServiceDate', label: 'Last Service Date' },
+      { key: 'notes', label: 'Notes' },
+      { key: 'createdAt', label: 'Created Date', default: true }
+    ]
+  },
+  jobs: {
+    label: 'Jobs',
+    collection: 'jobs',
+    scope: 'company',
+    dateField: 'date',
+    statuses: JOB_STATUS_OPTIONS.map((option) => option.value),
+    normalizeStatus: mapLegacyJobStatus,
+    columns: [
+      { key: 'date', label: 'Date', default: true },
+      { key: 'time', label: 'Time', default: true },
+      { key: 'customerName', label: 'Customer', default: true },
+      { key: 'serviceType', label: 'Service Type', default: true },
+      { key: 'address', label: 'Address', default: true },
+      { key: 'status', label: 'Status', default: true },
+      { key: 'assignedToName', label: 'Assigned To', default: true },
+      { key: 'duration', label: 'Duration' },
+      { key: 'totalCost', label: 'Total Cost', default: true },
+      { key: 'estimateNumber', label: 'Estimate #' },
+      { key: 'invoiceNumber', label: 'Invoice #' },
+      { key: 'completedAt', label: 'Completed At' },
+      { key: 'notes', label: 'Notes', default: true }
+    ]
+  },
+  estimates: {
+    label: 'Estimates',
+    collection: 'estimates',
+    scope: 'company',
+    dateField: 'createdAt',
+    statuses: ['draft', 'sent', 'accepted', 'rejected'],
+    columns: [
+      { key: 'estimateNumber', label: 'Estimate #', default: true },
+      { key: 'customerName', label: 'Customer', default: true },
+      { key: 'serviceType', label: 'Service Type', default: true },
+      { key: 'status', label: 'Status', default: true },
+      { key: 'laborHours', label: 'Labor Hours' },
+      { key: 'laborRate', label: 'Labor Rate' },
+      { key: 'materialCost', label: 'Material Cost' },
+      { key: 'totalCost', label: 'Total', default: true },
+      { key: 'validUntil', label: 'Valid Until', default: true },
+      { key: 'jobId', label: 'Job ID' },
+      { key: 'invoiceNumber', label: 'Invoice #' },
+      { key: 'scopeOfWork', label: 'Scope of Work' },
+      { key: 'notes', label: 'Notes' },
+      { key: 'createdAt', label: 'Created Date', default: true }
+    ]
+  },
+  invoices: {
+    label: 'Invoices',
+    collection: 'invoices',
+    scope: 'company',
+    dateField: 'invoiceDate',
+    statuses: ['drafted', 'sent', 'viewed', 'partially_paid', 'paid', 'overpaid', 'overdue', 'cancelled'],
+    columns: [
+      { key: 'invoiceNumber', label: 'Invoice #', default: true },
+      { key: 'customerName', label: 'Customer', default: true },
+      { key: 'customerEmail', label: 'Customer Email' },
+      { key: 'invoiceDate', label: 'Invoice Date', default: true },
+      { key: 'dueDate', label: 'Due Date', default: true },
+      { key: 'status', label: 'Status', default: true },
+      { key: 'paymentTerms', label: 'Payment Terms' },
+      { key: 'subtotal', label: 'Subtotal' },
+      { key: 'tax', label: 'Tax' },
+      { key: 'total', label: 'Total', default: true },
+      { key: 'amountPaid', label: 'Amount Paid', default: true },
+      { key: 'balanceDue', label: 'Balance Due', default: true, value: (invoice) => invoice.balanceDue ?? (invoice.status === 'paid' ? 0 : invoice.total) },
+      { key: 'paidAt', label: 'Paid At' },
+      { key: 'estimateNumber', label: 'Estimate #' },
+      { key: 'notes', label: 'Notes' }
+    ]
+  },
+  materials: {
+    label: 'Materials',
+    collection: 'materials',
+    scope: 'company',
+    dateField: 'createdAt',
+    statuses: [],
+    columns: [
+      { key: 'name', label: 'Name', default: true },
+      { key: 'category', label: 'Category', default: true },
+      { key: 'subcategory', label: 'Subcategory' },
+      { key: 'unit', label: 'Unit', default: true },
+      { key: 'costPerUnit', label: 'Cost Per Unit', default: true },
+      { key: 'retailPrice', label: 'Retail Price', default: true },
+      { key: 'quantityInStock', label: 'Quantity In Stock', default: true },
+      { key: 'reorderThreshold', label: 'Reorder Threshold' },
+      { key: 'supplier', label: 'Supplier', default: true },
+      { key: 'supplierSku', label: 'Supplier SKU' },
+      { key: 'storageLocation', label: 'Storage Location' },
+      { key: 'barcode', label: 'Barcode' },
+      { key: 'taxable', label: 'Taxable' },
+      { key: 'active', label: 'Active', default: true },
+      { key: 'description', label: 'Description' }
+    ]
+  }
+};
+
+class ExportService {
+  static ENTITIES = ENTITIES;
+
+  static getCurrentUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+    return user.uid;
+  }
+
+  static async getCurrentUserProfile() {
+    const userDoc = await getDoc(doc(db, 'users', this.getCurrentUserId()));
+    return userDoc.exists() ? userDoc.data() : null;
+  }
+
+  static getDefaultColumns(entity) {
+    return ENTITIES[entity].columns.filter((column) => column.default).map((column) => column.key);
+  }
+
+  /**
+   * Convert a stored value into a plain cell value
+   */
+  static formatCellValue(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Timestamp) return value.toDate().toISOString();
+    if (value instanceof Date) return value.toISOString();
+    if (Array.isArray(value)) return value.map((item) => this.formatCellValue(item)).join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+
+  static toDate(value) {
+    if (!value) return null;
+    if (value instanceof Timestamp) return value.toDate();
+    if (value instanceof Date) return value;
+    return parseDate(value.toString());
+  }
+
+  /**
+   * Read every record for an entity, PAGE_SIZE documents at a time
+   */
+  static async fetchAllRecords(entity, { userProfile = null, companyId = null } = {}) {
+    const definition = ENTITIES[entity];
+    if (!definition) {
+      throw new Error(`Unknown export type "${entity}"`);
+    }
+
+    const userId = this.getCurrentUserId();
+    const effectiveCompanyId = companyId || userProfile?.companyId;
+    const scopeFilter = definition.scope === 'company' && effectiveCompanyId
+      ? where('companyId', '==', effectiveCompanyId)
+      : where('userId', '==', userId);
+
+    const records = [];
+    let lastDoc = null;
+
+    // Ordering by document ID gives a stable cursor without a composite index
+    for (;;) {
+      const constraints = [scopeFilter, orderBy(documentId()), limit(PAGE_SIZE)];
+      if (lastDoc) {
+        constraints.push(startAfter(lastDoc));
+      }
+
+      const snapshot = await getDocs(query(collection(db, definition.collection), ...constraints));
+      snapshot.forEach((docSnap) => records.push({ id: docSnap.id, ...docSnap.data() }));
+
+      if (snapshot.docs.length < PAGE_SIZE) {
+        break;
+      }
+      lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return records;
+  }
+
+  /**
+   * Apply export filters: { statuses: [], startDate, endDate, search, activeOnly }
+   * Dates may be 'YYYY-MM-DD' strings or Date objects and are inclusive.
+   */
+  static applyFilters(entity, records, filters = {}) {
+    const definition = ENTITIES[entity];
+    const startDate = filters.startDate ? new Date(this.toDate(filters.startDate)) : null;
+    const endDate = filters.endDate ? new Date(this.toDate(filters.endDate)) : null;
+    if (startDate) startDate.setHours(0, 0, 0, 0);
+    if (endDate) endDate.setHours(23, 59, 59, 999);
+    const search = (filters.search || '').toString().trim().toLowerCase();
+
+    return records.filter((record) => {
+      const status = definition.normalizeStatus ? definition.normalizeStatus(record.status) : record.status;
+      if (filters.statuses?.length > 0 && !filters.statuses.includes(status)) {
+        return false;
+      }
+
+      if (entity === 'materials' && filters.activeOnly && record.active === false) {
+        return false;
+      }
+
+      if (startDate || endDate) {
+        const recordDate = this.toDate(record[definition.dateField]);
+        if (!recordDate) return false;
+        if (startDate && recordDate < startDate) return false;
+        if (endDate && recordDate > endDate) return false;
+      }
+
+      if (search) {
+        const haystack = definition.columns
+          .map((column) => this.formatCellValue(record[column.key]))
+          .join(' ')
+          .toLowerCase();
+        if (!haystack.includes(search)) return false;
+      }
+
+      return true;
+    });
+  }
+
+  /**
+   * Build the header row and data rows for the chosen columns
+   */
+  static buildTable(entity, records, columnKeys = null) {
+    const definition = ENTITIES[entity];
+    const keys = columnKeys?.length > 0 ? columnKeys : this.getDefaultColumns(entity);
+    const columns = keys
+      .map((key) => definition.columns.find((column) => column.key === key))
+      .filter(Boolean);
+
+    return {
+      headers: columns.map((column) => column.label),
+      rows: records.map((record) =>
+        columns.map((column) => this.formatCellValue(column.value ? column.value(record) : record[column.key]))
+      )
+    };
+  }
+
+  /**
+   * Export records as CSV or XLSX.
+   * @param {string} entity - customers | jobs | estimates | invoices | materials
+   * @param {Object} options
+   * @param {Array<string>} options.columns - Column keys in output order (defaults per entity)
+   * @param {Object} options.filters - See applyFilters
+   * @param {string} options.format - 'csv' or 'xlsx'
+   * @param {boolean} options.download - Save the file in the browser instead of returning it
+   * @returns {Promise<{success: boolean, count?: number, filename?: string, csvData?: string, data?: ArrayBuffer, error?: string}>}
+   */
+  static async exportRecords(entity, { columns = null, filters = {}, format = 'csv', download = false, userProfile = null, companyId = null } = {}) {
+    try {
+      if (!userProfile) {
+        userProfile = await this.getCurrentUserProfile();
+      }
+
+      const records = this.applyFilters(
+        entity,
+        await this.fetchAllRecords(entity, { userProfile, companyId }),
+        filters
+      );
+      const { headers, rows } = this.buildTable(entity, records, columns);
+      const filename = `${entity}-${new Date().toISOString().split('T')[0]}.${format}`;
+
+      if (format === 'xlsx') {
+        // Loaded on demand so the spreadsheet library stays out of the main bundle
+        const XLSX = await import('xlsx');
+        const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, sheet, ENTITIES[entity].label);
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+
+        if (download) {
+          downloadFile(
+            new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+            filename
+          );
+        }
+        return { success: true, count: records.length, filename, data };
+      }
+
+      const csvData = toCSV(headers, rows);
+      if (download) {
+        downloadFile(csvData, filename);
+      }
+      return { success: true, count: records.length, filename, csvData };
+    } catch (error) {
+      console.error(`Error exporting ${entity}:`, error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export'
+      };
+    }
+  }
+
+  // Saved export presets (shared by everyone in the company)
+  static async getPresets(companyId, entity = null) {
+    try {
+      if (!companyId) {
+        return { success: true, presets: [] };
+      }
+
+      const constraints = [where('companyId', '==', companyId)];
+      if (entity) {
+        constraints.push(where('entity', '==', entity));
+      }
+
+      const snapshot = await getDocs(query(collection(db, 'exportPresets'), ...constraints));
+      const presets = snapshot.docs
+        .map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+      return { success: true, presets };
+    } catch (error) {
+      console.error('Error getting export presets:', error);
+      return {
+        success: false,
+        error: error.message,
+        presets: []
+      };
+    }
+  }
+
+  static async savePreset(companyId, { name, entity, columns, filters, format }) {
+    try {
+      const userId = this.getCurrentUserId();
+      if (!companyId) {
+        return { success: false, error: 'Export presets require a company' };
+      }
+      if (!name?.trim()) {
+        return { success: false, error: 'Preset name is required' };
+      }
+      if (!ENTITIES[entity]) {
+        return { success: false, error: `Unknown export type "${entity}"` };
+      }
+
+      const preset = {
+        companyId,
+        entity,
+        name: name.trim(),
+        columns: columns || this.getDefaultColumns(entity),
+        filters: filters || {},
+        format: format === 'xlsx' ? 'xlsx' : 'csv',
+        createdBy: userId,
+        createdAt: new Date().toISOString()
+      };
+
+      const docRef = await addDoc(collection(db, 'exportPresets'), preset);
+      return { success: true, preset: { id: docRef.id, ...preset } };
+    } catch (error) {
+      console.error('Error saving export preset:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  static async deletePreset(presetId) {
+    try {
+      await deleteDoc(doc(db, 'exportPresets', presetId));
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting export preset:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export default ExportService;
@@ -0,0 +1,230 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  addDoc,
+  updateDoc
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+
+/**
+ * Inventory Location Service
+ *
+ * Places stock can be kept: the company warehouse, each technician's truck
+ * and job sites. Every company has an implicit main warehouse with the fixed
+ * id `warehouse`; stock recorded before locations existed lives there.
+ * Per-location quantities are kept on each material under `stockByLocation`
+ * (see MaterialsService).
+ */
+class InventoryLocationService {
+  static DEFAULT_LOCATION_ID = 'warehouse';
+
+  static LOCATION_TYPES = {
+    warehouse: 'Warehouse',
+    truck: 'Truck',
+    job_site: 'Job Site'
+  };
+
+  static DEFAULT_LOCATION = {
+    id: 'warehouse',
+    name: 'Main Warehouse',
+    type: 'warehouse',
+    active: true,
+    isDefault: true
+  };
+
+  // Get current user ID
+  static getCurrentUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+    return user.uid;
+  }
+
+  /**
+   * Get a company's stock locations, main warehouse first
+   * @param {string} companyId - Company ID
+   * @param {Object} options - { includeInactive: boolean }
+   * @returns {Promise<Object>} { success: boolean, locations: Array, error?: string }
+   */
+  static async getLocations(companyId, { includeInactive = false } = {}) {
+    try {
+      if (!companyId) {
+        return {
+          success: false,
+          error: 'Company ID is required',
+          locations: [this.DEFAULT_LOCATION]
+        };
+      }
+
+      const snapshot = await getDocs(query(
+        collection(db, 'inventoryLocations'),
+        where('companyId', '==', companyId)
+      ));
+
+      const typeOrder = Object.keys(this.LOCATION_TYPES);
+      const locations = snapshot.docs
+        .map((locationDoc) => ({ id: locationDoc.id, ...locationDoc.data() }))
+        .filter((location) => includeInactive || location.active !== false)
+        .sort((a, b) =>
+          typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+          (a.name || '').localeCompare(b.name || '')
+        );
+
+      return {
+        success: true,
+        locations: [this.DEFAULT_LOCATION, ...locations]
+      };
+    } catch (error) {
+      console.error('Error getting inventory locations:', error);
+      return {
+        success: false,
+        error: error.message,
+        locations: [this.DEFAULT_LOCATION]
+      };
+    }
+  }
+
+  /**
+   * The truck assigned to a technician, if any
+   * @param {string} companyId - Company ID
+   * @param {string} technicianId - User ID of the technician
+   * @returns {Promise<Object|null>}
+   */
+  static async getTruckForTechnician(companyId, technicianId) {
+    if (!companyId || !technicianId) {
+      return null;
+    }
+
+    const snapshot = await getDocs(query(
+      collection(db, 'inventoryLocations'),
+      where('companyId', '==', companyId),
+      where('technicianId', '==', technicianId)
+    ));
+
+    const truckDoc = snapshot.docs.find((locationDoc) => {
+      const data = locationDoc.data();
+      return data.type === 'truck' && data.active !== false;
+    });
+    return truckDoc ? { id: truckDoc.id, ...truckDoc.data() } : null;
+  }
+
+  /**
+   * Create a stock location
+   * @param {string} companyId - Company ID
+   * @param {Object} locationData - { name, type, technicianId?, technicianName?, jobId?, address? }
+   * @returns {Promise<Object>} { success: boolean, location?: Object, error?: string }
+   */
+  static async createLocation(companyId, locationData) {
+    try {
+      const userId = this.getCurrentUserId();
+
+      if (!companyId) {
+        return {
+          success: false,
+          error: 'Company ID is required'
+        };
+      }
+      if (!locationData.name?.trim()) {
+        return {
+          success: false,
+          error: 'Location name is required'
+        };
+      }
+      if (!this.LOCATION_TYPES[locationData.type]) {
+        return {
+          success: false,
+          error: 'Choose a location type'
+        };
+      }
+
+      // Job usage is drawn from "the" truck of the assigned tech, so keep it to one each
+      if (locationData.type === 'truck' && locationData.technicianId) {
+        const existingTruck = await this.getTruckForTechnician(companyId, locationData.technicianId);
+        if (existingTruck) {
+          return {
+            success: false,
+            error: `${locationData.technicianName || 'This technician'} already has a truck (${existingTruck.name})`
+          };
+        }
+      }
+
+      const now = new Date().toISOString();
+      const location = {
+        companyId,
+        name: locationData.name.trim(),
+        type: locationData.type,
+        technicianId: locationData.type === 'truck' ? locationData.technicianId || null : null,
+        technicianName: locationData.type === 'truck' ? locationData.technicianName || '' : '',
+        jobId: locationData.type === 'job_site' ? locationData.jobId || null : null,
+        address: locationData.address?.trim() || '',
+        active: true,
+        createdAt: now,
+        updatedAt: now,
+        createdBy: userId
+      };
+
+      const docRef = await addDoc(collection(db, 'inventoryLocations'), location);
+
+      return {
+        success: true,
+        location: { id: docRef.id, ...location }
+      };
+    } catch (error) {
+      console.error('Error creating inventory location:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update a stock location (name, technician, address or active flag)
+   * @param {string} locationId - Location document ID
+   * @param {Object} updates - Fields to update
+   * @returns {Promise<Object>} { success: boolean, error?: string }
+   */
+  static async updateLocation(locationId, updates) {
+    try {
+      this.getCurrentUserId();
+
+      if (!locationId || locationId === this.DEFAULT_LOCATION_ID) {
+        return {
+          success: false,
+          error: 'The main warehouse cannot be changed'
+        };
+      }
+
+      const updateData = { ...updates, updatedAt: new Date().toISOString() };
+      delete updateData.companyId;
+      delete updateData.type;
+      if (updateData.name !== undefined) {
+        updateData.name = updateData.name.trim();
+        if (!updateData.name) {
+          return {
+            success: false,
+            error: 'Location name is required'
+          };
+        }
+      }
+
+      await updateDoc(doc(db, 'inventoryLocations', locationId), updateData);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Error updating inventory location:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export default InventoryLocationService;
@@ -9,7 +9,8 @@ import {
   where,
   orderBy,
   limit,
-  Timestamp
+  Timestamp,
+  runTransaction
 } from 'firebase/firestore';
 import { db, auth } from './firebase';
 import { getFunctions, httpsCallable } from 'firebase/functions';
@@ -19,12 +20,29 @@ import autoTable from 'jspdf-autotable';
 import CompanyService from './companyService';
 import CustomerService from './customerService';
 import JobManagementService from './jobManagementService';
+import EstimateService from './estimateService';
 import InvoiceTemplateService from './invoiceTemplateService';
+import NumberingService from './numberingService';
+import ChecklistTemplateService from './checklistTemplateService';
+import SignatureService from './signatureService';
+import MaterialsService from './materialsService';
 
 /**
  * Invoice Service for generating and managing invoices
  */
 class InvoiceService {
+  static PAYMENT_METHODS = [
+    { value: 'card', label: 'Card' },
+    { value: 'cash', label: 'Cash' },
+    { value: 'check', label: 'Check' },
+    { value: 'ach', label: 'Bank Transfer (ACH)' },
+    { value: 'deposit', label: 'Deposit' },
+    { value: 'other', label: 'Other' }
+  ];
+
+  // Statuses derived from the payments ledger; any other status is set by the workflow
+  static PAYMENT_STATUSES = ['partially_paid', 'paid', 'overpaid'];
+
   // Get current user ID
   static getCurrentUserId() {
     const user = auth.currentUser;
@@ -35,13 +53,12 @@ class InvoiceService {
   }
 
   /**
-   * Generate invoice number (INV-YYYY-XXX format)
+   * Preview the next invoice number for a company (INV-YYYY-XXXXXX by default).
+   * The number is only reserved when the invoice is saved, see createInvoiceFromJob.
    */
-  static generateInvoiceNumber() {
-    const year = new Date().getFullYear();
-    // For now, use timestamp. In production, you'd want to track sequential numbers
-    const sequence = Date.now().toString().slice(-6);
-    return `INV-${year}-${sequence}`;
+  static async generateInvoiceNumber(companyId) {
+    const result = await NumberingService.previewNextNumber(companyId, 'invoice');
+    return result.success ? result.number : null;
   }
 
   /**
@@ -67,6 +84,12 @@ class InvoiceService {
         return { success: false, error: 'Can only create invoices for completed jobs' };
       }
 
+      // Usage logged from the field (e.g. the mobile app) comes out of stock before it is billed
+      const inventoryResult = await MaterialsService.syncJobMaterialConsumption(jobId);
+      if (!inventoryResult.success) {
+        console.error('Error updating inventory for job material usage:', inventoryResult.error);
+      }
+
       // Get customer details
       let customer = null;
       
@@ -114,14 +137,20 @@ class InvoiceService {
 
       const company = companyResult.company;
 
-      // Create invoice data
-      const invoiceNumber = this.generateInvoiceNumber();
+      // Create invoice data (invoiceNumber is assigned when the invoice is saved)
       const invoiceDate = new Date().toISOString();
       const dueDate = invoiceData.dueDate || this.calculateDueDate(invoiceDate, invoiceData.paymentTerms || 'net30');
+      const items = await this.buildInvoiceItems(job, invoiceData);
+
+      // Jobs converted from an estimate are billed from the estimate's line items
+      const subtotal = invoiceData.subtotal || (job.estimateId
+        ? items.reduce((sum, item) => sum + (Number(item.amount) || 0), 0)
+        : job.totalCost || 0);
       
       const invoice = {
-        invoiceNumber,
         jobId,
+        estimateId: job.estimateId || null,
+        estimateNumber: job.estimateNumber || '',
         customerId: customer.id,
         customerName: customer.name,
         customerEmail: customer.email || '',
@@ -132,17 +161,20 @@ class InvoiceService {
         companyPhone: company.phone,
         companyEmail: company.email,
         companyLogo: company.logo || '',
-        status: 'drafted', // drafted, sent, viewed, paid, overdue, cancelled
+        status: 'drafted', // drafted, sent, viewed, partially_paid, paid, overpaid, overdue, cancelled
         invoiceDate,
         dueDate,
         paymentTerms: invoiceData.paymentTerms || 'net30',
-        items: await this.buildInvoiceItems(job, invoiceData),
-        subtotal: invoiceData.subtotal || job.totalCost || 0,
+        items,
+        subtotal,
         tax: invoiceData.tax || 0,
         taxRate: invoiceData.taxRate || 0,
-        total: this.calculateTotal(invoiceData.subtotal || job.totalCost || 0, invoiceData.tax || 0),
+        total: this.calculateTotal(subtotal, invoiceData.tax || 0),
         notes: invoiceData.notes || '',
         terms: invoiceData.terms || this.getDefaultTerms(),
+        // Copy of the job's completion checklist, printed on the invoice PDF
+        completionForm: job.completionForm || null,
+        customerSignature: job.customerSignature || null,
         userId,
         createdAt: invoiceDate,
         updatedAt: invoiceDate,
@@ -151,13 +183,40 @@ class InvoiceService {
         paidAt: null
       };
 
-      // Save to Firestore
-      const docRef = await addDoc(collection(db, 'invoices'), invoice);
+      // Save to Firestore with the next sequential invoice number
+      const saveResult = await NumberingService.createNumberedDocument({
+        companyId: company.id,
+        documentType: 'invoice',
+        collectionName: 'invoices',
+        numberField: 'invoiceNumber',
+        data: invoice,
+        locationCode: invoiceData.locationCode || null
+      });
+
+      if (!saveResult.success) {
+        return { success: false, error: saveResult.error || 'Failed to save invoice' };
+      }
+
+      // Back-links so estimate -> job -> invoice can be followed from any document
+      const backLink = { invoiceId: saveResult.id, invoiceNumber: saveResult.number };
+      const linkResults = await Promise.all([
+        JobManagementService.updateJob(jobId, backLink),
+        job.estimateId ? EstimateService.updateEstimate(job.estimateId, backLink) : Promise.resolve({ success: true })
+      ]);
+      linkResults
+        .filter((result) => !result.success)
+        .forEach((result) => console.warn('Unable to link invoice to source document:', result.error));
 
       return {
         success: true,
-        invoice: { id: docRef.id, ...invoice },
-        invoiceId: docRef.id
+        invoice: {
+          id: saveResult.id,
+          ...invoice,
+          invoiceNumber: saveResult.number,
+          numberSequence: saveResult.sequence,
+          numberPeriod: saveResult.period
+        },
+        invoiceId: saveResult.id
       };
     } catch (error) {
       console.error('Error creating invoice:', error);
@@ -170,11 +229,45 @@ class InvoiceService {
 
   /**
    * Build invoice line items from job
-   * Includes service charge and materials used
+   * Includes service charge and materials used, or the estimate's
+   * line items when the job was converted from an estimate
    */
   static async buildInvoiceItems(job, invoiceData) {
     const items = [];
 
+    if (job.estimateId) {
+      let estimateItems = Array.isArray(job.lineItems) ? job.lineItems : [];
+      const estimateResult = await EstimateService.getEstimate(job.estimateId);
+      if (estimateResult.success) {
+        if (estimateItems.length === 0) {
+          const materialsResult = await EstimateService.getEstimateMaterials(job.estimateId);
+          estimateItems = EstimateService.buildEstimateLineItems(
+            estimateResult.estimate,
+            materialsResult.materials || []
+          );
+        }
+        // Bill the price the customer approved, whatever the items add up to
+        estimateItems = EstimateService.reconcileLineItems(
+          estimateItems,
+          EstimateService.getApprovedTotal(estimateResult.estimate)
+        );
+      }
+
+      if (estimateItems.length > 0) {
+        estimateItems.forEach((item) => {
+          items.push({
+            description: item.description || '',
+            quantity: item.quantity || 1,
+            unitPrice: item.unitPrice || 0,
+            amount: item.amount ?? (item.quantity || 1) * (item.unitPrice || 0),
+            notes: item.notes || ''
+          });
+        });
+        this.appendAdditionalItems(items, invoiceData);
+        return items;
+      }
+    }
+
     // Main service item (appears first)
     items.push({
       description: job.serviceType || 'Service',
@@ -194,8 +287,8 @@ class InvoiceService {
       
       // Fetch all materials in parallel
       const materialPromises = [];
-      jobMaterialsSnapshot.forEach((doc) => {
-        const jobMaterial = doc.data();
+      jobMaterialsSnapshot.forEach((jobMaterialDoc) => {
+        const jobMaterial = jobMaterialDoc.data();
         
         if (jobMaterial.materialId) {
           materialPromises.push(
@@ -241,7 +334,14 @@ class InvoiceService {
       // Continue without materials if there's an error
     }
 
-    // Add additional items if provided
+    this.appendAdditionalItems(items, invoiceData);
+    return items;
+  }
+
+  /**
+   * Add additional items if provided
+   */
+  static appendAdditionalItems(items, invoiceData) {
     if (invoiceData.additionalItems && Array.isArray(invoiceData.additionalItems)) {
       invoiceData.additionalItems.forEach(item => {
         items.push({
@@ -253,8 +353,6 @@ class InvoiceService {
         });
       });
     }
-
-    return items;
   }
 
   /**
@@ -539,6 +637,47 @@ class InvoiceService {
 
       yPos += 15;
 
+      // Completion checklist filled in by the technician
+      if (invoice.completionForm?.fields?.length) {
+        doc.setFontSize(12);
+        doc.setFont('helvetica', 'bold');
+        doc.text(invoice.completionForm.templateName || 'Service Checklist', margin, yPos);
+        yPos += 3;
+
+        autoTable(doc, {
+          startY: yPos,
+          head: [['Item', 'Result']],
+          body: invoice.completionForm.fields.map((field) => [
+            field.label,
+            ChecklistTemplateService.formatAnswer(field)
+          ]),
+          theme: 'grid',
+          headStyles: {
+            fillColor: secondaryColor,
+            textColor: [255, 255, 255],
+            fontStyle: 'bold'
+          },
+          styles: {
+            fontSize: 9,
+            font: template.fonts?.body || 'helvetica'
+          },
+          columnStyles: {
+            1: { halign: 'right' }
+          }
+        });
+
+        yPos = doc.lastAutoTable.finalY + 10;
+      }
+
+      // Customer sign-off captured when the job was completed
+      if (invoice.customerSignature?.url) {
+        yPos = await SignatureService.drawOnPdf(doc, invoice.customerSignature, {
+          x: margin,
+          y: yPos,
+          title: 'Customer Sign-off'
+        });
+      }
+
       // Notes and Terms
       if (invoice.notes) {
         doc.setFontSize(10);
@@ -741,7 +880,7 @@ class InvoiceService {
       const invoice = invoiceResult.invoice;
 
       // Prevent editing paid or cancelled invoices
-      if (invoice.status === 'paid' || invoice.status === 'cancelled') {
+      if (invoice.status === 'paid' || invoice.status === 'overpaid' || invoice.status === 'cancelled') {
         return {
           success: false,
           error: `Cannot edit invoice with status "${invoice.status}"`
@@ -755,6 +894,11 @@ class InvoiceService {
         const tax = updates.tax !== undefined ? updates.tax : invoice.tax;
         newTotal = this.calculateTotal(subtotal, tax);
         updates.total = newTotal;
+
+        // Keep the balance in step with the new total
+        if ((invoice.payments || []).length > 0) {
+          Object.assign(updates, this.computePaymentSummary({ ...invoice, total: newTotal }));
+        }
       }
 
       // Prepare update object
@@ -797,6 +941,200 @@ class InvoiceService {
     }
   }
 
+  static roundCurrency(amount) {
+    return Math.round((Number(amount) || 0) * 100) / 100;
+  }
+
+  /**
+   * Balance and status derived from the invoice's payments ledger.
+   * Refunds are stored as entries with type 'refund'; voided entries are ignored.
+   * @param {Object} invoice
+   * @param {Array<Object>} payments - Defaults to invoice.payments
+   * @returns {{amountPaid: number, balanceDue: number, creditBalance: number, status: string, paidAt: string|null}}
+   */
+  static computePaymentSummary(invoice, payments = invoice.payments || []) {
+    const activePayments = payments.filter((payment) => !payment.voidedAt);
+    const amountPaid = this.roundCurrency(
+      activePayments.reduce(
+        (sum, payment) => sum + (payment.type === 'refund' ? -1 : 1) * (Number(payment.amount) || 0),
+        0
+      )
+    );
+    const total = this.roundCurrency(invoice.total);
+    const difference = this.roundCurrency(total - amountPaid);
+
+    // Workflow status (drafted/sent/viewed/overdue) applies while nothing has been paid
+    let status = invoice.status;
+    if (this.PAYMENT_STATUSES.includes(status)) {
+      status = invoice.overdueAt ? 'overdue' : 'sent';
+    }
+    if (invoice.status !== 'cancelled' && amountPaid > 0) {
+      if (difference > 0) {
+        status = 'partially_paid';
+      } else if (difference === 0) {
+        status = 'paid';
+      } else {
+        status = 'overpaid';
+      }
+    }
+
+    const lastPayment = activePayments
+      .filter((payment) => payment.type !== 'refund')
+      .map((payment) => payment.date)
+      .sort()
+      .pop() || null;
+
+    return {
+      amountPaid,
+      balanceDue: Math.max(difference, 0),
+      creditBalance: Math.max(-difference, 0),
+      status,
+      paidAt: status === 'paid' || status === 'overpaid' ? (invoice.paidAt || lastPayment || new Date().toISOString()) : null,
+      lastPaymentAt: lastPayment
+    };
+  }
+
+  /**
+   * Record a payment (or refund) in the invoice's payments ledger.
+   *
+   * The ledger entry and the derived balance/status are written in one
+   * transaction. Stripe payments are de-duplicated by payment intent ID, so
+   * recording the same intent twice is a no-op.
+   *
+   * @param {string} invoiceId
+   * @param {Object} paymentData - { amount, method, reference, date, notes, type, source, stripePaymentIntentId }
+   * @returns {Promise<{success: boolean, payment?: Object, summary?: Object, duplicate?: boolean, error?: string}>}
+   */
+  static async recordPayment(invoiceId, paymentData) {
+    try {
+      const user = auth.currentUser;
+      if (!user) {
+        throw new Error('No user is currently signed in');
+      }
+
+      const amount = this.roundCurrency(paymentData.amount);
+      if (!(amount > 0)) {
+        return { success: false, error: 'Payment amount must be greater than zero' };
+      }
+
+      const method = paymentData.method || 'other';
+      if (!this.PAYMENT_METHODS.some((option) => option.value === method)) {
+        return { success: false, error: `Unknown payment method "${method}"` };
+      }
+
+      const invoiceRef = doc(db, 'invoices', invoiceId);
+      const nowIso = new Date().toISOString();
+
+      return await runTransaction(db, async (transaction) => {
+        const invoiceDoc = await transaction.get(invoiceRef);
+        if (!invoiceDoc.exists()) {
+          return { success: false, error: 'Invoice not found' };
+        }
+
+        const invoice = invoiceDoc.data();
+        if (invoice.status === 'cancelled') {
+          return { success: false, error: 'Cannot record a payment on a cancelled invoice' };
+        }
+
+        const payments = invoice.payments || [];
+        if (paymentData.stripePaymentIntentId) {
+          const existing = payments.find(
+            (payment) => payment.stripePaymentIntentId === paymentData.stripePaymentIntentId
+          );
+          if (existing) {
+            return {
+              success: true,
+              duplicate: true,
+              payment: existing,
+              summary: this.computePaymentSummary(invoice, payments)
+            };
+          }
+        }
+
+        const payment = {
+          id: doc(collection(db, 'invoices')).id,
+          type: paymentData.type === 'refund' ? 'refund' : 'payment',
+          amount,
+          method,
+          reference: (paymentData.reference || '').toString().trim(),
+          date: paymentData.date ? new Date(paymentData.date).toISOString() : nowIso,
+          notes: paymentData.notes || '',
+          source: paymentData.source || 'manual',
+          stripePaymentIntentId: paymentData.stripePaymentIntentId || null,
+          recordedBy: user.uid,
+          recordedByName: user.displayName || user.email || '',
+          recordedAt: nowIso
+        };
+
+        const nextPayments = [...payments, payment];
+        const summary = this.computePaymentSummary(invoice, nextPayments);
+
+        transaction.update(invoiceRef, {
+          payments: nextPayments,
+          ...summary,
+          updatedAt: nowIso
+        });
+
+        return { success: true, payment, summary };
+      });
+    } catch (error) {
+      console.error('Error recording payment:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to record payment'
+      };
+    }
+  }
+
+  /**
+   * Void a ledger entry. Entries are never deleted so the history stays auditable.
+   */
+  static async voidPayment(invoiceId, paymentId, reason = '') {
+    try {
+      const userId = this.getCurrentUserId();
+      const invoiceRef = doc(db, 'invoices', invoiceId);
+      const nowIso = new Date().toISOString();
+
+      return await runTransaction(db, async (transaction) => {
+        const invoiceDoc = await transaction.get(invoiceRef);
+        if (!invoiceDoc.exists()) {
+          return { success: false, error: 'Invoice not found' };
+        }
+
+        const invoice = invoiceDoc.data();
+        const payments = invoice.payments || [];
+        const target = payments.find((payment) => payment.id === paymentId);
+        if (!target) {
+          return { success: false, error: 'Payment not found' };
+        }
+        if (target.voidedAt) {
+          return { success: false, error: 'Payment is already voided' };
+        }
+
+        const nextPayments = payments.map((payment) =>
+          payment.id === paymentId
+            ? { ...payment, voidedAt: nowIso, voidedBy: userId, voidReason: reason }
+            : payment
+        );
+        const summary = this.computePaymentSummary(invoice, nextPayments);
+
+        transaction.update(invoiceRef, {
+          payments: nextPayments,
+          ...summary,
+          updatedAt: nowIso
+        });
+
+        return { success: true, summary };
+      });
+    } catch (error) {
+      console.error('Error voiding payment:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to void payment'
+      };
+    }
+  }
+
   /**
    * Update invoice status
    */
@@ -834,8 +1172,10 @@ class InvoiceService {
 
   /**
    * Send invoice via email using Firebase Cloud Functions
+   * @param {string} invoiceId
+   * @param {Object} options - e.g. { reminder: { offset, daysPastDue } } for dunning reminders
    */
-  static async sendInvoiceEmail(invoiceId) {
+  static async sendInvoiceEmail(invoiceId, options = {}) {
     try {
       // Verify user is authenticated before calling the function
       const currentUser = auth.currentUser;
@@ -872,7 +1212,7 @@ class InvoiceService {
           'Content-Type': 'application/json',
           'Authorization': `Bearer ${idToken}`
         },
-        body: JSON.stringify({ invoiceId }),
+        body: JSON.stringify({ invoiceId, ...options }),
         mode: 'cors'
       });
       
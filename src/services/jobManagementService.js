@@ -11,10 +11,20 @@ import {
   deleteDoc,
   orderBy,
   limit,
-  startAfter
+  startAfter,
+  arrayUnion
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { auth } from './firebase';
+import ExportService from './exportService';
+import MaterialsService from './materialsService';
+import {
+  JOB_STATUS_TIMESTAMP_FIELDS,
+  canTransitionJobStatus,
+  getJobStatusLabel,
+  isKnownJobStatus,
+  mapLegacyJobStatus
+} from '../constants/jobStatuses';
 
 class JobManagementService {
   // Get current user ID
@@ -88,7 +98,8 @@ class JobManagementService {
       let filteredJobs = jobs;
       
       if (filters.status) {
-        filteredJobs = filteredJobs.filter(job => job.status === filters.status);
+        const statusFilter = mapLegacyJobStatus(filters.status);
+        filteredJobs = filteredJobs.filter(job => mapLegacyJobStatus(job.status) === statusFilter);
       }
       
       if (filters.dateRange) {
@@ -247,105 +258,26 @@ class JobManagementService {
     return adjusted;
   }
 
-  static async checkTechnicianAvailability(technicianId, date, time, durationMinutes = 60, excludeJobId = null) {
-    if (!technicianId || !date || !time) {
-      return { hasConflict: false, conflicts: [] };
-    }
-
-    try {
-      const newStart = this.parseTimeToDate(date, time);
-      if (!newStart) {
-        return { hasConflict: false, conflicts: [] };
-      }
-
-      const querySnapshot = await getDocs(
-        query(
-          collection(db, 'jobs'),
-          where('assignedTo', '==', technicianId),
-          where('date', '==', date)
-        )
-      );
-
-      const bufferMinutes = 15;
-      const newEnd = new Date(newStart.getTime() + (durationMinutes + bufferMinutes) * 60000);
-
-      const conflicts = [];
-
-      querySnapshot.forEach((docSnap) => {
-        if (excludeJobId && docSnap.id === excludeJobId) {
-          return;
-        }
-
-        const job = docSnap.data() || {};
-        const jobStart = this.parseTimeToDate(job.date || date, job.time || '09:00');
-        if (!jobStart) {
-          return;
-        }
-
-        const jobDuration =
-          this.parseDurationMinutes(job.duration, null) ||
-          this.parseDurationMinutes(job.estimatedDuration, null) ||
-          this.parseDurationMinutes(job.actualHours, null) ||
-          durationMinutes;
-
-        const jobEnd = new Date(jobStart.getTime() + (jobDuration + bufferMinutes) * 60000);
-
-        const overlap = newStart < jobEnd && newEnd > jobStart;
-        if (overlap) {
-          conflicts.push({
-            id: docSnap.id,
-            date: job.date,
-            time: job.time,
-            serviceType: job.serviceType,
-            customerName: job.customerName,
-          });
-        }
-      });
-
-      return {
-        hasConflict: conflicts.length > 0,
-        conflicts,
-      };
-    } catch (error) {
-      console.error('Error checking technician availability:', error);
-      return {
-        hasConflict: false,
-        conflicts: [],
-        error: error.message,
-      };
-    }
+  /**
+   * Check a technician against the company's scheduling rules (overlaps,
+   * buffers, drive time, time off, work hours, daily limit and skills).
+   * See SchedulingRulesService.checkAvailability for the options and result.
+   */
+  static async checkTechnicianAvailability(technicianId, date, time, durationMinutes = 60, excludeJobId = null, options = {}) {
+    // Dynamic import to avoid circular dependency
+    const SchedulingRulesService = (await import('./schedulingRulesService')).default;
+    return SchedulingRulesService.checkAvailability(technicianId, date, time, durationMinutes, excludeJobId, options);
   }
 
   // Create job
   static async createJob(jobData) {
     try {
-      const userId = this.getCurrentUserId();
-      const nowIso = new Date().toISOString();
-
       console.log('=== JobManagementService.createJob ===');
       console.log('Received jobData:', jobData);
       console.log('jobData.customerPhone:', jobData.customerPhone);
       console.log('jobData.address:', jobData.address);
 
-      const sanitized = {
-        userId,
-        companyId: jobData.companyId || null,
-        customerId: jobData.customerId || null,
-        customerName: (jobData.customerName || '').trim(),
-        customerPhone: (jobData.customerPhone || '').trim(),
-        address: (jobData.address || '').trim(),
-        serviceType: (jobData.serviceType || '').trim(),
-        status: jobData.status || 'scheduled',
-        date: jobData.date || nowIso.split('T')[0],
-        time: jobData.time || '09:00',
-        duration: jobData.duration || '',
-        estimatedCost: this.sanitizeNumber(jobData.estimatedCost),
-        notes: jobData.notes || '',
-        assignedTo: jobData.assignedTo || null,
-        assignedToName: jobData.assignedToName || '',
-        createdAt: nowIso,
-        updatedAt: nowIso,
-      };
+      const sanitized = this.buildJobRecord(jobData);
 
       console.log('=== Sanitized data being saved ===');
       console.log('sanitized:', sanitized);
@@ -367,8 +299,106 @@ class JobManagementService {
     }
   }
 
-  // Update job
-  static async updateJob(jobId, updates) {
+  /**
+   * Job document for new job data, for callers that write it themselves
+   * (e.g. inside a transaction)
+   */
+  static buildJobRecord(jobData) {
+    const userId = this.getCurrentUserId();
+    const nowIso = new Date().toISOString();
+    const status = mapLegacyJobStatus(jobData.status);
+
+    return {
+      userId,
+      companyId: jobData.companyId || null,
+      customerId: jobData.customerId || null,
+      customerName: (jobData.customerName || '').trim(),
+      customerPhone: (jobData.customerPhone || '').trim(),
+      address: (jobData.address || '').trim(),
+      serviceType: (jobData.serviceType || '').trim(),
+      status,
+      statusHistory: [this.buildStatusHistoryEntry(null, status, nowIso)],
+      date: jobData.date || nowIso.split('T')[0],
+      time: jobData.time || '09:00',
+      duration: jobData.duration || '',
+      estimatedCost: this.sanitizeNumber(jobData.estimatedCost),
+      notes: jobData.notes || '',
+      assignedTo: jobData.assignedTo || null,
+      assignedToName: jobData.assignedToName || '',
+      createdAt: nowIso,
+      updatedAt: nowIso,
+      // Jobs generated from a recurring series keep a link back to it
+      ...(jobData.recurringJobId
+        ? { recurringJobId: jobData.recurringJobId, occurrenceDate: jobData.occurrenceDate || null }
+        : {}),
+      // Jobs converted from an estimate keep a link back to it and its priced line items
+      ...(jobData.estimateId
+        ? {
+          estimateId: jobData.estimateId,
+          estimateNumber: jobData.estimateNumber || '',
+          lineItems: Array.isArray(jobData.lineItems) ? jobData.lineItems : []
+        }
+        : {}),
+    };
+  }
+
+  // Entry appended to job.statusHistory: who moved the job, when, and from where
+  static buildStatusHistoryEntry(from, to, at, { location = null, notes = '' } = {}) {
+    const user = auth.currentUser;
+    return {
+      from,
+      to,
+      at,
+      by: user?.uid || null,
+      byName: user?.displayName || user?.email || '',
+      location: location && Number.isFinite(location.latitude) && Number.isFinite(location.longitude)
+        ? {
+          latitude: location.latitude,
+          longitude: location.longitude,
+          accuracy: Number.isFinite(location.accuracy) ? location.accuracy : null
+        }
+        : null,
+      notes: notes || ''
+    };
+  }
+
+  // Validate a status change against the allowed transitions and build the fields it writes
+  static buildStatusChange(job, nextStatus, options = {}) {
+    if (!isKnownJobStatus(nextStatus)) {
+      return { success: false, error: `Unknown job status "${nextStatus}"` };
+    }
+
+    const from = mapLegacyJobStatus(job.status);
+    const to = mapLegacyJobStatus(nextStatus);
+
+    if (from === to) {
+      // Same status: only rewrite legacy values like 'in-progress'
+      return { success: true, updates: { status: to } };
+    }
+
+    if (!canTransitionJobStatus(from, to)) {
+      return {
+        success: false,
+        error: `Cannot change a job from ${getJobStatusLabel(from)} to ${getJobStatusLabel(to)}`
+      };
+    }
+
+    const nowIso = new Date().toISOString();
+    const historyEntry = this.buildStatusHistoryEntry(from, to, nowIso, options);
+    const updates = {
+      status: to,
+      statusHistory: arrayUnion(historyEntry)
+    };
+    if (JOB_STATUS_TIMESTAMP_FIELDS[to]) {
+      updates[JOB_STATUS_TIMESTAMP_FIELDS[to]] = nowIso;
+    }
+
+    return { success: true, updates, historyEntry };
+  }
+
+  // Update job. Status changes are checked against the allowed transitions and
+  // recorded in statusHistory; options carries the { location, notes } for that entry.
+  static async updateJob(jobId, updates, options = {}) {
     try {
       const userId = this.getCurrentUserId();
       
@@ -378,16 +408,42 @@ class JobManagementService {
         return jobResult;
       }
 
+      let statusFields = {};
+      let historyEntry = null;
+      if (updates.status !== undefined && updates.status !== jobResult.job.status) {
+        const statusChange = this.buildStatusChange(jobResult.job, updates.status, options);
+        if (!statusChange.success) {
+          return statusChange;
+        }
+        ({ historyEntry } = statusChange);
+        statusFields = statusChange.updates;
+      }
+
       const updatedData = {
         ...updates,
+        ...statusFields,
         updatedAt: new Date().toISOString()
       };
 
       await updateDoc(doc(db, 'jobs', jobId), updatedData);
 
+      // Take materials logged from the field out of stock on every status change
+      if (statusFields.status !== undefined) {
+        const inventoryResult = await MaterialsService.syncJobMaterialConsumption(jobId);
+        if (!inventoryResult.success) {
+          console.error('Error updating inventory for job material usage:', inventoryResult.error);
+        }
+      }
+
       return {
         success: true,
-        job: { ...jobResult.job, ...updatedData }
+        job: {
+          ...jobResult.job,
+          ...updatedData,
+          statusHistory: historyEntry
+            ? [...(jobResult.job.statusHistory || []), historyEntry]
+            : jobResult.job.statusHistory
+        }
       };
     } catch (error) {
       console.error('Error updating job:', error);
@@ -623,17 +679,21 @@ class JobManagementService {
         totalJobs++;
         
         // Count by status
-        switch (data.status) {
+        switch (mapLegacyJobStatus(data.status)) {
           case 'scheduled':
             scheduledJobs++;
             break;
-          case 'in-progress':
+          case 'en_route':
+          case 'on_site':
+          case 'in_progress':
+          case 'on_hold':
             inProgressJobs++;
             break;
           case 'completed':
             completedJobs++;
             break;
           case 'cancelled':
+          case 'no_show':
             cancelledJobs++;
             break;
         }
@@ -678,9 +738,10 @@ class JobManagementService {
   }
 
   // Assign job to team member
-  static async assignJob(jobId, teamMemberId, teamMemberName) {
+  static async assignJob(jobId, teamMemberId, teamMemberName, additionalData = {}) {
     try {
       const updates = {
+        ...additionalData,
         assignedTo: teamMemberId,
         assignedToName: teamMemberName,
         assignedAt: new Date().toISOString()
@@ -696,29 +757,29 @@ class JobManagementService {
     }
   }
 
-  // Update job status
-  static async updateJobStatus(jobId, status, additionalData = {}) {
+  // Update job status. Rejects transitions the status machine doesn't allow;
+  // options.location / options.notes are stored on the status history entry.
+  static async updateJobStatus(jobId, status, additionalData = {}, options = {}) {
     try {
+      const nextStatus = mapLegacyJobStatus(status);
       const updates = {
-        status,
-        ...additionalData
+        ...additionalData,
+        status: isKnownJobStatus(status) ? nextStatus : status
       };
 
       // Add completion data if marking as completed
-      if (status === 'completed') {
-        updates.completedAt = new Date().toISOString();
+      if (nextStatus === 'completed') {
         updates.actualWorkDone = additionalData.actualWorkDone || '';
         updates.actualHours = additionalData.actualHours || '';
         updates.completionNotes = additionalData.completionNotes || '';
       }
 
       // Add cancellation data if marking as cancelled
-      if (status === 'cancelled') {
-        updates.cancelledAt = new Date().toISOString();
+      if (nextStatus === 'cancelled') {
         updates.cancellationReason = additionalData.cancellationReason || '';
       }
 
-      return await this.updateJob(jobId, updates);
+      return await this.updateJob(jobId, updates, options);
     } catch (error) {
       console.error('Error updating job status:', error);
       return {
@@ -760,44 +821,16 @@ class JobManagementService {
     }
   }
 
-  // Export jobs to CSV
-  static async exportJobs(filters = {}) {
-    try {
-      const result = await this.getJobs(1000, null, filters);
-      if (!result.success) {
-        return result;
+  // Export jobs to CSV (see ExportService for column selection and XLSX)
+  static async exportJobs(filters = {}, options = {}) {
+    return ExportService.exportRecords('jobs', {
+      ...options,
+      filters: {
+        statuses: filters.status ? [filters.status] : [],
+        startDate: filters.dateRange?.startDate,
+        endDate: filters.dateRange?.endDate
       }
-
-      // Convert to CSV format
-      const headers = ['Date', 'Time', 'Customer', 'Service Type', 'Address', 'Status', 'Assigned To', 'Total Cost', 'Notes'];
-      const csvRows = [headers.join(',')];
-      
-      result.jobs.forEach(job => {
-        const row = [
-          job.date || '',
-          job.time || '',
-          job.customerName || '',
-          job.serviceType || '',
-          job.address || '',
-          job.status || '',
-          job.assignedToName || '',
-          job.totalCost || '',
-          (job.notes || '').replace(/\n/g, ' ')
-        ];
-        csvRows.push(row.map(field => `"${field}"`).join(','));
-      });
-
-      return {
-        success: true,
-        csvData: csvRows.join('\n')
-      };
-    } catch (error) {
-      console.error('Error exporting jobs:', error);
-      return {
-        success: false,
-        error: error.message
-      };
-    }
+    });
   }
 }
 
@@ -5,6 +5,16 @@ import { collection, query, where, orderBy, getDocs, limit, getDoc, doc } from '
 import { db } from './firebase';
 
 class LocationService {
+  // Longer gaps between points mean tracking was off, so they don't count as driving
+  static MAX_TRACKING_GAP_MINUTES = 15;
+
+  static KM_TO_MILES = 0.621371;
+
+  // Location timestamps are Firestore Timestamps; older points may be ISO strings
+  static toDate(timestamp) {
+    return typeof timestamp?.toDate === 'function' ? timestamp.toDate() : new Date(timestamp);
+  }
+
   // Get locations for a specific user within a date range
   static async getUserLocations(userId, companyId, startDate, endDate) {
     try {
@@ -157,7 +167,9 @@ class LocationService {
           stats: {
             totalPoints: 0,
             totalDistance: 0,
+            totalMiles: 0,
             totalTime: 0,
+            driveTime: 0,
             averageSpeed: 0,
             jobSitesVisited: 0,
           },
@@ -166,6 +178,7 @@ class LocationService {
 
       const locations = result.locations;
       let totalDistance = 0;
+      let driveMinutes = 0;
       let jobSitesVisited = new Set();
       
       // Calculate distance between consecutive points
@@ -185,11 +198,17 @@ class LocationService {
         if (curr.isJobSite && curr.jobId) {
           jobSitesVisited.add(curr.jobId);
         }
+
+        // Time between points away from a job site is time on the road
+        const gapMinutes = (this.toDate(curr.timestamp) - this.toDate(prev.timestamp)) / (1000 * 60);
+        if (!curr.isJobSite && gapMinutes > 0 && gapMinutes <= this.MAX_TRACKING_GAP_MINUTES) {
+          driveMinutes += gapMinutes;
+        }
       }
 
       // Calculate time span
-      const startTime = new Date(locations[0].timestamp);
-      const endTime = new Date(locations[locations.length - 1].timestamp);
+      const startTime = this.toDate(locations[0].timestamp);
+      const endTime = this.toDate(locations[locations.length - 1].timestamp);
       const totalTime = (endTime - startTime) / (1000 * 60); // minutes
       
       // Calculate average speed (if speed data available)
@@ -205,7 +224,9 @@ class LocationService {
         stats: {
           totalPoints: locations.length,
           totalDistance: Math.round(totalDistance / 1000 * 100) / 100, // km, 2 decimals
+          totalMiles: Math.round(totalDistance / 1000 * this.KM_TO_MILES * 100) / 100,
           totalTime: Math.round(totalTime), // minutes
+          driveTime: Math.round(driveMinutes), // minutes
           averageSpeed: Math.round(averageSpeed * 100) / 100, // km/h, 2 decimals
           jobSitesVisited: jobSitesVisited.size,
           startTime: startTime.toISOString(),
@@ -237,6 +258,25 @@ class LocationService {
 
     return R * c; // Distance in meters
   }
+
+  // Best-effort position of this browser; resolves null if denied, unavailable or slow
+  static getDevicePosition(timeoutMs = 5000) {
+    if (typeof navigator === 'undefined' || !navigator.geolocation) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise((resolve) => {
+      navigator.geolocation.getCurrentPosition(
+        (position) => resolve({
+          latitude: position.coords.latitude,
+          longitude: position.coords.longitude,
+          accuracy: position.coords.accuracy,
+        }),
+        () => resolve(null),
+        { enableHighAccuracy: true, timeout: timeoutMs, maximumAge: 60000 }
+      );
+    });
+  }
 }
 
 export default LocationService;
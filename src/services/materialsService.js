@@ -7,14 +7,44 @@ import {
   getDocs, 
   query, 
   where,
-  addDoc,
   deleteDoc,
   orderBy,
-  Timestamp
+  Timestamp,
+  runTransaction,
+  writeBatch
 } from 'firebase/firestore';
 import { db, auth } from './firebase';
+import CompanyService from './companyService';
+import NotificationService from './notificationService';
+import InventoryLocationService from './inventoryLocationService';
 
+const DEFAULT_LOCATION_ID = InventoryLocationService.DEFAULT_LOCATION_ID;
+
+// Stock quantities can be fractional (feet of pipe, gallons); trim float noise
+const roundQuantity = (value) => Math.round((parseFloat(value) || 0) * 10000) / 10000;
+
+/**
+ * Materials Service
+ *
+ * Besides the material catalog, this service keeps an inventory ledger in the
+ * `inventoryMovements` collection. Every receipt, job consumption, adjustment
+ * and return is logged there with a signed quantity, and a material's
+ * `quantityInStock` is the running total of its movements (cached on the
+ * material so lists don't have to sum the ledger).
+ *
+ * Each movement also names the location it happened at (warehouse, truck or
+ * job site). Per-location totals are cached under `stockByLocation`;
+ * transfers are a pair of movements that cancel out in the overall total.
+ */
 class MaterialsService {
+  static MOVEMENT_TYPES = {
+    receipt: 'Receipt',
+    consumption: 'Job Usage',
+    adjustment: 'Adjustment',
+    return: 'Return',
+    transfer: 'Transfer'
+  };
+
   // Get current user ID
   static getCurrentUserId() {
     const user = auth.currentUser;
@@ -262,12 +292,28 @@ class MaterialsService {
         internalNotes: materialData.internalNotes?.trim() || '',
         defaultMarkupPercent: materialData.defaultMarkupPercent || 0,
         companyId: effectiveCompanyId,
+        ledgerStartedAt: now,
         createdAt: now,
         updatedAt: now,
         createdBy: userId
       };
+      material.quantityInStock = roundQuantity(material.quantityInStock);
+      material.stockByLocation = material.quantityInStock !== 0
+        ? { [DEFAULT_LOCATION_ID]: material.quantityInStock }
+        : {};
 
-      const docRef = await addDoc(collection(db, 'materials'), material);
+      const docRef = doc(collection(db, 'materials'));
+      const batch = writeBatch(db);
+      batch.set(docRef, material);
+      if (material.quantityInStock !== 0) {
+        batch.set(doc(collection(db, 'inventoryMovements')), this.buildMovement(
+          { id: docRef.id, ...material },
+          { type: 'adjustment', quantity: material.quantityInStock, notes: 'Opening balance' },
+          0,
+          now
+        ));
+      }
+      await batch.commit();
 
       return {
         success: true,
@@ -287,6 +333,8 @@ class MaterialsService {
 
   /**
    * Update a material
+   * Stock on hand is not editable here; use recordMovement or setStockLevel so
+   * the change is logged in the inventory ledger.
    * @param {string} materialId - Material document ID
    * @param {Object} updates - Fields to update
    * @returns {Promise<Object>} { success: boolean, error?: string }
@@ -344,6 +392,9 @@ class MaterialsService {
         updatedAt: Timestamp.now(),
         updatedBy: userId
       };
+      delete updateData.quantityInStock;
+      delete updateData.stockByLocation;
+      delete updateData.ledgerStartedAt;
 
       // Clean up fields
       if (updateData.name) updateData.name = updateData.name.trim();
@@ -359,7 +410,6 @@ class MaterialsService {
       if (updateData.retailPrice !== undefined) updateData.retailPrice = parseFloat(updateData.retailPrice) || 0;
       if (updateData.costPerUnit !== undefined) updateData.costPerUnit = parseFloat(updateData.costPerUnit) || 0;
       if (updateData.reorderThreshold !== undefined) updateData.reorderThreshold = parseFloat(updateData.reorderThreshold) || 0;
-      if (updateData.quantityInStock !== undefined) updateData.quantityInStock = parseFloat(updateData.quantityInStock) || 0;
       if (updateData.defaultMarkupPercent !== undefined) updateData.defaultMarkupPercent = parseFloat(updateData.defaultMarkupPercent) || 0;
       if (updateData.active !== undefined) {
         if (typeof updateData.active === 'string') {
@@ -511,7 +561,693 @@ class MaterialsService {
       };
     }
   }
+
+  /**
+   * Signed stock change for a movement: receipts and returns add stock, job
+   * consumption removes it, adjustments and transfer legs carry their own sign.
+   * @returns {number|null} null when the quantity is missing or zero
+   */
+  static getMovementDelta(type, quantity) {
+    const amount = roundQuantity(quantity);
+    if (!amount) {
+      return null;
+    }
+    if (type === 'adjustment' || type === 'transfer') {
+      return amount;
+    }
+    return type === 'consumption' ? -Math.abs(amount) : Math.abs(amount);
+  }
+
+  /**
+   * Sum a material's movements into its on-hand quantity
+   * @param {Array} movements
+   * @returns {number}
+   */
+  static deriveQuantityOnHand(movements = []) {
+    return roundQuantity(movements.reduce((sum, movement) => sum + (parseFloat(movement.quantity) || 0), 0));
+  }
+
+  /**
+   * Sum a material's movements into on-hand quantities per location
+   * @param {Array} movements
+   * @returns {Object} { [locationId]: quantity }
+   */
+  static deriveStockByLocation(movements = []) {
+    const totals = {};
+    movements.forEach((movement) => {
+      const locationId = movement.locationId || DEFAULT_LOCATION_ID;
+      totals[locationId] = roundQuantity((totals[locationId] || 0) + (parseFloat(movement.quantity) || 0));
+    });
+    return this.pruneStockByLocation(totals);
+  }
+
+  static pruneStockByLocation(stockByLocation) {
+    return Object.fromEntries(Object.entries(stockByLocation).filter(([, quantity]) => quantity !== 0));
+  }
+
+  /**
+   * Quantities per location for a material. Materials from before locations
+   * existed keep all their stock in the main warehouse.
+   * @param {Object} material
+   * @returns {Object} { [locationId]: quantity }
+   */
+  static getStockByLocation(material) {
+    if (material?.stockByLocation) {
+      return { ...material.stockByLocation };
+    }
+    const onHand = roundQuantity(material?.quantityInStock);
+    return onHand !== 0 ? { [DEFAULT_LOCATION_ID]: onHand } : {};
+  }
+
+  static buildMovement(material, movement, quantityBefore, now = Timestamp.now(), locationQuantityBefore = 0) {
+    const user = auth.currentUser;
+    const delta = this.getMovementDelta(movement.type, movement.quantity);
+    return {
+      materialId: material.id,
+      materialName: material.name || '',
+      companyId: material.companyId,
+      type: movement.type,
+      quantity: delta,
+      quantityBefore: roundQuantity(quantityBefore),
+      // Transfers move stock between locations without changing the total
+      quantityAfter: roundQuantity(quantityBefore + (movement.type === 'transfer' ? 0 : delta)),
+      locationId: movement.locationId || DEFAULT_LOCATION_ID,
+      locationQuantityAfter: roundQuantity(locationQuantityBefore + delta),
+      transferId: movement.transferId || null,
+      unit: material.unit || '',
+      unitCost: movement.unitCost !== undefined && movement.unitCost !== ''
+        ? parseFloat(movement.unitCost) || 0
+        : material.costPerUnit || 0,
+      jobId: movement.jobId || null,
+      jobMaterialId: movement.jobMaterialId || null,
+      reference: movement.reference?.trim() || '',
+      notes: movement.notes?.trim() || '',
+      createdAt: now,
+      createdBy: user?.uid || null,
+      createdByName: user?.displayName || user?.email || ''
+    };
+  }
+
+  /**
+   * Queue a movement inside a transaction. All transaction reads must already
+   * be done. Materials that predate the ledger get an opening-balance entry for
+   * their existing stock first so the ledger total matches what was on hand.
+   * @returns {Object} the movement entry (with id)
+   */
+  static writeMovement(transaction, materialSnapshot, movement) {
+    return this.writeMovements(transaction, materialSnapshot, [movement])[0];
+  }
+
+  /**
+   * Queue several movements for one material (e.g. both legs of a transfer)
+   * @returns {Array<Object>} the movement entries (with ids)
+   */
+  static writeMovements(transaction, materialSnapshot, movements) {
+    const material = { id: materialSnapshot.id, ...materialSnapshot.data() };
+    const now = Timestamp.now();
+    const stockByLocation = this.getStockByLocation(material);
+    let onHand = roundQuantity(material.quantityInStock);
+
+    if (!material.ledgerStartedAt && onHand !== 0) {
+      transaction.set(
+        doc(collection(db, 'inventoryMovements')),
+        this.buildMovement(material, { type: 'adjustment', quantity: onHand, notes: 'Opening balance' }, 0, now)
+      );
+    }
+
+    const entries = movements.map((movement) => {
+      const locationId = movement.locationId || DEFAULT_LOCATION_ID;
+      const movementRef = doc(collection(db, 'inventoryMovements'));
+      const entry = this.buildMovement(material, movement, onHand, now, stockByLocation[locationId] || 0);
+      transaction.set(movementRef, entry);
+      stockByLocation[locationId] = entry.locationQuantityAfter;
+      onHand = entry.quantityAfter;
+      return { id: movementRef.id, ...entry };
+    });
+
+    // lastMovementId lets the security rules check the stock change against its movement
+    transaction.update(materialSnapshot.ref, {
+      quantityInStock: onHand,
+      stockByLocation: this.pruneStockByLocation(stockByLocation),
+      ledgerStartedAt: material.ledgerStartedAt || now,
+      lastMovementAt: now,
+      lastMovementId: entries[entries.length - 1].id,
+      updatedAt: now
+    });
+
+    return entries;
+  }
+
+  static validateMovement(movement) {
+    if (!this.MOVEMENT_TYPES[movement.type]) {
+      return `Unknown movement type: ${movement.type}`;
+    }
+    if (movement.type === 'transfer') {
+      return 'Use transferStock to move stock between locations';
+    }
+    if (this.getMovementDelta(movement.type, movement.quantity) === null) {
+      return 'Quantity must be a non-zero number';
+    }
+    return null;
+  }
+
+  /**
+   * Whether a material is at or below its reorder threshold
+   * @param {Object} material
+   * @returns {boolean}
+   */
+  static isLowStock(material) {
+    const threshold = parseFloat(material?.reorderThreshold) || 0;
+    return material?.active !== false && threshold > 0 && roundQuantity(material.quantityInStock) <= threshold;
+  }
+
+  /**
+   * User IDs of the company owner and admins, who receive stock alerts
+   * @param {string} companyId
+   * @returns {Promise<Array<string>>}
+   */
+  static async getStockAlertRecipients(companyId) {
+    const recipients = new Set();
+
+    const companyResult = await CompanyService.getCompany(companyId);
+    if (companyResult.success && companyResult.company.ownerId) {
+      recipients.add(companyResult.company.ownerId);
+    }
+
+    const snapshot = await getDocs(query(
+      collection(db, 'teamMembers'),
+      where('companyId', '==', companyId),
+      where('role', '==', 'admin')
+    ));
+    snapshot.forEach((memberDoc) => {
+      const { userId } = memberDoc.data();
+      if (userId) {
+        recipients.add(userId);
+      }
+    });
+
+    return Array.from(recipients);
+  }
+
+  /**
+   * Notify admins when a movement takes a material from above its reorder
+   * threshold to at or below it. Runs after the movement is saved and never
+   * fails it; callers don't need to await this.
+   * @param {Object} movement - Entry returned by writeMovement
+   * @returns {Promise<boolean>} whether a notification was sent
+   */
+  static async notifyIfCrossedThreshold(movement) {
+    try {
+      if (!movement || movement.quantity >= 0) {
+        return false;
+      }
+
+      const materialResult = await this.getMaterial(movement.materialId);
+      if (!materialResult.success) {
+        return false;
+      }
+
+      const material = materialResult.material;
+      const threshold = parseFloat(material.reorderThreshold) || 0;
+      if (!this.isLowStock(material) || movement.quantityBefore <= threshold) {
+        return false;
+      }
+
+      const recipients = await this.getStockAlertRecipients(material.companyId);
+      if (recipients.length === 0) {
+        return false;
+      }
+
+      const result = await NotificationService.sendNotification(
+        recipients,
+        `Low stock: ${material.name}`,
+        `${movement.quantityAfter}${material.unit ? ` ${material.unit}` : ''} left (reorder at ${threshold})`,
+        { screen: 'materials', materialId: material.id }
+      );
+      return result.success;
+    } catch (error) {
+      console.error('Error sending low stock alert:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Log a stock movement and update the material's on-hand quantity
+   * @param {string} materialId - Material document ID
+   * @param {Object} movement - { type: 'receipt'|'consumption'|'adjustment'|'return', quantity, unitCost?, jobId?, reference?, notes? }
+   * @returns {Promise<Object>} { success: boolean, movement?: Object, quantityInStock?: number, error?: string }
+   */
+  static async recordMovement(materialId, movement) {
+    try {
+      this.getCurrentUserId();
+
+      if (!materialId) {
+        return {
+          success: false,
+          error: 'Material ID is required'
+        };
+      }
+
+      const validationError = this.validateMovement(movement);
+      if (validationError) {
+        return {
+          success: false,
+          error: validationError
+        };
+      }
+
+      const entry = await runTransaction(db, async (transaction) => {
+        const materialSnapshot = await transaction.get(doc(db, 'materials', materialId));
+        if (!materialSnapshot.exists()) {
+          throw new Error('Material not found');
+        }
+        return this.writeMovement(transaction, materialSnapshot, movement);
+      });
+
+      this.notifyIfCrossedThreshold(entry);
+
+      return {
+        success: true,
+        movement: entry,
+        quantityInStock: entry.quantityAfter
+      };
+    } catch (error) {
+      console.error('Error recording inventory movement:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Record a physical count at one location: logs an adjustment for the
+   * difference between the counted quantity and what the ledger says is there.
+   * @param {string} materialId - Material document ID
+   * @param {number} countedQuantity - Quantity actually on hand at the location
+   * @param {string} notes - Optional note for the adjustment
+   * @param {string} locationId - Location counted (defaults to the main warehouse)
+   * @returns {Promise<Object>} { success: boolean, movement?: Object|null, quantityInStock?: number, error?: string }
+   */
+  static async setStockLevel(materialId, countedQuantity, notes = 'Stock count', locationId = DEFAULT_LOCATION_ID) {
+    try {
+      this.getCurrentUserId();
+
+      const counted = parseFloat(countedQuantity);
+      if (!materialId || !Number.isFinite(counted)) {
+        return {
+          success: false,
+          error: 'Material ID and a counted quantity are required'
+        };
+      }
+
+      const { entry, quantityInStock } = await runTransaction(db, async (transaction) => {
+        const materialSnapshot = await transaction.get(doc(db, 'materials', materialId));
+        if (!materialSnapshot.exists()) {
+          throw new Error('Material not found');
+        }
+        const material = materialSnapshot.data();
+        const atLocation = this.getStockByLocation(material)[locationId] || 0;
+        const delta = roundQuantity(counted - atLocation);
+        if (delta === 0) {
+          return { entry: null, quantityInStock: roundQuantity(material.quantityInStock) };
+        }
+        const movement = this.writeMovement(transaction, materialSnapshot, { type: 'adjustment', quantity: delta, notes, locationId });
+        return { entry: movement, quantityInStock: movement.quantityAfter };
+      });
+
+      this.notifyIfCrossedThreshold(entry);
+
+      return {
+        success: true,
+        movement: entry,
+        quantityInStock
+      };
+    } catch (error) {
+      console.error('Error setting stock level:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Move stock between locations (e.g. warehouse → truck). Logs an outgoing
+   * and an incoming transfer movement sharing a transferId.
+   * @param {string} materialId - Material document ID
+   * @param {Object} transfer - { fromLocationId, toLocationId, quantity, notes? }
+   * @returns {Promise<Object>} { success: boolean, movements?: Array, error?: string }
+   */
+  static async transferStock(materialId, { fromLocationId, toLocationId, quantity, notes = '' }) {
+    try {
+      this.getCurrentUserId();
+
+      const amount = Math.abs(roundQuantity(quantity));
+      if (!materialId || !amount) {
+        return {
+          success: false,
+          error: 'Material and a quantity greater than zero are required'
+        };
+      }
+      if (!fromLocationId || !toLocationId || fromLocationId === toLocationId) {
+        return {
+          success: false,
+          error: 'Choose two different locations'
+        };
+      }
+
+      const transferId = doc(collection(db, 'inventoryMovements')).id;
+      const movements = await runTransaction(db, async (transaction) => {
+        const materialSnapshot = await transaction.get(doc(db, 'materials', materialId));
+        if (!materialSnapshot.exists()) {
+          throw new Error('Material not found');
+        }
+
+        const available = this.getStockByLocation(materialSnapshot.data())[fromLocationId] || 0;
+        if (available < amount) {
+          throw new Error(`Only ${available} available at the source location`);
+        }
+
+        return this.writeMovements(transaction, materialSnapshot, [
+          { type: 'transfer', quantity: -amount, locationId: fromLocationId, transferId, notes },
+          { type: 'transfer', quantity: amount, locationId: toLocationId, transferId, notes }
+        ]);
+      });
+
+      return {
+        success: true,
+        movements
+      };
+    } catch (error) {
+      console.error('Error transferring stock:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Where job usage is drawn from: the technician's truck when they have one,
+   * otherwise the main warehouse
+   * @param {string} companyId
+   * @param {string} technicianId
+   * @returns {Promise<string>} location ID
+   */
+  static async resolveUsageLocationId(companyId, technicianId) {
+    if (!companyId || !technicianId) {
+      return DEFAULT_LOCATION_ID;
+    }
+
+    const userId = await this.getTechnicianUserId(companyId, technicianId);
+    const truck = await InventoryLocationService.getTruckForTechnician(companyId, userId);
+    return truck ? truck.id : DEFAULT_LOCATION_ID;
+  }
+
+  /**
+   * Trucks are keyed by the technician's user ID, but jobs may be assigned by
+   * teamMembers doc ID; map the latter to the member's user ID
+   * @returns {Promise<string>} user ID, or the given ID when it is not a team member doc
+   */
+  static async getTechnicianUserId(companyId, technicianId) {
+    try {
+      const memberDoc = await getDoc(doc(db, 'teamMembers', technicianId));
+      const member = memberDoc.exists() ? memberDoc.data() : null;
+      if (member?.userId && member.companyId === companyId) {
+        return member.userId;
+      }
+    } catch {
+      // Not a readable team member doc; treat the ID as a user ID
+    }
+    return technicianId;
+  }
+
+  /**
+   * Log material used on a job: writes the jobMaterials record that invoicing
+   * reads and the matching consumption movement in one transaction. Stock is
+   * drawn from the assigned technician's truck unless a location is given.
+   * @param {string} jobId - Job document ID
+   * @param {Object} usage - { materialId, quantityUsed, unitPriceAtUse?, notes?, technicianId?, locationId? }
+   * @returns {Promise<Object>} { success: boolean, jobMaterial?: Object, movement?: Object, error?: string }
+   */
+  static async recordJobMaterialUsage(jobId, usage) {
+    try {
+      const userId = this.getCurrentUserId();
+
+      if (!jobId || !usage?.materialId) {
+        return {
+          success: false,
+          error: 'Job ID and material are required'
+        };
+      }
+
+      const quantityUsed = roundQuantity(usage.quantityUsed);
+      if (quantityUsed <= 0) {
+        return {
+          success: false,
+          error: 'Quantity used must be greater than zero'
+        };
+      }
+
+      const jobDoc = await getDoc(doc(db, 'jobs', jobId));
+      const job = jobDoc.exists() ? jobDoc.data() : {};
+      const technicianId = usage.technicianId || job.assignedTo || userId;
+      const locationId = usage.locationId || await this.resolveUsageLocationId(job.companyId, technicianId);
+
+      const jobMaterialRef = doc(collection(db, 'jobMaterials'));
+
+      const result = await runTransaction(db, async (transaction) => {
+        const materialSnapshot = await transaction.get(doc(db, 'materials', usage.materialId));
+        if (!materialSnapshot.exists()) {
+          throw new Error('Material not found');
+        }
+        const material = materialSnapshot.data();
+        const unitPriceAtUse = usage.unitPriceAtUse !== undefined
+          ? parseFloat(usage.unitPriceAtUse) || 0
+          : material.retailPrice || 0;
+
+        const movement = this.writeMovement(transaction, materialSnapshot, {
+          type: 'consumption',
+          quantity: quantityUsed,
+          jobId,
+          jobMaterialId: jobMaterialRef.id,
+          notes: usage.notes,
+          locationId
+        });
+
+        const jobMaterial = {
+          jobId,
+          materialId: usage.materialId,
+          companyId: material.companyId,
+          technicianId,
+          locationId,
+          quantityUsed,
+          unitPriceAtUse,
+          totalPrice: Math.round(quantityUsed * unitPriceAtUse * 100) / 100,
+          notes: usage.notes?.trim() || '',
+          inventoryMovementId: movement.id,
+          inventoryRecordedAt: movement.createdAt,
+          createdAt: Timestamp.now()
+        };
+        transaction.set(jobMaterialRef, jobMaterial);
+
+        return { jobMaterial: { id: jobMaterialRef.id, ...jobMaterial }, movement };
+      });
+
+      this.notifyIfCrossedThreshold(result.movement);
+
+      return {
+        success: true,
+        ...result
+      };
+    } catch (error) {
+      console.error('Error recording job material usage:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Decrement stock for jobMaterials records written without a movement
+   * (e.g. by the mobile app). Safe to call repeatedly: records that already
+   * carry an inventoryMovementId are skipped. There is no server trigger for
+   * those records, so this runs whenever the web app changes a job's status
+   * or builds an invoice from the job's usage.
+   * @param {string} jobId - Job document ID
+   * @returns {Promise<Object>} { success: boolean, recorded: number, error?: string }
+   */
+  static async syncJobMaterialConsumption(jobId) {
+    try {
+      this.getCurrentUserId();
+
+      const snapshot = await getDocs(query(
+        collection(db, 'jobMaterials'),
+        where('jobId', '==', jobId)
+      ));
+
+      const pendingDocs = snapshot.docs.filter((jobMaterialDoc) => {
+        const data = jobMaterialDoc.data();
+        return !data.inventoryMovementId && data.materialId;
+      });
+      if (pendingDocs.length === 0) {
+        return {
+          success: true,
+          recorded: 0
+        };
+      }
+
+      const jobDoc = await getDoc(doc(db, 'jobs', jobId));
+      const job = jobDoc.exists() ? jobDoc.data() : {};
+      const locationsByTechnician = new Map();
+
+      let recorded = 0;
+      for (const jobMaterialDoc of pendingDocs) {
+        const pending = jobMaterialDoc.data();
+        const technicianId = pending.technicianId || job.assignedTo;
+        if (!locationsByTechnician.has(technicianId)) {
+          locationsByTechnician.set(technicianId, await this.resolveUsageLocationId(job.companyId, technicianId));
+        }
+        const locationId = pending.locationId || locationsByTechnician.get(technicianId);
+
+        const movement = await runTransaction(db, async (transaction) => {
+          const current = await transaction.get(jobMaterialDoc.ref);
+          const materialSnapshot = await transaction.get(doc(db, 'materials', pending.materialId));
+          if (!current.exists() || current.data().inventoryMovementId || !materialSnapshot.exists()) {
+            return null;
+          }
+          const jobMaterial = current.data();
+          if (this.getMovementDelta('consumption', jobMaterial.quantityUsed || 1) === null) {
+            return null;
+          }
+
+          const entry = this.writeMovement(transaction, materialSnapshot, {
+            type: 'consumption',
+            quantity: jobMaterial.quantityUsed || 1,
+            jobId,
+            jobMaterialId: jobMaterialDoc.id,
+            locationId,
+            notes: jobMaterial.notes
+          });
+          transaction.update(jobMaterialDoc.ref, {
+            inventoryMovementId: entry.id,
+            inventoryRecordedAt: entry.createdAt
+          });
+          return entry;
+        });
+
+        if (movement) {
+          recorded++;
+          this.notifyIfCrossedThreshold(movement);
+        }
+      }
+
+      return {
+        success: true,
+        recorded
+      };
+    } catch (error) {
+      console.error('Error syncing job material consumption:', error);
+      return {
+        success: false,
+        error: error.message,
+        recorded: 0
+      };
+    }
+  }
+
+  /**
+   * Full movement history for a material, newest first
+   * @param {string} materialId - Material document ID
+   * @param {string} companyId - Company that owns the material (looked up if omitted)
+   * @returns {Promise<Object>} { success: boolean, movements: Array, quantityOnHand?: number, error?: string }
+   */
+  static async getMovementHistory(materialId, companyId = null) {
+    try {
+      let effectiveCompanyId = companyId;
+      if (!effectiveCompanyId) {
+        const materialResult = await this.getMaterial(materialId);
+        if (!materialResult.success) {
+          return { ...materialResult, movements: [] };
+        }
+        effectiveCompanyId = materialResult.material.companyId;
+      }
+
+      const snapshot = await getDocs(query(
+        collection(db, 'inventoryMovements'),
+        where('companyId', '==', effectiveCompanyId),
+        where('materialId', '==', materialId)
+      ));
+
+      const movements = snapshot.docs.map((movementDoc) => ({
+        id: movementDoc.id,
+        ...movementDoc.data()
+      }));
+      movements.sort((a, b) => (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0));
+
+      return {
+        success: true,
+        movements,
+        quantityOnHand: this.deriveQuantityOnHand(movements)
+      };
+    } catch (error) {
+      console.error('Error getting inventory movements:', error);
+      return {
+        success: false,
+        error: error.message,
+        movements: []
+      };
+    }
+  }
+
+  /**
+   * Recompute a material's cached quantityInStock and stockByLocation from its ledger
+   * @param {string} materialId - Material document ID
+   * @returns {Promise<Object>} { success: boolean, quantityInStock?: number, previousQuantity?: number, error?: string }
+   */
+  static async recalculateStock(materialId) {
+    try {
+      const materialResult = await this.getMaterial(materialId);
+      if (!materialResult.success) {
+        return materialResult;
+      }
+
+      const material = materialResult.material;
+      if (!material.ledgerStartedAt) {
+        // Nothing has been logged yet, so the stored quantity is the opening balance
+        return {
+          success: true,
+          quantityInStock: roundQuantity(material.quantityInStock),
+          previousQuantity: roundQuantity(material.quantityInStock)
+        };
+      }
+
+      const historyResult = await this.getMovementHistory(materialId, material.companyId);
+      if (!historyResult.success) {
+        return historyResult;
+      }
+
+      await updateDoc(doc(db, 'materials', materialId), {
+        quantityInStock: historyResult.quantityOnHand,
+        stockByLocation: this.deriveStockByLocation(historyResult.movements),
+        updatedAt: Timestamp.now()
+      });
+
+      return {
+        success: true,
+        quantityInStock: historyResult.quantityOnHand,
+        previousQuantity: roundQuantity(material.quantityInStock)
+      };
+    } catch (error) {
+      console.error('Error recalculating stock:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 }
 
 export default MaterialsService;
-
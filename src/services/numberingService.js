@@ -0,0 +1,397 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  runTransaction
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+
+/**
+ * Numbering Service for sequential, gap-free document numbers
+ *
+ * Each company keeps one counter document per document type. The counter is
+ * advanced inside the same Firestore transaction that writes the numbered
+ * document, so a number is only consumed when the document is actually saved.
+ *
+ * Format tokens:
+ *   {PREFIX} - configured prefix (e.g. INV)
+ *   {YYYY}   - four digit year
+ *   {YY}     - two digit year
+ *   {MM}     - two digit month
+ *   {LOC}    - location code
+ *   {SEQ}    - sequence number, zero-padded to `padding` digits
+ */
+class NumberingService {
+  static DOCUMENT_TYPES = ['invoice', 'estimate', 'purchase_order'];
+
+  static RESET_PERIODS = ['never', 'yearly', 'fiscal_yearly'];
+
+  static DEFAULT_SETTINGS = {
+    invoice: {
+      prefix: 'INV',
+      format: '{PREFIX}-{YYYY}-{SEQ}',
+      padding: 6,
+      resetPeriod: 'never',
+      fiscalYearStartMonth: 1,
+      locationCode: '',
+      startingNumber: 1
+    },
+    estimate: {
+      prefix: 'EST',
+      format: '{PREFIX}-{YYYY}-{SEQ}',
+      padding: 5,
+      resetPeriod: 'never',
+      fiscalYearStartMonth: 1,
+      locationCode: '',
+      startingNumber: 1
+    },
+    purchase_order: {
+      prefix: 'PO',
+      format: '{PREFIX}-{YYYY}-{SEQ}',
+      padding: 5,
+      resetPeriod: 'never',
+      fiscalYearStartMonth: 1,
+      locationCode: '',
+      startingNumber: 1
+    }
+  };
+
+  // Get current user ID
+  static getCurrentUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+    return user.uid;
+  }
+
+  /**
+   * Counters and settings are keyed by company. Users without a company
+   * (legacy single-user accounts) get their own numbering scope.
+   */
+  static getScopeId(companyId) {
+    return companyId || `user_${this.getCurrentUserId()}`;
+  }
+
+  static getCounterRef(scopeId, documentType) {
+    return doc(db, 'documentCounters', `${scopeId}_${documentType}`);
+  }
+
+  static getSettingsRef(scopeId) {
+    return doc(db, 'documentNumbering', scopeId);
+  }
+
+  static normalizeSettings(documentType, settings = {}) {
+    const defaults = this.DEFAULT_SETTINGS[documentType] || this.DEFAULT_SETTINGS.invoice;
+    const merged = { ...defaults, ...(settings || {}) };
+
+    const padding = parseInt(merged.padding, 10);
+    const startingNumber = parseInt(merged.startingNumber, 10);
+    const fiscalYearStartMonth = parseInt(merged.fiscalYearStartMonth, 10);
+
+    return {
+      prefix: (merged.prefix || '').trim(),
+      format: (merged.format || defaults.format).trim(),
+      padding: Number.isFinite(padding) ? Math.min(Math.max(padding, 1), 12) : defaults.padding,
+      resetPeriod: this.RESET_PERIODS.includes(merged.resetPeriod) ? merged.resetPeriod : 'never',
+      fiscalYearStartMonth:
+        Number.isFinite(fiscalYearStartMonth) && fiscalYearStartMonth >= 1 && fiscalYearStartMonth <= 12
+          ? fiscalYearStartMonth
+          : 1,
+      locationCode: (merged.locationCode || '').trim().toUpperCase(),
+      startingNumber: Number.isFinite(startingNumber) && startingNumber > 0 ? startingNumber : 1
+    };
+  }
+
+  /**
+   * Validate numbering settings before saving
+   * @returns {{valid: boolean, errors: Array<string>}}
+   */
+  static validateSettings(settings) {
+    const errors = [];
+    const format = settings?.format || '';
+
+    if (!format.includes('{SEQ}')) {
+      errors.push('Format must include the {SEQ} token');
+    }
+
+    const unknownTokens = (format.match(/\{[^}]*\}/g) || []).filter(
+      token => !['{PREFIX}', '{YYYY}', '{YY}', '{MM}', '{LOC}', '{SEQ}'].includes(token)
+    );
+    if (unknownTokens.length > 0) {
+      errors.push(`Unknown format tokens: ${unknownTokens.join(', ')}`);
+    }
+
+    // Without a year token, a yearly reset would reissue numbers already used
+    if (settings?.resetPeriod && settings.resetPeriod !== 'never' &&
+        !format.includes('{YYYY}') && !format.includes('{YY}')) {
+      errors.push('Formats that reset every year must include {YYYY} or {YY}');
+    }
+
+    if (format.includes('{LOC}') && !settings?.locationCode) {
+      errors.push('A location code is required when the format includes {LOC}');
+    }
+
+    if (settings?.prefix && !/^[A-Za-z0-9_-]*$/.test(settings.prefix)) {
+      errors.push('Prefix may only contain letters, numbers, dashes and underscores');
+    }
+
+    return {
+      valid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Year used for {YYYY}/{YY}. For fiscal resets the fiscal year is named
+   * after the calendar year in which it ends.
+   */
+  static getNumberingYear(settings, date = new Date()) {
+    const year = date.getFullYear();
+    if (settings.resetPeriod === 'fiscal_yearly' && settings.fiscalYearStartMonth > 1) {
+      return date.getMonth() + 1 >= settings.fiscalYearStartMonth ? year + 1 : year;
+    }
+    return year;
+  }
+
+  static getPeriodKey(settings, date = new Date()) {
+    if (settings.resetPeriod === 'never') {
+      return 'all';
+    }
+    return String(this.getNumberingYear(settings, date));
+  }
+
+  static formatNumber(settings, sequence, date = new Date(), locationCode = null) {
+    const year = String(this.getNumberingYear(settings, date));
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const loc = (locationCode || settings.locationCode || '').toUpperCase();
+
+    return settings.format
+      .replace(/\{PREFIX\}/g, settings.prefix)
+      .replace(/\{YYYY\}/g, year)
+      .replace(/\{YY\}/g, year.slice(-2))
+      .replace(/\{MM\}/g, month)
+      .replace(/\{LOC\}/g, loc)
+      .replace(/\{SEQ\}/g, String(sequence).padStart(settings.padding, '0'));
+  }
+
+  // A starting number raised above the counter takes effect right away
+  static getNextSequence(settings, counter, periodKey) {
+    if (!counter || counter.period !== periodKey) {
+      return settings.startingNumber;
+    }
+    return Math.max((counter.lastSequence || 0) + 1, settings.startingNumber);
+  }
+
+  /**
+   * Get numbering settings for a document type
+   */
+  static async getSettings(companyId, documentType) {
+    try {
+      const scopeId = this.getScopeId(companyId);
+      const settingsDoc = await getDoc(this.getSettingsRef(scopeId));
+      const stored = settingsDoc.exists() ? settingsDoc.data()?.[documentType] : null;
+
+      return {
+        success: true,
+        settings: this.normalizeSettings(documentType, stored)
+      };
+    } catch (error) {
+      console.error('Error getting numbering settings:', error);
+      return {
+        success: false,
+        error: error.message,
+        settings: this.normalizeSettings(documentType)
+      };
+    }
+  }
+
+  /**
+   * Save numbering settings for a document type
+   */
+  static async updateSettings(companyId, documentType, settings) {
+    try {
+      if (!this.DOCUMENT_TYPES.includes(documentType)) {
+        return { success: false, error: `Unknown document type "${documentType}"` };
+      }
+
+      const normalized = this.normalizeSettings(documentType, settings);
+      const validation = this.validateSettings(normalized);
+      if (!validation.valid) {
+        return { success: false, error: validation.errors.join('. '), errors: validation.errors };
+      }
+
+      const scopeId = this.getScopeId(companyId);
+      const settingsRef = this.getSettingsRef(scopeId);
+      const counterRef = this.getCounterRef(scopeId, documentType);
+      const now = new Date();
+
+      await runTransaction(db, async (transaction) => {
+        const settingsDoc = await transaction.get(settingsRef);
+        const counterDoc = await transaction.get(counterRef);
+
+        const previous = this.normalizeSettings(
+          documentType,
+          settingsDoc.exists() ? settingsDoc.data()?.[documentType] : null
+        );
+        const counter = counterDoc.exists() ? counterDoc.data() : null;
+        const previousPeriod = this.getPeriodKey(previous, now);
+        const nextPeriod = this.getPeriodKey(normalized, now);
+
+        // A new reset period (e.g. never -> yearly) changes the period key mid-period.
+        // Carry the sequence over so numbers already issued this period are not reissued;
+        // the reset then happens at the next period boundary. Switching to 'never' always
+        // carries it over, since a counter that never resets must never start again.
+        if (counter && counter.period !== nextPeriod &&
+            (counter.period === previousPeriod || nextPeriod === 'all')) {
+          transaction.update(counterRef, {
+            period: nextPeriod,
+            updatedAt: now.toISOString()
+          });
+        }
+
+        transaction.set(
+          settingsRef,
+          {
+            companyId: companyId || null,
+            [documentType]: normalized,
+            updatedAt: now.toISOString(),
+            updatedBy: this.getCurrentUserId()
+          },
+          { merge: true }
+        );
+      });
+
+      return { success: true, settings: normalized };
+    } catch (error) {
+      console.error('Error updating numbering settings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Preview the number the next document would receive.
+   * Does not reserve the number.
+   */
+  static async previewNextNumber(companyId, documentType, options = {}) {
+    try {
+      const scopeId = this.getScopeId(companyId);
+      const [settingsDoc, counterDoc] = await Promise.all([
+        getDoc(this.getSettingsRef(scopeId)),
+        getDoc(this.getCounterRef(scopeId, documentType))
+      ]);
+
+      const settings = this.normalizeSettings(
+        documentType,
+        options.settings || (settingsDoc.exists() ? settingsDoc.data()?.[documentType] : null)
+      );
+      const date = options.date || new Date();
+      const periodKey = this.getPeriodKey(settings, date);
+      const sequence = this.getNextSequence(
+        settings,
+        counterDoc.exists() ? counterDoc.data() : null,
+        periodKey
+      );
+
+      return {
+        success: true,
+        number: this.formatNumber(settings, sequence, date, options.locationCode),
+        sequence
+      };
+    } catch (error) {
+      console.error('Error previewing document number:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create a document with the next sequential number.
+   *
+   * The counter read, counter update and document write happen in a single
+   * transaction, so a failed save never burns a number and two concurrent
+   * saves can never receive the same one.
+   *
+   * @param {Object} params
+   * @param {string|null} params.companyId - Company owning the sequence
+   * @param {string} params.documentType - 'invoice', 'estimate' or 'purchase_order'
+   * @param {string} params.collectionName - Firestore collection to write to
+   * @param {string} params.numberField - Field receiving the formatted number
+   * @param {Object} params.data - Document data (without the number)
+   * @param {string} params.locationCode - Optional override for {LOC}
+   * @returns {Promise<{success: boolean, id?: string, number?: string, sequence?: number, error?: string}>}
+   */
+  static async createNumberedDocument({
+    companyId,
+    documentType,
+    collectionName,
+    numberField,
+    data,
+    locationCode = null
+  }) {
+    try {
+      const scopeId = this.getScopeId(companyId);
+      const counterRef = this.getCounterRef(scopeId, documentType);
+      const settingsRef = this.getSettingsRef(scopeId);
+      const documentRef = doc(collection(db, collectionName));
+      const issuedAt = new Date();
+
+      const result = await runTransaction(db, async (transaction) => {
+        const settingsDoc = await transaction.get(settingsRef);
+        const counterDoc = await transaction.get(counterRef);
+
+        const settings = this.normalizeSettings(
+          documentType,
+          settingsDoc.exists() ? settingsDoc.data()?.[documentType] : null
+        );
+        const periodKey = this.getPeriodKey(settings, issuedAt);
+        const sequence = this.getNextSequence(
+          settings,
+          counterDoc.exists() ? counterDoc.data() : null,
+          periodKey
+        );
+        const number = this.formatNumber(settings, sequence, issuedAt, locationCode);
+
+        transaction.set(documentRef, {
+          ...data,
+          [numberField]: number,
+          numberSequence: sequence,
+          numberPeriod: periodKey
+        });
+
+        transaction.set(counterRef, {
+          companyId: companyId || null,
+          documentType,
+          period: periodKey,
+          lastSequence: sequence,
+          lastNumber: number,
+          lastDocumentId: documentRef.id,
+          updatedAt: issuedAt.toISOString()
+        });
+
+        return { number, sequence, periodKey };
+      });
+
+      return {
+        success: true,
+        id: documentRef.id,
+        number: result.number,
+        sequence: result.sequence,
+        period: result.periodKey
+      };
+    } catch (error) {
+      console.error(`Error creating numbered ${documentType}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export default NumberingService;
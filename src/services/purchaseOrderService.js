@@ -0,0 +1,578 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where,
+  updateDoc,
+  runTransaction
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
+import MaterialsService from './materialsService';
+import NumberingService from './numberingService';
+import CompanyService from './companyService';
+import { toCSV, downloadFile } from '../utils/csv';
+
+const UNASSIGNED_SUPPLIER = 'No supplier';
+
+const roundCurrency = (amount) => Math.round((parseFloat(amount) || 0) * 100) / 100;
+
+/**
+ * Purchase Order Service
+ *
+ * Builds the reorder report from materials at or below their reorder
+ * threshold, turns it into one draft purchase order per supplier and tracks
+ * each order through draft → ordered → received. Receiving an order logs a
+ * receipt movement in the inventory ledger for every line.
+ */
+class PurchaseOrderService {
+  static STATUSES = ['draft', 'ordered', 'received', 'cancelled'];
+
+  // Orders in these statuses count as stock on the way
+  static OPEN_STATUSES = ['draft', 'ordered'];
+
+  // Get current user ID
+  static getCurrentUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+    return user.uid;
+  }
+
+  static formatCurrency(amount) {
+    return new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD'
+    }).format(amount || 0);
+  }
+
+  /**
+   * Quantity to order: enough to bring stock back up to twice the reorder
+   * threshold, less whatever is already on open purchase orders.
+   */
+  static getSuggestedQuantity(material, onOrder = 0) {
+    const onHand = parseFloat(material.quantityInStock) || 0;
+    const threshold = parseFloat(material.reorderThreshold) || 0;
+    return Math.max(Math.ceil(threshold * 2 - onHand - onOrder), 0);
+  }
+
+  /**
+   * Get purchase orders for a company, newest first
+   * @param {string} companyId - Company ID
+   * @param {Object} filters - { status?: string }
+   * @returns {Promise<Object>} { success: boolean, purchaseOrders: Array, error?: string }
+   */
+  static async getPurchaseOrders(companyId, filters = {}) {
+    try {
+      if (!companyId) {
+        return {
+          success: false,
+          error: 'Company ID is required',
+          purchaseOrders: []
+        };
+      }
+
+      const snapshot = await getDocs(query(
+        collection(db, 'purchaseOrders'),
+        where('companyId', '==', companyId)
+      ));
+
+      let purchaseOrders = snapshot.docs.map((poDoc) => ({ id: poDoc.id, ...poDoc.data() }));
+      if (filters.status) {
+        purchaseOrders = purchaseOrders.filter((po) => po.status === filters.status);
+      }
+      purchaseOrders.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+
+      return {
+        success: true,
+        purchaseOrders
+      };
+    } catch (error) {
+      console.error('Error getting purchase orders:', error);
+      return {
+        success: false,
+        error: error.message,
+        purchaseOrders: []
+      };
+    }
+  }
+
+  static async getPurchaseOrder(purchaseOrderId) {
+    try {
+      const poDoc = await getDoc(doc(db, 'purchaseOrders', purchaseOrderId));
+      if (!poDoc.exists()) {
+        return {
+          success: false,
+          error: 'Purchase order not found'
+        };
+      }
+      return {
+        success: true,
+        purchaseOrder: { id: poDoc.id, ...poDoc.data() }
+      };
+    } catch (error) {
+      console.error('Error getting purchase order:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Materials at or below their reorder threshold, grouped by supplier
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object>} { success: boolean, groups: Array<{supplier, items, total}>, itemCount: number, error?: string }
+   */
+  static async getReorderReport(companyId) {
+    try {
+      const [materialsResult, ordersResult] = await Promise.all([
+        MaterialsService.getMaterials(companyId),
+        this.getPurchaseOrders(companyId)
+      ]);
+
+      if (!materialsResult.success) {
+        return { ...materialsResult, groups: [], itemCount: 0 };
+      }
+
+      const onOrder = new Map();
+      (ordersResult.purchaseOrders || [])
+        .filter((po) => this.OPEN_STATUSES.includes(po.status))
+        .forEach((po) => {
+          (po.items || []).forEach((item) => {
+            onOrder.set(item.materialId, (onOrder.get(item.materialId) || 0) + (item.quantity || 0));
+          });
+        });
+
+      const groups = new Map();
+      materialsResult.materials
+        .filter((material) => MaterialsService.isLowStock(material))
+        .forEach((material) => {
+          const supplier = material.supplier?.trim() || UNASSIGNED_SUPPLIER;
+          const quantityOnOrder = onOrder.get(material.id) || 0;
+          const suggestedQuantity = this.getSuggestedQuantity(material, quantityOnOrder);
+          const unitCost = material.costPerUnit || 0;
+
+          if (!groups.has(supplier)) {
+            groups.set(supplier, { supplier, items: [], total: 0 });
+          }
+          const group = groups.get(supplier);
+          group.items.push({
+            materialId: material.id,
+            name: material.name,
+            supplierSku: material.supplierSku || '',
+            unit: material.unit || '',
+            quantityInStock: material.quantityInStock || 0,
+            reorderThreshold: material.reorderThreshold || 0,
+            quantityOnOrder,
+            suggestedQuantity,
+            unitCost,
+            lineTotal: roundCurrency(suggestedQuantity * unitCost)
+          });
+          group.total = roundCurrency(group.total + suggestedQuantity * unitCost);
+        });
+
+      const sortedGroups = Array.from(groups.values())
+        .map((group) => ({ ...group, items: group.items.sort((a, b) => a.name.localeCompare(b.name)) }))
+        .sort((a, b) => {
+          if (a.supplier === UNASSIGNED_SUPPLIER) return 1;
+          if (b.supplier === UNASSIGNED_SUPPLIER) return -1;
+          return a.supplier.localeCompare(b.supplier);
+        });
+
+      return {
+        success: true,
+        groups: sortedGroups,
+        itemCount: sortedGroups.reduce((sum, group) => sum + group.items.length, 0)
+      };
+    } catch (error) {
+      console.error('Error building reorder report:', error);
+      return {
+        success: false,
+        error: error.message,
+        groups: [],
+        itemCount: 0
+      };
+    }
+  }
+
+  /**
+   * Create one draft purchase order per supplier group
+   * @param {string} companyId - Company ID
+   * @param {Array} groups - Reorder report groups; each item needs materialId, name, quantity (or suggestedQuantity) and unitCost
+   * @returns {Promise<Object>} { success: boolean, purchaseOrders: Array, error?: string }
+   */
+  static async createDraftPurchaseOrders(companyId, groups) {
+    try {
+      const userId = this.getCurrentUserId();
+      const purchaseOrders = [];
+
+      for (const group of groups) {
+        const items = group.items
+          .map((item) => {
+            const quantity = Math.max(parseFloat(item.quantity ?? item.suggestedQuantity) || 0, 0);
+            return {
+              materialId: item.materialId,
+              name: item.name,
+              supplierSku: item.supplierSku || '',
+              unit: item.unit || '',
+              quantity,
+              unitCost: parseFloat(item.unitCost) || 0,
+              lineTotal: roundCurrency(quantity * (parseFloat(item.unitCost) || 0)),
+              quantityReceived: 0
+            };
+          })
+          .filter((item) => item.quantity > 0);
+
+        if (items.length === 0) {
+          continue;
+        }
+
+        const now = new Date().toISOString();
+        const data = {
+          companyId,
+          supplier: group.supplier === UNASSIGNED_SUPPLIER ? '' : group.supplier,
+          status: 'draft',
+          items,
+          total: roundCurrency(items.reduce((sum, item) => sum + item.lineTotal, 0)),
+          notes: group.notes || '',
+          createdAt: now,
+          updatedAt: now,
+          createdBy: userId
+        };
+
+        const result = await NumberingService.createNumberedDocument({
+          companyId,
+          documentType: 'purchase_order',
+          collectionName: 'purchaseOrders',
+          numberField: 'poNumber',
+          data
+        });
+        if (!result.success) {
+          return { ...result, purchaseOrders };
+        }
+        purchaseOrders.push({ id: result.id, ...data, poNumber: result.number });
+      }
+
+      return {
+        success: true,
+        purchaseOrders
+      };
+    } catch (error) {
+      console.error('Error creating purchase orders:', error);
+      return {
+        success: false,
+        error: error.message,
+        purchaseOrders: []
+      };
+    }
+  }
+
+  static async markOrdered(purchaseOrderId) {
+    try {
+      const userId = this.getCurrentUserId();
+      const poResult = await this.getPurchaseOrder(purchaseOrderId);
+      if (!poResult.success) {
+        return poResult;
+      }
+      if (poResult.purchaseOrder.status !== 'draft') {
+        return {
+          success: false,
+          error: 'Only draft purchase orders can be marked as ordered'
+        };
+      }
+
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, 'purchaseOrders', purchaseOrderId), {
+        status: 'ordered',
+        orderedAt: now,
+        orderedBy: userId,
+        updatedAt: now
+      });
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Error marking purchase order as ordered:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  static async cancelPurchaseOrder(purchaseOrderId) {
+    try {
+      const poResult = await this.getPurchaseOrder(purchaseOrderId);
+      if (!poResult.success) {
+        return poResult;
+      }
+      const purchaseOrder = poResult.purchaseOrder;
+      if (!this.OPEN_STATUSES.includes(purchaseOrder.status) ||
+          purchaseOrder.items.some((item) => item.quantityReceived > 0)) {
+        return {
+          success: false,
+          error: 'Received purchase orders cannot be cancelled'
+        };
+      }
+
+      const now = new Date().toISOString();
+      await updateDoc(doc(db, 'purchaseOrders', purchaseOrderId), {
+        status: 'cancelled',
+        cancelledAt: now,
+        updatedAt: now
+      });
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Error cancelling purchase order:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Receive an ordered purchase order and restock inventory. Each line's
+   * outstanding quantity is logged as a receipt movement, and the movements,
+   * stock levels and the order's received quantities are written in one
+   * transaction, so a failed receipt changes nothing and can simply be retried.
+   * @param {string} purchaseOrderId - Purchase order ID
+   * @returns {Promise<Object>} { success: boolean, received: number, error?: string }
+   */
+  static async receivePurchaseOrder(purchaseOrderId) {
+    try {
+      const userId = this.getCurrentUserId();
+      const purchaseOrderRef = doc(db, 'purchaseOrders', purchaseOrderId);
+
+      // Stock movements and the PO's received quantities are written in one
+      // transaction, so a failed or retried receipt can never add stock twice
+      const { received, entries } = await runTransaction(db, async (transaction) => {
+        const purchaseOrderSnapshot = await transaction.get(purchaseOrderRef);
+        if (!purchaseOrderSnapshot.exists()) {
+          throw new Error('Purchase order not found');
+        }
+
+        const purchaseOrder = purchaseOrderSnapshot.data();
+        if (purchaseOrder.status !== 'ordered') {
+          throw new Error('Only ordered purchase orders can be received');
+        }
+
+        const items = (purchaseOrder.items || []).map((item) => ({ ...item }));
+        const movementsByMaterial = new Map();
+        let receivedLines = 0;
+
+        items.forEach((item) => {
+          const outstanding = (item.quantity || 0) - (item.quantityReceived || 0);
+          if (outstanding <= 0) {
+            return;
+          }
+          const movements = movementsByMaterial.get(item.materialId) || [];
+          movements.push({
+            type: 'receipt',
+            quantity: outstanding,
+            unitCost: item.unitCost,
+            reference: purchaseOrder.poNumber,
+            notes: purchaseOrder.supplier ? `Received from ${purchaseOrder.supplier}` : ''
+          });
+          movementsByMaterial.set(item.materialId, movements);
+          item.quantityReceived = item.quantity;
+          receivedLines++;
+        });
+
+        // Every read has to happen before the first write
+        const materialIds = [...movementsByMaterial.keys()];
+        const materialSnapshots = await Promise.all(
+          materialIds.map((materialId) => transaction.get(doc(db, 'materials', materialId)))
+        );
+        materialSnapshots.forEach((materialSnapshot, index) => {
+          if (!materialSnapshot.exists()) {
+            const item = items.find((line) => line.materialId === materialIds[index]);
+            throw new Error(`Failed to receive ${item?.name || 'material'}: Material not found`);
+          }
+        });
+
+        const written = materialSnapshots.flatMap((materialSnapshot) =>
+          MaterialsService.writeMovements(transaction, materialSnapshot, movementsByMaterial.get(materialSnapshot.id))
+        );
+
+        const now = new Date().toISOString();
+        transaction.update(purchaseOrderRef, {
+          items,
+          status: 'received',
+          receivedAt: now,
+          receivedBy: userId,
+          updatedAt: now
+        });
+
+        return {
+          received: receivedLines,
+          entries: written
+        };
+      });
+
+      entries.forEach((entry) => MaterialsService.notifyIfCrossedThreshold(entry));
+
+      return {
+        success: true,
+        received
+      };
+    } catch (error) {
+      console.error('Error receiving purchase order:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Download a purchase order as CSV
+   * @param {Object} purchaseOrder
+   * @returns {{success: boolean, csvData: string}}
+   */
+  static exportCSV(purchaseOrder) {
+    const csvData = toCSV(
+      ['PO Number', 'Supplier', 'Material', 'Supplier SKU', 'Unit', 'Quantity', 'Unit Cost', 'Line Total'],
+      purchaseOrder.items.map((item) => [
+        purchaseOrder.poNumber,
+        purchaseOrder.supplier,
+        item.name,
+        item.supplierSku,
+        item.unit,
+        item.quantity,
+        item.unitCost.toFixed(2),
+        item.lineTotal.toFixed(2)
+      ])
+    );
+    downloadFile(csvData, `${purchaseOrder.poNumber || 'purchase-order'}.csv`);
+    return { success: true, csvData };
+  }
+
+  /**
+   * Download a purchase order as PDF
+   * @param {Object} purchaseOrder
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  static async generatePDF(purchaseOrder) {
+    try {
+      const pdf = new jsPDF();
+      const pageWidth = pdf.internal.pageSize.getWidth();
+      const margin = 20;
+      let yPos = margin;
+
+      let company = null;
+      if (purchaseOrder.companyId) {
+        const companyResult = await CompanyService.getCompany(purchaseOrder.companyId);
+        if (companyResult.success) {
+          company = companyResult.company;
+        }
+      }
+
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text(company?.name || 'Company Name', margin, yPos);
+
+      pdf.setFontSize(10);
+      pdf.setFont('helvetica', 'normal');
+      yPos += 7;
+      if (company?.address) {
+        pdf.text(company.address, margin, yPos);
+        yPos += 5;
+      }
+      if (company?.city && company?.state && company?.zipCode) {
+        pdf.text(`${company.city}, ${company.state} ${company.zipCode}`, margin, yPos);
+        yPos += 5;
+      }
+      if (company?.phone) {
+        pdf.text(`Phone: ${company.phone}`, margin, yPos);
+        yPos += 5;
+      }
+
+      yPos += 10;
+      pdf.setFontSize(20);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('PURCHASE ORDER', margin, yPos);
+      yPos += 10;
+
+      pdf.setFontSize(11);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(`PO #: ${purchaseOrder.poNumber || 'N/A'}`, margin, yPos);
+      yPos += 6;
+      pdf.text(`Date: ${new Date(purchaseOrder.orderedAt || purchaseOrder.createdAt).toLocaleDateString('en-US')}`, margin, yPos);
+      yPos += 6;
+      pdf.text(`Status: ${purchaseOrder.status.toUpperCase()}`, margin, yPos);
+      yPos += 10;
+
+      pdf.setFontSize(12);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Supplier:', margin, yPos);
+      yPos += 7;
+      pdf.setFontSize(11);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(purchaseOrder.supplier || 'N/A', margin, yPos);
+      yPos += 10;
+
+      autoTable(pdf, {
+        startY: yPos,
+        head: [['Material', 'SKU', 'Quantity', 'Unit Cost', 'Total']],
+        body: purchaseOrder.items.map((item) => [
+          item.name,
+          item.supplierSku || '',
+          `${item.quantity} ${item.unit || ''}`,
+          this.formatCurrency(item.unitCost),
+          this.formatCurrency(item.lineTotal)
+        ]),
+        foot: [['', '', '', 'Total', this.formatCurrency(purchaseOrder.total)]],
+        theme: 'grid',
+        headStyles: {
+          fillColor: [59, 130, 246],
+          textColor: [255, 255, 255],
+          fontStyle: 'bold'
+        },
+        footStyles: {
+          fillColor: [243, 244, 246],
+          textColor: [17, 24, 39],
+          fontStyle: 'bold'
+        },
+        styles: {
+          fontSize: 10,
+          cellPadding: 4
+        },
+        columnStyles: {
+          2: { halign: 'center' },
+          3: { halign: 'right' },
+          4: { halign: 'right' }
+        }
+      });
+
+      yPos = pdf.lastAutoTable.finalY + 10;
+      if (purchaseOrder.notes) {
+        pdf.setFontSize(10);
+        pdf.text(pdf.splitTextToSize(purchaseOrder.notes, pageWidth - 2 * margin), margin, yPos);
+      }
+
+      pdf.save(`${purchaseOrder.poNumber || 'purchase-order'}.pdf`);
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Error generating purchase order PDF:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export default PurchaseOrderService;
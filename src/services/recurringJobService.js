@@ -10,12 +10,38 @@ import {
   addDoc,
   deleteDoc,
   orderBy,
-  limit
+  limit,
+  deleteField
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { auth } from './firebase';
+import JobManagementService from './jobManagementService';
+import CompanyService from './companyService';
+import CustomerService from './customerService';
+import LocationSettingsService from './locationSettingsService';
+import {
+  parseRRule,
+  buildRRule,
+  expandRRule,
+  getNextOccurrence,
+  legacyFrequencyToRRule,
+  rruleToLegacyFrequency,
+  formatDateKey,
+  toLocalDate
+} from '../utils/rrule';
+import { toLocalDateString } from '../utils/dateHelpers';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 class RecurringJobService {
+  static DEFAULT_HORIZON_DAYS = 60;
+
+  // Business days when the company has not set work days in its location settings
+  static DEFAULT_WORK_DAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'];
+
+  // Series currently being materialized in this tab; guards against double clicks
+  static materializing = new Set();
+
   // Get current user ID
   static getCurrentUserId() {
     const user = auth.currentUser;
@@ -25,12 +51,70 @@ class RecurringJobService {
     return user.uid;
   }
 
+  /**
+   * Validate the recurrence rule on a recurring job payload and keep the
+   * legacy frequency/dayOfWeek/endDate fields in sync for older clients.
+   * Payloads without an rrule are returned unchanged.
+   */
+  static normalizeRecurrence(recurringJobData) {
+    if (!recurringJobData.rrule) {
+      return recurringJobData;
+    }
+
+    const rule = parseRRule(recurringJobData.rrule);
+    const legacy = rruleToLegacyFrequency(recurringJobData.rrule);
+
+    return {
+      ...recurringJobData,
+      rrule: buildRRule(rule),
+      frequency: legacy.frequency,
+      dayOfWeek: legacy.dayOfWeek,
+      occurrenceCount: rule.count || null,
+      // A local calendar day; toISOString() would shift it to the previous day east of UTC
+      endDate: rule.until ? toLocalDateString(rule.until) : recurringJobData.endDate || null
+    };
+  }
+
+  /**
+   * RRULE for a recurring job. Jobs saved before RRULE support are
+   * converted from their frequency/dayOfWeek fields.
+   */
+  static getRecurrenceRule(recurringJob) {
+    if (recurringJob?.rrule) {
+      return recurringJob.rrule;
+    }
+    return legacyFrequencyToRRule(
+      recurringJob?.frequency || 'weekly',
+      recurringJob?.dayOfWeek ?? null,
+      recurringJob?.startDate
+    );
+  }
+
+  /**
+   * Occurrence dates of a recurring job within a window
+   * @param {Object} recurringJob
+   * @param {Object} options - { from, to, limit }
+   * @returns {Array<string>} Dates as 'YYYY-MM-DD'
+   */
+  static getOccurrences(recurringJob, options = {}) {
+    const startDate = toLocalDate(recurringJob?.startDate) || toLocalDate(new Date());
+    const endDate = toLocalDate(recurringJob?.endDate);
+    const to = options.to ? toLocalDate(options.to) : null;
+
+    return expandRRule(this.getRecurrenceRule(recurringJob), startDate, {
+      from: options.from,
+      to: endDate && (!to || endDate < to) ? endDate : to,
+      limit: options.limit ?? 100
+    }).map(formatDateKey);
+  }
+
   /**
    * Create a new recurring job template
    */
   static async createRecurringJob(recurringJobData) {
     try {
       const userId = this.getCurrentUserId();
+      recurringJobData = this.normalizeRecurrence(recurringJobData);
       let companyId = recurringJobData.companyId || null;
       let assignedTechnicianId = recurringJobData.assignedTechnicianId || null;
       let assignedTechnicianName = recurringJobData.assignedTechnicianName || '';
@@ -295,6 +379,8 @@ class RecurringJobService {
         return recurringJobResult;
       }
 
+      updates = this.normalizeRecurrence(updates);
+
       const existing = recurringJobResult.recurringJob || {};
       let companyId = updates.companyId || existing.companyId || null;
       let assignedTechnicianId =
@@ -376,13 +462,360 @@ class RecurringJobService {
     return this.updateRecurringJob(recurringJobId, { isActive });
   }
 
+  /**
+   * Jobs already generated from a series, keyed by occurrence date
+   */
+  static async getSeriesJobs(recurringJob) {
+    const constraints = recurringJob.companyId
+      ? [where('companyId', '==', recurringJob.companyId)]
+      : [where('userId', '==', this.getCurrentUserId())];
+
+    const snapshot = await getDocs(
+      query(
+        collection(db, 'jobs'),
+        ...constraints,
+        where('recurringJobId', '==', recurringJob.id)
+      )
+    );
+
+    const jobsByOccurrence = new Map();
+    snapshot.forEach((docSnap) => {
+      const job = { id: docSnap.id, ...docSnap.data() };
+      if (job.occurrenceDate) {
+        jobsByOccurrence.set(job.occurrenceDate, job);
+      }
+    });
+    return jobsByOccurrence;
+  }
+
+  /**
+   * Work out what should happen to each occurrence in the horizon.
+   *
+   * Status values:
+   *   pending     - will be created
+   *   rescheduled - will be created on the overridden date/time
+   *   exists      - a job was already generated (or generated and later deleted)
+   *   skipped     - skipped by an admin
+   *   holiday     - falls on a company holiday and the series skips holidays
+   */
+  static buildOccurrencePlan(recurringJob, {
+    fromDate,
+    horizonDays,
+    holidays = [],
+    workDays = this.DEFAULT_WORK_DAYS,
+    existingJobs = new Map()
+  }) {
+    const from = toLocalDate(fromDate) || toLocalDate(new Date());
+    const to = new Date(from.getFullYear(), from.getMonth(), from.getDate() + horizonDays);
+    const holidayNames = new Map(holidays.map((holiday) => [holiday.date, holiday.name]));
+    const overrides = recurringJob.occurrenceOverrides || {};
+    const materialized = recurringJob.materializedOccurrences || {};
+    const shiftHolidays = recurringJob.holidayPolicy === 'next_business_day';
+
+    return this.getOccurrences(recurringJob, { from, to, limit: 1000 }).map((occurrenceDate) => {
+      const override = overrides[occurrenceDate] || null;
+      const existingJob = existingJobs.get(occurrenceDate);
+      const base = {
+        occurrenceDate,
+        date: override?.date || occurrenceDate,
+        time: override?.time || recurringJob.time || '09:00 AM',
+        override,
+        conflicts: []
+      };
+
+      if (existingJob || materialized[occurrenceDate]) {
+        return {
+          ...base,
+          date: existingJob?.date || base.date,
+          time: existingJob?.time || base.time,
+          status: 'exists',
+          jobId: existingJob?.id || materialized[occurrenceDate]
+        };
+      }
+
+      if (override?.status === 'skipped') {
+        return { ...base, status: 'skipped' };
+      }
+
+      let date = base.date;
+      let movedFromHoliday = null;
+      if (holidayNames.has(date)) {
+        if (!shiftHolidays) {
+          return { ...base, status: 'holiday', holidayName: holidayNames.get(date) };
+        }
+        movedFromHoliday = holidayNames.get(date);
+        // The next business day is neither a holiday nor a day the company does not work
+        const shifted = toLocalDate(date);
+        const isBusinessDay = (day) =>
+          !holidayNames.has(formatDateKey(day)) &&
+          (workDays.length === 0 || workDays.includes(DAY_NAMES[day.getDay()]));
+        do {
+          shifted.setDate(shifted.getDate() + 1);
+        } while (!isBusinessDay(shifted));
+        date = formatDateKey(shifted);
+      }
+
+      return {
+        ...base,
+        date,
+        status: override || movedFromHoliday ? 'rescheduled' : 'pending',
+        holidayName: movedFromHoliday
+      };
+    });
+  }
+
+  /**
+   * Preview the jobs a series would generate, including technician conflicts
+   * @param {Object} recurringJob
+   * @param {Object} options - { horizonDays, fromDate }
+   */
+  static async previewMaterialization(recurringJob, options = {}) {
+    try {
+      const horizonDays = options.horizonDays || this.DEFAULT_HORIZON_DAYS;
+      const [existingJobs, holidayResult, settingsResult] = await Promise.all([
+        this.getSeriesJobs(recurringJob),
+        recurringJob.companyId
+          ? CompanyService.getCompanyHolidays(recurringJob.companyId)
+          : Promise.resolve({ holidays: [] }),
+        recurringJob.companyId
+          ? LocationSettingsService.getCompanySettings(recurringJob.companyId)
+          : Promise.resolve({ success: false })
+      ]);
+      const workDays = settingsResult.success && settingsResult.settings?.workDays?.length
+        ? settingsResult.settings.workDays
+        : this.DEFAULT_WORK_DAYS;
+
+      const occurrences = this.buildOccurrencePlan(recurringJob, {
+        fromDate: options.fromDate,
+        horizonDays,
+        holidays: holidayResult.holidays || [],
+        workDays,
+        existingJobs
+      });
+
+      const durationMinutes = JobManagementService.parseDurationMinutes(recurringJob.duration, 60);
+      if (recurringJob.assignedTechnicianId) {
+        for (const occurrence of occurrences) {
+          if (occurrence.status !== 'pending' && occurrence.status !== 'rescheduled') continue;
+          const availability = await JobManagementService.checkTechnicianAvailability(
+            recurringJob.assignedTechnicianId,
+            occurrence.date,
+            occurrence.time,
+            durationMinutes,
+            null,
+            {
+              companyId: recurringJob.companyId || null,
+              serviceType: recurringJob.serviceType || '',
+              customerId: recurringJob.customerId || null
+            }
+          );
+          occurrence.conflicts = availability.conflicts || [];
+        }
+      }
+
+      return {
+        success: true,
+        horizonDays,
+        occurrences
+      };
+    } catch (error) {
+      console.error('Error previewing recurring job occurrences:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Create the jobs for a series over the horizon.
+   *
+   * Safe to run repeatedly: occurrences that already have a job, or had one
+   * generated before (even if it was deleted since), are not created again.
+   * Occurrences with technician conflicts are left for review unless
+   * `includeConflicts` is set.
+   *
+   * @param {Object|string} recurringJobOrId
+   * @param {Object} options - { horizonDays, fromDate, includeConflicts }
+   */
+  static async materializeRecurringJob(recurringJobOrId, options = {}) {
+    let recurringJob = recurringJobOrId;
+    if (typeof recurringJobOrId === 'string') {
+      const result = await this.getRecurringJob(recurringJobOrId);
+      if (!result.success) {
+        return result;
+      }
+      recurringJob = result.recurringJob;
+    }
+
+    if (recurringJob.isActive === false) {
+      return { success: false, error: 'Recurring job is paused' };
+    }
+    if (this.materializing.has(recurringJob.id)) {
+      return { success: false, error: 'Jobs are already being generated for this series' };
+    }
+
+    this.materializing.add(recurringJob.id);
+    try {
+      const preview = await this.previewMaterialization(recurringJob, options);
+      if (!preview.success) {
+        return preview;
+      }
+
+      let customer = null;
+      if (recurringJob.customerId) {
+        const customerResult = await CustomerService.getCustomer(recurringJob.customerId);
+        customer = customerResult.success ? customerResult.customer : null;
+      }
+
+      const created = [];
+      const failed = [];
+      const conflicted = [];
+      const materializedOccurrences = { ...(recurringJob.materializedOccurrences || {}) };
+
+      for (const occurrence of preview.occurrences) {
+        if (occurrence.status !== 'pending' && occurrence.status !== 'rescheduled') continue;
+        if (occurrence.conflicts.length > 0 && !options.includeConflicts) {
+          conflicted.push(occurrence);
+          continue;
+        }
+
+        const result = await JobManagementService.createJob({
+          companyId: recurringJob.companyId || null,
+          customerId: recurringJob.customerId || null,
+          customerName: recurringJob.customerName || customer?.name || '',
+          customerPhone: customer?.phone || '',
+          address: customer?.address || '',
+          serviceType: recurringJob.serviceType || '',
+          status: 'scheduled',
+          date: occurrence.date,
+          time: occurrence.time,
+          duration: recurringJob.duration || '',
+          estimatedCost: recurringJob.estimatedCost,
+          notes: recurringJob.notes || '',
+          assignedTo: recurringJob.assignedTechnicianId || null,
+          assignedToName: recurringJob.assignedTechnicianName || '',
+          recurringJobId: recurringJob.id,
+          occurrenceDate: occurrence.occurrenceDate
+        });
+
+        if (result.success) {
+          materializedOccurrences[occurrence.occurrenceDate] = result.job.id;
+          created.push({ ...occurrence, status: 'created', jobId: result.job.id });
+        } else {
+          failed.push({ ...occurrence, error: result.error });
+        }
+      }
+
+      const lastOccurrence = preview.occurrences[preview.occurrences.length - 1];
+      await updateDoc(doc(db, 'recurringJobs', recurringJob.id), {
+        materializedOccurrences,
+        materializedThrough: lastOccurrence?.occurrenceDate || recurringJob.materializedThrough || null,
+        lastMaterializedAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+
+      return {
+        success: true,
+        created,
+        conflicted,
+        failed,
+        occurrences: preview.occurrences
+      };
+    } catch (error) {
+      console.error('Error generating recurring jobs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    } finally {
+      this.materializing.delete(recurringJob.id);
+    }
+  }
+
+  /**
+   * Generate jobs for every active series visible to the current user
+   */
+  static async materializeAllRecurringJobs(userProfile = null, companyId = null, options = {}) {
+    const listResult = await this.getRecurringJobs(userProfile, companyId);
+    if (!listResult.success) {
+      return listResult;
+    }
+
+    const results = [];
+    for (const recurringJob of listResult.recurringJobs.filter((job) => job.isActive !== false)) {
+      results.push({ recurringJobId: recurringJob.id, ...(await this.materializeRecurringJob(recurringJob, options)) });
+    }
+
+    return {
+      success: true,
+      results,
+      createdCount: results.reduce((sum, result) => sum + (result.created?.length || 0), 0),
+      conflictCount: results.reduce((sum, result) => sum + (result.conflicted?.length || 0), 0)
+    };
+  }
+
+  /**
+   * Skip, reschedule or restore a single occurrence of a series
+   * @param {string} recurringJobId
+   * @param {string} occurrenceDate - Original occurrence date 'YYYY-MM-DD'
+   * @param {Object|null} override - { status: 'skipped' } or { date, time }; null restores it
+   */
+  static async setOccurrenceOverride(recurringJobId, occurrenceDate, override) {
+    const value = override
+      ? {
+        ...override,
+        updatedAt: new Date().toISOString(),
+        updatedBy: this.getCurrentUserId()
+      }
+      : deleteField();
+
+    return this.updateRecurringJob(recurringJobId, {
+      [`occurrenceOverrides.${occurrenceDate}`]: value
+    });
+  }
+
+  static skipOccurrence(recurringJobId, occurrenceDate) {
+    return this.setOccurrenceOverride(recurringJobId, occurrenceDate, { status: 'skipped' });
+  }
+
+  static rescheduleOccurrence(recurringJobId, occurrenceDate, date, time = null) {
+    return this.setOccurrenceOverride(recurringJobId, occurrenceDate, {
+      status: 'rescheduled',
+      date,
+      ...(time ? { time } : {})
+    });
+  }
+
+  static restoreOccurrence(recurringJobId, occurrenceDate) {
+    return this.setOccurrenceOverride(recurringJobId, occurrenceDate, null);
+  }
+
+  /**
+   * Add months without overflowing into the following month:
+   * Jan 31 + 1 month is Feb 28 (or 29), not Mar 3.
+   */
+  static addMonthsClamped(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1,
+      date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+  }
+
   /**
    * Calculate next occurrence date based on frequency
-   * This is a helper function used by the scheduler
+   * This is a helper function used by the scheduler.
+   * When an RRULE is passed it takes precedence over frequency/dayOfWeek;
+   * `startDate` is then the series start (DTSTART).
    */
-  static calculateNextOccurrence(lastDate, frequency, dayOfWeek = null) {
+  static calculateNextOccurrence(lastDate, frequency, dayOfWeek = null, rrule = null, startDate = null) {
+    if (rrule) {
+      return getNextOccurrence(rrule, startDate || lastDate, lastDate);
+    }
+
     const date = new Date(lastDate);
-    const nextDate = new Date(date);
+    let nextDate = new Date(date);
 
     switch (frequency) {
       case 'daily':
@@ -395,16 +828,17 @@ class RecurringJobService {
         nextDate.setDate(nextDate.getDate() + 14);
         break;
       case 'monthly':
-        nextDate.setMonth(nextDate.getMonth() + 1);
+        nextDate = this.addMonthsClamped(date, 1);
         break;
       case 'bi-monthly':
-        nextDate.setMonth(nextDate.getMonth() + 2);
+        nextDate = this.addMonthsClamped(date, 2);
         break;
       case 'quarterly':
-        nextDate.setMonth(nextDate.getMonth() + 3);
+        nextDate = this.addMonthsClamped(date, 3);
         break;
       case 'annually':
-        nextDate.setFullYear(nextDate.getFullYear() + 1);
+        // Feb 29 falls back to Feb 28 in non-leap years
+        nextDate = this.addMonthsClamped(date, 12);
         break;
       default:
         nextDate.setDate(nextDate.getDate() + 7); // Default to weekly
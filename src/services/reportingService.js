@@ -10,8 +10,83 @@ import {
 } from 'firebase/firestore';
 import { db } from './firebase';
 import { auth } from './firebase';
+import { JOB_STATUS_OPTIONS, mapLegacyJobStatus } from '../constants/jobStatuses';
+import { getJobTimeline } from '../utils/jobTimeline';
+import { canViewCompanyAnalytics, canViewCrossCompanyAnalytics } from '../utils/permissions';
+import CompanyService from './companyService';
+import DunningService from './dunningService';
+import InvoiceService from './invoiceService';
+import JobManagementService from './jobManagementService';
+import LocationService from './locationService';
+import { toCSV, downloadFile } from '../utils/csv';
+import { parseDate } from '../utils/dateHelpers';
+import jsPDF from 'jspdf';
+import autoTable from 'jspdf-autotable';
 
 class ReportingService {
+  static COMPARISONS = ['previous_period', 'previous_year'];
+
+  // A job for the same customer and service within this many days of a completed one is a callback
+  static CALLBACK_WINDOW_DAYS = 30;
+
+  // Receivables aging buckets by days past due; maxDays is inclusive, null is open-ended
+  static AGING_BUCKETS = [
+    { key: 'current', label: 'Current', maxDays: 0 },
+    { key: 'days1to30', label: '1–30 Days', maxDays: 30 },
+    { key: 'days31to60', label: '31–60 Days', maxDays: 60 },
+    { key: 'days61to90', label: '61–90 Days', maxDays: 90 },
+    { key: 'over90', label: '90+ Days', maxDays: null }
+  ];
+
+  // Billing window days sales outstanding is measured over
+  static DSO_DAYS = 90;
+
+  // Months shown in the collected-vs-billed trend
+  static AR_TREND_MONTHS = 6;
+
+  // Columns of the technician report export, in order
+  static TECHNICIAN_COLUMNS = [
+    { key: 'rank', label: 'Rank', digits: 0 },
+    { key: 'name', label: 'Technician' },
+    { key: 'jobsAssigned', label: 'Jobs Assigned', digits: 0 },
+    { key: 'jobsCompleted', label: 'Jobs Completed', digits: 0 },
+    { key: 'revenue', label: 'Revenue', digits: 2 },
+    { key: 'scheduledHours', label: 'Scheduled Hours' },
+    { key: 'billableHours', label: 'Billable Hours' },
+    { key: 'utilization', label: 'Utilization %' },
+    { key: 'onSiteHours', label: 'On-Site Hours' },
+    { key: 'driveHours', label: 'Drive Hours' },
+    { key: 'miles', label: 'Miles' },
+    { key: 'averageRating', label: 'Average Rating' },
+    { key: 'ratingCount', label: 'Ratings', digits: 0 },
+    { key: 'callbacks', label: 'Callbacks', digits: 0 },
+    { key: 'callbackRate', label: 'Callback Rate %' }
+  ];
+
+  // Every metric getBusinessAnalytics compares between the two periods, with how to show it
+  static METRICS = {
+    totalRevenue: { label: 'Total Revenue', format: 'currency' },
+    averageJobValue: { label: 'Average Job Value', format: 'currency' },
+    totalJobs: { label: 'Total Jobs', format: 'number' },
+    completedJobs: { label: 'Completed Jobs', format: 'number' },
+    completionRate: { label: 'Completion Rate', format: 'percent' },
+    onTimeCompletionRate: { label: 'On-Time Completion', format: 'percent' },
+    averageJobDuration: { label: 'Average Duration', format: 'hours' },
+    averageTravelTime: { label: 'Average Travel Time', format: 'hours' },
+    averageRating: { label: 'Customer Satisfaction', format: 'rating' },
+    totalCustomers: { label: 'Total Customers', format: 'number' },
+    activeCustomers: { label: 'Active Customers', format: 'number' },
+    newCustomers: { label: 'New Customers', format: 'number' },
+    customerRetentionRate: { label: 'Retention Rate', format: 'percent' },
+    totalEstimates: { label: 'Estimates', format: 'number' },
+    estimateConversionRate: { label: 'Estimate Conversion', format: 'percent' },
+    averageEstimateValue: { label: 'Average Estimate Value', format: 'currency' },
+    jobsThisWeek: { label: 'Jobs This Week', format: 'number' },
+    jobsThisMonth: { label: 'Jobs This Month', format: 'number' },
+    revenueThisWeek: { label: 'Revenue This Week', format: 'currency' },
+    revenueThisMonth: { label: 'Revenue This Month', format: 'currency' }
+  };
+
   // Get current user ID
   static getCurrentUserId() {
     const user = auth.currentUser;
@@ -21,17 +96,108 @@ class ReportingService {
     return user.uid;
   }
 
+  // Get user profile
+  static async getCurrentUserProfile() {
+    try {
+      const userId = this.getCurrentUserId();
+      const userDoc = await getDoc(doc(db, 'users', userId));
+      return userDoc.exists() ? userDoc.data() : null;
+    } catch (error) {
+      console.error('Error getting user profile:', error);
+      return null;
+    }
+  }
+
+  // Which records analytics cover, following the role rules in utils/permissions:
+  // super admins see the selected company, or every company when none is selected;
+  // admins and supervisors see their whole company; field techs see only their own work.
+  // Users without a company fall back to the records they created.
+  static resolveAnalyticsScope(userProfile, userId, companyId = null) {
+    if (canViewCrossCompanyAnalytics(userProfile)) {
+      return companyId ? { type: 'company', companyId } : { type: 'all' };
+    }
+
+    // Other roles are always held to their own company, whatever was requested
+    const ownCompanyId = userProfile?.companyId || null;
+    if (!ownCompanyId) {
+      return { type: 'user', userId };
+    }
+    if (canViewCompanyAnalytics(userProfile)) {
+      return { type: 'company', companyId: ownCompanyId };
+    }
+    return { type: 'technician', companyId: ownCompanyId, userId };
+  }
+
+  // Firestore query for a collection within an analytics scope
+  static getScopedQuery(collectionName, scope) {
+    const collectionRef = collection(db, collectionName);
+    switch (scope.type) {
+      case 'all':
+        return query(collectionRef);
+      case 'user':
+        return query(collectionRef, where('userId', '==', scope.userId));
+      default:
+        return query(collectionRef, where('companyId', '==', scope.companyId));
+    }
+  }
+
+  // Field techs only count the customers and estimates they created, as in CustomerService.getCustomers
+  static getOwnRecordsScope(scope) {
+    return scope.type === 'technician' ? { type: 'user', userId: scope.userId } : scope;
+  }
+
   // Get comprehensive business analytics
-  static async getBusinessAnalytics(dateRange = 'month') {
+  // options: { companyId, technicianId, serviceType, location, startDate, endDate, comparison }.
+  // companyId is the effective company from CompanyContext; technicianId, serviceType and
+  // location narrow the jobs the figures are built from; startDate/endDate are used when
+  // dateRange is 'custom'; comparison is 'previous_period' (default) or 'previous_year'.
+  // analytics.comparison holds { current, comparison, change, percentage } for every metric.
+  static async getBusinessAnalytics(dateRange = 'month', options = {}) {
     try {
       const userId = this.getCurrentUserId();
-      const { startDate, endDate } = this.getDateRange(dateRange);
+      const now = new Date();
+      const userProfile = await this.getCurrentUserProfile();
+      const scope = this.resolveAnalyticsScope(userProfile, userId, options.companyId || null);
+      const filters = {
+        technicianId: options.technicianId || '',
+        serviceType: options.serviceType || '',
+        location: options.location || ''
+      };
+      const comparison = this.COMPARISONS.includes(options.comparison) ? options.comparison : 'previous_period';
+
+      const fiscalYearStartMonth = await this.getFiscalYearStartMonthForScope(scope);
+      const { startDate, endDate } = this.getDateRange(dateRange, {
+        now,
+        fiscalYearStartMonth,
+        startDate: options.startDate,
+        endDate: options.endDate
+      });
+      const comparisonRange = this.getComparisonRange(dateRange, startDate, endDate, now, comparison);
+      const calendarComparisonDates = this.getCalendarComparisonDates(comparison, now);
+
+      // Jobs are loaded far enough back and forward to cover both periods, the monthly
+      // trends and the this-week/this-month figures and what they are compared with
+      const windowStart = new Date(Math.min(
+        startDate,
+        comparisonRange.startDate,
+        this.getTrendMonths()[0].startDate,
+        this.getDateRange('week', { now: calendarComparisonDates.weekOf }).startDate,
+        this.getDateRange('month', { now: calendarComparisonDates.monthOf }).startDate
+      ));
+      const windowEnd = new Date(Math.max(
+        endDate,
+        this.getDateRange('week', { now }).endDate,
+        this.getDateRange('month', { now }).endDate
+      ));
+      const estimatesStart = new Date(Math.min(startDate, comparisonRange.startDate));
 
       // Get all data in parallel
-      const [jobsResult, customersResult, estimatesResult] = await Promise.all([
-        this.getJobsForAnalytics(userId, startDate, endDate),
-        this.getCustomersForAnalytics(userId),
-        this.getEstimatesForAnalytics(userId, startDate, endDate)
+      const [jobsResult, customersResult, estimatesResult, ratingsResult, companiesResult] = await Promise.all([
+        this.getJobsForAnalytics(scope, windowStart, windowEnd),
+        this.getCustomersForAnalytics(scope),
+        this.getEstimatesForAnalytics(scope, estimatesStart, endDate),
+        this.getRatingsForAnalytics(scope),
+        scope.type === 'all' ? this.getCompanyNamesForAnalytics() : Promise.resolve(null)
       ]);
 
       if (!jobsResult.success || !customersResult.success || !estimatesResult.success) {
@@ -41,61 +207,83 @@ class ReportingService {
         };
       }
 
-      const jobs = jobsResult.jobs;
       const customers = customersResult.customers;
-      const estimates = estimatesResult.estimates;
+      const customersById = new Map(customers.map(customer => [customer.id, customer]));
+      const scopedJobs = jobsResult.jobs;
+      const allJobs = this.applyAnalyticsFilters(scopedJobs, filters, customersById);
+      const jobs = this.filterJobsByDate(allJobs, startDate, endDate);
+      const previousJobs = this.filterJobsByDate(allJobs, comparisonRange.startDate, comparisonRange.endDate);
+      const allEstimates = filters.serviceType
+        ? estimatesResult.estimates.filter(estimate => this.getJobServiceType(estimate).key === filters.serviceType)
+        : estimatesResult.estimates;
+      const estimates = this.filterByCreatedAt(allEstimates, startDate, endDate);
+      const previousEstimates = this.filterByCreatedAt(allEstimates, comparisonRange.startDate, comparisonRange.endDate);
+      // Ratings are optional; a failure here shouldn't hide the rest of the report
+      const ratings = ratingsResult.success ? ratingsResult.ratings : [];
+
+      const currentMetrics = {
+        ...this.calculatePeriodMetrics({ jobs, customers, estimates, ratings, startDate, endDate }),
+        ...this.calculateCalendarMetrics(allJobs, now, now)
+      };
+      const previousMetrics = {
+        ...this.calculatePeriodMetrics({
+          jobs: previousJobs,
+          customers,
+          estimates: previousEstimates,
+          ratings,
+          startDate: comparisonRange.startDate,
+          endDate: comparisonRange.endDate
+        }),
+        ...this.calculateCalendarMetrics(allJobs, calendarComparisonDates.weekOf, calendarComparisonDates.monthOf)
+      };
 
       // Calculate key metrics
       const analytics = {
-        // Revenue metrics
-        totalRevenue: this.calculateTotalRevenue(jobs),
-        averageJobValue: this.calculateAverageJobValue(jobs),
-        revenueGrowth: this.calculateRevenueGrowth(jobs, dateRange),
-        
-        // Job metrics
-        totalJobs: jobs.length,
-        completedJobs: jobs.filter(job => job.status === 'completed').length,
-        completionRate: this.calculateCompletionRate(jobs),
-        averageJobDuration: this.calculateAverageJobDuration(jobs),
-        
-        // Customer metrics
-        totalCustomers: customers.length,
-        activeCustomers: customers.filter(customer => customer.isActive).length,
-        newCustomers: this.calculateNewCustomers(customers, startDate, endDate),
-        customerRetentionRate: this.calculateCustomerRetentionRate(customers, jobs),
-        
-        // Estimate metrics
-        totalEstimates: estimates.length,
-        estimateConversionRate: this.calculateEstimateConversionRate(estimates, jobs),
-        averageEstimateValue: this.calculateAverageEstimateValue(estimates),
-        
-        // Time-based metrics
-        jobsThisWeek: this.calculateJobsThisWeek(jobs),
-        jobsThisMonth: this.calculateJobsThisMonth(jobs),
-        revenueThisWeek: this.calculateRevenueThisWeek(jobs),
-        revenueThisMonth: this.calculateRevenueThisMonth(jobs),
-        
+        // Headline figures for the selected period
+        ...currentMetrics,
+
+        // Every headline figure against the comparison period
+        comparison: this.compareMetrics(currentMetrics, previousMetrics),
+        comparisonLabel: this.getComparisonLabel(comparison),
+        revenueGrowth: this.calculateRevenueGrowth(jobs, previousJobs),
+        customerSatisfactionScore: this.calculateSatisfactionComparison(jobs, previousJobs, ratings),
+
         // Service type breakdown
         serviceTypeBreakdown: this.calculateServiceTypeBreakdown(jobs),
-        
+
         // Status breakdown
         statusBreakdown: this.calculateStatusBreakdown(jobs),
-        
+
+        // Revenue and volume by technician, service type and location
+        breakdowns: {
+          technician: this.calculateBreakdown(jobs, job => this.getJobTechnician(job)),
+          serviceType: this.calculateBreakdown(jobs, job => this.getJobServiceType(job)),
+          location: this.calculateBreakdown(jobs, job => this.getJobLocation(job, customersById))
+        },
+
+        // Choices for the filters, taken from every job in scope so a filter never hides its own options
+        filterOptions: this.getFilterOptions(scopedJobs, customersById),
+
+        // Per-company totals for the super-admin cross-company view
+        companyRollup: scope.type === 'all'
+          ? this.calculateCompanyRollup(jobs, previousJobs, customers, ratings, companiesResult?.companies || {})
+          : [],
+
         // Monthly trends
-        monthlyTrends: this.calculateMonthlyTrends(jobs, dateRange),
-        
+        monthlyTrends: this.calculateMonthlyTrends(allJobs, ratings),
+
         // Top customers
-        topCustomers: this.calculateTopCustomers(customers, jobs),
-        
-        // Performance metrics
-        onTimeCompletionRate: this.calculateOnTimeCompletionRate(jobs),
-        customerSatisfactionScore: this.calculateCustomerSatisfactionScore(jobs)
+        topCustomers: this.calculateTopCustomers(customers, jobs)
       };
 
       return {
         success: true,
         analytics,
-        dateRange: { startDate, endDate }
+        scope,
+        filters,
+        fiscalYearStartMonth,
+        dateRange: { startDate, endDate },
+        comparisonRange: { ...comparisonRange, comparison }
       };
     } catch (error) {
       console.error('Error getting business analytics:', error);
@@ -106,30 +294,73 @@ class ReportingService {
     }
   }
 
+  // Fiscal years are set per company; the cross-company view and users without a company use calendar years
+  static async getFiscalYearStartMonthForScope(scope) {
+    if (!scope.companyId) {
+      return 1;
+    }
+    const result = await CompanyService.getFiscalYearStartMonth(scope.companyId);
+    return result.fiscalYearStartMonth;
+  }
+
+  // teamMembers doc id -> user id for the scope. JobManagementPage assigns jobs by
+  // teamMembers doc id while other screens use the user id (see
+  // SchedulingRulesService.getTeamMember), so assignees are mapped before grouping.
+  static async getTeamMemberUserIds(scope) {
+    if (scope.type === 'user') {
+      return new Map();
+    }
+
+    try {
+      const teamQuery = scope.companyId
+        ? query(collection(db, 'teamMembers'), where('companyId', '==', scope.companyId))
+        : query(collection(db, 'teamMembers'));
+      const querySnapshot = await getDocs(teamQuery);
+      const userIds = new Map();
+
+      querySnapshot.forEach((doc) => {
+        const memberUserId = doc.data().userId;
+        if (memberUserId) {
+          userIds.set(doc.id, memberUserId);
+        }
+      });
+
+      return userIds;
+    } catch (error) {
+      console.error('Error getting team members for analytics:', error);
+      return new Map();
+    }
+  }
+
+  // Jobs with assignedTo resolved to the technician's user id where it holds a teamMembers doc id
+  static normalizeJobAssignees(jobs, memberUserIds) {
+    return jobs.map(job => (
+      memberUserIds.has(job.assignedTo) ? { ...job, assignedTo: memberUserIds.get(job.assignedTo) } : job
+    ));
+  }
+
   // Get jobs for analytics
-  static async getJobsForAnalytics(userId, startDate, endDate) {
+  static async getJobsForAnalytics(scope, startDate, endDate) {
     try {
       // Remove orderBy to avoid composite index requirement - sort client-side
-      const q = query(
-        collection(db, 'jobs'),
-        where('userId', '==', userId)
-      );
+      const [querySnapshot, memberUserIds] = await Promise.all([
+        getDocs(this.getScopedQuery('jobs', scope)),
+        this.getTeamMemberUserIds(scope)
+      ]);
+      const rawJobs = [];
 
-      const querySnapshot = await getDocs(q);
-      const jobs = [];
-      
       querySnapshot.forEach((doc) => {
-        const jobData = doc.data();
-        const jobDate = new Date(jobData.date);
-        
-        // Filter by date range
-        if (jobDate >= startDate && jobDate <= endDate) {
-          jobs.push({ id: doc.id, ...jobData });
-        }
+        rawJobs.push({ id: doc.id, ...doc.data() });
       });
+      // A field tech's jobs may be assigned under their teamMembers doc id or their user id
+      const jobs = this.normalizeJobAssignees(rawJobs, memberUserIds);
+      const jobsInScope = scope.type === 'technician'
+        ? jobs.filter(job => job.assignedTo === scope.userId || job.userId === scope.userId)
+        : jobs;
+      const jobsInRange = this.filterJobsByDate(jobsInScope, startDate, endDate);
 
       // Sort by date descending client-side
-      jobs.sort((a, b) => {
+      jobsInRange.sort((a, b) => {
         const dateA = new Date(a.date || 0);
         const dateB = new Date(b.date || 0);
         return dateB - dateA;
@@ -137,7 +368,7 @@ class ReportingService {
 
       return {
         success: true,
-        jobs
+        jobs: jobsInRange
       };
     } catch (error) {
       console.error('Error getting jobs for analytics:', error);
@@ -148,17 +379,77 @@ class ReportingService {
     }
   }
 
-  // Get customers for analytics
-  static async getCustomersForAnalytics(userId) {
+  // A plain 'YYYY-MM-DD' job date is a local calendar day, not UTC midnight
+  static getJobDate(job) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(job.date || '') ? this.parseDateInput(job.date) : new Date(job.date);
+  }
+
+  // Jobs whose date falls within [startDate, endDate]
+  static filterJobsByDate(jobs, startDate, endDate) {
+    return jobs.filter(job => {
+      const jobDate = this.getJobDate(job);
+      return jobDate >= startDate && jobDate <= endDate;
+    });
+  }
+
+  // Narrow jobs to the selected technician, service type and location
+  static applyAnalyticsFilters(jobs, filters, customersById) {
+    return jobs.filter(job =>
+      (!filters.technicianId || this.getJobTechnician(job).key === filters.technicianId) &&
+      (!filters.serviceType || this.getJobServiceType(job).key === filters.serviceType) &&
+      (!filters.location || this.getJobLocation(job, customersById).key === filters.location)
+    );
+  }
+
+  // Get the ratings customers left for jobs in scope (CustomerPortalService.submitJobRating)
+  static async getRatingsForAnalytics(scope) {
     try {
-      const q = query(
-        collection(db, 'customers'),
-        where('userId', '==', userId)
-      );
+      // Ratings are always filed under a company
+      if (scope.type === 'user') {
+        return { success: true, ratings: [] };
+      }
+
+      const querySnapshot = await getDocs(this.getScopedQuery('jobRatings', scope));
+
+      return {
+        success: true,
+        ratings: querySnapshot.docs.map(ratingDoc => ({ id: ratingDoc.id, ...ratingDoc.data() }))
+      };
+    } catch (error) {
+      console.error('Error getting ratings for analytics:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Company names for the cross-company rollup, keyed by company ID
+  static async getCompanyNamesForAnalytics() {
+    try {
+      const querySnapshot = await getDocs(collection(db, 'companies'));
+      const companies = {};
+
+      querySnapshot.forEach((companyDoc) => {
+        companies[companyDoc.id] = companyDoc.data().name || companyDoc.id;
+      });
+
+      return { success: true, companies };
+    } catch (error) {
+      console.error('Error getting companies for analytics:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 
-      const querySnapshot = await getDocs(q);
+  // Get customers for analytics
+  static async getCustomersForAnalytics(scope) {
+    try {
+      const querySnapshot = await getDocs(this.getScopedQuery('customers', this.getOwnRecordsScope(scope)));
       const customers = [];
-      
+
       querySnapshot.forEach((doc) => {
         customers.push({ id: doc.id, ...doc.data() });
       });
@@ -177,21 +468,16 @@ class ReportingService {
   }
 
   // Get estimates for analytics
-  static async getEstimatesForAnalytics(userId, startDate, endDate) {
+  static async getEstimatesForAnalytics(scope, startDate, endDate) {
     try {
       // Remove orderBy to avoid composite index requirement - sort client-side
-      const q = query(
-        collection(db, 'estimates'),
-        where('userId', '==', userId)
-      );
-
-      const querySnapshot = await getDocs(q);
+      const querySnapshot = await getDocs(this.getScopedQuery('estimates', this.getOwnRecordsScope(scope)));
       const estimates = [];
-      
+
       querySnapshot.forEach((doc) => {
         const estimateData = doc.data();
         const estimateDate = new Date(estimateData.createdAt);
-        
+
         // Filter by date range
         if (estimateDate >= startDate && estimateDate <= endDate) {
           estimates.push({ id: doc.id, ...estimateData });
@@ -218,38 +504,213 @@ class ReportingService {
     }
   }
 
-  // Calculate date range
-  static getDateRange(range) {
-    const now = new Date();
+  // Calculate date range. Each keyword is the whole calendar period containing
+  // `now`, from its first day to the end of its last day; quarters and years
+  // follow the company's fiscal year. 'custom' uses startDate/endDate
+  // ('YYYY-MM-DD' strings or Dates), both days included.
+  static getDateRange(range, { now = new Date(), fiscalYearStartMonth = 1, startDate: customStart, endDate: customEnd } = {}) {
     let startDate, endDate;
 
     switch (range) {
       case 'week':
-        startDate = new Date(now);
-        startDate.setDate(now.getDate() - 7);
-        endDate = new Date(now);
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        startDate = this.startOfWeek(now);
+        endDate = this.endOfDay(this.shiftDays(startDate, 6));
         break;
       case 'quarter':
-        const quarter = Math.floor(now.getMonth() / 3);
-        startDate = new Date(now.getFullYear(), quarter * 3, 1);
-        endDate = new Date(now.getFullYear(), quarter * 3 + 3, 0);
+      case 'year': {
+        const monthsIntoYear = (now.getMonth() - (fiscalYearStartMonth - 1) + 12) % 12;
+        const monthsBack = range === 'quarter' ? monthsIntoYear % 3 : monthsIntoYear;
+        const length = range === 'quarter' ? 3 : 12;
+        startDate = new Date(now.getFullYear(), now.getMonth() - monthsBack, 1);
+        endDate = new Date(startDate.getFullYear(), startDate.getMonth() + length, 0, 23, 59, 59, 999);
         break;
-      case 'year':
-        startDate = new Date(now.getFullYear(), 0, 1);
-        endDate = new Date(now.getFullYear(), 11, 31);
+      }
+      case 'custom':
+        startDate = this.parseDateInput(customStart);
+        endDate = this.parseDateInput(customEnd);
+        if (!startDate || !endDate) {
+          throw new Error('Choose a start and end date');
+        }
+        if (startDate > endDate) {
+          throw new Error('Start date must be on or before the end date');
+        }
+        endDate = this.endOfDay(endDate);
         break;
+      case 'month':
       default:
         startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+        endDate = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
     }
 
     return { startDate, endDate };
   }
 
+  /**
+   * The period a range is compared with. 'previous_period' is the preceding
+   * week, month, quarter or year, or for custom ranges the same number of days
+   * immediately before; 'previous_year' is the same dates a year earlier.
+   * A period still in progress is compared with the same elapsed span of the
+   * other one (month-to-date against the same days last month), not with the
+   * whole period.
+   * @returns {{startDate: Date, endDate: Date}}
+   */
+  static getComparisonRange(range, startDate, endDate, now = new Date(), comparison = 'previous_period') {
+    const elapsedEnd = endDate < now ? endDate : now;
+
+    if (comparison === 'previous_year') {
+      return {
+        startDate: this.shiftMonths(startDate, -12),
+        endDate: this.shiftMonths(elapsedEnd, -12)
+      };
+    }
+
+    if (range === 'week' || range === 'custom') {
+      const days = range === 'week' ? 7 : this.countDays(startDate, endDate);
+      return {
+        startDate: this.shiftDays(startDate, -days),
+        endDate: this.shiftDays(elapsedEnd, -days)
+      };
+    }
+
+    const monthsBack = { quarter: 3, year: 12 }[range] || 1;
+    return {
+      startDate: this.shiftMonths(startDate, -monthsBack),
+      endDate: this.shiftMonths(elapsedEnd, -monthsBack)
+    };
+  }
+
+  static getComparisonLabel(comparison) {
+    return comparison === 'previous_year' ? 'vs same period last year' : 'vs prior period';
+  }
+
+  // Dates the "this week" and "this month" figures are compared at: the week and
+  // month before, or the same week and month a year earlier
+  static getCalendarComparisonDates(comparison, now = new Date()) {
+    if (comparison === 'previous_year') {
+      const yearAgo = this.shiftMonths(now, -12);
+      return { weekOf: yearAgo, monthOf: yearAgo };
+    }
+    return { weekOf: this.shiftDays(now, -7), monthOf: this.shiftMonths(now, -1) };
+  }
+
+  // 'YYYY-MM-DD' is read as a local date, so a custom range starts at local midnight
+  static parseDateInput(value) {
+    if (value instanceof Date) {
+      return Number.isNaN(value.getTime()) ? null : new Date(value.getFullYear(), value.getMonth(), value.getDate());
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value || '');
+    return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+  }
+
+  static startOfWeek(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - start.getDay());
+    return start;
+  }
+
+  static endOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 23, 59, 59, 999);
+  }
+
+  static shiftDays(date, days) {
+    const shifted = new Date(date);
+    shifted.setDate(shifted.getDate() + days);
+    return shifted;
+  }
+
+  // Calendar days from startDate to endDate, both included
+  static countDays(startDate, endDate) {
+    const start = new Date(startDate.getFullYear(), startDate.getMonth(), startDate.getDate());
+    const end = new Date(endDate.getFullYear(), endDate.getMonth(), endDate.getDate());
+    return Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+  }
+
+  // Move a date by whole months, clamping the day (Mar 31 - 1 month = Feb 28/29)
+  static shiftMonths(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1,
+      date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    target.setDate(Math.min(date.getDate(), lastDay));
+    return target;
+  }
+
+  /**
+   * Change from a previous value. percentage is null when there is nothing to
+   * compare against, rather than a misleading 0% or infinite growth.
+   */
+  static calculateChange(current, previous) {
+    return {
+      change: current - previous,
+      percentage: previous > 0 ? ((current - previous) / previous) * 100 : null
+    };
+  }
+
+  // The scalar metrics for one period; run once for the selected period and once for the comparison
+  static calculatePeriodMetrics({ jobs, customers, estimates, ratings, startDate, endDate }) {
+    const existingCustomers = this.getCustomersAsOf(customers, endDate);
+
+    return {
+      // Revenue metrics
+      totalRevenue: this.calculateTotalRevenue(jobs),
+      averageJobValue: this.calculateAverageJobValue(jobs),
+
+      // Job metrics
+      totalJobs: jobs.length,
+      completedJobs: jobs.filter(job => job.status === 'completed').length,
+      completionRate: this.calculateCompletionRate(jobs),
+      onTimeCompletionRate: this.calculateOnTimeCompletionRate(jobs),
+      averageJobDuration: this.calculateAverageJobDuration(jobs),
+      averageTravelTime: this.calculateAverageTravelTime(jobs),
+      averageRating: this.calculateCustomerSatisfactionScore(jobs, ratings).average,
+
+      // Customer metrics
+      totalCustomers: existingCustomers.length,
+      activeCustomers: existingCustomers.filter(customer => customer.isActive).length,
+      newCustomers: this.calculateNewCustomers(customers, startDate, endDate),
+      customerRetentionRate: this.calculateCustomerRetentionRate(existingCustomers, jobs),
+
+      // Estimate metrics
+      totalEstimates: estimates.length,
+      estimateConversionRate: this.calculateEstimateConversionRate(estimates, jobs),
+      averageEstimateValue: this.calculateAverageEstimateValue(estimates)
+    };
+  }
+
+  // "This week" and "this month" figures, as of the given dates
+  static calculateCalendarMetrics(jobs, weekOf = new Date(), monthOf = new Date()) {
+    return {
+      jobsThisWeek: this.calculateJobsThisWeek(jobs, weekOf),
+      jobsThisMonth: this.calculateJobsThisMonth(jobs, monthOf),
+      revenueThisWeek: this.calculateRevenueThisWeek(jobs, weekOf),
+      revenueThisMonth: this.calculateRevenueThisMonth(jobs, monthOf)
+    };
+  }
+
+  // { current, comparison, change, percentage } for each metric; change and
+  // percentage are null when either side has no value (e.g. no ratings)
+  static compareMetrics(current, previous) {
+    return Object.keys(this.METRICS).reduce((comparison, key) => {
+      const value = current[key] ?? null;
+      const previousValue = previous[key] ?? null;
+      comparison[key] = value === null || previousValue === null
+        ? { current: value, comparison: previousValue, change: null, percentage: null }
+        : { current: value, comparison: previousValue, ...this.calculateChange(value, previousValue) };
+      return comparison;
+    }, {});
+  }
+
+  // Customers already on the books at a date; records without a createdAt always count
+  static getCustomersAsOf(customers, date) {
+    return customers.filter(customer => !customer.createdAt || new Date(customer.createdAt) <= date);
+  }
+
+  static filterByCreatedAt(records, startDate, endDate) {
+    return records.filter(record => {
+      const createdAt = new Date(record.createdAt);
+      return createdAt >= startDate && createdAt <= endDate;
+    });
+  }
+
   // Revenue calculations
   static calculateTotalRevenue(jobs) {
     return jobs
@@ -265,13 +726,19 @@ class ReportingService {
     return totalRevenue / completedJobs.length;
   }
 
-  static calculateRevenueGrowth(jobs, range) {
-    // This would compare current period to previous period
-    // For now, return a placeholder calculation
+  // Revenue against the comparison period, with the completed jobs behind each figure
+  static calculateRevenueGrowth(jobs, previousJobs) {
     const currentRevenue = this.calculateTotalRevenue(jobs);
+    const previousRevenue = this.calculateTotalRevenue(previousJobs);
+    const { change, percentage } = this.calculateChange(currentRevenue, previousRevenue);
+
     return {
-      percentage: 12.5, // Placeholder
-      amount: currentRevenue * 0.125
+      percentage,
+      amount: change,
+      currentRevenue,
+      previousRevenue,
+      sampleSize: jobs.filter(job => job.status === 'completed').length,
+      previousSampleSize: previousJobs.filter(job => job.status === 'completed').length
     };
   }
 
@@ -282,14 +749,31 @@ class ReportingService {
     return (completedJobs / jobs.length) * 100;
   }
 
+  // Hours on site per completed job, from the status history. Jobs finished
+  // before statuses were tracked fall back to the hours the tech entered.
   static calculateAverageJobDuration(jobs) {
-    const jobsWithDuration = jobs.filter(job => job.actualHours);
-    if (jobsWithDuration.length === 0) return 0;
-    
-    const totalHours = jobsWithDuration.reduce((total, job) => 
-      total + (parseFloat(job.actualHours) || 0), 0);
-    
-    return totalHours / jobsWithDuration.length;
+    const durations = jobs
+      .filter(job => job.status === 'completed')
+      .map(job => {
+        const timeline = getJobTimeline(job);
+        if (timeline.hasOnSite) return timeline.onSiteMinutes / 60;
+        return parseFloat(job.actualHours) || null;
+      })
+      .filter(hours => hours !== null);
+    if (durations.length === 0) return 0;
+
+    return durations.reduce((total, hours) => total + hours, 0) / durations.length;
+  }
+
+  // Hours between leaving for a job and arriving on site
+  static calculateAverageTravelTime(jobs) {
+    const durations = jobs
+      .map(job => getJobTimeline(job))
+      .filter(timeline => timeline.hasTravel)
+      .map(timeline => timeline.travelMinutes / 60);
+    if (durations.length === 0) return 0;
+
+    return durations.reduce((total, hours) => total + hours, 0) / durations.length;
   }
 
   // Customer calculations
@@ -339,53 +823,25 @@ class ReportingService {
     return totalValue / estimates.length;
   }
 
-  // Time-based calculations
-  static calculateJobsThisWeek(jobs) {
-    const now = new Date();
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - now.getDay());
-    startOfWeek.setHours(0, 0, 0, 0);
-    
-    return jobs.filter(job => {
-      const jobDate = new Date(job.date);
-      return jobDate >= startOfWeek;
-    }).length;
+  // Time-based calculations: the calendar week or month containing `now`
+  static calculateJobsThisWeek(jobs, now = new Date()) {
+    const { startDate, endDate } = this.getDateRange('week', { now });
+    return this.filterJobsByDate(jobs, startDate, endDate).length;
   }
 
-  static calculateJobsThisMonth(jobs) {
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    
-    return jobs.filter(job => {
-      const jobDate = new Date(job.date);
-      return jobDate >= startOfMonth;
-    }).length;
+  static calculateJobsThisMonth(jobs, now = new Date()) {
+    const { startDate, endDate } = this.getDateRange('month', { now });
+    return this.filterJobsByDate(jobs, startDate, endDate).length;
   }
 
-  static calculateRevenueThisWeek(jobs) {
-    const now = new Date();
-    const startOfWeek = new Date(now);
-    startOfWeek.setDate(now.getDate() - now.getDay());
-    startOfWeek.setHours(0, 0, 0, 0);
-    
-    return jobs
-      .filter(job => {
-        const jobDate = new Date(job.date);
-        return jobDate >= startOfWeek && job.status === 'completed';
-      })
-      .reduce((total, job) => total + (parseFloat(job.totalCost) || 0), 0);
+  static calculateRevenueThisWeek(jobs, now = new Date()) {
+    const { startDate, endDate } = this.getDateRange('week', { now });
+    return this.calculateTotalRevenue(this.filterJobsByDate(jobs, startDate, endDate));
   }
 
-  static calculateRevenueThisMonth(jobs) {
-    const now = new Date();
-    const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-    
-    return jobs
-      .filter(job => {
-        const jobDate = new Date(job.date);
-        return jobDate >= startOfMonth && job.status === 'completed';
-      })
-      .reduce((total, job) => total + (parseFloat(job.totalCost) || 0), 0);
+  static calculateRevenueThisMonth(jobs, now = new Date()) {
+    const { startDate, endDate } = this.getDateRange('month', { now });
+    return this.calculateTotalRevenue(this.filterJobsByDate(jobs, startDate, endDate));
   }
 
   // Breakdown calculations
@@ -402,57 +858,168 @@ class ReportingService {
   }
 
   static calculateStatusBreakdown(jobs) {
-    const breakdown = {
-      scheduled: 0,
-      'in-progress': 0,
-      completed: 0,
-      cancelled: 0
-    };
+    const breakdown = JOB_STATUS_OPTIONS.reduce((acc, option) => ({ ...acc, [option.value]: 0 }), {});
     
     jobs.forEach(job => {
-      const status = job.status || 'unknown';
-      if (breakdown.hasOwnProperty(status)) {
-        breakdown[status]++;
-      }
+      breakdown[mapLegacyJobStatus(job.status)]++;
     });
     
     return Object.entries(breakdown)
       .map(([status, count]) => ({ status, count }));
   }
 
-  // Trend calculations
-  static calculateMonthlyTrends(jobs, range) {
-    const trends = [];
-    const months = [];
-    
-    // Generate last 6 months
-    for (let i = 5; i >= 0; i--) {
-      const date = new Date();
-      date.setMonth(date.getMonth() - i);
-      const monthKey = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
-      months.push(monthKey);
+  // Breakdown dimensions: each returns { key, label } for a job
+  static getJobTechnician(job) {
+    if (!job.assignedTo) {
+      return { key: 'unassigned', label: 'Unassigned' };
     }
-    
-    months.forEach(month => {
-      const monthJobs = jobs.filter(job => {
-        const jobDate = new Date(job.date);
-        const jobMonth = `${jobDate.getFullYear()}-${String(jobDate.getMonth() + 1).padStart(2, '0')}`;
-        return jobMonth === month;
+    return { key: job.assignedTo, label: job.assignedToName || 'Unnamed technician' };
+  }
+
+  static getJobServiceType(job) {
+    const serviceType = (job.serviceType || '').trim();
+    return serviceType ? { key: serviceType, label: serviceType } : { key: 'unknown', label: 'Unknown' };
+  }
+
+  // City and state from the customer record, or parsed from the job's "street, city, state zip" address
+  static getJobLocation(job, customersById = new Map()) {
+    const customer = job.customerId ? customersById.get(job.customerId) : null;
+    let city = (customer?.city || '').trim();
+    let state = (customer?.state || '').trim();
+
+    if (!city) {
+      const parts = (job.address || '').split(',').map(part => part.trim()).filter(Boolean);
+      if (parts.length >= 3) {
+        city = parts[parts.length - 2];
+        state = parts[parts.length - 1].split(/\s+/)[0];
+      }
+    }
+
+    if (!city) {
+      return { key: 'unknown', label: 'Unknown' };
+    }
+    const label = state ? `${city}, ${state.toUpperCase()}` : city;
+    return { key: label.toLowerCase(), label };
+  }
+
+  // Jobs, completions and revenue grouped by one dimension, highest revenue first
+  static calculateBreakdown(jobs, getGroup) {
+    const groups = new Map();
+
+    jobs.forEach(job => {
+      const { key, label } = getGroup(job);
+      if (!groups.has(key)) {
+        groups.set(key, { key, label, jobs: [] });
+      }
+      groups.get(key).jobs.push(job);
+    });
+
+    return [...groups.values()]
+      .map(group => ({
+        key: group.key,
+        label: group.label,
+        jobs: group.jobs.length,
+        completedJobs: group.jobs.filter(job => job.status === 'completed').length,
+        revenue: this.calculateTotalRevenue(group.jobs),
+        averageJobValue: this.calculateAverageJobValue(group.jobs),
+        completionRate: this.calculateCompletionRate(group.jobs)
+      }))
+      .sort((a, b) => b.revenue - a.revenue || b.jobs - a.jobs);
+  }
+
+  static getFilterOptions(jobs, customersById) {
+    const collect = (getGroup) => {
+      const options = new Map();
+      jobs.forEach(job => {
+        const { key, label } = getGroup(job);
+        options.set(key, label);
       });
-      
-      const revenue = monthJobs
-        .filter(job => job.status === 'completed')
-        .reduce((total, job) => total + (parseFloat(job.totalCost) || 0), 0);
-      
-      trends.push({
-        month,
-        jobs: monthJobs.length,
-        revenue,
-        completedJobs: monthJobs.filter(job => job.status === 'completed').length
+      return [...options.entries()]
+        .map(([value, label]) => ({ value, label }))
+        .sort((a, b) => a.label.localeCompare(b.label));
+    };
+
+    return {
+      technicians: collect(job => this.getJobTechnician(job)),
+      serviceTypes: collect(job => this.getJobServiceType(job)),
+      locations: collect(job => this.getJobLocation(job, customersById))
+    };
+  }
+
+  // Headline figures per company for the super-admin rollup, highest revenue first
+  static calculateCompanyRollup(jobs, previousJobs, customers, ratings, companyNames = {}) {
+    const companyIds = new Set([
+      ...jobs.map(job => job.companyId),
+      ...customers.map(customer => customer.companyId)
+    ].filter(Boolean));
+
+    return [...companyIds]
+      .map(companyId => {
+        const companyJobs = jobs.filter(job => job.companyId === companyId);
+        const growth = this.calculateRevenueGrowth(
+          companyJobs,
+          previousJobs.filter(job => job.companyId === companyId)
+        );
+
+        return {
+          companyId,
+          companyName: companyNames[companyId] || companyId,
+          jobs: companyJobs.length,
+          completedJobs: growth.sampleSize,
+          completionRate: this.calculateCompletionRate(companyJobs),
+          revenue: growth.currentRevenue,
+          previousRevenue: growth.previousRevenue,
+          revenueGrowth: growth.percentage,
+          customers: customers.filter(customer => customer.companyId === companyId).length,
+          averageRating: this.calculateCustomerSatisfactionScore(companyJobs, ratings).average
+        };
+      })
+      .sort((a, b) => b.revenue - a.revenue || a.companyName.localeCompare(b.companyName));
+  }
+
+  // The last 6 calendar months plus the month before them, which the first month is compared with
+  static getTrendMonths(count = 6, now = new Date()) {
+    const months = [];
+    for (let i = count; i >= 0; i--) {
+      const startDate = new Date(now.getFullYear(), now.getMonth() - i, 1);
+      const endDate = new Date(now.getFullYear(), now.getMonth() - i + 1, 0, 23, 59, 59, 999);
+      months.push({
+        month: `${startDate.getFullYear()}-${String(startDate.getMonth() + 1).padStart(2, '0')}`,
+        startDate,
+        endDate
       });
+    }
+    return months;
+  }
+
+  // Trend calculations: each month is compared with the one before it,
+  // the same way the headline figures are compared with the prior period
+  static calculateMonthlyTrends(jobs, ratings = []) {
+    const months = this.getTrendMonths().map(({ month, startDate, endDate }) => {
+      const monthJobs = this.filterJobsByDate(jobs, startDate, endDate);
+      return {
+        month,
+        monthJobs,
+        revenue: this.calculateTotalRevenue(monthJobs),
+        satisfaction: this.calculateCustomerSatisfactionScore(monthJobs, ratings)
+      };
+    });
+
+    return months.slice(1).map((current, index) => {
+      const previous = months[index];
+      return {
+        month: current.month,
+        jobs: current.monthJobs.length,
+        revenue: current.revenue,
+        completedJobs: current.monthJobs.filter(job => job.status === 'completed').length,
+        revenueGrowth: this.calculateChange(current.revenue, previous.revenue).percentage,
+        averageRating: current.satisfaction.average,
+        ratingCount: current.satisfaction.count,
+        ratingChange: current.satisfaction.average !== null && previous.satisfaction.average !== null
+          ? current.satisfaction.average - previous.satisfaction.average
+          : null
+      };
     });
-    
-    return trends;
   }
 
   // Top customers calculation
@@ -493,16 +1060,625 @@ class ReportingService {
     return (onTimeJobs / completedJobs.length) * 100;
   }
 
-  static calculateCustomerSatisfactionScore(jobs) {
-    // Placeholder calculation - would need actual rating data
+  // Average star rating customers gave the given jobs; average is null when none were rated
+  static calculateCustomerSatisfactionScore(jobs, ratings = []) {
+    const jobIds = new Set(jobs.map(job => job.id));
+    const scores = ratings
+      .filter(rating => jobIds.has(rating.jobId))
+      .map(rating => Number(rating.rating))
+      .filter(score => score >= 1 && score <= 5);
+
+    return {
+      average: scores.length > 0 ? scores.reduce((total, score) => total + score, 0) / scores.length : null,
+      count: scores.length
+    };
+  }
+
+  // Satisfaction for the period and the comparison period; change is in stars
+  static calculateSatisfactionComparison(jobs, previousJobs, ratings = []) {
+    const current = this.calculateCustomerSatisfactionScore(jobs, ratings);
+    const previous = this.calculateCustomerSatisfactionScore(previousJobs, ratings);
+
+    return {
+      average: current.average,
+      count: current.count,
+      previousAverage: previous.average,
+      previousCount: previous.count,
+      change: current.average !== null && previous.average !== null ? current.average - previous.average : null
+    };
+  }
+
+  // Per-technician productivity for a period: jobs, revenue, billable against
+  // scheduled hours, rating, callbacks, drive time and miles from GPS tracking
+  // (LocationService.getRouteStatistics) and on-site time from the job status
+  // history. dateRange and options are the same as for getBusinessAnalytics.
+  static async getTechnicianPerformance(dateRange = 'month', options = {}) {
+    try {
+      const userId = this.getCurrentUserId();
+      const now = new Date();
+      const userProfile = await this.getCurrentUserProfile();
+      const scope = this.resolveAnalyticsScope(userProfile, userId, options.companyId || null);
+      const filters = {
+        technicianId: options.technicianId || '',
+        serviceType: options.serviceType || '',
+        location: options.location || ''
+      };
+
+      const fiscalYearStartMonth = await this.getFiscalYearStartMonthForScope(scope);
+      const { startDate, endDate } = this.getDateRange(dateRange, {
+        now,
+        fiscalYearStartMonth,
+        startDate: options.startDate,
+        endDate: options.endDate
+      });
+      // Jobs after the period are loaded too, so a return visit soon after still counts as a callback
+      const callbackWindowEnd = this.shiftDays(endDate, this.CALLBACK_WINDOW_DAYS);
+
+      const [jobsResult, customersResult, ratingsResult, teamResult] = await Promise.all([
+        this.getJobsForAnalytics(scope, startDate, callbackWindowEnd),
+        this.getCustomersForAnalytics(scope),
+        this.getRatingsForAnalytics(scope),
+        scope.type === 'company' ? CompanyService.getTeamMembers(scope.companyId) : Promise.resolve(null)
+      ]);
+
+      if (!jobsResult.success) {
+        return {
+          success: false,
+          error: 'Failed to fetch technician data'
+        };
+      }
+
+      const customersById = new Map((customersResult.customers || []).map(customer => [customer.id, customer]));
+      // Jobs arrive keyed by technician user id, which is also what GPS tracking is recorded under
+      const windowJobs = this.applyAnalyticsFilters(jobsResult.jobs, filters, customersById);
+      const jobs = this.filterJobsByDate(windowJobs, startDate, endDate);
+      const ratings = ratingsResult.success ? ratingsResult.ratings : [];
+
+      // Everyone with jobs in the period, plus the company's field techs who had none
+      const technicians = new Map();
+      jobs.forEach(job => {
+        if (job.assignedTo && !technicians.has(job.assignedTo)) {
+          technicians.set(job.assignedTo, {
+            id: job.assignedTo,
+            name: job.assignedToName || 'Unnamed technician',
+            companyId: job.companyId || scope.companyId || null
+          });
+        }
+      });
+      (teamResult?.teamMembers || [])
+        .filter(member => member.userId && member.role === 'field_tech' && member.status !== 'inactive')
+        .filter(member => !filters.technicianId || member.userId === filters.technicianId)
+        .forEach(member => {
+          if (!technicians.has(member.userId)) {
+            technicians.set(member.userId, {
+              id: member.userId,
+              name: member.name || member.email || 'Unnamed technician',
+              companyId: scope.companyId
+            });
+          }
+        });
+
+      // GPS tracking only covers time that has already passed
+      const trackedEnd = endDate < now ? endDate : now;
+      const rows = await Promise.all([...technicians.values()].map(async (technician) => {
+        let routeStats = null;
+        if (technician.companyId && startDate < trackedEnd) {
+          const routeResult = await LocationService.getRouteStatistics(technician.id, technician.companyId, startDate, trackedEnd);
+          routeStats = routeResult.success ? routeResult.stats : null;
+        }
+        return this.calculateTechnicianMetrics(
+          technician,
+          jobs.filter(job => job.assignedTo === technician.id),
+          windowJobs,
+          ratings,
+          routeStats
+        );
+      }));
+
+      rows.sort((a, b) => b.revenue - a.revenue || b.jobsCompleted - a.jobsCompleted || a.name.localeCompare(b.name));
+
+      return {
+        success: true,
+        technicians: rows.map((row, index) => ({ ...row, rank: index + 1 })),
+        totals: this.calculateTechnicianTotals(rows),
+        scope,
+        filters,
+        fiscalYearStartMonth,
+        dateRange: { startDate, endDate }
+      };
+    } catch (error) {
+      console.error('Error getting technician performance:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Hours billed for a completed job: what the tech entered, else the tracked time on site
+  static getBillableMinutes(job) {
+    const entered = JobManagementService.parseDurationMinutes(job.actualHours, null);
+    if (entered) return entered;
+    return getJobTimeline(job).onSiteMinutes;
+  }
+
+  static getScheduledMinutes(job) {
+    if (['cancelled', 'no_show'].includes(job.status)) return 0;
+    return JobManagementService.parseDurationMinutes(job.duration || job.estimatedDuration, null) || 0;
+  }
+
+  /**
+   * Completed jobs that needed a return visit: another job for the same
+   * customer and service type dated within CALLBACK_WINDOW_DAYS after it.
+   * The callback counts against whoever completed the original job.
+   * @returns {Array<Object>} The original jobs
+   */
+  static findCallbacks(completedJobs, allJobs) {
+    const windowMs = this.CALLBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+
+    return completedJobs.filter(job => {
+      if (!job.customerId) return false;
+      const jobDate = this.getJobDate(job);
+      const serviceType = this.getJobServiceType(job).key;
+
+      return allJobs.some(other => {
+        if (other.id === job.id || other.customerId !== job.customerId) return false;
+        if (this.getJobServiceType(other).key !== serviceType) return false;
+        const gap = this.getJobDate(other) - jobDate;
+        return gap > 0 && gap <= windowMs;
+      });
+    });
+  }
+
+  static calculateTechnicianMetrics(technician, jobs, allJobs, ratings, routeStats) {
     const completedJobs = jobs.filter(job => job.status === 'completed');
-    return completedJobs.length > 0 ? 4.7 : 0; // Placeholder score
+    const timelines = jobs.map(job => getJobTimeline(job));
+    const scheduledMinutes = jobs.reduce((total, job) => total + this.getScheduledMinutes(job), 0);
+    const billableMinutes = completedJobs.reduce((total, job) => total + this.getBillableMinutes(job), 0);
+    const callbacks = this.findCallbacks(completedJobs, allJobs);
+    const satisfaction = this.calculateCustomerSatisfactionScore(jobs, ratings);
+
+    return {
+      technicianId: technician.id,
+      name: technician.name,
+      jobsAssigned: jobs.length,
+      jobsCompleted: completedJobs.length,
+      completionRate: this.calculateCompletionRate(jobs),
+      revenue: this.calculateTotalRevenue(jobs),
+      averageJobValue: this.calculateAverageJobValue(jobs),
+      scheduledHours: scheduledMinutes / 60,
+      billableHours: billableMinutes / 60,
+      utilization: scheduledMinutes > 0 ? (billableMinutes / scheduledMinutes) * 100 : null,
+      onSiteHours: timelines.reduce((total, timeline) => total + timeline.onSiteMinutes, 0) / 60,
+      travelHours: timelines.reduce((total, timeline) => total + timeline.travelMinutes, 0) / 60,
+      driveHours: routeStats ? routeStats.driveTime / 60 : null,
+      miles: routeStats ? routeStats.totalMiles : null,
+      averageRating: satisfaction.average,
+      ratingCount: satisfaction.count,
+      callbacks: callbacks.length,
+      callbackRate: completedJobs.length > 0 ? (callbacks.length / completedJobs.length) * 100 : 0,
+      callbackJobIds: callbacks.map(job => job.id)
+    };
+  }
+
+  static calculateTechnicianTotals(rows) {
+    const sum = (field) => rows.reduce((total, row) => total + (row[field] || 0), 0);
+    const scheduledHours = sum('scheduledHours');
+    const billableHours = sum('billableHours');
+    const jobsCompleted = sum('jobsCompleted');
+    const ratingCount = sum('ratingCount');
+
+    return {
+      technicians: rows.length,
+      jobsAssigned: sum('jobsAssigned'),
+      jobsCompleted,
+      revenue: sum('revenue'),
+      scheduledHours,
+      billableHours,
+      utilization: scheduledHours > 0 ? (billableHours / scheduledHours) * 100 : null,
+      onSiteHours: sum('onSiteHours'),
+      driveHours: sum('driveHours'),
+      miles: sum('miles'),
+      averageRating: ratingCount > 0
+        ? rows.reduce((total, row) => total + (row.averageRating || 0) * row.ratingCount, 0) / ratingCount
+        : null,
+      ratingCount,
+      callbacks: sum('callbacks'),
+      callbackRate: jobsCompleted > 0 ? (sum('callbacks') / jobsCompleted) * 100 : 0
+    };
+  }
+
+  /**
+   * Download the technician report as CSV or XLSX
+   * @param {Array<Object>} technicians - Rows from getTechnicianPerformance
+   * @param {string} format - 'csv' or 'xlsx'
+   * @returns {Promise<{success: boolean, filename?: string, error?: string}>}
+   */
+  static async exportTechnicianPerformance(technicians, format = 'csv') {
+    try {
+      const round = (value, digits = 1) => (value === null || value === undefined ? '' : Number(value.toFixed(digits)));
+      const headers = this.TECHNICIAN_COLUMNS.map(column => column.label);
+      const rows = technicians.map(row => this.TECHNICIAN_COLUMNS.map(column => {
+        const value = row[column.key];
+        return typeof value === 'number' ? round(value, column.digits ?? 1) : (value ?? '');
+      }));
+      const filename = `technician-performance-${new Date().toISOString().split('T')[0]}.${format}`;
+
+      if (format === 'xlsx') {
+        // Loaded on demand so the spreadsheet library stays out of the main bundle
+        const XLSX = await import('xlsx');
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([headers, ...rows]), 'Technicians');
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        downloadFile(
+          new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+          filename
+        );
+      } else {
+        downloadFile(toCSV(headers, rows), filename);
+      }
+
+      return { success: true, filename };
+    } catch (error) {
+      console.error('Error exporting technician performance:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export'
+      };
+    }
+  }
+
+  static async generateTechnicianReport(dateRange, options) {
+    const result = await this.getTechnicianPerformance(dateRange, options);
+    if (!result.success) {
+      return result;
+    }
+
+    const { totals } = result;
+    const hours = (value) => (value === null ? 'n/a' : `${value.toFixed(1)} hrs`);
+
+    return {
+      success: true,
+      report: {
+        title: this.getReportTitle('technicians'),
+        generatedAt: new Date().toISOString(),
+        dateRange: result.dateRange,
+        scope: result.scope,
+        filters: result.filters,
+        summary: `Technicians: ${totals.technicians}, Jobs completed: ${totals.jobsCompleted}, ` +
+          `Revenue: $${totals.revenue.toFixed(2)}, Utilization: ` +
+          `${totals.utilization === null ? 'n/a' : `${totals.utilization.toFixed(1)}%`}`,
+        sections: result.technicians.map(row => ({
+          title: `#${row.rank} ${row.name}`,
+          data: [
+            { label: 'Jobs Completed', value: `${row.jobsCompleted} of ${row.jobsAssigned}` },
+            { label: 'Revenue', value: `$${row.revenue.toFixed(2)}` },
+            { label: 'Billable / Scheduled', value: `${hours(row.billableHours)} / ${hours(row.scheduledHours)}` },
+            { label: 'Utilization', value: row.utilization === null ? 'n/a' : `${row.utilization.toFixed(1)}%` },
+            { label: 'On Site', value: hours(row.onSiteHours) },
+            { label: 'Drive Time', value: hours(row.driveHours) },
+            { label: 'Miles', value: row.miles === null ? 'n/a' : row.miles.toFixed(1) },
+            { label: 'Rating', value: row.averageRating === null ? 'No ratings' : `${row.averageRating.toFixed(1)}/5 (${row.ratingCount})` },
+            { label: 'Callbacks', value: `${row.callbacks} (${row.callbackRate.toFixed(1)}%)` }
+          ]
+        }))
+      }
+    };
+  }
+
+  static async getInvoicesForAnalytics(scope) {
+    try {
+      const querySnapshot = await getDocs(this.getScopedQuery('invoices', this.getOwnRecordsScope(scope)));
+      const invoices = querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+      return {
+        success: true,
+        invoices
+      };
+    } catch (error) {
+      console.error('Error getting invoices for analytics:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Aging bucket for an open balance; an invoice without a due date counts as current
+  static getAgingBucket(daysPastDue) {
+    if (daysPastDue === null || daysPastDue <= 0) return 'current';
+    return this.AGING_BUCKETS.find(bucket => bucket.maxDays === null || daysPastDue <= bucket.maxDays).key;
+  }
+
+  static emptyAgingBuckets() {
+    return Object.fromEntries(this.AGING_BUCKETS.map(bucket => [bucket.key, 0]));
+  }
+
+  /**
+   * Accounts receivable aging as of a date: open balances by customer in
+   * current / 1-30 / 31-60 / 61-90 / 90+ day buckets, each with the invoices
+   * behind it, plus days sales outstanding and a collected-vs-billed trend.
+   * Open means sent to the customer (DunningService.DUNNABLE_STATUSES) with a
+   * balance left on the payments ledger.
+   * @param {Object} options - { companyId, asOf }
+   */
+  static async getAccountsReceivableAging(options = {}) {
+    try {
+      const userId = this.getCurrentUserId();
+      const asOf = options.asOf || new Date();
+      const userProfile = await this.getCurrentUserProfile();
+      const scope = this.resolveAnalyticsScope(userProfile, userId, options.companyId || null);
+
+      const invoicesResult = await this.getInvoicesForAnalytics(scope);
+      if (!invoicesResult.success) {
+        return {
+          success: false,
+          error: 'Failed to fetch invoices'
+        };
+      }
+
+      const invoices = invoicesResult.invoices;
+      const customers = new Map();
+      const bucketTotals = this.emptyAgingBuckets();
+      const bucketCounts = this.emptyAgingBuckets();
+
+      invoices
+        .filter(invoice => DunningService.DUNNABLE_STATUSES.includes(invoice.status))
+        .forEach(invoice => {
+          const summary = InvoiceService.computePaymentSummary(invoice);
+          if (summary.balanceDue <= 0) return;
+
+          const daysPastDue = DunningService.getDaysPastDue(invoice, asOf);
+          const bucket = this.getAgingBucket(daysPastDue);
+          const customerKey = invoice.customerId || invoice.customerName || 'unknown';
+
+          if (!customers.has(customerKey)) {
+            customers.set(customerKey, {
+              customerId: invoice.customerId || null,
+              customerName: invoice.customerName || 'Unknown customer',
+              buckets: this.emptyAgingBuckets(),
+              total: 0,
+              oldestDaysPastDue: 0,
+              invoices: []
+            });
+          }
+
+          const customer = customers.get(customerKey);
+          customer.buckets[bucket] = InvoiceService.roundCurrency(customer.buckets[bucket] + summary.balanceDue);
+          customer.total = InvoiceService.roundCurrency(customer.total + summary.balanceDue);
+          customer.oldestDaysPastDue = Math.max(customer.oldestDaysPastDue, daysPastDue || 0);
+          customer.invoices.push({
+            id: invoice.id,
+            invoiceNumber: invoice.invoiceNumber || '',
+            invoiceDate: invoice.invoiceDate || null,
+            dueDate: invoice.dueDate || null,
+            status: summary.status,
+            total: InvoiceService.roundCurrency(invoice.total),
+            amountPaid: summary.amountPaid,
+            balanceDue: summary.balanceDue,
+            daysPastDue,
+            bucket
+          });
+
+          bucketTotals[bucket] = InvoiceService.roundCurrency(bucketTotals[bucket] + summary.balanceDue);
+          bucketCounts[bucket] += 1;
+        });
+
+      const customerRows = [...customers.values()]
+        .map(customer => ({
+          ...customer,
+          invoices: customer.invoices.sort((a, b) => (b.daysPastDue || 0) - (a.daysPastDue || 0))
+        }))
+        .sort((a, b) => b.total - a.total);
+
+      const outstanding = InvoiceService.roundCurrency(
+        Object.values(bucketTotals).reduce((total, amount) => total + amount, 0)
+      );
+
+      return {
+        success: true,
+        asOf: asOf.toISOString(),
+        scope,
+        buckets: this.AGING_BUCKETS.map(bucket => ({
+          key: bucket.key,
+          label: bucket.label,
+          amount: bucketTotals[bucket.key],
+          count: bucketCounts[bucket.key]
+        })),
+        customers: customerRows,
+        totals: {
+          outstanding,
+          overdue: InvoiceService.roundCurrency(outstanding - bucketTotals.current),
+          invoiceCount: Object.values(bucketCounts).reduce((total, count) => total + count, 0),
+          customerCount: customerRows.length
+        },
+        dso: this.calculateDaysSalesOutstanding(invoices, outstanding, asOf),
+        trend: this.calculateCollectionTrend(invoices, asOf)
+      };
+    } catch (error) {
+      console.error('Error getting receivables aging:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Drafts were never sent and cancelled invoices are not owed, so neither counts as billed
+  static isBilledInvoice(invoice) {
+    return !['drafted', 'cancelled'].includes(invoice.status);
+  }
+
+  // Days sales outstanding: receivables over what was billed in the last DSO_DAYS days,
+  // scaled to that many days. Null when nothing was billed.
+  static calculateDaysSalesOutstanding(invoices, outstanding, asOf) {
+    const since = this.shiftDays(asOf, -this.DSO_DAYS);
+    const billed = invoices
+      .filter(invoice => this.isBilledInvoice(invoice))
+      .filter(invoice => {
+        const invoiceDate = new Date(invoice.invoiceDate);
+        return invoiceDate > since && invoiceDate <= asOf;
+      })
+      .reduce((total, invoice) => total + (Number(invoice.total) || 0), 0);
+
+    return billed > 0 ? (outstanding / billed) * this.DSO_DAYS : null;
+  }
+
+  // Billed (by invoice date) against collected (payments net of refunds, by payment date)
+  // for each of the last AR_TREND_MONTHS months
+  static calculateCollectionTrend(invoices, asOf) {
+    const months = [];
+    for (let offset = this.AR_TREND_MONTHS - 1; offset >= 0; offset--) {
+      const start = new Date(asOf.getFullYear(), asOf.getMonth() - offset, 1);
+      months.push({
+        key: `${start.getFullYear()}-${String(start.getMonth() + 1).padStart(2, '0')}`,
+        label: start.toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+        billed: 0,
+        collected: 0
+      });
+    }
+
+    const monthKey = (value) => {
+      const date = new Date(value);
+      return Number.isNaN(date.getTime())
+        ? null
+        : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+    };
+    const byKey = new Map(months.map(month => [month.key, month]));
+
+    invoices.filter(invoice => this.isBilledInvoice(invoice)).forEach(invoice => {
+      const billedMonth = byKey.get(monthKey(invoice.invoiceDate));
+      if (billedMonth) {
+        billedMonth.billed += Number(invoice.total) || 0;
+      }
+
+      (invoice.payments || [])
+        .filter(payment => !payment.voidedAt)
+        .forEach(payment => {
+          const collectedMonth = byKey.get(monthKey(payment.date));
+          if (collectedMonth) {
+            collectedMonth.collected += (payment.type === 'refund' ? -1 : 1) * (Number(payment.amount) || 0);
+          }
+        });
+    });
+
+    return months.map(month => ({
+      ...month,
+      billed: InvoiceService.roundCurrency(month.billed),
+      collected: InvoiceService.roundCurrency(month.collected),
+      collectionRate: month.billed > 0 ? (month.collected / month.billed) * 100 : null
+    }));
+  }
+
+  /**
+   * Download the aging report as PDF or XLSX. The XLSX has a customer summary
+   * sheet and an invoice detail sheet; the PDF lists both.
+   * @param {Object} aging - Result of getAccountsReceivableAging
+   * @param {string} format - 'pdf' or 'xlsx'
+   * @returns {Promise<{success: boolean, filename?: string, error?: string}>}
+   */
+  static async exportAgingReport(aging, format = 'pdf') {
+    try {
+      const asOfLabel = new Date(aging.asOf).toLocaleDateString();
+      const filename = `ar-aging-${aging.asOf.split('T')[0]}.${format}`;
+      const summaryHeaders = ['Customer', ...this.AGING_BUCKETS.map(bucket => bucket.label), 'Total'];
+      const summaryRows = aging.customers.map(customer => [
+        customer.customerName,
+        ...this.AGING_BUCKETS.map(bucket => customer.buckets[bucket.key]),
+        customer.total
+      ]);
+      const totalsRow = ['Total', ...aging.buckets.map(bucket => bucket.amount), aging.totals.outstanding];
+      const invoiceHeaders = ['Customer', 'Invoice', 'Invoice Date', 'Due Date', 'Days Past Due', 'Total', 'Paid', 'Balance'];
+      const invoiceRows = aging.customers.flatMap(customer => customer.invoices.map(invoice => [
+        customer.customerName,
+        invoice.invoiceNumber,
+        invoice.invoiceDate ? new Date(invoice.invoiceDate).toLocaleDateString() : '',
+        invoice.dueDate ? parseDate(invoice.dueDate).toLocaleDateString() : '',
+        Math.max(invoice.daysPastDue || 0, 0),
+        invoice.total,
+        invoice.amountPaid,
+        invoice.balanceDue
+      ]));
+
+      if (format === 'xlsx') {
+        const XLSX = await import('xlsx');
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(
+          workbook,
+          XLSX.utils.aoa_to_sheet([[`AR Aging as of ${asOfLabel}`], summaryHeaders, ...summaryRows, totalsRow]),
+          'Summary'
+        );
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([invoiceHeaders, ...invoiceRows]), 'Invoices');
+        const data = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+        downloadFile(
+          new Blob([data], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }),
+          filename
+        );
+        return { success: true, filename };
+      }
+
+      const money = (amount) => InvoiceService.formatCurrency(amount);
+      const pdf = new jsPDF({ orientation: 'landscape' });
+      const margin = 14;
+
+      pdf.setFontSize(16);
+      pdf.setFont('helvetica', 'bold');
+      pdf.text('Accounts Receivable Aging', margin, 18);
+      pdf.setFontSize(10);
+      pdf.setFont('helvetica', 'normal');
+      pdf.text(
+        `As of ${asOfLabel}  |  Outstanding ${money(aging.totals.outstanding)}  |  ` +
+          `DSO ${aging.dso === null ? 'n/a' : `${aging.dso.toFixed(0)} days`}`,
+        margin,
+        25
+      );
+
+      const tableStyles = {
+        theme: 'grid',
+        headStyles: { fillColor: [59, 130, 246], textColor: [255, 255, 255], fontStyle: 'bold' },
+        footStyles: { fillColor: [243, 244, 246], textColor: [17, 24, 39], fontStyle: 'bold' },
+        styles: { fontSize: 9, cellPadding: 3 }
+      };
+
+      autoTable(pdf, {
+        ...tableStyles,
+        startY: 31,
+        head: [summaryHeaders],
+        body: summaryRows.map(([name, ...amounts]) => [name, ...amounts.map(money)]),
+        foot: [totalsRow.map((value, index) => (index === 0 ? value : money(value)))],
+        columnStyles: Object.fromEntries(summaryHeaders.slice(1).map((_, index) => [index + 1, { halign: 'right' }]))
+      });
+
+      if (invoiceRows.length > 0) {
+        autoTable(pdf, {
+          ...tableStyles,
+          startY: pdf.lastAutoTable.finalY + 10,
+          head: [invoiceHeaders],
+          body: invoiceRows.map(row => [...row.slice(0, 5), ...row.slice(5).map(money)]),
+          columnStyles: { 4: { halign: 'right' }, 5: { halign: 'right' }, 6: { halign: 'right' }, 7: { halign: 'right' } }
+        });
+      }
+
+      pdf.save(filename);
+      return { success: true, filename };
+    } catch (error) {
+      console.error('Error exporting receivables aging:', error);
+      return {
+        success: false,
+        error: error.message || 'Failed to export'
+      };
+    }
   }
 
   // Generate comprehensive report
-  static async generateReport(reportType = 'comprehensive', dateRange = 'month') {
+  // options are passed through to getBusinessAnalytics
+  static async generateReport(reportType = 'comprehensive', dateRange = 'month', options = {}) {
     try {
-      const analyticsResult = await this.getBusinessAnalytics(dateRange);
+      if (reportType === 'technicians') {
+        return await this.generateTechnicianReport(dateRange, options);
+      }
+
+      const analyticsResult = await this.getBusinessAnalytics(dateRange, options);
       
       if (!analyticsResult.success) {
         return analyticsResult;
@@ -515,6 +1691,9 @@ class ReportingService {
         title: this.getReportTitle(reportType),
         generatedAt: new Date().toISOString(),
         dateRange: analyticsResult.dateRange,
+        scope: analyticsResult.scope,
+        filters: analyticsResult.filters,
+        comparisonRange: analyticsResult.comparisonRange,
         summary: this.generateReportSummary(analytics, reportType),
         sections: []
       };
@@ -553,6 +1732,7 @@ class ReportingService {
       revenue: 'Revenue Analysis Report',
       performance: 'Performance Metrics Report',
       customers: 'Customer Analytics Report',
+      technicians: 'Technician Performance Report',
       comprehensive: 'Comprehensive Business Report'
     };
     return titles[reportType] || titles.comprehensive;
@@ -568,6 +1748,73 @@ class ReportingService {
     return summaries[reportType] || summaries.comprehensive;
   }
 
+  static formatGrowth(growth) {
+    const sample = `${growth.sampleSize} vs ${growth.previousSampleSize} completed jobs`;
+    if (growth.percentage === null) {
+      return `n/a, no revenue in comparison period (${sample})`;
+    }
+    return `${growth.percentage >= 0 ? '+' : ''}${growth.percentage.toFixed(1)}% (${sample})`;
+  }
+
+  static formatSatisfaction(satisfaction) {
+    if (satisfaction.average === null) {
+      return 'No ratings yet';
+    }
+    const plural = satisfaction.count === 1 ? '' : 's';
+    return `${satisfaction.average.toFixed(1)}/5 from ${satisfaction.count} rating${plural}`;
+  }
+
+  static formatMetricValue(value, format) {
+    if (value === null || value === undefined) return '—';
+    switch (format) {
+      case 'currency':
+        return `$${value.toFixed(2)}`;
+      case 'percent':
+        return `${value.toFixed(1)}%`;
+      case 'hours':
+        return `${value.toFixed(1)} hours`;
+      case 'rating':
+        return `${value.toFixed(1)}/5`;
+      default:
+        return String(value);
+    }
+  }
+
+  // Rates, hours and ratings change by points; counts and amounts by percent
+  static formatMetricChange(entry, format) {
+    if (!entry || entry.change === null) return 'n/a';
+    const sign = entry.change >= 0 ? '+' : '';
+    switch (format) {
+      case 'percent':
+        return `${sign}${entry.change.toFixed(1)} pts`;
+      case 'hours':
+        return `${sign}${entry.change.toFixed(1)} hours`;
+      case 'rating':
+        return `${sign}${entry.change.toFixed(1)}`;
+      default:
+        if (entry.percentage === null) {
+          return format === 'currency' ? `${sign}$${entry.change.toFixed(2)}` : `${sign}${entry.change}`;
+        }
+        return `${entry.percentage >= 0 ? '+' : ''}${entry.percentage.toFixed(1)}%`;
+    }
+  }
+
+  static generateComparisonReport(analytics) {
+    return [
+      {
+        title: `Period Comparison (${analytics.comparisonLabel})`,
+        data: Object.entries(this.METRICS).map(([key, metric]) => {
+          const entry = analytics.comparison[key];
+          return {
+            label: metric.label,
+            value: `${this.formatMetricValue(entry.current, metric.format)} vs ` +
+              `${this.formatMetricValue(entry.comparison, metric.format)} (${this.formatMetricChange(entry, metric.format)})`
+          };
+        })
+      }
+    ];
+  }
+
   static generateRevenueReport(analytics) {
     return [
       {
@@ -576,7 +1823,8 @@ class ReportingService {
           { label: 'Total Revenue', value: `$${analytics.totalRevenue.toFixed(2)}` },
           { label: 'Average Job Value', value: `$${analytics.averageJobValue.toFixed(2)}` },
           { label: 'Revenue This Week', value: `$${analytics.revenueThisWeek.toFixed(2)}` },
-          { label: 'Revenue This Month', value: `$${analytics.revenueThisMonth.toFixed(2)}` }
+          { label: 'Revenue This Month', value: `$${analytics.revenueThisMonth.toFixed(2)}` },
+          { label: `Growth ${analytics.comparisonLabel}`, value: this.formatGrowth(analytics.revenueGrowth) }
         ]
       },
       {
@@ -598,13 +1846,15 @@ class ReportingService {
           { label: 'Completed Jobs', value: analytics.completedJobs },
           { label: 'Completion Rate', value: `${analytics.completionRate.toFixed(1)}%` },
           { label: 'On-Time Completion', value: `${analytics.onTimeCompletionRate.toFixed(1)}%` },
-          { label: 'Average Duration', value: `${analytics.averageJobDuration.toFixed(1)} hours` }
+          { label: 'Average Duration', value: `${analytics.averageJobDuration.toFixed(1)} hours` },
+          { label: 'Average Travel Time', value: `${analytics.averageTravelTime.toFixed(1)} hours` },
+          { label: 'Customer Satisfaction', value: this.formatSatisfaction(analytics.customerSatisfactionScore) }
         ]
       },
       {
         title: 'Status Breakdown',
         data: analytics.statusBreakdown.map(item => ({
-          label: item.status.replace('-', ' ').toUpperCase(),
+          label: item.status.replace(/[_-]/g, ' ').toUpperCase(),
           value: item.count
         }))
       }
@@ -632,16 +1882,51 @@ class ReportingService {
     ];
   }
 
+  static formatBreakdownRow(row) {
+    return `${row.jobs} jobs, ${row.completedJobs} completed, $${row.revenue.toFixed(2)} revenue`;
+  }
+
+  static generateBreakdownReport(analytics) {
+    const sections = [
+      {
+        title: 'Revenue by Technician',
+        data: analytics.breakdowns.technician.map(row => ({ label: row.label, value: this.formatBreakdownRow(row) }))
+      },
+      {
+        title: 'Revenue by Location',
+        data: analytics.breakdowns.location.map(row => ({ label: row.label, value: this.formatBreakdownRow(row) }))
+      }
+    ];
+
+    if (analytics.companyRollup.length > 0) {
+      sections.unshift({
+        title: 'Company Rollup',
+        data: analytics.companyRollup.map(company => ({
+          label: company.companyName,
+          value: `${company.jobs} jobs, $${company.revenue.toFixed(2)} revenue` +
+            (company.revenueGrowth !== null ? ` (${company.revenueGrowth >= 0 ? '+' : ''}${company.revenueGrowth.toFixed(1)}% ${analytics.comparisonLabel})` : '') +
+            `, ${company.customers} customers`
+        }))
+      });
+    }
+
+    return sections;
+  }
+
   static generateComprehensiveReport(analytics) {
     return [
       ...this.generateRevenueReport(analytics),
       ...this.generatePerformanceReport(analytics),
       ...this.generateCustomerReport(analytics),
+      ...this.generateBreakdownReport(analytics),
+      ...this.generateComparisonReport(analytics),
       {
         title: 'Monthly Trends',
         data: analytics.monthlyTrends.map(trend => ({
           label: trend.month,
-          value: `${trend.jobs} jobs, $${trend.revenue.toFixed(2)} revenue`
+          value: `${trend.jobs} jobs, $${trend.revenue.toFixed(2)} revenue` +
+            (trend.revenueGrowth !== null ? ` (${trend.revenueGrowth >= 0 ? '+' : ''}${trend.revenueGrowth.toFixed(1)}% vs prior month)` : '') +
+            (trend.averageRating !== null ? `, rated ${trend.averageRating.toFixed(1)}/5 from ${trend.ratingCount}` : '')
         }))
       }
     ];
@@ -0,0 +1,569 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+  getDocs,
+  query,
+  where,
+  deleteDoc
+} from 'firebase/firestore';
+import { db, auth } from './firebase';
+import JobManagementService from './jobManagementService';
+import NotificationService from './notificationService';
+import LocationSettingsService from './locationSettingsService';
+import { solveVrptw, getLegCacheKey, timeToMinutes, minutesToTime } from '../utils/routeSolver';
+
+const LEG_CACHE_STORAGE_KEY = 'routeLegCache';
+const LEG_CACHE_MAX_ENTRIES = 5000;
+
+// Jobs booked for a time may be reached up to this long after it
+const DEFAULT_ARRIVAL_WINDOW_MINUTES = 60;
+
+// Technicians are unavailable for routing on these exception types
+const UNAVAILABLE_EXCEPTION_TYPES = ['sick_day', 'vacation', 'off_day'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+/**
+ * Route Plan Service
+ *
+ * A route plan is one technician's ordered stops for one day. Plans are keyed
+ * by company, technician and date so saving again revises the existing plan.
+ */
+class RoutePlanService {
+  // Get current user ID
+  static getCurrentUserId() {
+    const user = auth.currentUser;
+    if (!user) {
+      throw new Error('No user is currently signed in');
+    }
+    return user.uid;
+  }
+
+  static legCache = null;
+
+  /**
+   * Measured travel legs (from Google Directions results), reused by the
+   * local solver so repeat trips don't fall back to straight-line estimates.
+   */
+  static getLegCache() {
+    if (!this.legCache) {
+      this.legCache = new Map();
+      try {
+        const stored = JSON.parse(localStorage.getItem(LEG_CACHE_STORAGE_KEY) || '[]');
+        stored.forEach(([key, value]) => this.legCache.set(key, value));
+      } catch (error) {
+        console.warn('Unable to load cached route legs:', error);
+      }
+    }
+    return this.legCache;
+  }
+
+  static recordMeasuredLegs(legs) {
+    const cache = this.getLegCache();
+    legs.forEach(({ from, to, miles, minutes }) => {
+      if (from && to) {
+        cache.set(getLegCacheKey(from, to), { miles, minutes });
+      }
+    });
+
+    try {
+      const entries = Array.from(cache.entries()).slice(-LEG_CACHE_MAX_ENTRIES);
+      localStorage.setItem(LEG_CACHE_STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+      console.warn('Unable to persist cached route legs:', error);
+    }
+  }
+
+  static getPoint(source) {
+    if (!source) return null;
+    const lat = source.latitude ?? source.lat;
+    const lng = source.longitude ?? source.lng;
+    if (typeof lat !== 'number' || typeof lng !== 'number') return null;
+    return { lat, lng };
+  }
+
+  /**
+   * Resolve a job's coordinates from the job itself or its customer record
+   */
+  static async getJobPoint(job) {
+    const point = this.getPoint(job) || this.getPoint(job.location);
+    if (point || !job.customerId) {
+      return point;
+    }
+
+    try {
+      const customerDoc = await getDoc(doc(db, 'customers', job.customerId));
+      return customerDoc.exists() ? this.getPoint(customerDoc.data()) : null;
+    } catch (error) {
+      console.warn('Unable to load customer coordinates:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Where a technician's day begins: configured start location, home,
+   * last known position, then the company address.
+   */
+  static getTechnicianStartPoint(technician, company) {
+    return (
+      this.getPoint(technician.startLocation) ||
+      this.getPoint(technician.homeLocation) ||
+      this.getPoint(technician.currentLocation) ||
+      this.getPoint(company)
+    );
+  }
+
+  /**
+   * Split jobs across technicians with the local VRPTW solver.
+   * Works entirely offline: no Google Maps call is made.
+   *
+   * @param {Object} params
+   * @param {string} params.companyId
+   * @param {Object} params.company - Company record (fallback start location)
+   * @param {string} params.date - YYYY-MM-DD
+   * @param {Array<Object>} params.jobs - Jobs to route
+   * @param {Array<Object>} params.technicians - Candidate technicians (user records)
+   * @returns {Promise<{success: boolean, routes?: Array<Object>, unassigned?: Array<Object>, skippedTechnicians?: Array<Object>, error?: string}>}
+   */
+  static async optimizeTechnicianRoutes({ companyId, company = null, date, jobs, technicians }) {
+    try {
+      const settingsResult = await LocationSettingsService.getCompanySettings(companyId);
+      const settings = settingsResult.success ? settingsResult.settings || {} : {};
+      const shiftStart = timeToMinutes(settings.businessHoursStart, 8 * 60);
+      const shiftEnd = timeToMinutes(settings.businessHoursEnd, 17 * 60);
+
+      const dayName = DAY_NAMES[new Date(`${date}T12:00:00`).getDay()];
+      if (settings.workDays && !settings.workDays.includes(dayName)) {
+        return { success: false, error: `${dayName} is not a company work day` };
+      }
+
+      const exceptionsResult = await LocationSettingsService.getTechnicianExceptions(
+        companyId,
+        null,
+        { start: `${date}T00:00:00`, end: `${date}T23:59:59` }
+      );
+      const exceptions = exceptionsResult.success ? exceptionsResult.exceptions : [];
+
+      const skippedTechnicians = [];
+      const vehicles = [];
+      technicians.forEach((technician) => {
+        const exception = exceptions.find(
+          (item) => item.userId === technician.id && UNAVAILABLE_EXCEPTION_TYPES.includes(item.type)
+        );
+        if (exception) {
+          skippedTechnicians.push({ technicianId: technician.id, reason: exception.type });
+          return;
+        }
+
+        const start = this.getTechnicianStartPoint(technician, company);
+        if (!start) {
+          skippedTechnicians.push({ technicianId: technician.id, reason: 'missing_start_location' });
+          return;
+        }
+
+        const overtime = exceptions.find(
+          (item) => item.userId === technician.id && item.type === 'overtime'
+        );
+
+        vehicles.push({
+          id: technician.id,
+          name: technician.name || technician.email || '',
+          start,
+          shiftStart,
+          shiftEnd: overtime ? Math.max(shiftEnd, timeToMinutes(overtime.endTime, shiftEnd + 120)) : shiftEnd,
+          maxStops: technician.maxJobsPerDay || null
+        });
+      });
+
+      const unassigned = [];
+      const solverJobs = [];
+      for (const job of jobs) {
+        const location = await this.getJobPoint(job);
+        if (!location) {
+          unassigned.push({ jobId: job.id, reason: 'missing_coordinates' });
+          continue;
+        }
+
+        const windowStart = timeToMinutes(job.timeWindowStart || job.time, null);
+        const windowEnd = timeToMinutes(job.timeWindowEnd, null) ??
+          (windowStart !== null ? windowStart + DEFAULT_ARRIVAL_WINDOW_MINUTES : null);
+
+        solverJobs.push({
+          id: job.id,
+          location,
+          serviceMinutes: JobManagementService.parseDurationMinutes(
+            job.duration || job.estimatedDuration,
+            60
+          ),
+          windowStart: windowStart ?? undefined,
+          windowEnd: windowEnd ?? undefined
+        });
+      }
+
+      const solution = solveVrptw({
+        technicians: vehicles,
+        jobs: solverJobs,
+        matrixOptions: { cache: this.getLegCache() }
+      });
+
+      return {
+        success: true,
+        routes: solution.routes.map((route) => {
+          const vehicle = vehicles.find((item) => item.id === route.technicianId);
+          return {
+            ...route,
+            startTime: minutesToTime(vehicle.shiftStart),
+            orderedJobIds: route.stops.map((stop) => stop.jobId),
+            legs: route.stops.map((stop) => ({
+              durationMinutes: stop.travelMinutes,
+              distanceMiles: stop.travelMiles
+            })),
+            stops: route.stops.map((stop) => ({
+              ...stop,
+              plannedArrival: minutesToTime(stop.arrival),
+              plannedDeparture: minutesToTime(stop.departure)
+            }))
+          };
+        }),
+        unassigned: [...unassigned, ...solution.unassigned],
+        skippedTechnicians
+      };
+    } catch (error) {
+      console.error('Error optimizing technician routes:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  static getRoutePlanId(companyId, technicianId, date) {
+    return `${companyId}_${technicianId}_${date}`;
+  }
+
+  static formatTime(date) {
+    const hours = String(date.getHours()).padStart(2, '0');
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+
+  /**
+   * Build the stop sequence with planned arrival/departure times
+   * @param {Array<Object>} orderedJobs - Jobs in visiting order
+   * @param {Array<{durationMinutes: number, distanceMiles: number}>} legs - Travel legs;
+   *   legs[i] is the drive into stop i (legs[0] may be 0 when the route starts at the first stop)
+   * @param {string} date - Route date (YYYY-MM-DD)
+   * @param {string} startTime - Day start time (HH:mm); defaults to the first job's time
+   * @returns {Array<Object>} stops
+   */
+  static buildStopSequence(orderedJobs, legs = [], date, startTime = null) {
+    const dayStart =
+      JobManagementService.parseTimeToDate(date, startTime || orderedJobs[0]?.time || '08:00') ||
+      new Date(`${date}T08:00:00`);
+
+    let clock = new Date(dayStart);
+
+    return orderedJobs.map((job, index) => {
+      const leg = legs[index] || {};
+      const travelMinutes = Math.round(leg.durationMinutes || 0);
+      clock = new Date(clock.getTime() + travelMinutes * 60000);
+
+      // Never arrive before the customer's booked time
+      const bookedStart = job.time ? JobManagementService.parseTimeToDate(date, job.time) : null;
+      const waitMinutes = bookedStart && bookedStart > clock
+        ? Math.round((bookedStart - clock) / 60000)
+        : 0;
+      if (waitMinutes > 0) {
+        clock = bookedStart;
+      }
+
+      const arrival = new Date(clock);
+      const serviceMinutes = JobManagementService.parseDurationMinutes(
+        job.duration || job.estimatedDuration,
+        60
+      );
+      clock = new Date(clock.getTime() + serviceMinutes * 60000);
+
+      return {
+        jobId: job.id,
+        order: index + 1,
+        customerName: job.customerName || '',
+        serviceType: job.serviceType || '',
+        address: job.customerAddress || job.address || '',
+        travelMinutes,
+        travelMiles: Math.round((leg.distanceMiles || 0) * 10) / 10,
+        waitMinutes,
+        serviceMinutes,
+        plannedArrival: this.formatTime(arrival),
+        plannedDeparture: this.formatTime(clock)
+      };
+    });
+  }
+
+  /**
+   * Get the saved route plan for a technician and day
+   */
+  static async getRoutePlan(companyId, technicianId, date) {
+    try {
+      if (!companyId || !technicianId || !date) {
+        return { success: false, error: 'Company, technician and date are required' };
+      }
+
+      const planDoc = await getDoc(
+        doc(db, 'routePlans', this.getRoutePlanId(companyId, technicianId, date))
+      );
+
+      return {
+        success: true,
+        routePlan: planDoc.exists() ? { id: planDoc.id, ...planDoc.data() } : null
+      };
+    } catch (error) {
+      console.error('Error getting route plan:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get all route plans for a company on a given day
+   */
+  static async getRoutePlansForDate(companyId, date) {
+    try {
+      const snapshot = await getDocs(
+        query(
+          collection(db, 'routePlans'),
+          where('companyId', '==', companyId),
+          where('date', '==', date)
+        )
+      );
+
+      const routePlans = [];
+      snapshot.forEach((planDoc) => {
+        routePlans.push({ id: planDoc.id, ...planDoc.data() });
+      });
+
+      return {
+        success: true,
+        routePlans
+      };
+    } catch (error) {
+      console.error('Error getting route plans:', error);
+      return {
+        success: false,
+        error: error.message,
+        routePlans: []
+      };
+    }
+  }
+
+  /**
+   * Save (or revise) a technician's route for a day.
+   * Assigns every stop to the technician, stores the stop order and planned
+   * arrival on each job, and notifies the technician.
+   *
+   * @param {Object} plan
+   * @param {string} plan.companyId
+   * @param {string} plan.date - YYYY-MM-DD
+   * @param {string} plan.technicianId
+   * @param {string} plan.technicianName
+   * @param {Array<Object>} plan.orderedJobs - Jobs in visiting order
+   * @param {Array<Object>} plan.legs - Travel legs (see buildStopSequence)
+   * @param {string} plan.startTime - Optional day start (HH:mm)
+   * @param {string} plan.source - 'google_directions' or 'local_solver'
+   * @param {boolean} plan.notify - Send push notification (default true)
+   * @returns {Promise<{success: boolean, routePlan?: Object, failedJobIds?: Array<string>, error?: string}>}
+   */
+  static async saveRoutePlan({
+    companyId,
+    date,
+    technicianId,
+    technicianName,
+    orderedJobs,
+    legs = [],
+    startTime = null,
+    source = 'google_directions',
+    notify = true
+  }) {
+    try {
+      const userId = this.getCurrentUserId();
+
+      if (!companyId || !date || !technicianId) {
+        return { success: false, error: 'Company, technician and date are required' };
+      }
+      if (!orderedJobs || orderedJobs.length === 0) {
+        return { success: false, error: 'A route needs at least one stop' };
+      }
+
+      const routePlanId = this.getRoutePlanId(companyId, technicianId, date);
+      const existingResult = await this.getRoutePlan(companyId, technicianId, date);
+      const existing = existingResult.success ? existingResult.routePlan : null;
+
+      const stops = this.buildStopSequence(orderedJobs, legs, date, startTime);
+
+      // Jobs moving over from another technician's plan leave that plan
+      const jobIdsByPreviousPlan = new Map();
+      for (const job of orderedJobs) {
+        if (job.routePlanId && job.routePlanId !== routePlanId) {
+          jobIdsByPreviousPlan.set(job.routePlanId, [...(jobIdsByPreviousPlan.get(job.routePlanId) || []), job.id]);
+        }
+      }
+      for (const [previousPlanId, jobIds] of jobIdsByPreviousPlan) {
+        await this.removeStopsFromPlan(previousPlanId, jobIds);
+      }
+
+      // Write assignments and stop order onto each job
+      const failedJobIds = [];
+      for (const stop of stops) {
+        const result = await JobManagementService.assignJob(stop.jobId, technicianId, technicianName, {
+          routePlanId,
+          routeOrder: stop.order,
+          plannedArrival: stop.plannedArrival
+        });
+        if (!result.success) {
+          failedJobIds.push(stop.jobId);
+        }
+      }
+
+      // Jobs dropped from a revised plan no longer belong to it
+      const currentJobIds = new Set(stops.map(stop => stop.jobId));
+      const removedJobIds = (existing?.stops || [])
+        .map(stop => stop.jobId)
+        .filter(jobId => !currentJobIds.has(jobId));
+      for (const jobId of removedJobIds) {
+        await this.clearJobRoutePlan(jobId, routePlanId);
+      }
+
+      const nowIso = new Date().toISOString();
+      const routePlan = {
+        companyId,
+        date,
+        technicianId,
+        technicianName: technicianName || '',
+        stops,
+        ...this.summarizeStops(stops),
+        source,
+        revision: (existing?.revision || 0) + 1,
+        createdBy: existing?.createdBy || userId,
+        createdAt: existing?.createdAt || nowIso,
+        updatedBy: userId,
+        updatedAt: nowIso
+      };
+
+      await setDoc(doc(db, 'routePlans', routePlanId), routePlan);
+
+      let notificationSent = false;
+      if (notify) {
+        const notificationResult = await NotificationService.sendNotification(
+          technicianId,
+          existing ? 'Your route was updated' : 'New route assigned',
+          `${stops.length} stop${stops.length === 1 ? '' : 's'} on ${date}, starting ${routePlan.plannedStart}`,
+          { screen: 'route', routePlanId, date }
+        );
+        notificationSent = notificationResult.success;
+      }
+
+      return {
+        success: true,
+        routePlan: { id: routePlanId, ...routePlan },
+        failedJobIds,
+        notificationSent
+      };
+    } catch (error) {
+      console.error('Error saving route plan:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Stop count, totals and planned start/end for a stop sequence
+   */
+  static summarizeStops(stops) {
+    return {
+      totalStops: stops.length,
+      totalTravelMinutes: stops.reduce((sum, stop) => sum + stop.travelMinutes, 0),
+      totalServiceMinutes: stops.reduce((sum, stop) => sum + stop.serviceMinutes, 0),
+      totalMiles: Math.round(stops.reduce((sum, stop) => sum + stop.travelMiles, 0) * 10) / 10,
+      plannedStart: stops[0]?.plannedArrival || null,
+      plannedEnd: stops[stops.length - 1]?.plannedDeparture || null
+    };
+  }
+
+  /**
+   * Clear a job's route fields, unless it has since been moved to another plan
+   */
+  static async clearJobRoutePlan(jobId, routePlanId) {
+    const jobResult = await JobManagementService.getJob(jobId);
+    if (!jobResult.success || jobResult.job?.routePlanId !== routePlanId) {
+      return;
+    }
+
+    await JobManagementService.updateJob(jobId, {
+      routePlanId: null,
+      routeOrder: null,
+      plannedArrival: null
+    });
+  }
+
+  /**
+   * Take stops out of a stored plan when their jobs move to another technician.
+   * The remaining stops keep their planned times until that plan is re-optimized.
+   */
+  static async removeStopsFromPlan(routePlanId, jobIds) {
+    const planRef = doc(db, 'routePlans', routePlanId);
+    const planDoc = await getDoc(planRef);
+    if (!planDoc.exists()) {
+      return;
+    }
+
+    const plan = planDoc.data();
+    const stops = (plan.stops || []).filter(stop => !jobIds.includes(stop.jobId));
+    if (stops.length === (plan.stops || []).length) {
+      return;
+    }
+
+    await updateDoc(planRef, {
+      stops,
+      ...this.summarizeStops(stops),
+      revision: (plan.revision || 0) + 1,
+      updatedBy: this.getCurrentUserId(),
+      updatedAt: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Delete a route plan and clear the route fields on its jobs.
+   * Job assignments are left in place.
+   */
+  static async deleteRoutePlan(routePlanId) {
+    try {
+      const planDoc = await getDoc(doc(db, 'routePlans', routePlanId));
+      if (!planDoc.exists()) {
+        return { success: false, error: 'Route plan not found' };
+      }
+
+      for (const stop of planDoc.data().stops || []) {
+        await this.clearJobRoutePlan(stop.jobId, routePlanId);
+      }
+
+      await deleteDoc(doc(db, 'routePlans', routePlanId));
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error deleting route plan:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+export default RoutePlanService;
@@ -0,0 +1,595 @@
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  query,
+  where
+} from 'firebase/firestore';
+import { db } from './firebase';
+import CompanyService from './companyService';
+import JobManagementService from './jobManagementService';
+import LocationSettingsService from './locationSettingsService';
+import RoutePlanService from './routePlanService';
+import { buildDistanceMatrix, timeToMinutes, minutesToTime } from '../utils/routeSolver';
+
+// Technicians cannot be booked on these exception types; overtime lifts the work-hour rules
+const UNAVAILABLE_EXCEPTION_TYPES = ['sick_day', 'vacation', 'off_day'];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const EXCEPTION_LABELS = {
+  sick_day: 'sick',
+  vacation: 'on vacation',
+  off_day: 'off'
+};
+
+/**
+ * Scheduling Rules Service
+ *
+ * Decides whether a technician can take a job at a given time. Rules are set
+ * per company under `schedulingRules` on the company record; work days and
+ * hours come from the company's location settings, as they do for routing.
+ * Every broken rule is returned as a conflict with a `type` and a readable
+ * `message`, so callers can show all reasons at once.
+ */
+class SchedulingRulesService {
+  static DEFAULT_RULES = {
+    bufferMinutes: 15,
+    includeDriveTime: true,
+    averageSpeedMph: 30,
+    maxJobsPerDay: 0,
+    enforceWorkHours: true,
+    enforceRequiredSkills: true
+  };
+
+  static CONFLICT_TYPES = {
+    overlap: 'Overlapping job',
+    buffer: 'Buffer between jobs',
+    drive_time: 'Drive time',
+    time_off: 'Time off',
+    non_work_day: 'Non-work day',
+    outside_work_hours: 'Outside work hours',
+    max_jobs_per_day: 'Daily job limit',
+    missing_skill: 'Missing skill'
+  };
+
+  static normalizeRules(rules = {}) {
+    const toNumber = (value, fallback) => {
+      const parsed = Number(value);
+      return Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+    };
+
+    return {
+      bufferMinutes: Math.round(toNumber(rules.bufferMinutes, this.DEFAULT_RULES.bufferMinutes)),
+      includeDriveTime: rules.includeDriveTime ?? this.DEFAULT_RULES.includeDriveTime,
+      averageSpeedMph: toNumber(rules.averageSpeedMph, this.DEFAULT_RULES.averageSpeedMph) || this.DEFAULT_RULES.averageSpeedMph,
+      maxJobsPerDay: Math.round(toNumber(rules.maxJobsPerDay, this.DEFAULT_RULES.maxJobsPerDay)),
+      enforceWorkHours: rules.enforceWorkHours ?? this.DEFAULT_RULES.enforceWorkHours,
+      enforceRequiredSkills: rules.enforceRequiredSkills ?? this.DEFAULT_RULES.enforceRequiredSkills
+    };
+  }
+
+  /**
+   * Get a company's scheduling rules
+   * @param {string} companyId - Company ID
+   * @returns {Promise<Object>} { success: boolean, rules: Object, error?: string }
+   */
+  static async getRules(companyId) {
+    const companyResult = await CompanyService.getCompany(companyId);
+    if (!companyResult.success) {
+      return { ...companyResult, rules: this.normalizeRules() };
+    }
+    return {
+      success: true,
+      rules: this.normalizeRules(companyResult.company.schedulingRules)
+    };
+  }
+
+  /**
+   * Save a company's scheduling rules
+   * @param {string} companyId - Company ID
+   * @param {Object} rules - Rule values; missing ones fall back to the defaults
+   * @returns {Promise<Object>} { success: boolean, rules?: Object, error?: string }
+   */
+  static async updateRules(companyId, rules) {
+    const normalized = this.normalizeRules(rules);
+    const result = await CompanyService.updateCompany(companyId, { schedulingRules: normalized });
+    return result.success ? { success: true, rules: normalized } : result;
+  }
+
+  /**
+   * Skill names a team member holds on a date. Skills are stored either as
+   * plain names or as { name, expiresAt }; expired certifications don't count.
+   * @returns {Map<string, Object>} lower-cased name -> skill
+   */
+  static getSkillsOnDate(member, date) {
+    const skills = new Map();
+    (member?.skills || []).forEach((skill) => {
+      const entry = typeof skill === 'string' ? { name: skill } : skill;
+      const name = (entry?.name || '').trim();
+      if (!name) return;
+
+      const expired = entry.expiresAt && entry.expiresAt.toString().slice(0, 10) < date;
+      skills.set(name.toLowerCase(), { ...entry, name, expired: Boolean(expired) });
+    });
+    return skills;
+  }
+
+  /**
+   * Skills a company requires for a service type
+   * @param {Object} company - Company record
+   * @param {string} serviceType - Service name
+   * @returns {Array<string>}
+   */
+  static getRequiredSkills(company, serviceType) {
+    if (!company || !serviceType) return [];
+    const requirements = company.serviceSkillRequirements || {};
+    const key = Object.keys(requirements).find(
+      (name) => name.toLowerCase() === serviceType.trim().toLowerCase()
+    );
+    return key ? requirements[key] || [] : [];
+  }
+
+  /**
+   * Clean up skill records for saving: { name, expiresAt, certificationNumber }
+   * @param {Array<string|Object>} skills
+   * @returns {Array<Object>}
+   */
+  static normalizeSkills(skills = []) {
+    const byName = new Map();
+    skills.forEach((skill) => {
+      const entry = typeof skill === 'string' ? { name: skill } : skill || {};
+      const name = (entry.name || '').toString().trim();
+      if (!name) return;
+
+      const expiresAt = (entry.expiresAt || '').toString().slice(0, 10);
+      byName.set(name.toLowerCase(), {
+        name,
+        expiresAt: /^\d{4}-\d{2}-\d{2}$/.test(expiresAt) ? expiresAt : null,
+        certificationNumber: (entry.certificationNumber || '').toString().trim()
+      });
+    });
+    return Array.from(byName.values()).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Save a team member's skills and certifications
+   * @param {string} teamMemberId - Team member document ID
+   * @param {Array<Object>} skills - [{ name, expiresAt?, certificationNumber? }]
+   * @returns {Promise<Object>} { success: boolean, skills?: Array, error?: string }
+   */
+  static async updateTeamMemberSkills(teamMemberId, skills) {
+    const normalized = this.normalizeSkills(skills);
+    const result = await CompanyService.updateTeamMember(teamMemberId, { skills: normalized });
+    return result.success ? { success: true, skills: normalized } : result;
+  }
+
+  /**
+   * Replace the skills required per service type
+   * @param {string} companyId - Company ID
+   * @param {Object} requirements - { [serviceName]: Array<string> }
+   * @returns {Promise<Object>} { success: boolean, requirements?: Object, error?: string }
+   */
+  static async updateServiceSkillRequirements(companyId, requirements) {
+    const normalized = {};
+    Object.entries(requirements || {}).forEach(([serviceName, skills]) => {
+      const names = [...new Set((skills || []).map((skill) => skill.toString().trim()).filter(Boolean))];
+      if (serviceName && names.length > 0) {
+        normalized[serviceName] = names;
+      }
+    });
+
+    const result = await CompanyService.updateCompany(companyId, { serviceSkillRequirements: normalized });
+    return result.success ? { success: true, requirements: normalized } : result;
+  }
+
+  /**
+   * How a team member measures up against a set of required skills
+   * @param {Object} member - Team member record
+   * @param {Array<string>} requiredSkills
+   * @param {string} date - YYYY-MM-DD the work happens on
+   * @returns {{ qualified: boolean, matched: Array<string>, missing: Array<string>, expired: Array<Object> }}
+   */
+  static getQualification(member, requiredSkills, date) {
+    const held = this.getSkillsOnDate(member, date);
+    const qualification = { qualified: true, matched: [], missing: [], expired: [] };
+
+    requiredSkills.forEach((skill) => {
+      const match = held.get(skill.toLowerCase());
+      if (!match) {
+        qualification.missing.push(skill);
+      } else if (match.expired) {
+        qualification.expired.push({ name: skill, expiresAt: match.expiresAt });
+      } else {
+        qualification.matched.push(skill);
+      }
+    });
+
+    qualification.qualified = qualification.missing.length === 0 && qualification.expired.length === 0;
+    return qualification;
+  }
+
+  static describeQualification(qualification) {
+    return [
+      ...qualification.missing.map((skill) => `missing ${skill}`),
+      ...qualification.expired.map((skill) => `${skill.name} expired ${skill.expiresAt.toString().slice(0, 10)}`)
+    ].join(', ');
+  }
+
+  /**
+   * Warning text when a team member lacks skills a service requires
+   * @param {string} companyId - Company ID
+   * @param {Object} member - Team member record
+   * @param {string} serviceType - Service name
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<string|null>} null when qualified or nothing is required
+   */
+  static async getQualificationWarning(companyId, member, serviceType, date) {
+    if (!companyId || !member || !serviceType) return null;
+
+    const companyResult = await CompanyService.getCompany(companyId);
+    if (!companyResult.success) return null;
+
+    const requiredSkills = this.getRequiredSkills(companyResult.company, serviceType);
+    const qualification = this.getQualification(member, requiredSkills, date || new Date().toISOString().slice(0, 10));
+    if (qualification.qualified) return null;
+
+    const name = member.name || member.email || 'This technician';
+    return `${name} is not qualified for ${serviceType}: ${this.describeQualification(qualification)}`;
+  }
+
+  /**
+   * Rank team members for a job: qualified first, then free of scheduling
+   * conflicts, then more matched skills, then closest to the job.
+   *
+   * @param {Object} params
+   * @param {string} params.companyId
+   * @param {Array<Object>} params.technicians - Team members (from CompanyService.getTeamMembers)
+   * @param {string} params.serviceType
+   * @param {string} params.date - YYYY-MM-DD
+   * @param {string} params.time - Start time
+   * @param {number} params.durationMinutes
+   * @param {string|null} params.excludeJobId - Job being edited
+   * @param {string|null} params.customerId - Used to locate the job
+   * @returns {Promise<Object>} { success: boolean, suggestions: Array<{ member, qualification, conflicts, available, distanceMiles }>, error?: string }
+   */
+  static async rankTechnicians({
+    companyId,
+    technicians = [],
+    serviceType = '',
+    date,
+    time,
+    durationMinutes = 60,
+    excludeJobId = null,
+    customerId = null
+  }) {
+    try {
+      const companyResult = await CompanyService.getCompany(companyId);
+      const company = companyResult.success ? companyResult.company : null;
+      const requiredSkills = this.getRequiredSkills(company, serviceType);
+      const jobPoint = await RoutePlanService.getJobPoint({ customerId });
+      const workDate = date || new Date().toISOString().slice(0, 10);
+
+      const suggestions = await Promise.all(technicians.map(async (member) => {
+        const technicianId = member.userId || member.id;
+        const [availability, userDoc] = await Promise.all([
+          date && time
+            ? this.checkAvailability(technicianId, date, time, durationMinutes, excludeJobId, {
+              companyId,
+              serviceType,
+              customerId
+            })
+            : Promise.resolve({ conflicts: [] }),
+          member.userId ? getDoc(doc(db, 'users', member.userId)).catch(() => null) : Promise.resolve(null)
+        ]);
+
+        const start = userDoc?.exists()
+          ? RoutePlanService.getTechnicianStartPoint(userDoc.data(), company)
+          : RoutePlanService.getPoint(company);
+        const distanceMiles = jobPoint && start
+          ? Math.round(buildDistanceMatrix([start, jobPoint]).miles[0][1] * 10) / 10
+          : null;
+
+        // Skills are reported separately, so leave them out of the availability verdict
+        const conflicts = (availability.conflicts || []).filter((conflict) => conflict.type !== 'missing_skill');
+        return {
+          member,
+          qualification: this.getQualification(member, requiredSkills, workDate),
+          conflicts,
+          available: conflicts.length === 0,
+          distanceMiles
+        };
+      }));
+
+      suggestions.sort((a, b) =>
+        Number(b.qualification.qualified) - Number(a.qualification.qualified) ||
+        Number(b.available) - Number(a.available) ||
+        b.qualification.matched.length - a.qualification.matched.length ||
+        (a.distanceMiles ?? Infinity) - (b.distanceMiles ?? Infinity)
+      );
+
+      return {
+        success: true,
+        requiredSkills,
+        suggestions
+      };
+    } catch (error) {
+      console.error('Error ranking technicians:', error);
+      return {
+        success: false,
+        error: error.message,
+        suggestions: []
+      };
+    }
+  }
+
+  static async getTechnicianCompanyId(technicianId) {
+    const userDoc = await getDoc(doc(db, 'users', technicianId));
+    if (userDoc.exists()) {
+      return userDoc.data().companyId || null;
+    }
+    const memberDoc = await getDoc(doc(db, 'teamMembers', technicianId));
+    return memberDoc.exists() ? memberDoc.data().companyId || null : null;
+  }
+
+  /**
+   * Team member record for a technician. Jobs are assigned by user ID or,
+   * from older screens, by team member ID, so both are accepted.
+   */
+  static async getTeamMember(companyId, technicianId) {
+    const snapshot = await getDocs(query(
+      collection(db, 'teamMembers'),
+      where('companyId', '==', companyId),
+      where('userId', '==', technicianId)
+    ));
+    if (!snapshot.empty) {
+      return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+    }
+
+    const memberDoc = await getDoc(doc(db, 'teamMembers', technicianId));
+    return memberDoc.exists() && memberDoc.data().companyId === companyId
+      ? { id: memberDoc.id, ...memberDoc.data() }
+      : null;
+  }
+
+  /**
+   * Minutes to drive between two jobs, or 0 when either location is unknown
+   */
+  static async getDriveMinutes(fromJob, toJob, averageSpeedMph) {
+    const [from, to] = await Promise.all([
+      RoutePlanService.getJobPoint(fromJob),
+      RoutePlanService.getJobPoint(toJob)
+    ]);
+    if (!from || !to) return 0;
+
+    const matrix = buildDistanceMatrix([from, to], {
+      cache: RoutePlanService.getLegCache(),
+      averageSpeedMph
+    });
+    return Math.round(matrix.minutes[0][1]);
+  }
+
+  static describeJob(job) {
+    const label = job.customerName || job.serviceType || 'another job';
+    return `${label} at ${job.time || 'an unspecified time'}`;
+  }
+
+  /**
+   * Check a proposed booking against every scheduling rule
+   *
+   * @param {string} technicianId - User ID (or team member ID) of the technician
+   * @param {string} date - YYYY-MM-DD
+   * @param {string} time - Start time (HH:mm or h:mm AM)
+   * @param {number} durationMinutes - Length of the proposed job
+   * @param {string|null} excludeJobId - Job being edited, ignored in the checks
+   * @param {Object} options - { companyId, serviceType, customerId, latitude, longitude, location }
+   * @returns {Promise<Object>} { hasConflict: boolean, conflicts: Array<{type, message, ...}>, error?: string }
+   */
+  static async checkAvailability(technicianId, date, time, durationMinutes = 60, excludeJobId = null, options = {}) {
+    if (!technicianId || !date || !time) {
+      return { hasConflict: false, conflicts: [] };
+    }
+
+    try {
+      const newStart = JobManagementService.parseTimeToDate(date, time);
+      if (!newStart) {
+        return { hasConflict: false, conflicts: [] };
+      }
+      const newEnd = new Date(newStart.getTime() + durationMinutes * 60000);
+
+      const companyId = options.companyId || await this.getTechnicianCompanyId(technicianId);
+
+      // Settings, exceptions and team records may be unreadable for some roles; skip those rules then
+      const member = companyId ? await this.getTeamMember(companyId, technicianId).catch(() => null) : null;
+      const assigneeIds = [...new Set([technicianId, member?.userId, member?.id].filter(Boolean))];
+      const exceptionUserId = member?.userId || technicianId;
+
+      const [jobsSnapshot, companyResult, settingsResult, exceptionsResult] = await Promise.all([
+        // The company filter lets the query pass the company-scoped jobs read rule
+        getDocs(query(
+          collection(db, 'jobs'),
+          ...(companyId ? [where('companyId', '==', companyId)] : []),
+          where('assignedTo', 'in', assigneeIds),
+          where('date', '==', date)
+        )),
+        companyId ? CompanyService.getCompany(companyId) : Promise.resolve({ success: false }),
+        companyId ? LocationSettingsService.getCompanySettings(companyId) : Promise.resolve({ success: false }),
+        companyId
+          ? LocationSettingsService.getTechnicianExceptions(companyId, exceptionUserId, {
+            start: `${date}T00:00:00`,
+            end: `${date}T23:59:59`
+          })
+          : Promise.resolve({ success: false })
+      ]);
+
+      const company = companyResult.success ? companyResult.company : null;
+      const rules = this.normalizeRules(company?.schedulingRules);
+      const settings = settingsResult.success ? settingsResult.settings || {} : {};
+      const exceptions = exceptionsResult.success ? exceptionsResult.exceptions || [] : [];
+      const conflicts = [];
+
+      // Time off and work days
+      const timeOff = exceptions.find((exception) => UNAVAILABLE_EXCEPTION_TYPES.includes(exception.type));
+      const overtime = exceptions.some((exception) => exception.type === 'overtime');
+      if (timeOff) {
+        conflicts.push({
+          type: 'time_off',
+          exceptionType: timeOff.type,
+          exceptionId: timeOff.id,
+          message: `Technician is ${EXCEPTION_LABELS[timeOff.type]} on ${date}` +
+            (timeOff.description ? ` (${timeOff.description})` : '')
+        });
+      }
+
+      const dayName = DAY_NAMES[new Date(`${date}T12:00:00`).getDay()];
+      if (!timeOff && !overtime && rules.enforceWorkHours && settings.workDays && !settings.workDays.includes(dayName)) {
+        conflicts.push({
+          type: 'non_work_day',
+          message: `${dayName} is not a company work day`
+        });
+      }
+
+      if (!overtime && rules.enforceWorkHours && (settings.businessHoursStart || settings.businessHoursEnd)) {
+        const dayStart = timeToMinutes(settings.businessHoursStart, 0);
+        const dayEnd = timeToMinutes(settings.businessHoursEnd, 24 * 60);
+        const startMinutes = newStart.getHours() * 60 + newStart.getMinutes();
+        const endMinutes = startMinutes + durationMinutes;
+        if (startMinutes < dayStart || endMinutes > dayEnd) {
+          conflicts.push({
+            type: 'outside_work_hours',
+            message: `Job runs ${minutesToTime(startMinutes)}–${minutesToTime(endMinutes)}, ` +
+              `outside work hours ${minutesToTime(dayStart)}–${minutesToTime(dayEnd)}`
+          });
+        }
+      }
+
+      // Other jobs that day
+      const dayJobs = [];
+      jobsSnapshot.forEach((docSnap) => {
+        if (excludeJobId && docSnap.id === excludeJobId) return;
+
+        const job = { id: docSnap.id, ...docSnap.data() };
+        if (job.status === 'cancelled' || job.status === 'no_show') return;
+
+        const start = JobManagementService.parseTimeToDate(job.date || date, job.time || '09:00');
+        if (!start) return;
+
+        const duration =
+          JobManagementService.parseDurationMinutes(job.duration, null) ||
+          JobManagementService.parseDurationMinutes(job.estimatedDuration, null) ||
+          JobManagementService.parseDurationMinutes(job.actualHours, null) ||
+          durationMinutes;
+        dayJobs.push({ job, start, end: new Date(start.getTime() + duration * 60000) });
+      });
+
+      if (rules.maxJobsPerDay > 0 && dayJobs.length >= rules.maxJobsPerDay) {
+        conflicts.push({
+          type: 'max_jobs_per_day',
+          limit: rules.maxJobsPerDay,
+          scheduledJobs: dayJobs.length,
+          message: `Technician already has ${dayJobs.length} job${dayJobs.length === 1 ? '' : 's'} on ${date} ` +
+            `(limit ${rules.maxJobsPerDay})`
+        });
+      }
+
+      const jobConflict = (type, job, message, extra = {}) => ({
+        type,
+        id: job.id,
+        date: job.date,
+        time: job.time,
+        serviceType: job.serviceType,
+        customerName: job.customerName,
+        message,
+        ...extra
+      });
+
+      let previous = null;
+      let next = null;
+      dayJobs.forEach((entry) => {
+        if (newStart < entry.end && newEnd > entry.start) {
+          conflicts.push(jobConflict('overlap', entry.job, `Overlaps ${this.describeJob(entry.job)}`));
+          return;
+        }
+        if (entry.end <= newStart && (!previous || entry.end > previous.end)) {
+          previous = entry;
+        }
+        if (entry.start >= newEnd && (!next || entry.start < next.start)) {
+          next = entry;
+        }
+      });
+
+      // Gaps to the jobs either side must fit the buffer plus the drive between them
+      const proposedJob = {
+        customerId: options.customerId || null,
+        latitude: options.latitude,
+        longitude: options.longitude,
+        location: options.location || null
+      };
+      const gaps = [
+        previous && { entry: previous, from: previous.job, to: proposedJob, gap: (newStart - previous.end) / 60000 },
+        next && { entry: next, from: proposedJob, to: next.job, gap: (next.start - newEnd) / 60000 }
+      ].filter(Boolean);
+
+      for (const { entry, from, to, gap } of gaps) {
+        const driveMinutes = rules.includeDriveTime
+          ? await this.getDriveMinutes(from, to, rules.averageSpeedMph).catch(() => 0)
+          : 0;
+        const requiredMinutes = rules.bufferMinutes + driveMinutes;
+        if (gap >= requiredMinutes) continue;
+
+        const gapMinutes = Math.round(gap);
+        if (gap < rules.bufferMinutes || driveMinutes === 0) {
+          conflicts.push(jobConflict(
+            'buffer',
+            entry.job,
+            `Only ${gapMinutes} min from ${this.describeJob(entry.job)}; ${rules.bufferMinutes} min buffer required`,
+            { gapMinutes, requiredMinutes }
+          ));
+        } else {
+          conflicts.push(jobConflict(
+            'drive_time',
+            entry.job,
+            `Only ${gapMinutes} min from ${this.describeJob(entry.job)}; ` +
+              `${driveMinutes} min drive plus ${rules.bufferMinutes} min buffer required`,
+            { gapMinutes, requiredMinutes, driveMinutes }
+          ));
+        }
+      }
+
+      // Skills and certifications required by the service type
+      if (rules.enforceRequiredSkills && member) {
+        const qualification = this.getQualification(member, this.getRequiredSkills(company, options.serviceType), date);
+        qualification.missing.forEach((skill) => {
+          conflicts.push({
+            type: 'missing_skill',
+            skill,
+            message: `${options.serviceType} requires ${skill}`
+          });
+        });
+        qualification.expired.forEach((skill) => {
+          conflicts.push({
+            type: 'missing_skill',
+            skill: skill.name,
+            expiresAt: skill.expiresAt,
+            message: `${skill.name} certification expired on ${skill.expiresAt.toString().slice(0, 10)}`
+          });
+        });
+      }
+
+      return {
+        hasConflict: conflicts.length > 0,
+        conflicts
+      };
+    } catch (error) {
+      console.error('Error checking technician availability:', error);
+      return {
+        hasConflict: false,
+        conflicts: [],
+        error: error.message
+      };
+    }
+  }
+}
+
+export default SchedulingRulesService;
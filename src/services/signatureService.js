@@ -0,0 +1,173 @@
+import { addDoc, collection, getDoc, serverTimestamp } from 'firebase/firestore';
+import { auth, db } from './firebase';
+import StorageService from './storageService';
+
+/**
+ * Signature Service
+ *
+ * Customer sign-offs for estimates and completed jobs. The drawn signature is
+ * stored as a PNG in Firebase Storage; the document keeps a record with the
+ * image URL, signer name, time and user agent as proof of acceptance. Each
+ * signature is also logged in the `signatures` collection, whose rules only
+ * accept the server's clock for the signing time and never let a record be
+ * edited afterwards. Older records may also carry an IP address.
+ */
+class SignatureService {
+  /**
+   * Log a signature in the `signatures` collection and read back its server timestamp
+   * @returns {Promise<Object>} { success: boolean, signature?: { id, signedAt, userAgent }, error?: string }
+   */
+  static async recordSignature({ signerName, companyId, documentType, documentId, path }) {
+    try {
+      const currentUser = auth.currentUser;
+      if (!currentUser) {
+        return { success: false, error: 'You must be signed in to sign' };
+      }
+
+      const userAgent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+      const recordRef = await addDoc(collection(db, 'signatures'), {
+        signerName,
+        companyId,
+        documentType,
+        documentId,
+        path,
+        userAgent,
+        capturedBy: currentUser.uid,
+        signedAt: serverTimestamp()
+      });
+
+      const recordDoc = await getDoc(recordRef);
+      const signedAt = recordDoc.data()?.signedAt;
+
+      return {
+        success: true,
+        signature: {
+          id: recordRef.id,
+          signedAt: signedAt?.toDate ? signedAt.toDate().toISOString() : new Date().toISOString(),
+          userAgent
+        }
+      };
+    } catch (error) {
+      console.error('Error recording signature:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Upload a captured signature and build its record
+   * @param {Object} params
+   * @param {Blob} params.blob - PNG of the drawn signature
+   * @param {string} params.signerName - Name typed by the signer
+   * @param {string} params.companyId - Company that owns the document
+   * @param {string} params.documentType - 'estimate' or 'job'
+   * @param {string} params.documentId - Estimate or job ID
+   * @returns {Promise<Object>} { success: boolean, signature?: Object, error?: string }
+   */
+  static async saveSignature({ blob, signerName, companyId, documentType, documentId }) {
+    try {
+      const name = (signerName || '').trim();
+      if (!blob) {
+        return { success: false, error: 'Please sign before continuing' };
+      }
+      if (!name) {
+        return { success: false, error: 'Please enter the signer\'s name' };
+      }
+      if (!companyId || !documentType || !documentId) {
+        return { success: false, error: 'Missing document details for signature' };
+      }
+
+      const path = `companies/${companyId}/signatures/${documentType}/${documentId}-${Date.now()}.png`;
+      const uploadResult = await StorageService.uploadFile(blob, path);
+      if (!uploadResult.success) {
+        return uploadResult;
+      }
+
+      const recordResult = await this.recordSignature({
+        signerName: name,
+        companyId,
+        documentType,
+        documentId,
+        path: uploadResult.path
+      });
+      if (!recordResult.success) {
+        // Don't leave an image behind that no record points to
+        await StorageService.deleteFile(uploadResult.path);
+        return recordResult;
+      }
+
+      return {
+        success: true,
+        signature: {
+          id: recordResult.signature.id,
+          name,
+          url: uploadResult.url,
+          path: uploadResult.path,
+          signedAt: recordResult.signature.signedAt,
+          userAgent: recordResult.signature.userAgent,
+          capturedBy: auth.currentUser?.uid || null
+        }
+      };
+    } catch (error) {
+      console.error('Error saving signature:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  static loadImage(url) {
+    return new Promise((resolve, reject) => {
+      const img = new Image();
+      img.crossOrigin = 'anonymous';
+      img.onload = () => resolve(img);
+      img.onerror = reject;
+      img.src = url;
+    });
+  }
+
+  /**
+   * Draw a signature block onto a jsPDF document
+   * @param {jsPDF} doc - Document being built
+   * @param {Object} signature - Signature record
+   * @param {Object} options - { x, y, title }
+   * @returns {Promise<number>} y position below the block
+   */
+  static async drawOnPdf(doc, signature, { x, y, title = 'Customer Signature' }) {
+    const pageHeight = doc.internal.pageSize.getHeight();
+    let yPos = y;
+    if (yPos > pageHeight - 60) {
+      doc.addPage();
+      yPos = 20;
+    }
+
+    doc.setFontSize(12);
+    doc.setFont('helvetica', 'bold');
+    doc.text(title, x, yPos);
+    yPos += 4;
+
+    try {
+      const image = await this.loadImage(signature.url);
+      doc.addImage(image, 'PNG', x, yPos, 60, 20);
+    } catch (error) {
+      console.warn('Could not load signature image:', error);
+    }
+    yPos += 22;
+
+    doc.setDrawColor(150, 150, 150);
+    doc.line(x, yPos, x + 70, yPos);
+    yPos += 5;
+
+    doc.setFontSize(9);
+    doc.setFont('helvetica', 'normal');
+    doc.text(`${signature.name} · ${new Date(signature.signedAt).toLocaleString()}`, x, yPos);
+    yPos += 4;
+    if (signature.ipAddress) {
+      doc.setTextColor(128, 128, 128);
+      doc.text(`IP ${signature.ipAddress}`, x, yPos);
+      doc.setTextColor(0, 0, 0);
+      yPos += 4;
+    }
+
+    return yPos + 6;
+  }
+}
+
+export default SignatureService;
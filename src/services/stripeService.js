@@ -4,6 +4,7 @@
  */
 
 import { loadStripe } from '@stripe/stripe-js';
+import InvoiceService from './invoiceService';
 
 const STRIPE_PUBLISHABLE_KEY = import.meta.env.VITE_STRIPE_PUBLISHABLE_KEY || '';
 const PROJECT_ID = 'mi-factotum-field-service';
@@ -81,8 +82,30 @@ class StripeService {
     }
   }
 
+  /**
+   * Record a succeeded payment intent in the invoice's payments ledger.
+   * Safe to call more than once for the same intent.
+   */
+  static async recordPaymentIntent(invoiceId, paymentIntent) {
+    if (!paymentIntent || paymentIntent.status !== 'succeeded') {
+      return { success: false, error: 'Payment has not succeeded' };
+    }
+
+    return InvoiceService.recordPayment(invoiceId, {
+      amount: paymentIntent.amount / 100,
+      method: 'card',
+      reference: paymentIntent.id,
+      date: paymentIntent.created ? new Date(paymentIntent.created * 1000).toISOString() : undefined,
+      source: 'stripe',
+      stripePaymentIntentId: paymentIntent.id
+    });
+  }
+
   /**
    * Process payment using Stripe Elements
+   * @param {string} invoiceId
+   * @param {number} amount - May be less than the balance for partial payments and deposits
+   * @param {Object} paymentMethod - A Stripe PaymentMethod, or card element details accepted by confirmCardPayment
    */
   static async processPayment(invoiceId, amount, paymentMethod) {
     try {
@@ -99,7 +122,7 @@ class StripeService {
       const { error, paymentIntent } = await stripe.confirmCardPayment(
         intentResult.clientSecret,
         {
-          payment_method: paymentMethod.id
+          payment_method: paymentMethod.id || paymentMethod
         }
       );
 
@@ -110,9 +133,17 @@ class StripeService {
         };
       }
 
+      // The card has been charged at this point; a ledger failure is reported but not treated as a failed payment
+      const ledgerResult = await this.recordPaymentIntent(invoiceId, paymentIntent);
+      if (!ledgerResult.success) {
+        console.error('Error recording payment in ledger:', ledgerResult.error);
+      }
+
       return {
         success: true,
-        paymentIntent
+        paymentIntent,
+        recorded: ledgerResult.success,
+        summary: ledgerResult.summary
       };
     } catch (error) {
       console.error('Error processing payment:', error);
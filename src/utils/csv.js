@@ -0,0 +1,49 @@
+/**
+ * CSV helpers (RFC 4180)
+ *
+ * Fields containing a comma, double quote, CR or LF are wrapped in double
+ * quotes with embedded quotes doubled. Records are separated by CRLF.
+ */
+
+/**
+ * Escape a single CSV field
+ * @param {*} value - Any value; null/undefined become an empty field
+ * @returns {string}
+ */
+export const escapeCSVField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build a CSV document from a header row and data rows
+ * @param {Array<string>} headers
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+export const toCSV = (headers, rows) => {
+  const lines = [headers, ...rows].map((row) => row.map(escapeCSVField).join(','));
+  return lines.join('\r\n');
+};
+
+/**
+ * Trigger a browser download of text or binary content
+ * @param {string|Blob|ArrayBuffer} content
+ * @param {string} filename
+ * @param {string} mimeType
+ */
+export const downloadFile = (content, filename, mimeType = 'text/csv;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,68 @@
+/**
+ * Job timeline durations from the status history
+ *
+ * Every status change is stored on job.statusHistory as { from, to, at, ... }.
+ * The time a job spends in a status runs from the entry that moved it there
+ * to the next entry, so a job that is still en route or on site only counts
+ * the legs that have been closed by a later change.
+ */
+
+import { mapLegacyJobStatus } from '../constants/jobStatuses';
+
+const TRAVEL_STATUSES = ['en_route'];
+const ON_SITE_STATUSES = ['on_site', 'in_progress'];
+const HOLD_STATUSES = ['on_hold'];
+
+/**
+ * Status history sorted oldest first, skipping entries without a valid time
+ * @param {Object} job
+ * @returns {Array<{from: string|null, to: string, at: string}>}
+ */
+export function getStatusHistory(job) {
+  const history = Array.isArray(job?.statusHistory) ? job.statusHistory : [];
+  return history
+    .filter((entry) => entry?.to && !Number.isNaN(new Date(entry.at).getTime()))
+    .map((entry) => ({ ...entry, to: mapLegacyJobStatus(entry.to) }))
+    .sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+/**
+ * Minutes spent travelling, on site (including work) and on hold
+ * @param {Object} job
+ * @returns {{travelMinutes: number, onSiteMinutes: number, holdMinutes: number,
+ *   hasTravel: boolean, hasOnSite: boolean}}
+ */
+export function getJobTimeline(job) {
+  const history = getStatusHistory(job);
+  const totals = { travelMinutes: 0, onSiteMinutes: 0, holdMinutes: 0, hasTravel: false, hasOnSite: false };
+
+  for (let index = 0; index < history.length - 1; index++) {
+    const entry = history[index];
+    const minutes = (new Date(history[index + 1].at) - new Date(entry.at)) / 60000;
+
+    if (TRAVEL_STATUSES.includes(entry.to)) {
+      totals.travelMinutes += minutes;
+      totals.hasTravel = true;
+    } else if (ON_SITE_STATUSES.includes(entry.to)) {
+      totals.onSiteMinutes += minutes;
+      totals.hasOnSite = true;
+    } else if (HOLD_STATUSES.includes(entry.to)) {
+      totals.holdMinutes += minutes;
+    }
+  }
+
+  return totals;
+}
+
+/**
+ * Format minutes as "1h 25m"
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatMinutes(minutes) {
+  const rounded = Math.round(minutes || 0);
+  const hours = Math.floor(rounded / 60);
+  const rest = rounded % 60;
+  if (hours === 0) return `${rest}m`;
+  return rest === 0 ? `${hours}h` : `${hours}h ${rest}m`;
+}
@@ -127,6 +127,21 @@ export const canReassignJobs = (userProfile) => {
   return isSuperAdmin(userProfile) || userProfile?.role === 'admin';
 };
 
+/**
+ * Check if user can see analytics for their whole company
+ * (field techs only see their own jobs)
+ */
+export const canViewCompanyAnalytics = (userProfile) => {
+  return isSupervisor(userProfile);
+};
+
+/**
+ * Check if user can see analytics rolled up across all companies (super admin only)
+ */
+export const canViewCrossCompanyAnalytics = (userProfile) => {
+  return isSuperAdmin(userProfile);
+};
+
 /**
  * Route-level access control
  */
@@ -144,6 +159,7 @@ const ROUTE_ACCESS = {
   '/notifications': ['supervisor', 'admin', 'super_admin'],
   '/invoices': ['supervisor', 'admin', 'super_admin'],
   '/calendar': ['field_tech', 'supervisor', 'admin', 'super_admin'],
+  '/dispatch': ['supervisor', 'admin', 'super_admin'],
   '/reports': ['admin', 'super_admin'],
   '/home': ['field_tech', 'supervisor', 'admin', 'super_admin']
 };
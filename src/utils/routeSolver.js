@@ -0,0 +1,353 @@
+/**
+ * Local route solver (vehicle routing with time windows)
+ *
+ * Splits a set of jobs across several technicians without calling Google
+ * Directions. Travel is estimated from straight-line distance, or taken from
+ * a cache of previously measured legs when one is available.
+ *
+ * All times are minutes since midnight of the route date.
+ */
+
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Straight-line distance underestimates road distance; this is a typical urban detour factor
+export const DEFAULT_ROAD_FACTOR = 1.3;
+export const DEFAULT_AVERAGE_SPEED_MPH = 30;
+
+/**
+ * Straight-line distance between two points in miles (Haversine formula)
+ * @param {{lat: number, lng: number}} a
+ * @param {{lat: number, lng: number}} b
+ * @returns {number} Distance in miles
+ */
+export function haversineMiles(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Cache key for a measured leg between two points
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {string}
+ */
+export function getLegCacheKey(from, to) {
+  const round = (value) => Number(value).toFixed(5);
+  return `${round(from.lat)},${round(from.lng)}|${round(to.lat)},${round(to.lng)}`;
+}
+
+/**
+ * Build a travel matrix between points
+ * @param {Array<{lat: number, lng: number}>} points
+ * @param {Object} options
+ * @param {Map<string, {miles: number, minutes: number}>} options.cache - Measured legs
+ * @param {number} options.averageSpeedMph - Speed used for straight-line estimates
+ * @param {number} options.roadFactor - Multiplier applied to straight-line distance
+ * @returns {{miles: Array<Array<number>>, minutes: Array<Array<number>>}}
+ */
+export function buildDistanceMatrix(points, options = {}) {
+  const {
+    cache = null,
+    averageSpeedMph = DEFAULT_AVERAGE_SPEED_MPH,
+    roadFactor = DEFAULT_ROAD_FACTOR
+  } = options;
+
+  const miles = points.map(() => new Array(points.length).fill(0));
+  const minutes = points.map(() => new Array(points.length).fill(0));
+
+  for (let i = 0; i < points.length; i++) {
+    for (let j = 0; j < points.length; j++) {
+      if (i === j) continue;
+
+      const cached = cache?.get(getLegCacheKey(points[i], points[j]));
+      if (cached) {
+        miles[i][j] = cached.miles;
+        minutes[i][j] = cached.minutes;
+      } else {
+        const distance = haversineMiles(points[i], points[j]) * roadFactor;
+        miles[i][j] = distance;
+        minutes[i][j] = (distance / averageSpeedMph) * 60;
+      }
+    }
+  }
+
+  return { miles, minutes };
+}
+
+/**
+ * Convert 'HH:mm' (or 'h:mm AM') to minutes since midnight
+ * @param {string} time
+ * @param {number|null} fallback
+ * @returns {number|null}
+ */
+export function timeToMinutes(time, fallback = null) {
+  if (!time || typeof time !== 'string') return fallback;
+
+  const match = time.trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(AM|PM)?$/i);
+  if (!match) return fallback;
+
+  let hours = parseInt(match[1], 10);
+  const mins = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toUpperCase();
+  if (meridiem === 'AM' && hours === 12) hours = 0;
+  if (meridiem === 'PM' && hours < 12) hours += 12;
+
+  return hours * 60 + mins;
+}
+
+/**
+ * Convert minutes since midnight to 'HH:mm'
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function minutesToTime(minutes) {
+  const rounded = Math.round(minutes);
+  const hours = Math.floor(rounded / 60) % 24;
+  const mins = rounded % 60;
+  return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}`;
+}
+
+/**
+ * Walk a route and compute arrival times. Returns null when any time window,
+ * the shift end or the stop limit is violated.
+ */
+function evaluateRoute(route, vehicle, jobs, matrix, vehicleNode, jobNode) {
+  if (vehicle.maxStops && route.length > vehicle.maxStops) {
+    return null;
+  }
+
+  let clock = vehicle.shiftStart;
+  let position = vehicleNode;
+  let travelMinutes = 0;
+  let travelMiles = 0;
+  const stops = [];
+
+  for (const jobIndex of route) {
+    const job = jobs[jobIndex];
+    const node = jobNode(jobIndex);
+    const legMinutes = matrix.minutes[position][node];
+    const legMiles = matrix.miles[position][node];
+
+    let arrival = clock + legMinutes;
+    let waitMinutes = 0;
+    if (arrival < job.windowStart) {
+      waitMinutes = job.windowStart - arrival;
+      arrival = job.windowStart;
+    }
+    if (arrival > job.windowEnd) {
+      return null;
+    }
+
+    const departure = arrival + job.serviceMinutes;
+    if (departure > vehicle.shiftEnd) {
+      return null;
+    }
+
+    stops.push({
+      jobId: job.id,
+      arrival,
+      departure,
+      travelMinutes: legMinutes,
+      travelMiles: legMiles,
+      waitMinutes
+    });
+
+    travelMinutes += legMinutes;
+    travelMiles += legMiles;
+    clock = departure;
+    position = node;
+  }
+
+  // Returning to the end location must also fit in the shift
+  if (route.length > 0 && vehicle.returnToStart) {
+    const homeMinutes = matrix.minutes[position][vehicleNode];
+    if (clock + homeMinutes > vehicle.shiftEnd) {
+      return null;
+    }
+    travelMinutes += homeMinutes;
+    travelMiles += matrix.miles[position][vehicleNode];
+    clock += homeMinutes;
+  }
+
+  return {
+    stops,
+    travelMinutes,
+    travelMiles,
+    endTime: clock,
+    // Travel dominates the cost; waiting is penalised lightly so tight packing wins ties
+    cost: travelMinutes + stops.reduce((sum, stop) => sum + stop.waitMinutes, 0) * 0.1
+  };
+}
+
+/**
+ * Solve a vehicle routing problem with time windows.
+ *
+ * Uses cheapest feasible insertion (tightest windows first), followed by
+ * relocate and 2-opt improvement passes. This is a heuristic: it produces
+ * good, feasible routes quickly rather than a proven optimum.
+ *
+ * @param {Object} params
+ * @param {Array<Object>} params.technicians - { id, name, start: {lat, lng}, shiftStart, shiftEnd, maxStops?, returnToStart? }
+ * @param {Array<Object>} params.jobs - { id, location: {lat, lng}, serviceMinutes, windowStart?, windowEnd? }
+ * @param {Object} params.matrixOptions - Passed to buildDistanceMatrix
+ * @param {number} params.maxIterations - Cap on improvement passes
+ * @returns {{routes: Array<Object>, unassigned: Array<{jobId: string, reason: string}>}}
+ */
+export function solveVrptw({ technicians, jobs, matrixOptions = {}, maxIterations = 50 }) {
+  const vehicles = technicians.map((tech) => ({
+    ...tech,
+    shiftStart: tech.shiftStart ?? 8 * 60,
+    shiftEnd: tech.shiftEnd ?? 17 * 60,
+    returnToStart: tech.returnToStart ?? false
+  }));
+
+  const normalizedJobs = jobs.map((job) => ({
+    ...job,
+    serviceMinutes: job.serviceMinutes ?? 60,
+    windowStart: job.windowStart ?? 0,
+    windowEnd: job.windowEnd ?? 24 * 60
+  }));
+
+  // Matrix nodes: vehicles first, then jobs
+  const points = [
+    ...vehicles.map((vehicle) => vehicle.start),
+    ...normalizedJobs.map((job) => job.location)
+  ];
+  const matrix = buildDistanceMatrix(points, matrixOptions);
+  const jobNode = (jobIndex) => vehicles.length + jobIndex;
+
+  const routes = vehicles.map(() => []);
+  const evaluations = vehicles.map((vehicle, v) =>
+    evaluateRoute([], vehicle, normalizedJobs, matrix, v, jobNode)
+  );
+  const unassigned = [];
+
+  const evaluate = (route, v) => evaluateRoute(route, vehicles[v], normalizedJobs, matrix, v, jobNode);
+
+  // Insert tightest time windows first; they have the fewest feasible slots
+  const insertionOrder = normalizedJobs
+    .map((job, index) => index)
+    .sort((a, b) => {
+      const jobA = normalizedJobs[a];
+      const jobB = normalizedJobs[b];
+      const slackA = jobA.windowEnd - jobA.windowStart;
+      const slackB = jobB.windowEnd - jobB.windowStart;
+      return slackA - slackB || jobA.windowStart - jobB.windowStart;
+    });
+
+  for (const jobIndex of insertionOrder) {
+    let best = null;
+
+    for (let v = 0; v < vehicles.length; v++) {
+      for (let position = 0; position <= routes[v].length; position++) {
+        const candidate = [...routes[v]];
+        candidate.splice(position, 0, jobIndex);
+        const evaluation = evaluate(candidate, v);
+        if (!evaluation) continue;
+
+        const addedCost = evaluation.cost - evaluations[v].cost;
+        if (!best || addedCost < best.addedCost) {
+          best = { v, route: candidate, evaluation, addedCost };
+        }
+      }
+    }
+
+    if (best) {
+      routes[best.v] = best.route;
+      evaluations[best.v] = best.evaluation;
+    } else {
+      unassigned.push({
+        jobId: normalizedJobs[jobIndex].id,
+        reason: vehicles.length === 0 ? 'no_technicians' : 'no_feasible_slot'
+      });
+    }
+  }
+
+  // Improvement passes: move single stops between routes, then reverse segments within a route
+  for (let iteration = 0; iteration < maxIterations; iteration++) {
+    let improved = false;
+
+    for (let from = 0; from < vehicles.length; from++) {
+      for (let i = 0; i < routes[from].length; i++) {
+        const jobIndex = routes[from][i];
+        const reducedFrom = routes[from].filter((_, index) => index !== i);
+        const reducedEval = evaluate(reducedFrom, from);
+        if (!reducedEval) continue;
+
+        for (let to = 0; to < vehicles.length; to++) {
+          const base = to === from ? reducedFrom : routes[to];
+
+          for (let position = 0; position <= base.length; position++) {
+            if (to === from && position === i) continue;
+            const candidate = [...base];
+            candidate.splice(position, 0, jobIndex);
+            const candidateEval = evaluate(candidate, to);
+            if (!candidateEval) continue;
+
+            const before = evaluations[from].cost + (to === from ? 0 : evaluations[to].cost);
+            const after = to === from
+              ? candidateEval.cost
+              : reducedEval.cost + candidateEval.cost;
+
+            if (after < before - 0.01) {
+              if (to === from) {
+                routes[from] = candidate;
+                evaluations[from] = candidateEval;
+              } else {
+                routes[from] = reducedFrom;
+                evaluations[from] = reducedEval;
+                routes[to] = candidate;
+                evaluations[to] = candidateEval;
+              }
+              improved = true;
+              break;
+            }
+          }
+          if (improved) break;
+        }
+        if (improved) break;
+      }
+      if (improved) break;
+    }
+
+    if (!improved) {
+      for (let v = 0; v < vehicles.length && !improved; v++) {
+        const route = routes[v];
+        for (let i = 0; i < route.length - 1 && !improved; i++) {
+          for (let j = i + 1; j < route.length && !improved; j++) {
+            const candidate = [
+              ...route.slice(0, i),
+              ...route.slice(i, j + 1).reverse(),
+              ...route.slice(j + 1)
+            ];
+            const candidateEval = evaluate(candidate, v);
+            if (candidateEval && candidateEval.cost < evaluations[v].cost - 0.01) {
+              routes[v] = candidate;
+              evaluations[v] = candidateEval;
+              improved = true;
+            }
+          }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return {
+    routes: vehicles.map((vehicle, v) => ({
+      technicianId: vehicle.id,
+      technicianName: vehicle.name || '',
+      stops: evaluations[v].stops,
+      totalTravelMinutes: Math.round(evaluations[v].travelMinutes),
+      totalMiles: Math.round(evaluations[v].travelMiles * 10) / 10,
+      endTime: evaluations[v].endTime
+    })),
+    unassigned
+  };
+}
@@ -0,0 +1,584 @@
+/**
+ * RFC 5545 recurrence rules (RRULE)
+ *
+ * Supports FREQ (DAILY, WEEKLY, MONTHLY, YEARLY), INTERVAL, COUNT, UNTIL,
+ * BYDAY (with ordinals such as 2TU or -1FR), BYMONTHDAY (including negative
+ * days such as -1 for the last day), BYMONTH, BYSETPOS and WKST.
+ *
+ * Dates are handled as local calendar dates. As RFC 5545 requires, a rule
+ * never produces a date that does not exist: "monthly on the 31st" skips
+ * shorter months. Use BYMONTHDAY=-1 (or BYMONTHDAY=28,29,30,31;BYSETPOS=-1)
+ * for "last day of the month".
+ */
+
+export const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+export const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+// Guards against rules that can never match (e.g. BYMONTHDAY=31;BYMONTH=2)
+const MAX_PERIODS = 5000;
+
+/**
+ * Parse a date value into a local Date at midnight
+ * @param {Date|string} value - Date, 'YYYY-MM-DD', ISO string or RRULE 'YYYYMMDD[THHMMSS[Z]]'
+ * @returns {Date|null}
+ */
+export function toLocalDate(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+  if (typeof value?.toDate === 'function') {
+    return toLocalDate(value.toDate());
+  }
+
+  const text = String(value);
+  const compact = text.match(/^(\d{4})(\d{2})(\d{2})(T\d{6}Z?)?$/);
+  if (compact) {
+    return new Date(parseInt(compact[1], 10), parseInt(compact[2], 10) - 1, parseInt(compact[3], 10));
+  }
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return new Date(parseInt(iso[1], 10), parseInt(iso[2], 10) - 1, parseInt(iso[3], 10));
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? null : toLocalDate(parsed);
+}
+
+/**
+ * Format a Date as 'YYYY-MM-DD'
+ * @param {Date} date
+ * @returns {string}
+ */
+export function formatDateKey(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+function daysInMonth(year, month) {
+  return new Date(year, month + 1, 0).getDate();
+}
+
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+function parseIntList(value) {
+  return value
+    .split(',')
+    .map((item) => parseInt(item, 10))
+    .filter((item) => Number.isFinite(item) && item !== 0);
+}
+
+/**
+ * Parse an RRULE string
+ * @param {string} rruleString - e.g. 'FREQ=MONTHLY;BYDAY=2TU' (an 'RRULE:' prefix is allowed)
+ * @returns {Object} rule - { freq, interval, count, until, byDay, byMonthDay, byMonth, bySetPos, wkst }
+ * @throws {Error} When the rule is malformed
+ */
+export function parseRRule(rruleString) {
+  if (!rruleString || typeof rruleString !== 'string') {
+    throw new Error('Recurrence rule is required');
+  }
+
+  const body = rruleString.trim().replace(/^RRULE:/i, '');
+  const rule = {
+    freq: null,
+    interval: 1,
+    count: null,
+    until: null,
+    byDay: [],
+    byMonthDay: [],
+    byMonth: [],
+    bySetPos: [],
+    wkst: 'MO'
+  };
+
+  body.split(';').filter(Boolean).forEach((part) => {
+    const [rawKey, rawValue = ''] = part.split('=');
+    const key = rawKey.trim().toUpperCase();
+    const value = rawValue.trim().toUpperCase();
+
+    switch (key) {
+      case 'FREQ':
+        if (!FREQUENCIES.includes(value)) {
+          throw new Error(`Unsupported frequency "${value}"`);
+        }
+        rule.freq = value;
+        break;
+      case 'INTERVAL': {
+        const interval = parseInt(value, 10);
+        if (!Number.isFinite(interval) || interval < 1) {
+          throw new Error('INTERVAL must be a positive number');
+        }
+        rule.interval = interval;
+        break;
+      }
+      case 'COUNT': {
+        const count = parseInt(value, 10);
+        if (!Number.isFinite(count) || count < 1) {
+          throw new Error('COUNT must be a positive number');
+        }
+        rule.count = count;
+        break;
+      }
+      case 'UNTIL': {
+        const until = toLocalDate(value);
+        if (!until) {
+          throw new Error(`Invalid UNTIL date "${rawValue}"`);
+        }
+        rule.until = until;
+        break;
+      }
+      case 'BYDAY':
+        rule.byDay = value.split(',').filter(Boolean).map((item) => {
+          const match = item.match(/^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/);
+          if (!match) {
+            throw new Error(`Invalid BYDAY value "${item}"`);
+          }
+          const n = match[1] ? parseInt(match[1], 10) : null;
+          if (n !== null && (n === 0 || Math.abs(n) > 53)) {
+            throw new Error(`Invalid BYDAY ordinal "${item}"`);
+          }
+          return { weekday: WEEKDAYS.indexOf(match[2]), n };
+        });
+        break;
+      case 'BYMONTHDAY':
+        rule.byMonthDay = parseIntList(value).filter((day) => Math.abs(day) <= 31);
+        break;
+      case 'BYMONTH':
+        rule.byMonth = parseIntList(value).filter((month) => month >= 1 && month <= 12);
+        break;
+      case 'BYSETPOS':
+        rule.bySetPos = parseIntList(value);
+        break;
+      case 'WKST':
+        if (!WEEKDAYS.includes(value)) {
+          throw new Error(`Invalid WKST value "${value}"`);
+        }
+        rule.wkst = value;
+        break;
+      default:
+        // Unsupported parts (BYHOUR, BYWEEKNO, ...) are rejected rather than silently ignored
+        throw new Error(`Unsupported recurrence rule part "${key}"`);
+    }
+  });
+
+  if (!rule.freq) {
+    throw new Error('Recurrence rule must include FREQ');
+  }
+  if (rule.count && rule.until) {
+    throw new Error('COUNT and UNTIL cannot both be set');
+  }
+  if (rule.byDay.some((day) => day.n !== null) && !['MONTHLY', 'YEARLY'].includes(rule.freq)) {
+    throw new Error('Numbered weekdays (e.g. 2TU) are only allowed for monthly or yearly rules');
+  }
+
+  return rule;
+}
+
+/**
+ * Build an RRULE string from a rule object
+ * @param {Object} rule - Same shape as parseRRule output
+ * @returns {string} e.g. 'FREQ=WEEKLY;BYDAY=MO,WE,FR'
+ */
+export function buildRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+
+  if (rule.interval && rule.interval > 1) {
+    parts.push(`INTERVAL=${rule.interval}`);
+  }
+  if (rule.byDay?.length) {
+    parts.push(`BYDAY=${rule.byDay.map((day) => `${day.n ?? ''}${WEEKDAYS[day.weekday]}`).join(',')}`);
+  }
+  if (rule.byMonthDay?.length) {
+    parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  }
+  if (rule.byMonth?.length) {
+    parts.push(`BYMONTH=${rule.byMonth.join(',')}`);
+  }
+  if (rule.bySetPos?.length) {
+    parts.push(`BYSETPOS=${rule.bySetPos.join(',')}`);
+  }
+  if (rule.wkst && rule.wkst !== 'MO') {
+    parts.push(`WKST=${rule.wkst}`);
+  }
+  if (rule.count) {
+    parts.push(`COUNT=${rule.count}`);
+  } else if (rule.until) {
+    parts.push(`UNTIL=${formatDateKey(toLocalDate(rule.until)).replace(/-/g, '')}`);
+  }
+
+  return parts.join(';');
+}
+
+/**
+ * Validate an RRULE string
+ * @param {string} rruleString
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateRRule(rruleString) {
+  try {
+    parseRRule(rruleString);
+    return { valid: true };
+  } catch (error) {
+    return { valid: false, error: error.message };
+  }
+}
+
+// Resolve BYMONTHDAY values (which may be negative) for a month
+function resolveMonthDays(year, month, byMonthDay) {
+  const total = daysInMonth(year, month);
+  return byMonthDay
+    .map((day) => (day > 0 ? day : total + day + 1))
+    .filter((day) => day >= 1 && day <= total)
+    .map((day) => new Date(year, month, day));
+}
+
+// All dates in [start, end] falling on a weekday, honouring ordinals relative to the range
+function resolveWeekdaysInRange(start, end, byDay) {
+  const results = [];
+  byDay.forEach(({ weekday, n }) => {
+    const matches = [];
+    for (let date = new Date(start); date <= end; date = addDays(date, 1)) {
+      if (date.getDay() === weekday) {
+        matches.push(date);
+      }
+    }
+    if (n === null) {
+      results.push(...matches);
+    } else {
+      const match = n > 0 ? matches[n - 1] : matches[matches.length + n];
+      if (match) results.push(match);
+    }
+  });
+  return results;
+}
+
+// Candidate dates for one period (one day/week/month/year step of the rule)
+function getPeriodCandidates(rule, periodStart, dtstart) {
+  const year = periodStart.getFullYear();
+  const month = periodStart.getMonth();
+  let candidates = [];
+
+  switch (rule.freq) {
+    case 'DAILY':
+      candidates = [periodStart];
+      break;
+
+    case 'WEEKLY': {
+      const weekdays = rule.byDay.length ? rule.byDay.map((day) => day.weekday) : [dtstart.getDay()];
+      for (let offset = 0; offset < 7; offset++) {
+        const date = addDays(periodStart, offset);
+        if (weekdays.includes(date.getDay())) {
+          candidates.push(date);
+        }
+      }
+      break;
+    }
+
+    case 'MONTHLY': {
+      const monthStart = new Date(year, month, 1);
+      const monthEnd = new Date(year, month, daysInMonth(year, month));
+      if (rule.byMonthDay.length && rule.byDay.length) {
+        const weekdays = rule.byDay.map((day) => day.weekday);
+        candidates = resolveMonthDays(year, month, rule.byMonthDay)
+          .filter((date) => weekdays.includes(date.getDay()));
+      } else if (rule.byMonthDay.length) {
+        candidates = resolveMonthDays(year, month, rule.byMonthDay);
+      } else if (rule.byDay.length) {
+        candidates = resolveWeekdaysInRange(monthStart, monthEnd, rule.byDay);
+      } else {
+        candidates = resolveMonthDays(year, month, [dtstart.getDate()]);
+      }
+      break;
+    }
+
+    case 'YEARLY': {
+      const months = rule.byMonth.length ? rule.byMonth.map((m) => m - 1) : null;
+      if (rule.byDay.length && !months && !rule.byMonthDay.length) {
+        // e.g. FREQ=YEARLY;BYDAY=-1FR is the last Friday of the year
+        candidates = resolveWeekdaysInRange(new Date(year, 0, 1), new Date(year, 11, 31), rule.byDay);
+      } else {
+        (months || [dtstart.getMonth()]).forEach((m) => {
+          const monthStart = new Date(year, m, 1);
+          const monthEnd = new Date(year, m, daysInMonth(year, m));
+          if (rule.byMonthDay.length) {
+            let days = resolveMonthDays(year, m, rule.byMonthDay);
+            if (rule.byDay.length) {
+              const weekdays = rule.byDay.map((day) => day.weekday);
+              days = days.filter((date) => weekdays.includes(date.getDay()));
+            }
+            candidates.push(...days);
+          } else if (rule.byDay.length) {
+            candidates.push(...resolveWeekdaysInRange(monthStart, monthEnd, rule.byDay));
+          } else {
+            candidates.push(...resolveMonthDays(year, m, [dtstart.getDate()]));
+          }
+        });
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  // BYxxx parts that only restrict (rather than expand) the set
+  if (rule.byMonth.length && rule.freq !== 'YEARLY') {
+    candidates = candidates.filter((date) => rule.byMonth.includes(date.getMonth() + 1));
+  }
+  if (rule.freq === 'DAILY') {
+    if (rule.byDay.length) {
+      const weekdays = rule.byDay.map((day) => day.weekday);
+      candidates = candidates.filter((date) => weekdays.includes(date.getDay()));
+    }
+    if (rule.byMonthDay.length) {
+      candidates = candidates.filter((date) =>
+        resolveMonthDays(date.getFullYear(), date.getMonth(), rule.byMonthDay)
+          .some((day) => day.getDate() === date.getDate())
+      );
+    }
+  }
+
+  candidates.sort((a, b) => a - b);
+  candidates = candidates.filter(
+    (date, index) => index === 0 || date.getTime() !== candidates[index - 1].getTime()
+  );
+
+  if (rule.bySetPos.length) {
+    candidates = rule.bySetPos
+      .map((pos) => (pos > 0 ? candidates[pos - 1] : candidates[candidates.length + pos]))
+      .filter(Boolean)
+      .sort((a, b) => a - b);
+  }
+
+  return candidates;
+}
+
+// First day of the period containing dtstart, advanced by `step` periods
+function getPeriodStart(rule, dtstart, step) {
+  const interval = rule.interval * step;
+  switch (rule.freq) {
+    case 'DAILY':
+      return addDays(dtstart, interval);
+    case 'WEEKLY': {
+      const weekStartDay = WEEKDAYS.indexOf(rule.wkst);
+      const offset = (dtstart.getDay() - weekStartDay + 7) % 7;
+      return addDays(addDays(dtstart, -offset), interval * 7);
+    }
+    case 'MONTHLY':
+      return new Date(dtstart.getFullYear(), dtstart.getMonth() + interval, 1);
+    case 'YEARLY':
+      return new Date(dtstart.getFullYear() + interval, 0, 1);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Expand a recurrence rule into dates
+ * @param {string|Object} rrule - RRULE string or parsed rule
+ * @param {Date|string} dtstart - First possible occurrence (series start)
+ * @param {Object} options
+ * @param {Date|string} options.from - Only return occurrences on/after this date
+ * @param {Date|string} options.to - Only return occurrences on/before this date
+ * @param {number} options.limit - Maximum number of dates to return (default 100)
+ * @returns {Array<Date>} Occurrence dates (local midnight), ascending
+ */
+export function expandRRule(rrule, dtstart, options = {}) {
+  const rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  const start = toLocalDate(dtstart);
+  if (!start) {
+    throw new Error('A valid start date is required');
+  }
+
+  const from = options.from ? toLocalDate(options.from) : null;
+  const to = options.to ? toLocalDate(options.to) : null;
+  const limit = options.limit ?? 100;
+  const results = [];
+  let produced = 0;
+
+  for (let step = 0; step < MAX_PERIODS; step++) {
+    const periodStart = getPeriodStart(rule, start, step);
+
+    // Nothing later than UNTIL / the requested window can match
+    if (rule.until && periodStart > rule.until && rule.freq !== 'WEEKLY') break;
+    if (to && periodStart > to && rule.freq !== 'WEEKLY') break;
+
+    for (const date of getPeriodCandidates(rule, periodStart, start)) {
+      if (date < start) continue;
+      if (rule.until && date > rule.until) return results;
+      if (to && date > to) return results;
+
+      produced++;
+      if (rule.count && produced > rule.count) return results;
+
+      if (!from || date >= from) {
+        results.push(date);
+        if (results.length >= limit) return results;
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Next occurrence strictly after a date
+ * @param {string|Object} rrule
+ * @param {Date|string} dtstart
+ * @param {Date|string} afterDate
+ * @returns {Date|null}
+ */
+export function getNextOccurrence(rrule, dtstart, afterDate) {
+  const after = toLocalDate(afterDate);
+  const [next] = expandRRule(rrule, dtstart, { from: addDays(after, 1), limit: 1 });
+  return next || null;
+}
+
+const ordinalLabel = (n) => {
+  if (n === -1) return 'last';
+  if (n === -2) return 'second to last';
+  const labels = { 1: 'first', 2: 'second', 3: 'third', 4: 'fourth', 5: 'fifth' };
+  return labels[n] || `${n}th`;
+};
+
+const dayOfMonthLabel = (day) => {
+  if (day === -1) return 'the last day';
+  if (day < 0) return `${Math.abs(day)} days before month end`;
+  const suffix = day % 10 === 1 && day !== 11 ? 'st' : day % 10 === 2 && day !== 12 ? 'nd' : day % 10 === 3 && day !== 13 ? 'rd' : 'th';
+  return `the ${day}${suffix}`;
+};
+
+/**
+ * Human readable description, e.g. "Every month on the second Tuesday"
+ * @param {string|Object} rrule
+ * @returns {string}
+ */
+export function describeRRule(rrule) {
+  let rule;
+  try {
+    rule = typeof rrule === 'string' ? parseRRule(rrule) : rrule;
+  } catch {
+    return 'Invalid schedule';
+  }
+
+  const units = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month', YEARLY: 'year' };
+  const unit = units[rule.freq];
+  let text = rule.interval > 1 ? `Every ${rule.interval} ${unit}s` : `Every ${unit}`;
+
+  const weekdaySet = rule.byDay.map((day) => day.weekday).sort().join(',');
+  if (rule.freq === 'WEEKLY' && weekdaySet === '1,2,3,4,5' && rule.interval === 1) {
+    text = 'Every weekday';
+  } else if (rule.byDay.length) {
+    const days = rule.byDay.map((day) =>
+      day.n !== null ? `${ordinalLabel(day.n)} ${WEEKDAY_NAMES[day.weekday]}` : WEEKDAY_NAMES[day.weekday]
+    );
+    text += ` on ${rule.byDay.some((day) => day.n !== null) ? 'the ' : ''}${days.join(', ')}`;
+  }
+
+  if (rule.byMonthDay.length) {
+    const isLastOfSet = rule.bySetPos.length === 1 && rule.bySetPos[0] === -1 &&
+      rule.byMonthDay.every((day) => day >= 28);
+    text += isLastOfSet
+      ? ` on ${dayOfMonthLabel(Math.max(...rule.byMonthDay))} (or the last day of shorter months)`
+      : ` on ${rule.byMonthDay.map(dayOfMonthLabel).join(', ')}`;
+  } else if (rule.bySetPos.length && rule.byDay.length) {
+    text += ` (${rule.bySetPos.map(ordinalLabel).join(', ')} match)`;
+  }
+
+  if (rule.byMonth.length) {
+    text += ` in ${rule.byMonth.map((month) => MONTH_NAMES[month - 1]).join(', ')}`;
+  }
+
+  if (rule.count) {
+    text += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+  } else if (rule.until) {
+    text += `, until ${rule.until.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' })}`;
+  }
+
+  return text;
+}
+
+/**
+ * Convert the legacy frequency/dayOfWeek fields to an RRULE.
+ * Monthly-style frequencies starting late in the month fall back to the
+ * month's last day instead of skipping short months.
+ * @param {string} frequency - daily, weekly, bi-weekly, monthly, bi-monthly, quarterly, annually
+ * @param {number|null} dayOfWeek - 0 (Sunday) to 6
+ * @param {Date|string} startDate - Series start
+ * @returns {string}
+ */
+export function legacyFrequencyToRRule(frequency, dayOfWeek = null, startDate = null) {
+  const start = toLocalDate(startDate) || new Date();
+  const weekday = dayOfWeek !== null && dayOfWeek !== undefined && dayOfWeek !== ''
+    ? WEEKDAYS[parseInt(dayOfWeek, 10)]
+    : null;
+  const monthDay = start.getDate();
+  const monthDayPart = monthDay > 28
+    ? `BYMONTHDAY=${Array.from({ length: monthDay - 27 }, (_, i) => 28 + i).join(',')};BYSETPOS=-1`
+    : `BYMONTHDAY=${monthDay}`;
+
+  switch (frequency) {
+    case 'daily':
+      return 'FREQ=DAILY';
+    case 'bi-weekly':
+      return `FREQ=WEEKLY;INTERVAL=2${weekday ? `;BYDAY=${weekday}` : ''}`;
+    case 'monthly':
+      return `FREQ=MONTHLY;${monthDayPart}`;
+    case 'bi-monthly':
+      return `FREQ=MONTHLY;INTERVAL=2;${monthDayPart}`;
+    case 'quarterly':
+      return `FREQ=MONTHLY;INTERVAL=3;${monthDayPart}`;
+    case 'annually':
+      return 'FREQ=YEARLY';
+    case 'weekly':
+    default:
+      return `FREQ=WEEKLY${weekday ? `;BYDAY=${weekday}` : ''}`;
+  }
+}
+
+/**
+ * Map an RRULE back to a legacy frequency for older clients, when one fits
+ * @param {string} rruleString
+ * @returns {{frequency: string, dayOfWeek: number|null}}
+ */
+export function rruleToLegacyFrequency(rruleString) {
+  let rule;
+  try {
+    rule = parseRRule(rruleString);
+  } catch {
+    return { frequency: 'custom', dayOfWeek: null };
+  }
+
+  const singleWeekday = rule.byDay.length === 1 && rule.byDay[0].n === null ? rule.byDay[0].weekday : null;
+  const simple = !rule.byMonth.length && !rule.bySetPos.length;
+
+  if (rule.freq === 'DAILY' && rule.interval === 1 && simple && !rule.byDay.length && !rule.byMonthDay.length) {
+    return { frequency: 'daily', dayOfWeek: null };
+  }
+  if (rule.freq === 'WEEKLY' && simple && rule.byDay.length <= 1 && (rule.byDay.length === 0 || singleWeekday !== null)) {
+    if (rule.interval === 1) return { frequency: 'weekly', dayOfWeek: singleWeekday };
+    if (rule.interval === 2) return { frequency: 'bi-weekly', dayOfWeek: singleWeekday };
+  }
+  if (rule.freq === 'MONTHLY' && !rule.byDay.length && rule.byMonthDay.length <= 1 && simple) {
+    const byInterval = { 1: 'monthly', 2: 'bi-monthly', 3: 'quarterly' };
+    if (byInterval[rule.interval]) return { frequency: byInterval[rule.interval], dayOfWeek: null };
+  }
+  if (rule.freq === 'YEARLY' && rule.interval === 1 && simple && !rule.byDay.length && !rule.byMonthDay.length) {
+    return { frequency: 'annually', dayOfWeek: null };
+  }
+
+  return { frequency: 'custom', dayOfWeek: null };
+}